@@ -0,0 +1,356 @@
+/**
+ * adaptiveDifficulty.js
+ * 자동 난이도 조절: 플레이어가 얼마나 잘 받는지 보고 낙하 시간, 생성 간격, 폭탄 비율을 조절
+ *
+ * 지켜보는 값 (최근 window개의 과일 기준):
+ * - 받기 비율: 받은 과일 / 처리된 과일
+ * - 반응 시간: 과일이 생긴 뒤 바구니가 그 과일 아래로 오기까지 걸린 시간
+ *   (바구니가 이미 그 자리에 있던 과일은 세지 않음, 판단은 과일이 바구니 높이까지 오는 시간에 대한 비율로)
+ * - 아슬아슬한 미스: 거의 받을 뻔했는데 놓친 과일
+ *   - 연속 조작 모드: 바구니 가장자리와 과일 가장자리 사이가 구역 너비의 nearMissDistance 안이었음
+ *   - 구역 모드: 과일이 바구니 높이를 지난 뒤 nearMissTime초 안에 바구니가 그 구역에 도착함 (한발 늦음)
+ *     (바구니가 구역 가운데에만 있어 거리로는 옆 구역도 항상 멀기 때문에 시간으로 판단)
+ *
+ * 과일 evaluateEvery개마다 판단:
+ * - 받기 비율이 targetCatchRate.min보다 낮거나 아슬아슬한 미스가 nearMissLimit 비율 이상 → 쉽게
+ * - 받기 비율이 targetCatchRate.max 이상이고 반응이 fastReaction보다 빠름 → 어렵게
+ * 난이도(difficulty)는 -1(가장 쉽게) ~ 0(레벨 팩 그대로) ~ 1(가장 어렵게)이고 한 번에 step만큼 움직임
+ * 각 배율은 bounds의 { min, max } 안에서 정해짐 (낙하 시간/생성 간격은 어려울수록 min, 폭탄 비율은 max)
+ * 조절할 때마다 log에 남기고(선생님이 학생마다 어떻게 바뀌었는지 확인), 지켜본 값은 비우고 다시 모음
+ *
+ * GameCore가 options.adaptive로 받아 사용 (DOM 없음, 브라우저(window)와 Node(require) 양쪽에서 실행 가능)
+ */
+
+class AdaptiveDifficulty {
+  /**
+   * @param {Object} options - 옵션 { window, evaluateEvery, targetCatchRate, fastReaction, nearMissDistance, nearMissTime, nearMissLimit, step, bounds }
+   *   (생략한 옵션은 AdaptiveDifficulty.DEFAULTS)
+   */
+  constructor(options = {}) {
+    const defaults = AdaptiveDifficulty.DEFAULTS;
+    this.window = options.window || defaults.window;
+    this.evaluateEvery = options.evaluateEvery || defaults.evaluateEvery;
+    this.targetCatchRate = { ...defaults.targetCatchRate, ...options.targetCatchRate };
+    this.fastReaction = options.fastReaction !== undefined ? options.fastReaction : defaults.fastReaction;
+    this.nearMissDistance = options.nearMissDistance !== undefined ? options.nearMissDistance : defaults.nearMissDistance;
+    this.nearMissTime = options.nearMissTime !== undefined ? options.nearMissTime : defaults.nearMissTime;
+    this.nearMissLimit = options.nearMissLimit !== undefined ? options.nearMissLimit : defaults.nearMissLimit;
+    this.step = options.step || defaults.step;
+    this.bounds = {};
+    Object.keys(defaults.bounds).forEach(name => {
+      this.bounds[name] = { ...defaults.bounds[name], ...(options.bounds && options.bounds[name]) };
+    });
+    AdaptiveDifficulty.validate(this);
+
+    this.reset();
+  }
+
+  /**
+   * 새 게임 (난이도는 레벨 팩 그대로, 기록 비움)
+   */
+  reset() {
+    this.difficulty = 0;
+    this.outcomes = []; // 최근 과일 결과 [{ caught, nearMiss }]
+    this.reactions = []; // 최근 반응 시간 [{ seconds, ratio }]
+    this.pending = new Map(); // 반응을 기다리는 과일 (아이템 id → 아이템)
+    this.lateMisses = []; // 구역 모드: 바구니가 한발 늦게 오는지 지켜보는 놓친 과일 [{ zone, time, outcome }]
+    this.resultsSinceCheck = 0;
+    this.log = []; // 조절 기록
+  }
+
+  /**
+   * 옵션 검사 (잘못되면 Error)
+   */
+  static validate(options) {
+    const { targetCatchRate, bounds } = options;
+    if (!(targetCatchRate.min >= 0 && targetCatchRate.min <= targetCatchRate.max && targetCatchRate.max <= 1)) {
+      throw new Error("자동 난이도의 targetCatchRate는 0 ≤ min ≤ max ≤ 1이어야 합니다.");
+    }
+    if (!(options.nearMissDistance >= 0 && options.nearMissDistance <= 1)) {
+      throw new Error("자동 난이도의 nearMissDistance는 0 이상 1 이하여야 합니다.");
+    }
+    if (!(options.nearMissTime >= 0)) {
+      throw new Error("자동 난이도의 nearMissTime은 0 이상이어야 합니다.");
+    }
+    if (!(options.step > 0 && options.step <= 1)) {
+      throw new Error("자동 난이도의 step은 0보다 크고 1 이하여야 합니다.");
+    }
+    Object.entries(bounds).forEach(([name, { min, max }]) => {
+      if (!(typeof min === "number" && typeof max === "number" && min >= 0 && min <= 1 && max >= 1)) {
+        throw new Error(`자동 난이도의 bounds.${name}는 0 ≤ min ≤ 1 ≤ max여야 합니다.`);
+      }
+    });
+  }
+
+  /**
+   * 낙하 시간 배율 (작을수록 빠름)
+   */
+  get dropTimeScale() {
+    return this.getScale(this.bounds.dropTime.max, this.bounds.dropTime.min);
+  }
+
+  /**
+   * 생성 간격 배율 (작을수록 자주)
+   */
+  get spawnIntervalScale() {
+    return this.getScale(this.bounds.spawnInterval.max, this.bounds.spawnInterval.min);
+  }
+
+  /**
+   * 폭탄 가중치 배율 (클수록 자주)
+   */
+  get bombWeightScale() {
+    return this.getScale(this.bounds.bombWeight.min, this.bounds.bombWeight.max);
+  }
+
+  /**
+   * 지금 난이도의 배율 (difficulty -1 → easiest, 0 → 1, 1 → hardest)
+   */
+  getScale(easiest, hardest) {
+    return this.difficulty >= 0
+      ? 1 + (hardest - 1) * this.difficulty
+      : 1 + (easiest - 1) * -this.difficulty;
+  }
+
+  /**
+   * 폭탄 가중치에 배율을 적용한 아이템 가중치
+   * @param {Object} weights - { 아이템 종류: 가중치 }
+   * @param {ItemRegistry} itemRegistry - 폭탄 종류를 찾을 등록소
+   */
+  adjustWeights(weights, itemRegistry) {
+    const adjusted = { ...weights };
+    itemRegistry.list().filter(t => t.isBomb && adjusted[t.type] > 0).forEach(t => {
+      adjusted[t.type] *= this.bombWeightScale;
+    });
+    return adjusted;
+  }
+
+  /**
+   * 아이템 생성 (바구니를 움직여야 받을 수 있는 과일만 반응 시간을 잼)
+   */
+  onSpawn(game, item) {
+    if (!item.isFruit || game.isInBasket(item)) return;
+    this.pending.set(item.id, item);
+  }
+
+  /**
+   * 바구니 이동 (기다리던 과일 아래로 왔으면 반응 시간 기록, 방금 놓친 과일 구역에 왔으면 아슬아슬한 미스)
+   */
+  onBasketMove(game) {
+    this.expireLateMisses(game);
+    this.lateMisses = this.lateMisses.filter(late => {
+      if (late.zone !== game.basketPosition) return true;
+      late.outcome.nearMiss = true;
+      return false;
+    });
+
+    this.pending.forEach((item, id) => {
+      if (item.processed) {
+        this.pending.delete(id);
+      } else if (game.isInBasket(item)) {
+        const seconds = game.time - item.spawnTime;
+        this.reactions.push({ seconds, ratio: seconds / AdaptiveDifficulty.getReachTime(item) });
+        if (this.reactions.length > this.window) this.reactions.shift();
+        this.pending.delete(id);
+      }
+    });
+  }
+
+  /**
+   * 과일을 받았거나 놓침 (evaluateEvery개마다 난이도 판단)
+   * @param {GameCore} game - 게임
+   * @param {Object} item - 바구니 높이에 온 과일
+   * @param {boolean} caught - 받았는지
+   * @returns {Object|null} 난이도를 바꿨으면 조절 기록, 아니면 null
+   */
+  onResult(game, item, caught) {
+    this.pending.delete(item.id);
+
+    const outcome = { caught, nearMiss: !caught && this.isNearMiss(game, item) };
+    this.outcomes.push(outcome);
+    if (this.outcomes.length > this.window) this.outcomes.shift();
+
+    // 구역 모드: 바구니가 한발 늦게 오면 나중에 아슬아슬한 미스로 바꿈
+    this.expireLateMisses(game);
+    if (!caught && game.controlMode !== "continuous") {
+      this.lateMisses.push({ zone: item.zone, time: game.time, outcome });
+    }
+
+    this.resultsSinceCheck++;
+    if (this.resultsSinceCheck < this.evaluateEvery) return null;
+    this.resultsSinceCheck = 0;
+
+    return this.evaluate(game);
+  }
+
+  /**
+   * 놓친 순간 아슬아슬했는지 (연속 조작 모드: 바구니와 과일 가장자리 사이가 구역 너비의 nearMissDistance 이하)
+   * 구역 모드는 놓친 순간에는 알 수 없어 false (바구니가 한발 늦게 오면 onBasketMove에서 바꿈)
+   * @param {GameCore} game - 게임
+   * @param {Object} item - 놓친 과일
+   */
+  isNearMiss(game, item) {
+    if (game.controlMode !== "continuous") return false;
+
+    const gap = Math.abs(item.x - game.basketX) - (game.basketWidth + game.itemWidth) / 2;
+    return gap <= this.nearMissDistance / game.zones.length + AdaptiveDifficulty.DISTANCE_EPSILON;
+  }
+
+  /**
+   * 놓친 지 nearMissTime초가 지난 과일은 더 지켜보지 않음
+   */
+  expireLateMisses(game) {
+    this.lateMisses = this.lateMisses.filter(late =>
+      game.time - late.time <= this.nearMissTime + AdaptiveDifficulty.TIME_EPSILON);
+  }
+
+  /**
+   * 지켜본 값으로 난이도 판단 (바꿨으면 기록을 남기고 지켜본 값을 비움)
+   */
+  evaluate(game) {
+    const stats = this.getStats();
+    const percent = `받기 ${Math.round(stats.catchRate * 100)}%`;
+    const reaction = stats.reactionTime !== null ? ` · 반응 ${stats.reactionTime.toFixed(1)}초` : "";
+
+    let direction = null;
+    let reason = null;
+    if (stats.catchRate < this.targetCatchRate.min) {
+      direction = "easier";
+      reason = percent;
+    } else if (stats.nearMisses / this.outcomes.length >= this.nearMissLimit) {
+      direction = "easier";
+      reason = `아슬아슬한 미스 ${stats.nearMisses}번`;
+    } else if (stats.catchRate >= this.targetCatchRate.max &&
+      (stats.reactionRatio === null || stats.reactionRatio <= this.fastReaction)) {
+      direction = "harder";
+      reason = percent + reaction;
+    }
+    if (!direction) return null;
+
+    const next = Math.min(1, Math.max(-1, this.difficulty + (direction === "harder" ? this.step : -this.step)));
+    if (next === this.difficulty) return null;
+    this.difficulty = next;
+
+    const entry = {
+      time: Number(game.time.toFixed(2)),
+      level: game.level,
+      direction,
+      reason,
+      catchRate: stats.catchRate,
+      reactionTime: stats.reactionTime,
+      nearMisses: stats.nearMisses,
+      difficulty: this.difficulty,
+      dropTimeScale: this.dropTimeScale,
+      spawnIntervalScale: this.spawnIntervalScale,
+      bombWeightScale: this.bombWeightScale
+    };
+    this.log.push(entry);
+
+    this.outcomes = [];
+    this.reactions = [];
+    return entry;
+  }
+
+  /**
+   * 지켜본 값 { catchRate, reactionTime, reactionRatio, nearMisses }
+   * (과일이 없으면 catchRate null, 잰 반응이 없으면 reactionTime/reactionRatio null)
+   */
+  getStats() {
+    const caught = this.outcomes.filter(outcome => outcome.caught).length;
+    const average = key => this.reactions.length === 0
+      ? null
+      : this.reactions.reduce((sum, reaction) => sum + reaction[key], 0) / this.reactions.length;
+
+    return {
+      catchRate: this.outcomes.length > 0 ? caught / this.outcomes.length : null,
+      reactionTime: average("seconds"),
+      reactionRatio: average("ratio"),
+      nearMisses: this.outcomes.filter(outcome => outcome.nearMiss).length
+    };
+  }
+
+  /**
+   * 지금 상태 (난이도, 배율, 지켜본 값, 조절 기록)
+   */
+  getState() {
+    return {
+      difficulty: this.difficulty,
+      dropTimeScale: this.dropTimeScale,
+      spawnIntervalScale: this.spawnIntervalScale,
+      bombWeightScale: this.bombWeightScale,
+      ...this.getStats(),
+      log: this.log.slice()
+    };
+  }
+
+  /**
+   * 옵션 (기록 파일에 저장해 리플레이에서 같은 조절을 재현)
+   */
+  getOptions() {
+    return {
+      window: this.window,
+      evaluateEvery: this.evaluateEvery,
+      targetCatchRate: { ...this.targetCatchRate },
+      fastReaction: this.fastReaction,
+      nearMissDistance: this.nearMissDistance,
+      nearMissTime: this.nearMissTime,
+      nearMissLimit: this.nearMissLimit,
+      step: this.step,
+      bounds: JSON.parse(JSON.stringify(this.bounds))
+    };
+  }
+
+  /**
+   * 과일이 생긴 뒤 바구니 높이(85%)까지 오는 시간 (초, -20%에서 시작)
+   */
+  static getReachTime(item) {
+    return item.dropTime * (85 + 20) / 140;
+  }
+
+  /**
+   * 조절 기록 한 줄 (예: "0:42 ▲ 어렵게 (받기 90% · 반응 0.4초) → 낙하 x0.90 · 간격 x0.90 · 폭탄 x1.25")
+   */
+  static formatEntry(entry) {
+    const seconds = Math.floor(entry.time);
+    const clock = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+    const arrow = entry.direction === "harder" ? "▲ 어렵게" : "▼ 쉽게";
+    return `${clock} ${arrow} (${entry.reason}) → 낙하 x${entry.dropTimeScale.toFixed(2)}` +
+      ` · 간격 x${entry.spawnIntervalScale.toFixed(2)} · 폭탄 x${entry.bombWeightScale.toFixed(2)}`;
+  }
+
+  /**
+   * 조절 기록 전체 (순위표 저장/CSV용 한 줄 텍스트)
+   */
+  static formatLog(log) {
+    return log.length > 0 ? log.map(AdaptiveDifficulty.formatEntry).join(" / ") : "조절 없음";
+  }
+}
+
+/**
+ * 기본 옵션
+ */
+AdaptiveDifficulty.DEFAULTS = {
+  window: 10, // 지켜볼 최근 과일 수
+  evaluateEvery: 5, // 판단 간격 (과일 수)
+  targetCatchRate: { min: 0.6, max: 0.85 }, // 이 사이면 그대로
+  fastReaction: 0.5, // 바구니 높이까지 오는 시간의 이 비율 안에 움직이면 빠른 반응
+  nearMissDistance: 0.25, // 연속 조작: 바구니와 과일 가장자리 사이가 구역 너비의 이 비율 안이면 아슬아슬한 미스
+  nearMissTime: 0.5, // 구역 모드: 놓친 뒤 이 시간(초) 안에 바구니가 그 구역에 오면 아슬아슬한 미스
+  nearMissLimit: 0.3, // 아슬아슬한 미스가 이 비율 이상이면 쉽게
+  step: 0.25, // 한 번에 바꾸는 난이도
+  bounds: {
+    dropTime: { min: 0.7, max: 1.5 },
+    spawnInterval: { min: 0.7, max: 1.5 },
+    bombWeight: { min: 0, max: 2 }
+  }
+};
+AdaptiveDifficulty.DISTANCE_EPSILON = 1e-9; // 가로 거리 비교 오차
+AdaptiveDifficulty.TIME_EPSILON = 1e-6; // step 누적 시간 비교 오차
+
+// 전역으로 내보내기 (브라우저) + CommonJS 내보내기 (Node 헤드리스 실행)
+if (typeof window !== "undefined") {
+  window.AdaptiveDifficulty = AdaptiveDifficulty;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AdaptiveDifficulty;
+}
@@ -0,0 +1,249 @@
+/**
+ * calibrationWizard.js
+ * 게임 시작 전 포즈 보정 안내 화면
+ *
+ * 포즈마다 "준비(카운트다운) → 유지(측정)" 순서로 진행하고,
+ * PoseCalibrator의 분석 결과(확률표, 헷갈리는 포즈, 추천 설정)를 보여줌
+ * 추천 설정은 "적용" 버튼으로 적용하거나, autoApply면 측정이 끝나자마자 적용
+ */
+
+class CalibrationWizard {
+  /**
+   * @param {HTMLElement} overlay - 보정 오버레이 요소 (#calibration-overlay)
+   */
+  constructor(overlay) {
+    this.overlay = overlay;
+    this.stepEl = overlay.querySelector(".calibration-step");
+    this.progressEl = overlay.querySelector(".calibration-progress-bar");
+    this.resultEl = overlay.querySelector(".calibration-result");
+    this.applyButton = overlay.querySelector(".calibration-apply");
+    this.retryButton = overlay.querySelector(".calibration-retry");
+    this.closeButton = overlay.querySelector(".calibration-close");
+
+    this.calibrator = null;
+    this.labels = [];
+    this.currentSettings = null;
+    this.suggestion = null;
+    this.autoApply = false; // 측정이 끝나면 추천 설정을 바로 적용할지
+    this.applied = false; // 이번 보정에서 추천 설정을 적용했는지
+    this.isActive = false; // 오버레이가 열려 있는지
+    this.isRecording = false; // 포즈를 측정하는 중인지
+    this.runId = 0; // 닫거나 다시 시작하면 이전 진행을 멈추기 위한 번호
+
+    this.onApply = null; // 추천 설정 적용 콜백 ({ threshold, smoothingFrames }) => void
+    this.onClose = null; // 닫힘 콜백 (applied) => void
+
+    this.applyButton.addEventListener("click", () => this.apply());
+    this.retryButton.addEventListener("click", () => this.run());
+    this.closeButton.addEventListener("click", () => this.close());
+  }
+
+  /**
+   * 보정 시작
+   * @param {Array<string>} labels - 측정할 포즈 라벨
+   * @param {Object} currentSettings - 현재 Stabilizer 설정 { threshold, smoothingFrames }
+   */
+  open(labels, currentSettings) {
+    this.labels = labels;
+    this.currentSettings = currentSettings;
+    this.isActive = true;
+    this.overlay.style.display = "flex";
+    this.run();
+  }
+
+  /**
+   * 모든 포즈를 차례로 측정한 뒤 결과 표시
+   */
+  async run() {
+    const runId = ++this.runId;
+    this.calibrator = new PoseCalibrator(this.labels);
+    this.suggestion = null;
+    this.applied = false;
+    this.resultEl.innerHTML = "";
+    this.applyButton.disabled = true;
+    this.retryButton.disabled = true;
+
+    for (const label of this.labels) {
+      // 준비: 카운트다운
+      for (let remaining = CalibrationWizard.PREPARE_SECONDS; remaining > 0; remaining--) {
+        this.stepEl.textContent = `"${label}" 포즈를 준비하세요... ${remaining}`;
+        this.setProgress(0);
+        await CalibrationWizard.wait(1000);
+        if (runId !== this.runId) return;
+      }
+
+      // 유지: 측정
+      this.stepEl.textContent = `"${label}" 포즈를 그대로 유지하세요!`;
+      this.calibrator.startLabel(label);
+      this.isRecording = true;
+
+      const steps = CalibrationWizard.HOLD_SECONDS * 10;
+      for (let i = 1; i <= steps; i++) {
+        await CalibrationWizard.wait(100);
+        if (runId !== this.runId) return;
+        this.setProgress(i / steps);
+      }
+
+      this.isRecording = false;
+      this.calibrator.finishLabel();
+    }
+
+    this.stepEl.textContent = "측정 완료! 결과를 확인하세요.";
+    this.showResult();
+    this.retryButton.disabled = false;
+
+    if (this.autoApply && this.suggestion) {
+      this.applySuggestion();
+      this.stepEl.textContent = "측정 완료! 추천 설정을 적용했습니다.";
+    }
+  }
+
+  /**
+   * 측정 중인 포즈에 예측 결과 추가
+   * @param {Array} predictions - TM 모델의 예측 결과
+   */
+  addSample(predictions) {
+    if (this.isRecording && this.calibrator) {
+      this.calibrator.addSample(predictions);
+    }
+  }
+
+  /**
+   * 분석 결과 표시 (확률표, 경고, 추천 설정)
+   */
+  showResult() {
+    const results = this.calibrator.analyze();
+    this.resultEl.innerHTML = "";
+
+    // 확률표: 행 = 유지한 포즈, 열 = 인식된 클래스의 평균 확률
+    const table = document.createElement("table");
+    table.className = "calibration-table";
+
+    const classNames = this.labels;
+    const header = document.createElement("tr");
+    ["포즈 \\ 인식", ...classNames, "인식률"].forEach(text => {
+      const th = document.createElement("th");
+      th.textContent = text;
+      header.appendChild(th);
+    });
+    table.appendChild(header);
+
+    results.forEach(result => {
+      const row = document.createElement("tr");
+      const labelCell = document.createElement("th");
+      labelCell.textContent = result.label;
+      row.appendChild(labelCell);
+
+      classNames.forEach(className => {
+        const cell = document.createElement("td");
+        const probability = result.meanProbabilities[className] || 0;
+        cell.textContent = `${Math.round(probability * 100)}%`;
+        if (className === result.label) {
+          cell.className = "own";
+        } else if (probability >= PoseCalibrator.CONFUSION_RATE) {
+          cell.className = "confused";
+        }
+        row.appendChild(cell);
+      });
+
+      const hitCell = document.createElement("td");
+      hitCell.textContent = result.frameCount > 0 ? `${Math.round(result.hitRate * 100)}%` : "-";
+      row.appendChild(hitCell);
+      table.appendChild(row);
+    });
+    this.resultEl.appendChild(table);
+
+    // 경고: 감지 안 된 포즈, 헷갈리는 포즈
+    const warnings = [];
+    results.filter(result => result.frameCount === 0).forEach(result => {
+      warnings.push(`"${result.label}" 포즈를 측정하지 못했습니다. 카메라에 몸이 보이는지 확인하세요.`);
+    });
+    this.calibrator.getConfusions().forEach(({ label, confusedWith, rate }) => {
+      warnings.push(`"${label}" 포즈가 ${Math.round(rate * 100)}% 확률로 "${confusedWith}"(으)로 인식됩니다. 두 포즈를 더 다르게 하거나 모델을 다시 학습하세요.`);
+    });
+
+    if (warnings.length > 0) {
+      const list = document.createElement("ul");
+      list.className = "calibration-warnings";
+      warnings.forEach(text => {
+        const li = document.createElement("li");
+        li.textContent = `⚠️ ${text}`;
+        list.appendChild(li);
+      });
+      this.resultEl.appendChild(list);
+    }
+
+    // 추천 설정
+    const suggestionEl = document.createElement("p");
+    suggestionEl.className = "calibration-suggestion";
+    try {
+      this.suggestion = this.calibrator.suggestSettings();
+      const { threshold, smoothingFrames } = this.suggestion;
+      const current = this.currentSettings;
+      suggestionEl.textContent =
+        `추천 설정: 임계값 ${threshold.toFixed(2)} (현재 ${current.threshold.toFixed(2)}), ` +
+        `평활화 ${smoothingFrames}프레임 (현재 ${current.smoothingFrames}프레임)`;
+      this.applyButton.disabled = false;
+    } catch (error) {
+      suggestionEl.textContent = error.message;
+    }
+    this.resultEl.appendChild(suggestionEl);
+  }
+
+  /**
+   * 진행 막대 갱신
+   * @param {number} ratio - 0~1
+   */
+  setProgress(ratio) {
+    this.progressEl.style.width = `${ratio * 100}%`;
+  }
+
+  /**
+   * 추천 설정 적용 후 닫기 ("적용" 버튼)
+   */
+  apply() {
+    if (!this.suggestion) return;
+
+    if (!this.applied) {
+      this.applySuggestion();
+    }
+    this.close();
+  }
+
+  /**
+   * 추천 설정을 onApply 콜백으로 전달
+   */
+  applySuggestion() {
+    this.applied = true;
+    this.applyButton.disabled = true;
+
+    if (this.onApply) {
+      const { threshold, smoothingFrames } = this.suggestion;
+      this.onApply({ threshold, smoothingFrames });
+    }
+  }
+
+  /**
+   * 보정 닫기 (진행 중이면 중단)
+   */
+  close() {
+    this.runId++;
+    this.isActive = false;
+    this.isRecording = false;
+    this.overlay.style.display = "none";
+
+    if (this.onClose) {
+      this.onClose(this.applied);
+    }
+  }
+
+  static wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+CalibrationWizard.PREPARE_SECONDS = 3; // 포즈 준비 시간
+CalibrationWizard.HOLD_SECONDS = 3; // 포즈 유지(측정) 시간
+
+// 전역으로 내보내기
+window.CalibrationWizard = CalibrationWizard;
@@ -0,0 +1,375 @@
+/**
+ * diagnosticsPanel.js
+ * 포즈 분류 모델 진단 패널 (모델이 잘 안 될 때 원인을 찾기 위한 화면)
+ *
+ * PoseEngine과 PredictionStabilizer의 디버그 훅(setDebugCallback)에서 받은 값으로 그림 (1P 기준)
+ * - 추론 방식(워커/메인 스레드), 이번 추론 지연, 목표 추론 FPS와 실제 추론 FPS
+ * - 모든 클래스의 확률 막대: 원래 예측과 안정화에 쓰인 확률, 임계값 선
+ * - Stabilizer 히스토리 창 (최근 프레임의 최고 확률 클래스) 과 현재/대기 중인 결과
+ * - 키포인트별 신뢰도
+ * - 원래 예측의 최고 확률 클래스가 다른 클래스로 바뀐 횟수 (바뀐 방향별 누적) 와 안정화 후 바뀐 횟수
+ *
+ * 예측마다 바로 그리지 않고 다음 화면 갱신 때 한 번만 그림
+ */
+
+class DiagnosticsPanel {
+  /**
+   * @param {HTMLElement} container - 패널 내용을 그릴 요소
+   * @param {Object} options - 옵션 { minPartConfidence } (이 신뢰도 미만 키포인트는 흐리게)
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.minPartConfidence = options.minPartConfidence !== undefined ? options.minPartConfidence : 0.5;
+    this.renderId = null;
+    this.reset();
+  }
+
+  /**
+   * 모은 값 모두 지우기
+   */
+  reset() {
+    this.inference = null; // 마지막 추론 (PoseEngine 디버그 훅)
+    this.stabilization = null; // 마지막 안정화 (Stabilizer 디버그 훅)
+    this.frameTimes = []; // 최근 추론 프레임 시각 (실제 FPS 계산)
+    this.resetFlips();
+  }
+
+  /**
+   * 클래스 바뀜 집계 지우기
+   */
+  resetFlips() {
+    this.flips = {}; // 이전 클래스 → { 다음 클래스 → 횟수 }
+    this.flipCount = 0;
+    this.frameCount = 0;
+    this.lastTop = null;
+    this.stableFlipCount = 0;
+    this.lastStable = null;
+    this.requestRender();
+  }
+
+  /**
+   * PoseEngine 디버그 훅
+   * @param {Object} info - { timestamp, latency, averageLatency, results, mode, fps }
+   */
+  handleInference(info) {
+    this.inference = info;
+
+    this.frameTimes.push(info.timestamp);
+    while (this.frameTimes.length > DiagnosticsPanel.FPS_WINDOW) {
+      this.frameTimes.shift();
+    }
+
+    const first = info.results[0];
+    if (first && first.prediction.length > 0) {
+      this.countFlip(PredictionStabilizer.toFrame(first.prediction).className);
+    }
+    this.requestRender();
+  }
+
+  /**
+   * PredictionStabilizer 디버그 훅
+   * @param {Object} info - { timestamp, frame, result, ...getDebugState() }
+   */
+  handleStabilization(info) {
+    this.stabilization = info;
+
+    const className = info.result.className;
+    if (this.lastStable !== null && className !== this.lastStable) {
+      this.stableFlipCount++;
+    }
+    this.lastStable = className;
+    this.requestRender();
+  }
+
+  /**
+   * 원래 예측의 최고 확률 클래스가 바뀐 횟수 세기
+   */
+  countFlip(className) {
+    this.frameCount++;
+    if (this.lastTop !== null && className !== this.lastTop) {
+      const row = this.flips[this.lastTop] || (this.flips[this.lastTop] = {});
+      row[className] = (row[className] || 0) + 1;
+      this.flipCount++;
+    }
+    this.lastTop = className;
+  }
+
+  /**
+   * 최근 추론 프레임 시각으로 잰 실제 추론 FPS (프레임이 2개 미만이면 null)
+   */
+  getMeasuredFps() {
+    const times = this.frameTimes;
+    if (times.length < 2) return null;
+
+    const span = times[times.length - 1] - times[0];
+    return span > 0 ? (times.length - 1) * 1000 / span : null;
+  }
+
+  /**
+   * 다음 화면 갱신 때 그리기 (이미 예약되어 있으면 그대로)
+   */
+  requestRender() {
+    if (this.renderId !== null) return;
+
+    this.renderId = window.requestAnimationFrame(() => {
+      this.renderId = null;
+      this.render();
+    });
+  }
+
+  /**
+   * 그리던 것 멈추기 (패널을 닫을 때)
+   */
+  cancelRender() {
+    if (this.renderId !== null) {
+      window.cancelAnimationFrame(this.renderId);
+      this.renderId = null;
+    }
+  }
+
+  /**
+   * 패널 그리기
+   */
+  render() {
+    if (!this.container) return;
+
+    this.container.innerHTML = "";
+    if (!this.inference) {
+      this.container.textContent = "예측을 기다리는 중...";
+      return;
+    }
+
+    this.container.appendChild(this.renderInferenceStatus());
+    this.container.appendChild(this.renderClasses());
+    this.container.appendChild(this.renderHistory());
+    this.container.appendChild(this.renderKeypoints());
+    this.container.appendChild(this.renderFlips());
+  }
+
+  /**
+   * 추론 방식, 지연, 목표/실제 FPS
+   */
+  renderInferenceStatus() {
+    const { mode, latency, averageLatency, fps } = this.inference;
+    const measured = this.getMeasuredFps();
+
+    return DiagnosticsPanel.createSection("추론", [
+      mode === "worker" ? "워커" : "메인 스레드",
+      `지연 ${latency === null ? "-" : `${Math.round(latency)}ms`} (평균 ${averageLatency === null ? "-" : `${Math.round(averageLatency)}ms`})`,
+      `목표 ${fps} FPS`,
+      `실제 ${measured === null ? "-" : measured.toFixed(1)} FPS`
+    ].join(" · "));
+  }
+
+  /**
+   * 클래스별 확률 막대 (원래 예측 / 안정화에 쓰인 확률) 와 임계값 선
+   */
+  renderClasses() {
+    const section = DiagnosticsPanel.createSection("클래스별 확률");
+    const first = this.inference.results[0];
+    if (!first || first.prediction.length === 0) {
+      section.appendChild(DiagnosticsPanel.createNote("분류 모델 예측 없음 (연속 조작 모드는 키포인트만 사용)"));
+      return section;
+    }
+
+    const raw = PredictionStabilizer.toFrame(first.prediction);
+    const stable = this.stabilization;
+    const stableProbabilities = stable
+      ? stable.probabilities || { [stable.result.className]: stable.result.probability }
+      : {};
+
+    // 임계값 선 (히스테리시스는 들어가는/나오는 임계값 두 개)
+    const thresholds = !stable
+      ? []
+      : stable.strategy === "hysteresis"
+        ? [stable.enterThreshold, stable.exitThreshold]
+        : [stable.threshold];
+
+    first.prediction.forEach(({ className, probability }) => {
+      const row = document.createElement("div");
+      row.className = "diagnostics-class";
+      row.classList.toggle("top", className === raw.className);
+      row.classList.toggle("stable", !!stable && className === stable.result.className);
+
+      const nameEl = document.createElement("span");
+      nameEl.className = "diagnostics-class-name";
+      nameEl.textContent = className;
+      row.appendChild(nameEl);
+
+      const bars = document.createElement("div");
+      bars.className = "diagnostics-bars";
+      bars.appendChild(DiagnosticsPanel.createBar(probability, "raw", thresholds));
+      bars.appendChild(DiagnosticsPanel.createBar(stableProbabilities[className], "stabilized", thresholds));
+      row.appendChild(bars);
+
+      section.appendChild(row);
+    });
+
+    section.appendChild(DiagnosticsPanel.createNote(stable
+      ? `위 막대: 원래 예측 · 아래 막대: 안정화(${stable.strategy}) · 선: 임계값 · 결과: ${stable.result.className || "없음(임계값 미달)"}`
+      : "위 막대: 원래 예측 (안정화 결과는 아직 없음)"));
+    return section;
+  }
+
+  /**
+   * Stabilizer 히스토리 창과 현재/대기 중인 결과
+   */
+  renderHistory() {
+    const section = DiagnosticsPanel.createSection("안정화 히스토리");
+    const stable = this.stabilization;
+    if (!stable) {
+      section.appendChild(DiagnosticsPanel.createNote("-"));
+      return section;
+    }
+
+    if (stable.history.length > 0) {
+      const list = document.createElement("div");
+      list.className = "diagnostics-history";
+      stable.history.forEach(item => {
+        const chip = document.createElement("span");
+        chip.className = "diagnostics-chip";
+        chip.classList.toggle("below", item.probability < stable.threshold);
+        chip.textContent = `${item.className || "-"} ${Math.round(item.probability * 100)}%`;
+        list.appendChild(chip);
+      });
+      section.appendChild(list);
+      section.appendChild(DiagnosticsPanel.createNote(`최근 ${stable.history.length} / ${stable.smoothingFrames}프레임 (왼쪽이 오래된 프레임)`));
+    } else if (stable.strategy === "ema") {
+      section.appendChild(DiagnosticsPanel.createNote("ema는 히스토리 대신 클래스별 평균 확률(아래 막대)을 사용"));
+    } else {
+      const candidate = stable.candidate
+        ? ` · 바뀔 후보: ${stable.candidate.className || "없음"} (${Math.round(stable.timestamp - stable.candidate.since)}ms째)`
+        : "";
+      section.appendChild(DiagnosticsPanel.createNote(`현재 결과: ${stable.current || "없음"}${candidate}`));
+    }
+    return section;
+  }
+
+  /**
+   * 키포인트별 신뢰도
+   */
+  renderKeypoints() {
+    const section = DiagnosticsPanel.createSection("키포인트 신뢰도");
+    const first = this.inference.results[0];
+    if (!first || !first.pose) {
+      section.appendChild(DiagnosticsPanel.createNote("몸이 보이지 않아요"));
+      return section;
+    }
+
+    const grid = document.createElement("div");
+    grid.className = "diagnostics-keypoints";
+    first.pose.keypoints.forEach(keypoint => {
+      const item = document.createElement("div");
+      item.className = "diagnostics-keypoint";
+      item.classList.toggle("below", keypoint.score < this.minPartConfidence);
+
+      const nameEl = document.createElement("span");
+      nameEl.textContent = keypoint.part;
+      item.appendChild(nameEl);
+      item.appendChild(DiagnosticsPanel.createBar(keypoint.score, "keypoint", [this.minPartConfidence]));
+      grid.appendChild(item);
+    });
+    section.appendChild(grid);
+    section.appendChild(DiagnosticsPanel.createNote(`포즈 점수 ${first.pose.score.toFixed(2)} · 선: 그리기 기준 신뢰도 ${this.minPartConfidence}`));
+    return section;
+  }
+
+  /**
+   * 클래스 바뀜 집계 (행: 이전 클래스, 열: 바뀐 클래스)
+   */
+  renderFlips() {
+    const section = DiagnosticsPanel.createSection("클래스 바뀜");
+    const first = this.inference.results[0];
+    const classes = first ? first.prediction.map(p => p.className) : [];
+
+    if (classes.length > 0) {
+      const table = document.createElement("table");
+      table.className = "diagnostics-flips";
+
+      const header = document.createElement("tr");
+      header.appendChild(DiagnosticsPanel.createCell("th", "이전 → 다음"));
+      classes.forEach(className => header.appendChild(DiagnosticsPanel.createCell("th", className)));
+      table.appendChild(header);
+
+      classes.forEach(from => {
+        const row = document.createElement("tr");
+        row.appendChild(DiagnosticsPanel.createCell("th", from));
+        classes.forEach(to => {
+          const count = from === to ? "-" : (this.flips[from] && this.flips[from][to]) || 0;
+          row.appendChild(DiagnosticsPanel.createCell("td", count));
+        });
+        table.appendChild(row);
+      });
+      section.appendChild(table);
+    }
+
+    section.appendChild(DiagnosticsPanel.createNote(
+      `원래 예측 ${this.frameCount}프레임 중 ${this.flipCount}번 바뀜 · 안정화 후 ${this.stableFlipCount}번 바뀜`
+    ));
+    return section;
+  }
+
+  /**
+   * 제목이 있는 영역
+   */
+  static createSection(title, text = null) {
+    const section = document.createElement("div");
+    section.className = "diagnostics-section";
+
+    const titleEl = document.createElement("h4");
+    titleEl.textContent = title;
+    section.appendChild(titleEl);
+
+    if (text !== null) {
+      section.appendChild(DiagnosticsPanel.createNote(text));
+    }
+    return section;
+  }
+
+  static createNote(text) {
+    const note = document.createElement("p");
+    note.className = "diagnostics-note";
+    note.textContent = text;
+    return note;
+  }
+
+  static createCell(tag, text) {
+    const cell = document.createElement(tag);
+    cell.textContent = text;
+    return cell;
+  }
+
+  /**
+   * 확률 막대 (값이 없으면 빈 막대)
+   * @param {number|undefined} value - 0~1
+   * @param {string} type - 막대 종류 (CSS 클래스)
+   * @param {Array<number>} lines - 세로 선을 그을 값 (임계값)
+   */
+  static createBar(value, type, lines = []) {
+    const bar = document.createElement("div");
+    bar.className = `diagnostics-bar ${type}`;
+
+    const fill = document.createElement("div");
+    fill.className = "diagnostics-bar-fill";
+    fill.style.width = `${Math.round((value || 0) * 100)}%`;
+    bar.appendChild(fill);
+
+    lines.forEach(line => {
+      const lineEl = document.createElement("div");
+      lineEl.className = "diagnostics-bar-line";
+      lineEl.style.left = `${line * 100}%`;
+      bar.appendChild(lineEl);
+    });
+
+    const label = document.createElement("span");
+    label.className = "diagnostics-bar-label";
+    label.textContent = value === undefined ? "" : `${Math.round(value * 100)}%`;
+    bar.appendChild(label);
+    return bar;
+  }
+}
+
+DiagnosticsPanel.FPS_WINDOW = 30; // 실제 추론 FPS를 잴 최근 프레임 수
+
+// 전역으로 내보내기
+window.DiagnosticsPanel = DiagnosticsPanel;
@@ -0,0 +1,260 @@
+/**
+ * gameAnalytics.js
+ * 체육/재활 수업용 움직임 기록: 아이템마다 반응 시간과 자세 바꾼 횟수, 구역마다 머문 시간과 받기 비율
+ *
+ * - 반응 시간: 아이템이 생긴 뒤 바구니가 그 아이템의 구역에 도착하기까지 (초)
+ *   바구니가 이미 그 구역에 있었으면 0, 바구니 높이에 올 때까지 도착하지 못했으면 null
+ * - 자세 바꾼 횟수: 아이템이 떨어지는 동안 포즈 라벨이 바뀐 횟수 (GameEngine이 recordPoseChange로 알림)
+ *   연속 조작 모드는 라벨이 없으므로 몸(키포인트)이 움직이는 방향이 바뀐 횟수 (recordBodyPosition)
+ *   바구니 이동 횟수(구역이 바뀐 횟수)도 함께 셈 → 키보드 조작도 비교 가능
+ * - 구역마다 머문 시간 (레벨업 휴식 제외)과 과일 받기 비율
+ * - 아이템 이벤트(생성/구역 도착/받음/놓침)마다 한 줄씩 CSV로 내보냄 (2인 대전은 toPlayersCSV로 한 파일에)
+ *
+ * GameCore 이벤트만 사용 (DOM 없음, 브라우저(window)와 Node(require) 양쪽에서 실행 가능)
+ */
+
+class GameAnalytics {
+  /**
+   * @param {GameCore} core - 기록할 게임 (게임이 시작될 때마다 기록을 비움)
+   */
+  constructor(core) {
+    this.core = core;
+    this.reset();
+    this.bindCoreEvents();
+  }
+
+  /**
+   * 기록 비우기
+   */
+  reset() {
+    this.records = []; // 아이템 기록 (생성 순서)
+    this.open = new Map(); // 아직 바구니 높이에 오지 않은 아이템 기록 (아이템 id → 기록)
+    this.events = []; // 아이템 이벤트 (CSV 한 줄씩)
+    this.zoneTime = {}; // 구역 → 머문 시간 (초)
+    this.zoneResults = {}; // 구역 → { caught, missed } (과일)
+    this.poseChanges = 0;
+    this.basketMoves = 0;
+    this.bodyAnchor = null; // 연속 조작: 지금 방향으로 가장 멀리 간 몸 위치
+    this.bodyDirection = 0; // 연속 조작: 몸이 움직이는 방향 (-1 왼쪽, 1 오른쪽, 0 아직 없음)
+  }
+
+  /**
+   * 코어 이벤트 → 기록
+   */
+  bindCoreEvents() {
+    const core = this.core;
+
+    core.on("start", () => this.reset());
+
+    // step 이벤트는 시간이 흐르기 전에 오므로 지금 구역에 dt만큼 더함
+    core.on("step", ({ dt }) => {
+      if (core.isLevelUpPause) return;
+      const zone = core.basketPosition;
+      this.zoneTime[zone] = (this.zoneTime[zone] || 0) + dt;
+    });
+
+    core.on("itemSpawn", ({ item }) => {
+      const record = {
+        id: item.id,
+        type: item.type,
+        zone: item.zone,
+        isFruit: item.isFruit,
+        spawnTime: item.spawnTime,
+        reactionTime: item.zone === core.basketPosition ? 0 : null,
+        poseChanges: 0,
+        basketMoves: 0,
+        result: null // "catch" | "miss"
+      };
+      this.records.push(record);
+      this.open.set(item.id, record);
+      this.addEvent("spawn", record);
+    });
+
+    core.on("basketMove", ({ zone }) => {
+      this.basketMoves++;
+      this.open.forEach(record => {
+        record.basketMoves++;
+        if (record.reactionTime === null && record.zone === zone) {
+          record.reactionTime = core.time - record.spawnTime;
+          this.addEvent("reach", record);
+        }
+      });
+    });
+
+    core.on("itemCatch", ({ item }) => this.resolve(item, "catch"));
+    core.on("itemMiss", ({ item }) => this.resolve(item, "miss"));
+  }
+
+  /**
+   * 포즈 라벨이 바뀜 (떨어지고 있는 모든 아이템에 1씩)
+   */
+  recordPoseChange() {
+    this.poseChanges++;
+    this.open.forEach(record => record.poseChanges++);
+  }
+
+  /**
+   * 몸(키포인트) 가로 위치 (연속 조작 모드)
+   * 지금 방향으로 가장 멀리 간 위치에서 GameAnalytics.BODY_MOVE_DISTANCE 이상 다른 방향으로 움직이면 자세를 바꾼 것으로 셈
+   * (처음 움직이기 시작할 때도 포함, 그보다 작은 흔들림은 세지 않음)
+   * @param {number} x - 가로 위치 (0~1)
+   */
+  recordBodyPosition(x) {
+    if (this.bodyAnchor === null) {
+      this.bodyAnchor = x;
+      return;
+    }
+
+    const delta = x - this.bodyAnchor;
+    const direction = Math.sign(delta);
+    if (direction === this.bodyDirection) {
+      this.bodyAnchor = x;
+    } else if (Math.abs(delta) >= GameAnalytics.BODY_MOVE_DISTANCE) {
+      this.bodyDirection = direction;
+      this.bodyAnchor = x;
+      this.recordPoseChange();
+    }
+  }
+
+  /**
+   * 아이템이 바구니 높이에 옴 (받음/놓침)
+   */
+  resolve(item, result) {
+    const record = this.open.get(item.id);
+    if (!record) return;
+
+    record.result = result;
+    this.open.delete(item.id);
+    this.addEvent(result, record);
+
+    if (record.isFruit) {
+      const zoneResult = this.zoneResults[record.zone] || { caught: 0, missed: 0 };
+      zoneResult[result === "catch" ? "caught" : "missed"]++;
+      this.zoneResults[record.zone] = zoneResult;
+    }
+  }
+
+  /**
+   * 이벤트 한 줄 기록 (그 순간의 아이템 기록 값)
+   */
+  addEvent(event, record) {
+    this.events.push({
+      time: this.core.time,
+      event,
+      itemId: record.id,
+      type: record.type,
+      zone: record.zone,
+      basketZone: this.core.basketPosition,
+      reactionTime: record.reactionTime,
+      poseChanges: record.poseChanges,
+      basketMoves: record.basketMoves
+    });
+  }
+
+  /**
+   * 게임 요약 (게임 오버 화면 차트용)
+   * - zones: 구역마다 { zone, time, timeShare, caught, missed, catchRate }
+   * - histogram: 반응 시간 구간별 개수 (바구니를 움직여서 도착한 아이템만)
+   */
+  getSummary() {
+    const totalTime = Object.values(this.zoneTime).reduce((sum, time) => sum + time, 0);
+    const zones = this.core.zones.map(zone => {
+      const time = this.zoneTime[zone] || 0;
+      const { caught, missed } = this.zoneResults[zone] || { caught: 0, missed: 0 };
+      return {
+        zone,
+        time,
+        timeShare: totalTime > 0 ? time / totalTime : 0,
+        caught,
+        missed,
+        catchRate: caught + missed > 0 ? caught / (caught + missed) : null
+      };
+    });
+
+    const resolved = this.records.filter(record => record.result !== null);
+    const reactionTimes = resolved.map(record => record.reactionTime).filter(time => time > 0);
+    const averageReactionTime = reactionTimes.length > 0
+      ? reactionTimes.reduce((sum, time) => sum + time, 0) / reactionTimes.length
+      : null;
+
+    return {
+      zones,
+      histogram: GameAnalytics.createHistogram(reactionTimes),
+      averageReactionTime,
+      reached: reactionTimes.length,
+      notReached: resolved.filter(record => record.reactionTime === null).length,
+      poseChanges: this.poseChanges,
+      basketMoves: this.basketMoves
+    };
+  }
+
+  /**
+   * CSV로 변환 (첫 줄은 GameAnalytics.CSV_COLUMNS, 아이템 이벤트마다 한 줄)
+   */
+  toCSV() {
+    return [GameAnalytics.CSV_COLUMNS.join(","), ...this.toCSVRows()].join("\n");
+  }
+
+  /**
+   * CSV 본문 (이벤트마다 한 줄, 머리 줄 없음)
+   */
+  toCSVRows() {
+    return this.events.map(event => GameAnalytics.CSV_COLUMNS
+      .map(column => GameAnalytics.formatCSVValue(event[column]))
+      .join(","));
+  }
+
+  /**
+   * 여러 플레이어 기록을 CSV 하나로 (첫 열 player = 플레이어 이름, 플레이어 순서대로)
+   * @param {Array<Object>} players - [{ name, analytics }]
+   */
+  static toPlayersCSV(players) {
+    const rows = players.flatMap(({ name, analytics }) =>
+      analytics.toCSVRows().map(row => `${GameAnalytics.formatCSVValue(name)},${row}`));
+    return [["player", ...GameAnalytics.CSV_COLUMNS].join(","), ...rows].join("\n");
+  }
+
+  /**
+   * CSV 칸 하나 (빈 값은 빈 칸, 소수는 셋째 자리까지, 쉼표/따옴표가 있으면 따옴표로 감쌈)
+   */
+  static formatCSVValue(value) {
+    if (value === null || value === undefined) return "";
+    const text = typeof value === "number" && !Number.isInteger(value) ? value.toFixed(3) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+  }
+
+  /**
+   * 반응 시간 구간별 개수 (마지막 구간은 그 이상 전부)
+   * @param {Array<number>} values - 반응 시간 (초)
+   * @returns {Array<Object>} [{ from, to, count }] (마지막 구간의 to는 null)
+   */
+  static createHistogram(values, binSize = GameAnalytics.HISTOGRAM_BIN, binCount = GameAnalytics.HISTOGRAM_BINS) {
+    const bins = [];
+    for (let i = 0; i < binCount; i++) {
+      bins.push({ from: i * binSize, to: i === binCount - 1 ? null : (i + 1) * binSize, count: 0 });
+    }
+    values.forEach(value => {
+      bins[Math.min(Math.floor(value / binSize), binCount - 1)].count++;
+    });
+    return bins;
+  }
+}
+
+/**
+ * CSV 열
+ * - event: "spawn"(생성) | "reach"(바구니가 아이템 구역에 도착) | "catch"(받음) | "miss"(놓침)
+ * - basketZone: 이벤트 순간 바구니가 있던 구역
+ * - reactionTime / poseChanges / basketMoves: 이벤트 순간까지의 그 아이템 값
+ */
+GameAnalytics.CSV_COLUMNS = ["time", "event", "itemId", "type", "zone", "basketZone", "reactionTime", "poseChanges", "basketMoves"];
+GameAnalytics.HISTOGRAM_BIN = 0.25; // 반응 시간 구간 너비 (초)
+GameAnalytics.HISTOGRAM_BINS = 8; // 구간 수 (마지막은 1.75초 이상)
+GameAnalytics.BODY_MOVE_DISTANCE = 0.1; // 연속 조작에서 방향을 바꿨다고 볼 몸 이동 거리 (게임 영역 너비 비율)
+
+// 전역으로 내보내기 (브라우저) + CommonJS 내보내기 (Node 헤드리스 실행)
+if (typeof window !== "undefined") {
+  window.GameAnalytics = GameAnalytics;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GameAnalytics;
+}
@@ -0,0 +1,1063 @@
+/**
+ * gameCore.js
+ * Catch Zone 게임 규칙만 담당하는 결정적(deterministic) 시뮬레이션 코어
+ *
+ * - DOM, setInterval/setTimeout, Math.random, alert를 사용하지 않음
+ * - 시간은 step(dt) 호출로만 흐름 (시계는 호출하는 쪽이 주입)
+ * - 난수는 seed 기반 생성기를 사용 → 같은 seed + 같은 입력이면 같은 결과
+ * - 상태 변화는 이벤트(on/emit)로 알림 → 화면 반영은 GameEngine(렌더러)이 담당
+ * - 진행 단계(시작 전/진행/레벨 종료/레벨업/일시정지/게임 오버)는 GameStateMachine이 관리
+ * - 단계별 난이도는 레벨 팩(LevelPack)에서 읽음
+ * - 끝나는 조건, 레벨업 휴식, 폭탄/미스 규칙, 나오는 아이템은 게임 모드(GameMode)가 정함
+ * - 자동 난이도 조절(AdaptiveDifficulty)을 켜면 플레이어 실력에 맞춰 낙하 시간/생성 간격/폭탄 비율을 조절
+ * - 아이템 종류와 받았을 때/놓쳤을 때의 동작은 아이템 등록소(ItemRegistry)에서 읽음
+ * - 콤보: 점수를 주는 아이템을 미스 없이 연속으로 받으면 배율이 올라감 (COMBO_STEP개마다 +1배)
+ * - 브라우저(window)와 Node(require) 양쪽에서 실행 가능
+ */
+
+/**
+ * 의존 모듈 찾기: 브라우저에서는 전역(window), Node에서는 require
+ * @param {string} globalName - 전역 이름
+ * @param {string} path - gameCore.js 기준 상대 경로
+ */
+function requireCoreModule(globalName, path) {
+  if (typeof window !== "undefined") {
+    return window[globalName];
+  }
+  return require(path);
+}
+
+/**
+ * seed 기반 난수 생성기 (mulberry32)
+ * @param {number} seed - 32비트 정수 seed
+ * @returns {Function} () => 0 이상 1 미만의 난수
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class GameCore {
+  /**
+   * @param {Object} options - 옵션 { seed, zoneCount, controlMode, basketWidth, levelPack, itemRegistry, mode, adaptive }
+   *   zoneCount: 구역 개수 2~6 (기본 3, 구역 이름은 GameCore.ZONE_LAYOUTS 참고)
+   *   controlMode: "zones"(구역 단위 이동, 기본) | "continuous"(가로 위치 0~1로 자유 이동)
+   *   basketWidth: 연속 조작 모드의 바구니 너비 (게임 영역 너비 비율, 기본 구역 너비의 60%)
+   *   levelPack: LevelPack 또는 레벨 팩 JSON (없으면 기본 레벨 팩)
+   *   itemRegistry: ItemRegistry (없으면 기본 아이템 등록소)
+   *   mode: GameMode 또는 GameMode.BUILT_IN의 키 (없으면 "classic")
+   *   adaptive: AdaptiveDifficulty, AdaptiveDifficulty 옵션 또는 true(기본 옵션) (없으면 자동 난이도 조절 안 함)
+   */
+  constructor(options = {}) {
+    // 난수 (seed를 기록해 두면 같은 게임을 재현할 수 있음)
+    this.seed = options.seed !== undefined ? options.seed >>> 0 : Date.now() >>> 0;
+    this.random = createSeededRandom(this.seed);
+
+    // 이벤트 리스너
+    this.listeners = {};
+
+    // 진행 단계 (바뀔 때마다 stateChange 이벤트)
+    const GameStateMachine = requireCoreModule("GameStateMachine", "./gameStateMachine.js");
+    this.stateMachine = new GameStateMachine();
+    this.stateMachine.onChange = change => this.emit("stateChange", change);
+
+    // 게임 상태
+    this.score = 0;
+    this.level = 1;
+    this.missCount = 0;
+    this.endReason = null; // 게임 오버 사유 (중지했거나 진행 중이면 null)
+
+    // 콤보 (연속으로 받은 점수 아이템 수)와 이번 게임 최고 콤보
+    this.combo = 0;
+    this.bestCombo = 0;
+
+    // 구역 (왼쪽부터 순서대로)과 바구니 위치
+    this.zones = GameCore.createZones(options.zoneCount !== undefined ? options.zoneCount : 3);
+    this.basketPosition = this.getStartZone();
+
+    // 조작 방식과 바구니 가로 위치 (0~1, 연속 조작 모드에서 충돌 판정에 사용)
+    this.controlMode = options.controlMode || "zones";
+    if (!GameCore.CONTROL_MODES.includes(this.controlMode)) {
+      throw new Error(`알 수 없는 조작 방식입니다: ${this.controlMode}`);
+    }
+    this.basketX = this.getZoneCenter(this.basketPosition);
+    this.basketWidth = options.basketWidth || 0.6 / this.zones.length;
+    this.itemWidth = GameCore.ITEM_WIDTH;
+
+    // 아이템 설정
+    this.items = [];
+    this.nextItemId = 1;
+    const ItemRegistry = requireCoreModule("ItemRegistry", "./itemRegistry.js");
+    this.itemRegistry = options.itemRegistry || ItemRegistry.createDefault();
+
+    // 아이템 효과 (효과 이름 → 남은 시간(초))와 실드 개수
+    this.effects = {};
+    this.shieldCount = 0;
+
+    // 시뮬레이션 시간 (초)과 진행된 step 횟수
+    this.time = 0;
+    this.stepCount = 0;
+
+    // 게임 모드 (끝나는 조건과 점수 규칙)
+    const GameMode = requireCoreModule("GameMode", "./gameMode.js");
+    this.mode = options.mode instanceof GameMode ? options.mode : GameMode.create(options.mode || "classic");
+
+    // 자동 난이도 조절 (없으면 null → 레벨 팩 난이도 그대로)
+    const AdaptiveDifficulty = requireCoreModule("AdaptiveDifficulty", "./adaptiveDifficulty.js");
+    if (options.adaptive instanceof AdaptiveDifficulty) {
+      this.adaptive = options.adaptive;
+    } else if (options.adaptive) {
+      this.adaptive = new AdaptiveDifficulty(options.adaptive === true ? {} : options.adaptive);
+    } else {
+      this.adaptive = null;
+    }
+
+    // 생성한 아이템 수와 연습 모드의 목표 구역
+    this.spawnedCount = 0;
+    this.targetZone = null;
+
+    // 레벨 팩 (단계별 난이도)
+    const LevelPack = requireCoreModule("LevelPack", "./levelPack.js");
+    const packContext = { itemTypes: this.itemRegistry.getTypeNames(), zones: this.zones };
+    if (options.levelPack instanceof LevelPack) {
+      LevelPack.validate(options.levelPack.toJSON(), packContext);
+      this.levelPack = options.levelPack;
+    } else if (options.levelPack) {
+      this.levelPack = new LevelPack(options.levelPack, packContext);
+    } else {
+      this.levelPack = LevelPack.createDefault(packContext);
+    }
+
+    // 단계 시스템 (현재 단계 설정은 applyLevelConfig에서 적용)
+    this.levelConfig = null;
+    this.levelTimeLimit = 0;
+    this.maxMisses = 0;
+    this.activeZones = [];
+    this.applyLevelConfig();
+    this.levelTimeRemaining = this.levelTimeLimit;
+    this.levelClock = 0; // 1초 단위 카운트용 누적 시간
+
+    // 레벨업 카운트다운
+    this.levelUpCountdown = 3;
+    this.levelUpClock = 0;
+
+    // 아이템 생성 주기 (초)
+    this.spawnInterval = 0;
+    this.spawnClock = 0;
+
+    // 받은 아이템이 사라지기까지의 시간 (itemCaught 애니메이션 시간)
+    this.caughtItemLifetime = 0.3;
+  }
+
+  /**
+   * 진행 단계 접근자 (GameStateMachine 상태)
+   */
+  get phase() {
+    return this.stateMachine.state;
+  }
+
+  get isGameActive() {
+    return this.stateMachine.isActive;
+  }
+
+  get isLevelEnding() {
+    return this.stateMachine.is("levelEnding");
+  }
+
+  get isLevelUpPause() {
+    return this.stateMachine.is("levelUp");
+  }
+
+  get isPaused() {
+    return this.stateMachine.is("paused", "countdown");
+  }
+
+  /**
+   * 이벤트 리스너 등록
+   * @param {string} event - 이벤트 이름
+   * @param {Function} handler - (payload) => void
+   */
+  on(event, handler) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(handler);
+  }
+
+  /**
+   * 이벤트 리스너 해제
+   */
+  off(event, handler) {
+    if (!this.listeners[event]) return;
+    this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+  }
+
+  /**
+   * 모든 이벤트 리스너 해제 (GameEngine.destroy에서 사용)
+   */
+  removeAllListeners() {
+    this.listeners = {};
+  }
+
+  /**
+   * 이벤트 발생
+   * @param {string} event - 이벤트 이름
+   * @param {Object} payload - 이벤트 데이터
+   */
+  emit(event, payload = {}) {
+    const handlers = this.listeners[event];
+    if (!handlers) return;
+    handlers.slice().forEach(handler => handler(payload));
+  }
+
+  /**
+   * 게임 시작 (시작 전이거나 끝난 게임만, 진행 중이면 Error)
+   * 시작 카운트다운(countdown)을 거쳐 playing으로 감
+   * @param {Object} options - 옵션 { countdown }
+   *   countdown: true면 countdown 상태에서 멈춤 (카운트다운 시간은 호출하는 쪽이 관리, 끝나면 resume)
+   *   false(기본)면 바로 playing (헤드리스 실행, 리플레이)
+   */
+  start(options = {}) {
+    const { countdown = false } = options;
+    if (!this.stateMachine.is("idle", "gameOver")) {
+      throw new Error("이미 진행 중인 게임은 다시 시작할 수 없습니다. 먼저 stop()을 호출하세요.");
+    }
+
+    this.score = 0;
+    this.level = 1;
+    this.missCount = 0;
+    this.endReason = null;
+    this.combo = 0;
+    this.bestCombo = 0;
+    this.basketPosition = this.getStartZone();
+    this.basketX = this.getZoneCenter(this.basketPosition);
+    this.items = [];
+    this.spawnedCount = 0;
+    this.targetZone = null;
+    this.effects = {};
+    this.shieldCount = 0;
+    this.time = 0;
+    this.stepCount = 0;
+    this.applyLevelConfig();
+    this.levelTimeRemaining = this.levelTimeLimit;
+    this.levelClock = 0;
+    if (this.adaptive) {
+      this.adaptive.reset();
+    }
+
+    // 아이템 생성 주기 결정
+    this.resetSpawner();
+
+    this.stateMachine.transition("countdown");
+    if (!countdown) {
+      this.stateMachine.transition("playing");
+    }
+    this.emit("start", this.getState());
+  }
+
+  /**
+   * 게임 중지
+   */
+  stop() {
+    if (!this.isGameActive) return;
+
+    this.stateMachine.transition("gameOver");
+    this.emit("gameEnd", { score: this.score, level: this.level, reason: this.endReason, bestCombo: this.bestCombo });
+  }
+
+  /**
+   * 일시정지 (진행/레벨 종료/레벨업/재개 카운트다운 중에만, 멈춘 동안 step은 아무것도 하지 않음)
+   * @returns {boolean} 일시정지했는지
+   */
+  pause() {
+    if (!this.stateMachine.can("paused")) return false;
+
+    this.stateMachine.transition("paused");
+    return true;
+  }
+
+  /**
+   * 재개 카운트다운 시작 (카운트다운 시간은 호출하는 쪽이 관리, 끝나면 resume)
+   * @returns {boolean} 카운트다운을 시작했는지
+   */
+  beginResume() {
+    if (!this.stateMachine.is("paused")) return false;
+
+    this.stateMachine.transition("countdown");
+    return true;
+  }
+
+  /**
+   * 재개 (시작 카운트다운이면 playing, 재개 카운트다운이면 일시정지 전 상태로 돌아감)
+   * @returns {boolean} 재개했는지
+   */
+  resume() {
+    if (!this.stateMachine.is("countdown")) return false;
+
+    this.stateMachine.transition(this.stateMachine.resumeState);
+    return true;
+  }
+
+  /**
+   * 시뮬레이션을 dt초만큼 진행
+   * @param {number} dt - 경과 시간 (초)
+   */
+  step(dt) {
+    // 시작 전, 일시정지, 게임이 끝난 뒤에는 시간이 흐르지 않음
+    if (!this.stateMachine.isRunning) return;
+
+    // 기록/재생을 위해 step마다 dt를 알림
+    this.emit("step", { dt, tick: this.stepCount });
+    this.stepCount++;
+    this.time += dt;
+
+    // 레벨업 대기 중에는 카운트다운만 진행
+    if (this.isLevelUpPause) {
+      this.tickLevelUpCountdown(dt);
+      return;
+    }
+
+    this.tickEffects(dt);
+    this.updateItems(dt);
+    if (!this.isGameActive || this.isLevelUpPause) return;
+
+    // 모드의 끝나는 조건 (제한 시간, 연습 횟수)
+    const endReason = this.mode.checkEnd(this);
+    if (endReason) {
+      this.gameOver(endReason);
+      return;
+    }
+
+    this.tickLevelTimer(dt);
+    if (!this.isGameActive || this.isLevelUpPause) return;
+
+    this.tickSpawner(dt);
+  }
+
+  /**
+   * 단계 타이머 진행 (1초마다 남은 시간 감소)
+   */
+  tickLevelTimer(dt) {
+    if (this.isLevelEnding) return;
+
+    this.levelClock += dt;
+    while (this.levelClock >= 1) {
+      this.levelClock -= 1;
+      this.levelTimeRemaining--;
+      this.emit("timeChange", { timeRemaining: this.levelTimeRemaining });
+
+      // 단계 시간 종료 → 레벨 종료 시작 (아이템 처리 대기), 레벨업 휴식이 없는 모드는 바로 다음 단계
+      if (this.levelTimeRemaining <= 0) {
+        if (this.mode.levelUpPause) {
+          this.startLevelEnding();
+        } else {
+          this.advanceLevel();
+        }
+        return;
+      }
+    }
+  }
+
+  /**
+   * 레벨 종료 시작 (아이템 처리 대기)
+   */
+  startLevelEnding() {
+    this.stateMachine.transition("levelEnding");
+
+    // 화면에 아이템이 없으면 즉시 레벨업
+    if (this.items.length === 0) {
+      this.nextLevel();
+    }
+    // 아이템이 있으면 모두 처리될 때까지 대기
+    // (removeItem에서 마지막 아이템 처리 시 nextLevel 호출)
+  }
+
+  /**
+   * 다음 단계로 진행
+   */
+  nextLevel() {
+    this.level++;
+    this.applyLevelConfig();
+    this.levelTimeRemaining = this.levelTimeLimit;
+    this.levelClock = 0;
+    this.missCount = 0; // 레벨별 미스 카운트 리셋
+
+    this.emit("missChange", { missCount: this.missCount });
+
+    // 레벨업 대기 시작
+    this.stateMachine.transition("levelUp");
+    this.levelUpCountdown = 3;
+    this.levelUpClock = 0;
+
+    this.emit("levelUp", {
+      level: this.level,
+      score: this.score,
+      countdown: this.levelUpCountdown
+    });
+  }
+
+  /**
+   * 레벨업 카운트다운 없이 바로 다음 단계로 (levelUpPause가 false인 모드)
+   * 화면의 아이템은 그대로 떨어지고 생성 간격만 새 단계 기준으로
+   */
+  advanceLevel() {
+    this.level++;
+    this.applyLevelConfig();
+    this.levelTimeRemaining = this.levelTimeLimit;
+    this.levelClock = 0;
+    this.missCount = 0; // 레벨별 미스 카운트 리셋
+
+    this.emit("missChange", { missCount: this.missCount });
+    this.resetSpawner();
+    this.emit("levelChange", { level: this.level });
+  }
+
+  /**
+   * 남은 시간 (모드에 전체 제한 시간이 있으면 전체 남은 시간, 없으면 단계 남은 시간)
+   */
+  getTimeRemaining() {
+    const total = this.mode.getTimeRemaining(this);
+    return total !== null ? total : this.levelTimeRemaining;
+  }
+
+  /**
+   * 현재 단계의 레벨 팩 설정 적용
+   */
+  applyLevelConfig() {
+    this.levelConfig = this.levelPack.getLevel(this.level);
+    this.levelTimeLimit = this.levelConfig.duration;
+    this.maxMisses = this.levelConfig.missAllowance;
+    this.activeZones = this.levelConfig.zones || this.zones;
+  }
+
+  /**
+   * 레벨업 카운트다운 진행
+   */
+  tickLevelUpCountdown(dt) {
+    this.levelUpClock += dt;
+    while (this.levelUpClock >= 1) {
+      this.levelUpClock -= 1;
+      this.levelUpCountdown--;
+      this.emit("levelUpCountdown", { countdown: this.levelUpCountdown });
+
+      if (this.levelUpCountdown <= 0) {
+        this.resumeAfterLevelUp();
+        return;
+      }
+    }
+  }
+
+  /**
+   * 레벨업 후 재개
+   */
+  resumeAfterLevelUp() {
+    this.stateMachine.transition("playing");
+
+    // 아이템 생성 재시작 (속도 증가 적용)
+    this.resetSpawner();
+
+    this.emit("levelChange", { level: this.level });
+  }
+
+  /**
+   * 아이템 생성 주기 초기화
+   */
+  resetSpawner() {
+    this.spawnInterval = this.getItemSpawnInterval();
+    this.spawnClock = 0;
+  }
+
+  /**
+   * 아이템 생성기 진행
+   */
+  tickSpawner(dt) {
+    if (this.isLevelEnding) return;
+    if (this.mode.rounds && this.spawnedCount >= this.mode.rounds) return;
+
+    // 목표 구역 모드는 한 번에 하나씩 (앞 아이템이 사라진 뒤 생성 간격만큼 기다림)
+    if (this.mode.targetZones && this.items.length > 0) {
+      this.spawnClock = 0;
+      return;
+    }
+
+    this.spawnClock += dt;
+    while (this.spawnClock >= this.spawnInterval) {
+      this.spawnClock -= this.spawnInterval;
+      this.spawnItem();
+
+      // 계속 빨라지는 모드는 지금 낙하 시간으로 다음 생성 간격을 다시 정함
+      if (this.mode.rampDifficulty) {
+        this.spawnInterval = this.getItemSpawnInterval();
+      }
+      if (this.mode.targetZones) break;
+    }
+  }
+
+  /**
+   * 아이템 생성 간격 계산 (초 단위)
+   * 낙하 시간 × 레벨 팩의 spawnInterval 배율(min~max) 사이 랜덤 값 (자동 난이도 조절 중에는 생성 간격 배율도 곱함)
+   */
+  getItemSpawnInterval() {
+    const dropTime = this.getDropTime();
+    const { min, max } = this.levelConfig.spawnInterval;
+    const interval = dropTime * (min + this.random() * (max - min));
+    return this.adaptive ? interval * this.adaptive.spawnIntervalScale : interval;
+  }
+
+  /**
+   * 아이템 낙하 시간 (초 단위, 레벨 팩의 dropTime)
+   * 계속 빨라지는 모드는 단계 시간이 흐른 만큼 다음 단계의 dropTime에 가까워짐
+   * 자동 난이도 조절 중에는 낙하 시간 배율을 곱함
+   */
+  getDropTime() {
+    let dropTime = this.levelConfig.dropTime;
+    if (this.mode.rampDifficulty) {
+      const nextDropTime = this.levelPack.getLevel(this.level + 1).dropTime;
+      const elapsed = this.levelTimeLimit - this.levelTimeRemaining + this.levelClock;
+      const progress = Math.min(1, Math.max(0, elapsed / this.levelTimeLimit));
+      dropTime += (nextDropTime - dropTime) * progress;
+    }
+    return this.adaptive ? dropTime * this.adaptive.dropTimeScale : dropTime;
+  }
+
+  /**
+   * 레벨 팩의 itemWeights 비율로 아이템 종류 선택
+   * (레벨 팩에 itemWeights가 없으면 등록소에 선언된 weight 사용, 모드에서 빼는 아이템은 제외,
+   *  자동 난이도 조절 중에는 폭탄 가중치에 배율을 곱함)
+   */
+  pickItemType() {
+    const levelWeights = this.levelConfig.itemWeights || this.itemRegistry.getDefaultWeights();
+    const weights = this.adaptive ? this.adaptive.adjustWeights(levelWeights, this.itemRegistry) : levelWeights;
+    const candidates = this.itemRegistry.list().filter(t => weights[t.type] > 0 && this.mode.allowsItem(t.type));
+    if (candidates.length === 0) {
+      // 이 단계에 모드가 허용하는 아이템이 없으면 첫 번째 과일
+      return this.itemRegistry.list().find(t => t.isFruit && this.mode.allowsItem(t.type));
+    }
+    const totalWeight = candidates.reduce((sum, t) => sum + weights[t.type], 0);
+
+    let roll = this.random() * totalWeight;
+    for (const itemType of candidates) {
+      roll -= weights[itemType.type];
+      if (roll < 0) return itemType;
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  /**
+   * 아이템 생성
+   */
+  spawnItem() {
+    // 이번 단계에서 사용하는 구역 중 랜덤 선택 (목표 구역 모드는 새 목표 구역)
+    const zone = this.mode.targetZones
+      ? this.pickTargetZone()
+      : this.activeZones[Math.floor(this.random() * this.activeZones.length)];
+
+    // 레벨 팩 가중치에 따라 아이템 종류 선택 (등록소의 아이템 정의)
+    const itemType = this.pickItemType();
+
+    const item = {
+      id: this.nextItemId++,
+      zone: zone,
+      x: this.getSpawnX(zone), // 가로 위치 (0~1)
+      type: itemType.type,
+      icon: itemType.icon,
+      points: itemType.points,
+      isBomb: itemType.isBomb,
+      isFruit: itemType.isFruit,
+      spawnTime: this.time, // 생성 시각 (시뮬레이션 시간)
+      currentTop: -20, // 아이템의 현재 top 위치 (-20% ~ 120%)
+      dropTime: this.getDropTime(), // 낙하 소요 시간 (초)
+      caught: false, // 포착 상태 (처음에는 false)
+      caughtElapsed: 0, // 포착 후 경과 시간 (초)
+      processed: false // 바구니 위치 도달 시 처리됨 (한 번만 처리하기 위해)
+    };
+
+    this.items.push(item);
+    this.spawnedCount++;
+    if (this.adaptive) {
+      this.adaptive.onSpawn(this, item);
+    }
+    this.emit("itemSpawn", { item });
+  }
+
+  /**
+   * 다음 목표 구역 선택 (바구니가 있는 구역은 빼고 랜덤, targetChange 이벤트)
+   */
+  pickTargetZone() {
+    const others = this.activeZones.filter(zone => zone !== this.basketPosition);
+    const candidates = others.length > 0 ? others : this.activeZones;
+    this.targetZone = candidates[Math.floor(this.random() * candidates.length)];
+    this.emit("targetChange", { zone: this.targetZone });
+    return this.targetZone;
+  }
+
+  /**
+   * 아이템 가로 위치 (구역 모드는 구역 가운데, 연속 조작 모드는 구역 안의 랜덤 위치)
+   * @param {string} zone - 아이템이 떨어지는 구역
+   */
+  getSpawnX(zone) {
+    if (this.controlMode !== "continuous") {
+      return this.getZoneCenter(zone);
+    }
+
+    const zoneWidth = 1 / this.zones.length;
+    const x = (this.zones.indexOf(zone) + this.random()) * zoneWidth;
+    const margin = this.itemWidth / 2;
+    return Math.min(Math.max(x, margin), 1 - margin);
+  }
+
+  /**
+   * 바구니에 들어가는 아이템인지 판정
+   * - 구역 모드: 아이템 구역 = 바구니 구역
+   * - 연속 조작 모드: 아이템과 바구니의 가로 범위가 겹침
+   */
+  isInBasket(item) {
+    if (this.controlMode === "continuous") {
+      return Math.abs(item.x - this.basketX) <= (this.basketWidth + this.itemWidth) / 2;
+    }
+    return item.zone === this.basketPosition;
+  }
+
+  /**
+   * 아이템 위치 갱신 및 충돌 판정
+   */
+  updateItems(dt) {
+    // 제거할 아이템들 추적 (반복 중 배열 수정 방지)
+    const itemsToRemove = [];
+
+    for (const item of this.items) {
+      if (item.caught) {
+        // 받은 아이템은 애니메이션 시간이 지나면 제거
+        item.caughtElapsed += dt;
+        if (item.caughtElapsed >= this.caughtItemLifetime) {
+          itemsToRemove.push(item);
+        }
+        continue;
+      }
+
+      // currentTop을 증가시킴 (140% 범위를 dropTime 동안 낙하, 슬로우 모션 중에는 절반 속도)
+      const distancePerSecond = 140 / item.dropTime; // 초당 낙하 거리
+      item.currentTop += distancePerSecond * dt * this.getFallSpeedScale();
+
+      // 아이템이 바구니 위치(85%)에 도달했을 때 (한 번만 처리)
+      if (item.currentTop >= 85 && !item.processed) {
+        item.processed = true;
+
+        if (this.isInBasket(item)) {
+          // 바구니로 받은 아이템만 caught 상태로 설정
+          item.caught = true;
+          item.currentTop = 85; // 바구니 위치에 고정
+          this.catchItem(item);
+        } else {
+          // 바구니로 받지 않은 아이템: 계속 떨어짐 (미스 여부는 아이템의 onMiss가 결정)
+          // 과일을 놓치면 미스로 세지 않는 과일(황금 과일)이어도 콤보는 끊김
+          this.emit("itemMiss", { item });
+          const definition = this.itemRegistry.get(item.type);
+          if (definition.isFruit) {
+            this.breakCombo();
+          }
+          if (definition.onMiss) {
+            definition.onMiss(this, item);
+          }
+        }
+
+        // 폭탄을 받았거나 미스 초과로 게임이 끝났으면 즉시 중단
+        if (!this.isGameActive) return;
+
+        if (this.adaptive && item.isFruit) {
+          this.observeResult(item);
+        }
+      }
+
+      // 아이템이 화면 아래로 떨어졌으면 제거
+      if (item.currentTop > 120) {
+        itemsToRemove.push(item);
+      }
+    }
+
+    itemsToRemove.forEach(item => this.removeItem(item));
+  }
+
+  /**
+   * 자동 난이도 조절에 과일 결과 알림 (난이도가 바뀌면 다음 생성 간격을 다시 정하고 difficultyChange 이벤트)
+   */
+  observeResult(item) {
+    const change = this.adaptive.onResult(this, item, item.caught);
+    if (!change) return;
+
+    this.spawnInterval = this.getItemSpawnInterval();
+    this.emit("difficultyChange", change);
+  }
+
+  /**
+   * 아이템 제거
+   */
+  removeItem(item) {
+    const itemIndex = this.items.indexOf(item);
+    if (itemIndex === -1) return;
+
+    this.items.splice(itemIndex, 1);
+    this.emit("itemRemove", { item });
+
+    // 게임이 활성 상태이고 레벨 종료 중이며 마지막 아이템이면 레벨업
+    if (this.isGameActive && this.isLevelEnding && this.items.length === 0) {
+      this.nextLevel();
+    }
+  }
+
+  /**
+   * 아이템 획득 (동작은 아이템 정의의 onCatch가 결정)
+   */
+  catchItem(item) {
+    this.emit("itemCatch", { item });
+
+    const definition = this.itemRegistry.get(item.type);
+    if (definition.onCatch) {
+      definition.onCatch(this, item);
+    }
+  }
+
+  /**
+   * 점수 추가 (점수는 0 아래로 내려가지 않음)
+   * 얻는 점수는 콤보를 1 늘린 뒤 콤보 배율만큼, 점수 2배 효과 중에는 다시 2배 / 감점은 콤보를 끊음
+   * @param {number} points - 점수 (음수면 감점)
+   * @param {Object} item - 점수를 준 아이템 (피드백 위치용)
+   */
+  addScore(points, item = null) {
+    if (points > 0) {
+      this.extendCombo();
+    } else if (points < 0) {
+      this.breakCombo();
+    }
+
+    const multiplier = points > 0 ? this.comboMultiplier : 1;
+    const gained = points > 0 && this.hasEffect("doubleScore") ? points * multiplier * 2 : points * multiplier;
+    this.score = Math.max(0, this.score + gained);
+    this.emit("scoreChange", { score: this.score, ...this.getComboState() });
+
+    const zone = item ? item.zone : null;
+    if (gained >= 0) {
+      this.showFeedback(multiplier > 1 ? `+${gained}점! (콤보 x${multiplier})` : `+${gained}점!`, zone, "success");
+    } else {
+      this.showFeedback(`${gained}점!`, zone, "warning");
+    }
+  }
+
+  /**
+   * 현재 콤보 배율 (COMBO_STEP개마다 +1, 콤보가 COMBO_STEP 미만이면 1)
+   */
+  get comboMultiplier() {
+    return GameCore.getComboMultiplier(this.combo);
+  }
+
+  /**
+   * 콤보 1 증가 (최고 콤보 갱신)
+   */
+  extendCombo() {
+    this.combo++;
+    this.bestCombo = Math.max(this.bestCombo, this.combo);
+    this.emit("comboChange", this.getComboState());
+  }
+
+  /**
+   * 콤보 끊기 (이미 0이면 아무것도 하지 않음)
+   */
+  breakCombo() {
+    if (this.combo === 0) return;
+
+    this.combo = 0;
+    this.emit("comboChange", this.getComboState());
+  }
+
+  /**
+   * 현재 콤보 상태 { combo, multiplier, bestCombo }
+   */
+  getComboState() {
+    return { combo: this.combo, multiplier: this.comboMultiplier, bestCombo: this.bestCombo };
+  }
+
+  /**
+   * 피드백 메시지 알림
+   */
+  showFeedback(message, zone = null, type = "success") {
+    this.emit("feedback", { message, zone, type });
+  }
+
+  /**
+   * 시간제 효과 시작 (이미 있으면 남은 시간을 새로 설정)
+   * @param {string} name - 효과 이름 ("doubleScore", "slowMotion")
+   * @param {number} duration - 지속 시간 (초)
+   */
+  addEffect(name, duration) {
+    this.effects[name] = duration;
+    this.emit("effectChange", this.getEffectState());
+  }
+
+  hasEffect(name) {
+    return this.effects[name] > 0;
+  }
+
+  /**
+   * 효과 남은 시간 감소 (끝난 효과는 제거)
+   */
+  tickEffects(dt) {
+    let changed = false;
+    Object.keys(this.effects).forEach(name => {
+      this.effects[name] -= dt;
+      if (this.effects[name] <= 0) {
+        delete this.effects[name];
+        changed = true;
+      }
+    });
+    if (changed) {
+      this.emit("effectChange", this.getEffectState());
+    }
+  }
+
+  /**
+   * 아이템 낙하 속도 배율 (슬로우 모션 중 0.5)
+   */
+  getFallSpeedScale() {
+    return this.hasEffect("slowMotion") ? 0.5 : 1;
+  }
+
+  /**
+   * 실드 추가 (실드 1개가 폭탄 1개를 막음)
+   */
+  addShield() {
+    this.shieldCount++;
+    this.emit("effectChange", this.getEffectState());
+  }
+
+  /**
+   * 실드 사용
+   * @returns {boolean} 실드가 있어서 사용했는지 여부
+   */
+  consumeShield() {
+    if (this.shieldCount <= 0) return false;
+
+    this.shieldCount--;
+    this.emit("effectChange", this.getEffectState());
+    return true;
+  }
+
+  /**
+   * 현재 효과 상태 { effects: { 이름: 남은 시간 }, shieldCount }
+   */
+  getEffectState() {
+    return { effects: { ...this.effects }, shieldCount: this.shieldCount };
+  }
+
+  /**
+   * 미스 1회 제거
+   * @returns {boolean} 제거할 미스가 있었는지 여부
+   */
+  removeMiss() {
+    if (this.missCount <= 0) return false;
+
+    this.missCount--;
+    this.emit("missChange", { missCount: this.missCount });
+    return true;
+  }
+
+  /**
+   * 아이템 놓침 (콤보도 끊김, 허용 횟수에 닿았을 때의 규칙은 모드가 정함)
+   */
+  missItem() {
+    this.breakCombo();
+    this.missCount++;
+    this.emit("missChange", { missCount: this.missCount });
+
+    if (this.missCount === 1 && this.mode.missGameOver) {
+      this.emit("feedback", { message: "경고!", zone: null, type: "warning" });
+    }
+    if (this.missCount >= this.maxMisses) {
+      this.mode.onMissLimit(this);
+    }
+  }
+
+  /**
+   * 실드 없이 폭탄을 받음 (게임 오버 또는 감점, 모드가 정함)
+   */
+  hitBomb(item) {
+    this.mode.onBomb(this, item);
+  }
+
+  /**
+   * 게임 오버
+   * @param {string} reason - 게임 오버 사유
+   */
+  gameOver(reason) {
+    this.endReason = reason;
+    this.stop();
+    this.emit("gameOver", { reason, score: this.score, level: this.level });
+  }
+
+  /**
+   * 게임 시작 시 바구니 위치 (가운데 구역, 짝수 개면 가운데 왼쪽)
+   */
+  getStartZone() {
+    return GameCore.getStartZone(this.zones);
+  }
+
+  /**
+   * 구역 가운데의 가로 위치 (게임 영역 너비에 대한 비율 0~1)
+   * @param {string} zone - 구역 이름
+   */
+  getZoneCenter(zone) {
+    return (this.zones.indexOf(zone) + 0.5) / this.zones.length;
+  }
+
+  /**
+   * 바구니를 구역으로 이동
+   * @param {string} zone - 구역 이름 (this.zones 중 하나)
+   * @returns {boolean} 실제로 이동했는지 여부
+   */
+  moveBasket(zone) {
+    if (!this.isGameActive || this.isPaused) return false;
+    if (!this.zones.includes(zone)) return false;
+
+    // 연속 조작 모드에서는 구역 가운데로 이동
+    if (this.controlMode === "continuous") {
+      return this.moveBasketTo(this.getZoneCenter(zone));
+    }
+
+    if (zone === this.basketPosition) return false;
+
+    this.basketPosition = zone;
+    this.basketX = this.getZoneCenter(zone);
+    if (this.adaptive) {
+      this.adaptive.onBasketMove(this);
+    }
+    this.emit("basketMove", { zone });
+    return true;
+  }
+
+  /**
+   * 바구니를 가로 위치로 이동 (구역 모드에서는 그 위치의 구역으로 이동)
+   * basketMove 이벤트는 바구니가 있는 구역이 바뀔 때만 발생
+   * @param {number} x - 가로 위치 (0~1)
+   * @returns {boolean} 실제로 이동했는지 여부
+   */
+  moveBasketTo(x) {
+    if (!this.isGameActive || this.isPaused) return false;
+    if (this.controlMode !== "continuous") {
+      return this.moveBasket(this.getZoneAt(x));
+    }
+
+    const clamped = Math.min(Math.max(x, 0), 1);
+    if (clamped === this.basketX) return false;
+
+    this.basketX = clamped;
+    if (this.adaptive) {
+      this.adaptive.onBasketMove(this);
+    }
+    const zone = this.getZoneAt(clamped);
+    if (zone !== this.basketPosition) {
+      this.basketPosition = zone;
+      this.emit("basketMove", { zone });
+    }
+    return true;
+  }
+
+  /**
+   * 가로 위치가 속한 구역
+   * @param {number} x - 가로 위치 (0~1)
+   */
+  getZoneAt(x) {
+    const index = Math.floor(x * this.zones.length);
+    return this.zones[Math.min(Math.max(index, 0), this.zones.length - 1)];
+  }
+
+  /**
+   * 현재 게임 상태 반환
+   */
+  getState() {
+    return {
+      isActive: this.isGameActive,
+      phase: this.phase,
+      seed: this.seed,
+      time: this.time,
+      tick: this.stepCount,
+      score: this.score,
+      level: this.level,
+      levelPack: this.levelPack.name,
+      mode: this.mode.name,
+      timeRemaining: this.getTimeRemaining(),
+      targetZone: this.targetZone,
+      missCount: this.missCount,
+      combo: this.combo,
+      bestCombo: this.bestCombo,
+      adaptive: this.adaptive ? this.adaptive.getState() : null,
+      endReason: this.endReason,
+      controlMode: this.controlMode,
+      basketPosition: this.basketPosition,
+      basketX: this.basketX,
+      itemCount: this.items.length
+    };
+  }
+}
+
+/**
+ * 구역 개수별 구역 이름 (왼쪽부터)
+ */
+GameCore.ZONE_LAYOUTS = {
+  2: ["LEFT", "RIGHT"],
+  3: ["LEFT", "CENTER", "RIGHT"],
+  4: ["FAR_LEFT", "LEFT", "RIGHT", "FAR_RIGHT"],
+  5: ["FAR_LEFT", "LEFT", "CENTER", "RIGHT", "FAR_RIGHT"],
+  6: ["FAR_LEFT", "LEFT", "CENTER_LEFT", "CENTER_RIGHT", "RIGHT", "FAR_RIGHT"]
+};
+
+/**
+ * 구역 개수에 맞는 구역 이름 목록 생성
+ * @param {number} count - 구역 개수 (2~6)
+ */
+GameCore.createZones = function (count) {
+  const layout = GameCore.ZONE_LAYOUTS[count];
+  if (!layout) {
+    throw new Error(`구역 개수는 2~6 사이여야 합니다. (받은 값: ${count})`);
+  }
+  return layout.slice();
+};
+
+/**
+ * 구역 목록의 시작 구역 (가운데, 짝수 개면 가운데 왼쪽)
+ */
+GameCore.getStartZone = function (zones) {
+  return zones[Math.floor((zones.length - 1) / 2)];
+};
+
+GameCore.DEFAULT_ZONES = GameCore.createZones(3);
+
+/**
+ * 콤보 배율 (콤보 COMBO_STEP개마다 +1배: 5콤보 x2, 10콤보 x3, ...)
+ * @param {number} combo - 콤보 (연속으로 받은 점수 아이템 수)
+ */
+GameCore.getComboMultiplier = function (combo) {
+  return 1 + Math.floor(combo / GameCore.COMBO_STEP);
+};
+
+GameCore.COMBO_STEP = 5;
+
+/**
+ * 조작 방식과 아이템 너비 (연속 조작 모드의 겹침 판정용, 게임 영역 너비 비율)
+ */
+GameCore.CONTROL_MODES = ["zones", "continuous"];
+GameCore.ITEM_WIDTH = 0.06;
+GameCore.createSeededRandom = createSeededRandom;
+
+// 전역으로 내보내기 (브라우저) + CommonJS 내보내기 (Node 헤드리스 실행)
+if (typeof window !== "undefined") {
+  window.GameCore = GameCore;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GameCore;
+}
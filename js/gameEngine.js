@@ -1,51 +1,73 @@
 /**
  * gameEngine.js
- * Catch Zone 게임 로직 전체를 담당
+ * Catch Zone 게임 화면(DOM) 렌더러
  *
- * - 3개 구역(LEFT, CENTER, RIGHT) 시스템
- * - 아이템 생성 및 낙하 (폭탄, 사과, 배, 오렌지)
- * - 충돌 감지 및 점수 계산
- * - 놓침 카운트 (2번 미스 → 게임 오버)
- * - 단계 시스템 (20초마다 레벨업, 낙하속도 증가)
+ * 게임 규칙은 GameCore(gameCore.js)가 담당하고,
+ * GameEngine은 실제로 흐른 시간만큼 GameCore를 진행시키며 결과를 화면에 그림
+ * - requestAnimationFrame 루프: 지난 프레임 이후 경과 시간을 1/60초 고정 step으로 나눠 core.step() 호출
+ *   (30 FPS든 144 FPS든 게임 속도와 결과가 같고, 리플레이에 기록되는 step도 항상 1/60초)
+ * - 아이템 DOM은 코어 이벤트(생성/받음/제거)로만 만들고 지우며, 다 쓴 요소는 풀에 모아 다시 사용
+ * - 코어 이벤트 → 점수/레벨/시간 UI, 콤보 수와 배율 배지, 레벨업 오버레이, 피드백, 바구니 애니메이션, 아이템 효과 표시
+ * - 게임 기록 통계 (아이템별 받은 개수, 구역별 미스, 피한 폭탄, 정확도, 최장 연속) 및 게임 오버 화면
+ *   (자동 난이도 조절 중이면 조절 횟수와 마지막 난이도도 표시)
+ * - 움직임 기록(GameAnalytics): 반응 시간, 자세 바꾼 횟수, 구역별 머문 시간/받기 비율 → 게임 오버 화면의 구역 히트맵과 반응 시간 히스토그램
+ * - 구역/바구니 DOM 생성 (구역 개수에 맞게), 연습 모드의 목표 구역 강조
+ * - 일시정지/재개: 코어 진행을 멈춰 타이머와 아이템을 그 자리에 두고, 3-2-1 카운트다운 후 이어서 진행
+ * - 타이머는 모두 Scheduler 하나로 만들고, 게임이 끝나면(gameOver 상태) 한꺼번에 취소
+ *
+ * 화면 요소는 options.elementIds의 id로 찾음 (2인 대전처럼 한 페이지에 게임 화면이 여러 개일 때 사용)
  */
 
 class GameEngine {
-  constructor() {
-    // 게임 상태
-    this.isGameActive = false;
-    this.score = 0;
-    this.level = 1;
-    this.missCount = 0;
-    this.maxMisses = 2;
-
-    // 바구니 위치 (LEFT, CENTER, RIGHT)
-    this.basketPosition = "CENTER";
-    this.zones = ["LEFT", "CENTER", "RIGHT"];
-
-    // 아이템 설정
-    this.items = [];
-    this.itemTypes = [
-      { type: "bomb", icon: "💣", points: 0, isBomb: true },
-      { type: "apple", icon: "🍎", points: 100, isBomb: false },
-      { type: "pear", icon: "🍐", points: 150, isBomb: false },
-      { type: "orange", icon: "🍊", points: 200, isBomb: false }
-    ];
+  /**
+   * @param {Object} options - 옵션 { seed, zoneCount, controlMode, levelPack, itemRegistry, mode, adaptive, labelMapping, elementIds }
+   *   elementIds: 화면 요소 id (GameEngine.DEFAULT_ELEMENT_IDS 중 바꿀 것만, null이면 그 요소를 쓰지 않음)
+   */
+  constructor(options = {}) {
+    // 게임 규칙 코어
+    this.core = new GameCore(options);
+
+    // 화면 요소 id
+    this.elementIds = { ...GameEngine.DEFAULT_ELEMENT_IDS, ...options.elementIds };
+
+    // 이 게임의 모든 타이머 (게임이 끝나면 한꺼번에 취소)
+    this.scheduler = new Scheduler();
+
+    // 코어 진행 루프 (requestAnimationFrame)
+    this.stepTime = GameEngine.STEP_TIME;
+    this.tickTimer = null; // 예약된 다음 프레임 (Scheduler id)
+    this.lastFrameTime = null; // 지난 프레임 시각 (ms)
+    this.accumulator = 0; // 아직 step으로 진행하지 않은 경과 시간 (초)
+    this.autoTick = false; // 타이머로 진행하는 게임인지 (리플레이는 false → 일시정지 안 함)
+
+    // 일시정지 사유 (GameEngine.PAUSE_REASONS의 키)와 재개 카운트다운
+    this.pauseReason = null;
+    this.resumeCountdown = 0;
+    this.resumeTimer = null;
+
+    // 피드백 숨기기 타이머 (새 피드백이 오면 다시 1초)
+    this.feedbackTimer = null;
 
-    // 단계 시스템
-    this.levelTimer = null;
-    this.levelTimeLimit = 20; // 각 단계당 20초
-    this.levelTimeRemaining = this.levelTimeLimit;
+    // 포즈 라벨 → 구역/동작 매핑
+    this.labelMapping = options.labelMapping ||
+      LabelMapping.createDefault(["왼쪽", "정면", "오른쪽"], this.core.zones);
+    this.lastLabel = null; // 동작(action)은 라벨이 바뀔 때 한 번만 실행
 
-    // 레벨업 대기 상태
-    this.isLevelUpPause = false;
-    this.levelUpCountdown = 3;
-    this.levelUpCountdownTimer = null;
+    // 마지막으로 그린 아이템 효과 (바뀔 때만 DOM 갱신)
+    this.effectsText = null;
 
-    // 레벨 종료 상태 (아이템 처리 대기)
-    this.isLevelEnding = false;
+    // 마지막으로 그린 콤보 배율 (배율이 오를 때만 배지 애니메이션)
+    this.comboMultiplier = 1;
 
-    // 아이템 생성 타이머
-    this.itemSpawnTimer = null;
+    // 화면에 있는 아이템 DOM (아이템 id → { item, el })과 다시 쓸 아이템 DOM
+    this.itemViews = new Map();
+    this.itemPool = [];
+
+    // 이번 게임 통계 (start에서 초기화)
+    this.resetStats();
+
+    // 움직임 기록 (코어가 시작할 때마다 초기화)
+    this.analytics = new GameAnalytics(this.core);
 
     // 콜백
     this.onScoreChange = null;
@@ -53,385 +75,637 @@ class GameEngine {
     this.onLevelChange = null;
     this.onGameEnd = null;
     this.onBasketMove = null;
+    this.onPauseChange = null;
+
+    this.bindCoreEvents();
+    this.bindStatsEvents();
   }
 
   /**
-   * 게임 시작
+   * 코어 상태 접근자 (기존 코드 호환)
    */
-  start() {
-    this.isGameActive = true;
-    this.score = 0;
-    this.level = 1;
-    this.missCount = 0;
-    this.basketPosition = "CENTER";
-    this.items = [];
-    this.levelTimeRemaining = this.levelTimeLimit;
+  get isGameActive() {
+    return this.core.isGameActive;
+  }
 
-    // UI 초기화
-    this.updateUI();
+  get score() {
+    return this.core.score;
+  }
+
+  get level() {
+    return this.core.level;
+  }
 
-    // 단계 타이머 시작
-    this.startLevelTimer();
+  get missCount() {
+    return this.core.missCount;
+  }
 
-    // 아이템 생성 시작
-    this.startItemSpawner();
+  get maxMisses() {
+    return this.core.maxMisses;
+  }
 
-    // 아이템 업데이트 루프 시작
-    this.startItemUpdater();
+  get basketPosition() {
+    return this.core.basketPosition;
+  }
+
+  get items() {
+    return this.core.items;
   }
 
   /**
-   * 게임 중지
+   * 일시정지 중인지 (재개 카운트다운 포함)
    */
-  stop() {
-    this.isGameActive = false;
-    this.clearTimers();
+  get isPaused() {
+    return this.core.isPaused;
+  }
 
-    if (this.onGameEnd) {
-      this.onGameEnd(this.score, this.level);
-    }
+  /**
+   * 재개 카운트다운 중인지
+   */
+  get isResuming() {
+    return this.core.phase === "countdown";
   }
 
   /**
-   * 단계 타이머 시작
+   * 멈춘 동안 보여줄 제목 (아직 한 step도 진행하지 않았으면 시작 카운트다운)
    */
-  startLevelTimer() {
-    this.levelTimer = setInterval(() => {
-      this.levelTimeRemaining--;
+  get pauseTitle() {
+    if (!this.isResuming) return "⏸ 일시정지";
+    return this.core.stepCount === 0 ? "곧 시작해요" : "곧 다시 시작해요";
+  }
 
-      // 시간 UI 업데이트
-      this.updateTimeUI();
+  /**
+   * 화면 요소 찾기 (id가 null이거나 요소가 없으면 null)
+   * @param {string} name - GameEngine.DEFAULT_ELEMENT_IDS의 키
+   */
+  getElement(name) {
+    const id = this.elementIds[name];
+    return id ? document.getElementById(id) : null;
+  }
+
+  /**
+   * 코어 이벤트 → 화면/콜백 연결
+   */
+  bindCoreEvents() {
+    const core = this.core;
+
+    core.on("scoreChange", ({ score, combo, multiplier, bestCombo }) => {
+      if (this.onScoreChange) this.onScoreChange(score, { combo, multiplier, bestCombo });
+    });
+
+    core.on("comboChange", () => this.updateComboUI());
+
+    core.on("missChange", ({ missCount }) => {
+      if (this.onMissChange) this.onMissChange(missCount);
+    });
+
+    core.on("timeChange", () => this.updateTimeUI());
+
+    core.on("levelUp", () => this.showLevelUpOverlay());
+
+    core.on("levelUpCountdown", () => this.updateLevelUpCountdown());
+
+    core.on("levelChange", ({ level }) => {
+      this.hideLevelUpOverlay();
+      if (this.onLevelChange) this.onLevelChange(level);
+    });
+
+    core.on("basketMove", ({ zone }) => {
+      if (this.onBasketMove) this.onBasketMove(zone);
+      this.updateBasketUI();
+    });
+
+    core.on("itemSpawn", ({ item }) => this.addItemView(item));
+
+    core.on("itemRemove", ({ item }) => this.releaseItemView(item));
+
+    core.on("targetChange", ({ zone }) => this.showTargetZone(zone));
+
+    core.on("itemCatch", ({ item }) => {
+      const view = this.itemViews.get(item.id);
+      if (view) view.el.classList.add("caught");
+      if (!item.isBomb) this.playBasketCatchAnimation();
+    });
+
+    core.on("effectChange", () => this.updateEffectsUI());
 
-      // 단계 시간 종료 → 레벨 종료 시작 (아이템 처리 대기)
-      if (this.levelTimeRemaining <= 0) {
-        this.startLevelEnding();
+    core.on("feedback", ({ message, zone, type }) => {
+      this.showFeedback(message, zone, type);
+    });
+
+    // 게임이 끝나면 남은 타이머를 모두 취소 (늦게 도착한 콜백이 끝난 게임을 건드리지 않도록)하고 목표 구역 강조 해제
+    core.on("stateChange", ({ to }) => {
+      if (to === "gameOver") {
+        this.cancelScheduled();
+        this.showTargetZone(null);
       }
-    }, 1000);
+    });
+
+    core.on("gameEnd", ({ score, level }) => {
+      if (this.onGameEnd) this.onGameEnd(score, level, this.getGameState());
+    });
+
+    core.on("gameOver", () => {
+      this.updateTimeUI();
+      this.showGameOverOverlay();
+    });
   }
 
   /**
-   * 레벨 종료 시작 (아이템 처리 대기)
+   * 코어 이벤트 → 게임 통계
    */
-  startLevelEnding() {
-    this.isLevelEnding = true;
+  bindStatsEvents() {
+    const core = this.core;
 
-    // 타이머 중단
-    clearInterval(this.levelTimer);
+    core.on("itemCatch", ({ item }) => {
+      const stats = this.stats;
+      stats.catchesByType[item.type] = (stats.catchesByType[item.type] || 0) + 1;
 
-    // 새로운 아이템 생성 중단
-    clearInterval(this.itemSpawnTimer);
+      if (item.isFruit) {
+        stats.fruitCaught++;
+        stats.currentStreak++;
+        stats.longestStreak = Math.max(stats.longestStreak, stats.currentStreak);
+      }
+    });
 
-    // 화면에 아이템이 없으면 즉시 레벨업
-    if (this.items.length === 0) {
-      this.nextLevel();
-    }
-    // 아이템이 있으면 모두 처리될 때까지 대기
-    // (itemUpdateTimer에서 마지막 아이템 처리 시 nextLevel 호출)
+    core.on("itemMiss", ({ item }) => {
+      const stats = this.stats;
+      if (item.isBomb) {
+        stats.bombsDodged++;
+      }
+      if (item.isFruit) {
+        stats.fruitMissed++;
+        stats.currentStreak = 0;
+      }
+
+      // 바로 뒤의 missChange가 어느 구역의 미스인지 알 수 있도록 기억 (onMiss는 itemMiss 직후 실행)
+      this.lastMissedItem = item;
+    });
+
+    core.on("missChange", ({ missCount }) => {
+      if (missCount > this.lastMissCount && this.lastMissedItem) {
+        const zone = this.lastMissedItem.zone;
+        this.stats.missesByZone[zone] = (this.stats.missesByZone[zone] || 0) + 1;
+      }
+      this.lastMissCount = missCount;
+      this.lastMissedItem = null;
+    });
   }
 
   /**
-   * 다음 단계로 진행
+   * 게임 통계 초기화
    */
-  nextLevel() {
-    this.level++;
-    this.levelTimeRemaining = this.levelTimeLimit;
-    this.isLevelEnding = false; // 플래그 리셋
-    this.missCount = 0; // 레벨별 미스 카운트 리셋
+  resetStats() {
+    this.stats = {
+      catchesByType: {}, // 아이템 종류 → 받은 개수
+      missesByZone: {}, // 구역 → 미스 횟수
+      bombsDodged: 0, // 바구니로 받지 않은 폭탄
+      fruitCaught: 0,
+      fruitMissed: 0,
+      currentStreak: 0, // 현재 연속으로 받은 과일
+      longestStreak: 0 // 최장 연속으로 받은 과일
+    };
+    this.lastMissedItem = null;
+    this.lastMissCount = 0;
+  }
 
-    // 레벨 변경 콜백 (UI 업데이트)
-    if (this.onMissChange) {
-      this.onMissChange(this.missCount);
-    }
+  /**
+   * 게임 통계 (정확도 = 받은 과일 / 바구니 높이까지 떨어진 과일, 떨어진 과일이 없으면 null)
+   */
+  getStats() {
+    const { catchesByType, missesByZone, bombsDodged, fruitCaught, fruitMissed, longestStreak } = this.stats;
+    const fruitTotal = fruitCaught + fruitMissed;
 
-    // 레벨업 대기 시작
-    this.pauseForLevelUp();
+    return {
+      catchesByType: { ...catchesByType },
+      missesByZone: { ...missesByZone },
+      bombsDodged,
+      fruitCaught,
+      fruitMissed,
+      accuracy: fruitTotal > 0 ? fruitCaught / fruitTotal : null,
+      longestStreak,
+      timeSurvived: this.core.time
+    };
   }
 
   /**
-   * 레벨업 대기 (게임 일시 정지)
+   * 게임 시작
+   * @param {Object} options - 옵션 { autoTick }
+   *   autoTick이 false면 시작 카운트다운 없이 바로 시작하고, 타이머 없이 advance()를 직접 호출해 진행 (리플레이용)
    */
-  pauseForLevelUp() {
-    this.isLevelUpPause = true;
-    this.levelUpCountdown = 3;
+  start(options = {}) {
+    const { autoTick = true } = options;
+
+    this.autoTick = autoTick;
+    this.pauseReason = null;
+    this.lastLabel = null;
+    this.resetStats();
+    this.hideGameOverOverlay();
+    this.clearItemViews();
+    this.core.start({ countdown: autoTick });
+
+    // 구역 개수에 맞게 구역/바구니 생성 후 UI 초기화
+    this.renderZones();
+    this.updateUI();
 
-    // 타이머 일시 중단
-    clearInterval(this.levelTimer);
+    // 3-2-1 시작 카운트다운이 끝나면 코어 진행 시작
+    if (autoTick) {
+      this.runCountdown();
+    }
+  }
 
-    // 아이템 생성 중단
-    clearInterval(this.itemSpawnTimer);
+  /**
+   * 게임 중지 (남은 타이머는 gameOver 상태로 바뀔 때 모두 취소됨)
+   */
+  stop() {
+    this.stopTicker();
+    this.core.stop();
+  }
+
+  /**
+   * 게임 정리 (새 게임을 만들기 전에 이전 게임에 호출)
+   * 콜백과 코어 이벤트 연결을 끊고 게임을 멈춘 뒤 남은 타이머와 아이템 DOM(풀 포함) 제거
+   * (끝나지 않은 게임이어도 게임 종료 콜백은 호출하지 않음)
+   */
+  destroy() {
+    this.onScoreChange = null;
+    this.onMissChange = null;
+    this.onLevelChange = null;
+    this.onGameEnd = null;
+    this.onBasketMove = null;
+    this.onPauseChange = null;
 
-    // 축하 화면 표시
-    this.showLevelUpOverlay();
+    this.stop();
+    this.core.removeAllListeners();
+    this.cancelScheduled();
 
-    // 카운트다운 시작
-    this.startLevelUpCountdown();
+    this.clearItemViews();
+    this.itemPool.forEach(el => el.remove());
+    this.itemPool = [];
   }
 
   /**
-   * 레벨업 카운트다운
+   * 남은 타이머(진행, 재개 카운트다운, 피드백/애니메이션 정리)를 모두 취소하고 잠깐 보이던 화면 정리
    */
-  startLevelUpCountdown() {
-    this.levelUpCountdownTimer = setInterval(() => {
-      this.levelUpCountdown--;
-      this.updateLevelUpCountdown();
+  cancelScheduled() {
+    this.scheduler.clearAll();
+    this.tickTimer = null;
+    this.resumeTimer = null;
+    this.feedbackTimer = null;
+    this.pauseReason = null;
+
+    this.hidePauseOverlay();
+    this.hideLevelUpOverlay();
 
-      if (this.levelUpCountdown <= 0) {
-        clearInterval(this.levelUpCountdownTimer);
-        this.resumeAfterLevelUp();
-      }
-    }, 1000);
+    const feedbackEl = this.getElement("feedback");
+    if (feedbackEl) feedbackEl.style.display = "none";
+
+    const gameArea = this.getElement("gameArea");
+    if (gameArea) {
+      gameArea.querySelectorAll(".basket.catch").forEach(el => el.classList.remove("catch"));
+    }
   }
 
   /**
-   * 레벨업 후 재개
+   * 일시정지 (코어 진행을 멈춤 → 단계 시간, 아이템 생성, 아이템 낙하가 모두 그대로 멈춤)
+   * 재개 카운트다운 중이면 카운트다운을 취소하고 다시 일시정지
+   * @param {string} reason - GameEngine.PAUSE_REASONS의 키
+   * @returns {boolean} 일시정지했는지 (게임 중이 아니거나 리플레이면 false)
    */
-  resumeAfterLevelUp() {
-    this.isLevelUpPause = false;
-
-    // 축하 화면 숨기기
-    this.hideLevelUpOverlay();
+  pause(reason = "button") {
+    if (!this.autoTick) return false;
+
+    // 이미 일시정지 중이면 처음 사유를 유지 (자리 비움은 사람이 돌아오면 저절로 재개되므로 다른 사유로 바뀜)
+    if (this.core.phase === "paused") {
+      if (this.pauseReason !== "absent") return false;
+      this.pauseReason = reason;
+      this.showPauseOverlay();
+      return true;
+    }
 
-    // 타이머 재시작
-    this.startLevelTimer();
+    const wasResuming = this.isResuming;
+    if (!this.core.pause()) return false;
 
-    // 아이템 생성 재시작 (속도 증가 적용)
-    this.restartItemSpawner();
+    this.scheduler.clear(this.resumeTimer);
+    this.resumeTimer = null;
+    this.stopTicker();
+    this.pauseReason = reason;
 
-    // 레벨 변경 콜백
-    if (this.onLevelChange) {
-      this.onLevelChange(this.level);
+    // 레벨업 오버레이가 화면 전체를 가리므로 일시정지 동안은 숨김 (재개하면 다시 표시)
+    if (this.core.stateMachine.resumeState === "levelUp") {
+      this.hideLevelUpOverlay();
     }
+    this.showPauseOverlay();
+
+    if (!wasResuming && this.onPauseChange) this.onPauseChange(true, reason);
+    return true;
   }
 
   /**
-   * 레벨업 오버레이 표시
+   * 재개 (GameEngine.RESUME_COUNTDOWN초 카운트다운 후 일시정지 전 상태로)
+   * @returns {boolean} 카운트다운을 시작했는지
    */
-  showLevelUpOverlay() {
-    const overlay = document.getElementById("levelup-overlay");
-    if (overlay) {
-      const levelNumber = document.getElementById("levelup-number");
-      const levelScore = document.getElementById("levelup-score");
-      const levelTimer = document.getElementById("levelup-timer");
+  resume() {
+    if (!this.core.beginResume()) return false;
 
-      if (levelNumber) levelNumber.textContent = this.level;
-      if (levelScore) levelScore.textContent = this.score;
-      if (levelTimer) levelTimer.textContent = this.levelUpCountdown;
+    this.runCountdown();
+    return true;
+  }
 
-      overlay.style.display = "flex";
-    }
+  /**
+   * 카운트다운 (코어가 countdown 상태일 때, 시작과 재개에 같이 사용)
+   * GameEngine.RESUME_COUNTDOWN초 뒤 core.resume()으로 playing(시작) 또는 일시정지 전 상태로 가고 진행 루프 시작
+   */
+  runCountdown() {
+    this.resumeCountdown = GameEngine.RESUME_COUNTDOWN;
+    this.resumeTimer = this.scheduler.setInterval(() => {
+      this.resumeCountdown--;
+      if (this.resumeCountdown > 0) {
+        this.showPauseOverlay();
+        return;
+      }
+
+      this.scheduler.clear(this.resumeTimer);
+      this.resumeTimer = null;
+      this.core.resume();
+      this.pauseReason = null;
+      this.hidePauseOverlay();
+      if (this.core.isLevelUpPause && this.getElement("levelUpOverlay")) {
+        this.showLevelUpOverlay();
+      }
+      this.startTicker();
+      if (this.onPauseChange) this.onPauseChange(false, null);
+    }, 1000);
+    this.showPauseOverlay();
   }
 
   /**
-   * 레벨업 오버레이 숨기기
+   * 코어 진행 루프 시작 (첫 프레임은 시각만 기록하므로 멈춰 있던 시간은 진행하지 않음)
    */
-  hideLevelUpOverlay() {
-    const overlay = document.getElementById("levelup-overlay");
-    if (overlay) {
-      overlay.style.display = "none";
-    }
+  startTicker() {
+    this.stopTicker();
+    this.lastFrameTime = null;
+    this.accumulator = 0;
+
+    const frame = timestamp => {
+      this.tick(timestamp);
+      // tick 중에 게임이 끝나면(gameOver) 루프도 끝남
+      if (this.tickTimer !== null) {
+        this.tickTimer = this.scheduler.requestAnimationFrame(frame);
+      }
+    };
+    this.tickTimer = this.scheduler.requestAnimationFrame(frame);
   }
 
   /**
-   * 레벨업 카운트다운 업데이트
+   * 코어 진행 루프 중지
    */
-  updateLevelUpCountdown() {
-    const levelTimer = document.getElementById("levelup-timer");
-    if (levelTimer) {
-      levelTimer.textContent = this.levelUpCountdown;
-    }
+  stopTicker() {
+    this.scheduler.clear(this.tickTimer);
+    this.tickTimer = null;
   }
 
   /**
-   * 아이템 생성기 시작
+   * 한 프레임 진행: 경과 시간을 stepTime 단위로 나눠 코어를 진행한 뒤 한 번 그림
+   * (30 FPS면 프레임마다 step 2번, 144 FPS면 step이 없는 프레임도 있음 → 남은 시간은 낙하 위치 보간에 사용)
+   * @param {number} timestamp - 프레임 시각 (ms)
    */
-  startItemSpawner() {
-    const spawnInterval = this.getItemSpawnInterval();
+  tick(timestamp) {
+    const elapsed = this.lastFrameTime === null ? 0 : (timestamp - this.lastFrameTime) / 1000;
+    this.lastFrameTime = timestamp;
 
-    this.itemSpawnTimer = setInterval(() => {
-      if (this.isGameActive && !this.isLevelEnding) {
-        this.spawnItem();
-      }
-    }, spawnInterval);
+    // 긴 멈춤(탭 전환, 느린 포즈 추론 등) 뒤에 한꺼번에 진행하지 않도록 GameEngine.MAX_FRAME_TIME까지만 반영
+    this.accumulator += Math.min(Math.max(elapsed, 0), GameEngine.MAX_FRAME_TIME);
+
+    while (this.accumulator >= this.stepTime && this.core.stateMachine.isRunning) {
+      this.core.step(this.stepTime);
+      this.accumulator -= this.stepTime;
+    }
+
+    this.render(this.accumulator / this.stepTime);
   }
 
   /**
-   * 아이템 생성기 재시작 (레벨업 시)
+   * 코어를 dt초만큼 진행한 뒤 그림 (리플레이는 기록된 step을 이걸로 하나씩 진행)
+   * @param {number} dt - 경과 시간 (초)
    */
-  restartItemSpawner() {
-    clearInterval(this.itemSpawnTimer);
-    this.startItemSpawner();
+  advance(dt) {
+    this.core.step(dt);
+    this.render(0);
   }
 
   /**
-   * 아이템 생성 간격 계산
-   * 단계별 낙하 시간의 60%~80% 사이 랜덤 값
+   * 화면 그리기 (아이템 위치, 아이템 효과)
+   * @param {number} alpha - 다음 step까지 진행한 비율 (0~1, 떨어지는 아이템 위치 보간)
    */
-  getItemSpawnInterval() {
-    const dropTime = this.getDropTime();
-    const minInterval = dropTime * 0.6;
-    const maxInterval = dropTime * 0.8;
-    return (minInterval + Math.random() * (maxInterval - minInterval)) * 1000;
+  render(alpha = 0) {
+    this.renderItems(alpha);
+    this.updateEffectsUI();
   }
 
   /**
-   * 아이템 낙하 시간 계산 (초 단위)
-   * 1단계: 2.0초, 2단계: 1.8초, ... (0.2초씩 감소, 최소 0.6초)
+   * 레벨업 오버레이 표시 (오버레이가 없으면 피드백으로 표시)
    */
-  getDropTime() {
-    const baseDropTime = 2.0;
-    const decreasePerLevel = 0.2;
-    const minDropTime = 0.6;
-    return Math.max(baseDropTime - (this.level - 1) * decreasePerLevel, minDropTime);
+  showLevelUpOverlay() {
+    const overlay = this.getElement("levelUpOverlay");
+    if (!overlay) {
+      this.showFeedback(`🎉 레벨 ${this.core.level}!`, null, "success");
+      return;
+    }
+
+    const levelNumber = document.getElementById("levelup-number");
+    const levelScore = document.getElementById("levelup-score");
+    const levelTimer = document.getElementById("levelup-timer");
+
+    if (levelNumber) levelNumber.textContent = this.core.level;
+    if (levelScore) levelScore.textContent = this.core.score;
+    if (levelTimer) levelTimer.textContent = this.core.levelUpCountdown;
+
+    overlay.style.display = "flex";
   }
 
   /**
-   * 아이템 생성
+   * 일시정지 오버레이 표시 (일시정지 사유 또는 시작/재개 카운트다운)
    */
-  spawnItem() {
-    // 랜덤 구역 선택
-    const zone = this.zones[Math.floor(Math.random() * this.zones.length)];
+  showPauseOverlay() {
+    const overlay = this.getElement("pauseOverlay");
+    if (!overlay) return;
+
+    const resuming = this.isResuming;
+    overlay.querySelector(".pause-title").textContent = this.pauseTitle;
+    overlay.querySelector(".pause-reason").textContent = resuming ? "" : GameEngine.PAUSE_REASONS[this.pauseReason] || "";
+    overlay.querySelector(".pause-countdown").textContent = resuming ? this.resumeCountdown : "";
+    overlay.classList.toggle("resuming", resuming);
+    overlay.style.display = "flex";
+  }
 
-    // 랜덤 아이템 타입 선택 (폭탄 20% 확률)
-    const isBomb = Math.random() < 0.2;
-    let itemType;
+  /**
+   * 일시정지 오버레이 숨기기
+   */
+  hidePauseOverlay() {
+    const overlay = this.getElement("pauseOverlay");
+    if (overlay) {
+      overlay.style.display = "none";
+    }
+  }
 
-    if (isBomb) {
-      itemType = this.itemTypes[0]; // 폭탄
-    } else {
-      // 과일 중 랜덤 선택
-      const fruitTypes = this.itemTypes.slice(1);
-      itemType = fruitTypes[Math.floor(Math.random() * fruitTypes.length)];
+  /**
+   * 레벨업 오버레이 숨기기
+   */
+  hideLevelUpOverlay() {
+    const overlay = this.getElement("levelUpOverlay");
+    if (overlay) {
+      overlay.style.display = "none";
     }
+  }
 
-    const item = {
-      id: Date.now() + Math.random(),
-      zone: zone,
-      type: itemType.type,
-      icon: itemType.icon,
-      points: itemType.points,
-      isBomb: itemType.isBomb,
-      currentTop: -20, // 아이템의 현재 top 위치 (-20% ~ 120%)
-      dropTime: this.getDropTime(), // 낙하 소요 시간 (초)
-      caught: false, // 포착 상태 (처음에는 false)
-      processed: false // 바구니 위치 도달 시 처리됨 (한 번만 처리하기 위해)
-    };
+  /**
+   * 게임 오버 오버레이 표시 (사유, 최종 점수, 도달 레벨, 게임 통계)
+   */
+  showGameOverOverlay() {
+    const overlay = this.getElement("gameOverOverlay");
+    if (!overlay) return;
+
+    const state = this.getGameState();
+    const stats = state.stats;
+    const registry = this.core.itemRegistry;
+
+    // 게임 오버가 없는 모드는 "○○ 끝!"
+    const mode = this.core.mode;
+    overlay.querySelector(".gameover-title").textContent = mode.missGameOver ? "게임 오버!" : `${mode.label} 끝!`;
+    document.getElementById("gameover-reason").textContent = state.endReason || "";
+    document.getElementById("gameover-score").textContent = state.score;
+    document.getElementById("gameover-level").textContent = state.level;
+
+    const catches = Object.entries(stats.catchesByType)
+      .map(([type, count]) => `${registry.has(type) ? registry.get(type).icon : type} ${count}`);
+    const misses = this.core.zones
+      .filter(zone => stats.missesByZone[zone])
+      .map(zone => `${zone} ${stats.missesByZone[zone]}`);
+    const accuracy = stats.accuracy === null
+      ? "-"
+      : `${Math.round(stats.accuracy * 100)}% (${stats.fruitCaught} / ${stats.fruitCaught + stats.fruitMissed})`;
+    const seconds = Math.floor(stats.timeSurvived);
+    const analytics = this.analytics.getSummary();
+
+    const rows = [
+      ["받은 아이템", catches.length > 0 ? catches.join(" · ") : "없음"],
+      ["구역별 미스", misses.length > 0 ? misses.join(" · ") : "없음"],
+      ["피한 폭탄", `${stats.bombsDodged}개`],
+      ["받기 정확도", accuracy],
+      ["최장 연속", `${stats.longestStreak}개`],
+      ["최고 콤보", `${state.bestCombo}콤보 (x${GameCore.getComboMultiplier(state.bestCombo)})`],
+      ["버틴 시간", `${Math.floor(seconds / 60)}분 ${seconds % 60}초`],
+      ["평균 반응 시간", analytics.averageReactionTime === null
+        ? "-"
+        : `${analytics.averageReactionTime.toFixed(2)}초 (${analytics.reached}개, 도착 못 함 ${analytics.notReached}개)`],
+      ["자세 바꾼 횟수", `${analytics.poseChanges}번 (바구니 이동 ${analytics.basketMoves}번)`]
+    ];
+    if (state.adaptive) {
+      const log = state.adaptive.log;
+      rows.push(["난이도 조절", log.length > 0
+        ? `${log.length}번 (마지막: ${AdaptiveDifficulty.formatEntry(log[log.length - 1])})`
+        : "조절 없음"]);
+    }
 
-    this.items.push(item);
-  }
-
-  /**
-   * 아이템 업데이트 루프
-   */
-  startItemUpdater() {
-    const updateInterval = 1000 / 60; // 60 FPS
-
-    this.itemUpdateTimer = setInterval(() => {
-      // 게임이 활성 상태가 아니거나 레벨업 대기 중이면 정지 (레벨 종료는 아이템 처리 계속)
-      if (!this.isGameActive || this.isLevelUpPause) return;
-
-      const deltaTime = updateInterval / 1000; // 초 단위
-
-      // 제거할 아이템들 추적 (반복 중 배열 수정 방지)
-      const itemsToRemove = [];
-
-      this.items.forEach((item) => {
-        // caught 상태가 아닌 경우만 위치 업데이트
-        if (!item.caught) {
-          // currentTop을 증가시킴 (140% 범위를 dropTime 동안 낙하)
-          const distancePerSecond = 140 / item.dropTime; // 초당 낙하 거리
-          item.currentTop += distancePerSecond * deltaTime;
-
-          // 아이템이 바구니 위치(85%)에 도달했을 때 (한 번만 처리)
-          if (item.currentTop >= 85 && !item.processed) {
-            item.processed = true; // 처리됨 표시
-
-            // 바구니와 같은 구역인지 확인
-            if (item.zone === this.basketPosition) {
-              // 바구니로 받은 아이템만 caught 상태로 설정
-              item.caught = true;
-              item.currentTop = 85; // 바구니 위치에 고정
-              this.catchItem(item);
-
-              // 애니메이션 완료 후 아이템 제거 (300ms = itemCaught 애니메이션 시간)
-              setTimeout(() => {
-                const itemIndex = this.items.indexOf(item);
-                if (itemIndex > -1) {
-                  this.items.splice(itemIndex, 1);
-
-                  // 게임이 활성 상태이고 레벨 종료 중이며 마지막 아이템이면 레벨업
-                  if (this.isGameActive && this.isLevelEnding && this.items.length === 0) {
-                    this.nextLevel();
-                  }
-                }
-              }, 300);
-            } else {
-              // 바구니로 받지 않은 아이템: 계속 떨어짐
-              // missItem 호출 (폭탄은 카운트 안 함)
-              if (!item.isBomb) {
-                this.missItem();
-              }
-              // processed는 true이지만 caught는 false이므로, 다음 프레임부터도 position 업데이트 계속됨
-            }
-          }
-
-          // 아이템이 화면 아래로 떨어졌으면 제거
-          if (item.currentTop > 120) {
-            itemsToRemove.push(item);
-          }
-        }
-      });
+    const table = document.getElementById("gameover-stats");
+    table.innerHTML = "";
+    rows.forEach(([label, value]) => {
+      const row = document.createElement("tr");
+      const labelCell = document.createElement("th");
+      labelCell.textContent = label;
+      const valueCell = document.createElement("td");
+      valueCell.textContent = value;
+      row.appendChild(labelCell);
+      row.appendChild(valueCell);
+      table.appendChild(row);
+    });
+
+    GameEngine.renderZoneHeatmap(document.getElementById("gameover-heatmap"), analytics.zones);
+    GameEngine.renderReactionHistogram(document.getElementById("gameover-histogram"), analytics.histogram);
+
+    overlay.style.display = "flex";
+  }
 
-      // 화면 아래로 떨어진 아이템 제거
-      itemsToRemove.forEach((item) => {
-        const itemIndex = this.items.indexOf(item);
-        if (itemIndex > -1) {
-          this.items.splice(itemIndex, 1);
-
-          // 게임이 활성 상태이고 레벨 종료 중이며 마지막 아이템이면 레벨업
-          if (this.isGameActive && this.isLevelEnding && this.items.length === 0) {
-            this.nextLevel();
-          }
-        }
+  /**
+   * 구역 히트맵 (머문 시간이 길수록 진하게, 칸마다 머문 시간 비율과 과일 받기 비율)
+   * 게임 오버 화면과 대전 결과 화면에서 같이 사용
+   * @param {HTMLElement} heatmap - 그릴 요소
+   * @param {Array<Object>} zones - GameAnalytics.getSummary()의 zones
+   */
+  static renderZoneHeatmap(heatmap, zones) {
+    if (!heatmap) return;
+
+    const maxShare = Math.max(...zones.map(zone => zone.timeShare), 0);
+    heatmap.innerHTML = "";
+    zones.forEach(({ zone, timeShare, caught, missed, catchRate }) => {
+      const cell = document.createElement("div");
+      cell.className = "heatmap-cell";
+      const intensity = maxShare > 0 ? timeShare / maxShare : 0;
+      cell.style.background = `rgba(102, 126, 234, ${(0.1 + intensity * 0.9).toFixed(2)})`;
+      cell.style.color = intensity > 0.5 ? "white" : "#333";
+
+      const rate = catchRate === null ? "과일 없음" : `받기 ${Math.round(catchRate * 100)}% (${caught}/${caught + missed})`;
+      [zone, `${Math.round(timeShare * 100)}%`, rate].forEach((text, index) => {
+        const line = document.createElement(index === 1 ? "strong" : "span");
+        line.textContent = text;
+        cell.appendChild(line);
       });
+      heatmap.appendChild(cell);
+    });
+  }
 
-      // 아이템 UI 렌더링
-      this.renderItems();
-    }, updateInterval);
+  /**
+   * 반응 시간 히스토그램 (구간마다 막대, 가장 많은 구간이 가장 높음)
+   * 게임 오버 화면과 대전 결과 화면에서 같이 사용
+   * @param {HTMLElement} chart - 그릴 요소
+   * @param {Array<Object>} histogram - GameAnalytics.getSummary()의 histogram
+   */
+  static renderReactionHistogram(chart, histogram) {
+    if (!chart) return;
+
+    const maxCount = Math.max(...histogram.map(bin => bin.count), 1);
+    chart.innerHTML = "";
+    histogram.forEach(({ from, to, count }) => {
+      const column = document.createElement("div");
+      column.className = "histogram-column";
+
+      const value = document.createElement("span");
+      value.className = "histogram-count";
+      value.textContent = count;
+      const bar = document.createElement("div");
+      bar.className = "histogram-bar";
+      bar.style.height = `${Math.round((count / maxCount) * GameEngine.HISTOGRAM_HEIGHT)}px`;
+      const label = document.createElement("span");
+      label.className = "histogram-label";
+      label.textContent = to === null ? `${from}초~` : `~${to}초`;
+
+      column.appendChild(value);
+      column.appendChild(bar);
+      column.appendChild(label);
+      chart.appendChild(column);
+    });
   }
 
   /**
-   * 아이템이 바구니에 도달했을 때 처리
+   * 게임 오버 오버레이 숨기기
    */
-  handleItemReachedBasket(item) {
-    // 바구니와 같은 구역인지 확인
-    if (item.zone === this.basketPosition) {
-      // 아이템 획득
-      this.catchItem(item);
-    } else {
-      // 아이템 놓침 (폭탄은 놓침으로 카운트 안 함)
-      if (!item.isBomb) {
-        this.missItem();
-      }
+  hideGameOverOverlay() {
+    const overlay = this.getElement("gameOverOverlay");
+    if (overlay) {
+      overlay.style.display = "none";
     }
   }
 
   /**
-   * 아이템 획득
+   * 레벨업 카운트다운 업데이트
    */
-  catchItem(item) {
-    if (item.isBomb) {
-      // 폭탄 획득 → 즉시 게임 오버
-      this.gameOver("폭탄을 받았습니다!");
-    } else {
-      // 과일 획득 → 점수 증가
-      this.score += item.points;
-      if (this.onScoreChange) {
-        this.onScoreChange(this.score);
-      }
-      this.showFeedback(`+${item.points}점!`, item.zone, "success");
+  updateLevelUpCountdown() {
+    if (!this.getElement("levelUpOverlay")) return;
 
-      // 바구니 흔들림 효과
-      this.playBasketCatchAnimation();
+    const levelTimer = document.getElementById("levelup-timer");
+    if (levelTimer) {
+      levelTimer.textContent = this.core.levelUpCountdown;
     }
   }
 
@@ -439,7 +713,8 @@ class GameEngine {
    * 바구니 흔들림 애니메이션 재생
    */
   playBasketCatchAnimation() {
-    const basketEl = document.querySelector(`.basket[data-zone="${this.basketPosition}"]`);
+    const gameArea = this.getElement("gameArea");
+    const basketEl = gameArea ? gameArea.querySelector(".basket.active") : null;
     if (!basketEl) return;
 
     // 클래스 제거 (이전 애니메이션이 있었다면)
@@ -452,75 +727,99 @@ class GameEngine {
     basketEl.classList.add("catch");
 
     // 애니메이션 완료 후 클래스 제거
-    setTimeout(() => {
+    this.scheduler.setTimeout(() => {
       basketEl.classList.remove("catch");
     }, 500);
   }
 
-  /**
-   * 아이템 놓침
-   */
-  missItem() {
-    this.missCount++;
-
-    if (this.onMissChange) {
-      this.onMissChange(this.missCount);
-    }
-
-    if (this.missCount === 1) {
-      this.showFeedback("경고!", null, "warning");
-    } else if (this.missCount >= this.maxMisses) {
-      this.gameOver(`과일을 ${this.maxMisses}번 놓쳤습니다!`);
-    }
-  }
-
-  /**
-   * 게임 오버
-   */
-  gameOver(reason) {
-    this.stop();
-    alert(`게임 오버!\n${reason}\n\n최종 점수: ${this.score}\n도달 레벨: ${this.level}`);
-  }
-
   /**
    * 피드백 표시
    */
   showFeedback(message, zone, type) {
-    const feedbackEl = document.getElementById("feedback");
+    const feedbackEl = this.getElement("feedback");
     if (feedbackEl) {
       feedbackEl.textContent = message;
       feedbackEl.className = `feedback ${type}`;
       feedbackEl.style.display = "block";
 
-      setTimeout(() => {
+      this.scheduler.clear(this.feedbackTimer);
+      this.feedbackTimer = this.scheduler.setTimeout(() => {
         feedbackEl.style.display = "none";
+        this.feedbackTimer = null;
       }, 1000);
     }
   }
 
   /**
-   * 바구니 이동
-   * @param {string} pose - "왼쪽", "정면", "오른쪽"
+   * 포즈 라벨로 바구니 이동 (LabelMapping 사용)
+   * @param {string} label - 모델 라벨
+   * @returns {Object|null} 매핑된 대상 { zone } | { action } (매핑 안 된 라벨이면 null)
    */
-  moveBasket(pose) {
-    if (!this.isGameActive) return;
+  moveBasket(label) {
+    // 연속 조작 모드에서는 포즈 분류 라벨을 쓰지 않음 (moveBasketTo 사용)
+    if (this.core.controlMode === "continuous") return null;
+    // 일시정지 중에는 바구니를 움직이지 않음
+    if (this.isPaused) return null;
+
+    const target = this.labelMapping.resolve(label);
+    const isNewLabel = label !== this.lastLabel;
+    if (isNewLabel && this.lastLabel !== null && this.core.isGameActive) {
+      this.analytics.recordPoseChange();
+    }
+    this.lastLabel = label;
 
-    // 포즈 → 구역 매핑
-    const poseToZone = {
-      "왼쪽": "LEFT",
-      "정면": "CENTER",
-      "오른쪽": "RIGHT"
-    };
+    if (!target) return null;
 
-    const newPosition = poseToZone[pose];
-    if (newPosition && newPosition !== this.basketPosition) {
-      this.basketPosition = newPosition;
+    if (target.zone !== undefined) {
+      this.core.moveBasket(target.zone);
+    } else if (isNewLabel) {
+      this.performAction(target.action);
+    }
+    return target;
+  }
 
-      if (this.onBasketMove) {
-        this.onBasketMove(this.basketPosition);
-      }
+  /**
+   * 매핑된 동작 실행
+   * @param {string} action - LabelMapping.ACTIONS의 키
+   */
+  performAction(action) {
+    const zones = this.core.zones;
+    const index = zones.indexOf(this.core.basketPosition);
+
+    if (action === "moveLeft") {
+      this.core.moveBasket(zones[Math.max(index - 1, 0)]);
+    } else if (action === "moveRight") {
+      this.core.moveBasket(zones[Math.min(index + 1, zones.length - 1)]);
+    }
+    // "ignore"는 아무 동작도 하지 않음
+  }
+
+  /**
+   * 바구니를 구역으로 직접 이동 (키보드/마우스/터치 입력)
+   * @param {string} zone - 구역 이름
+   */
+  moveBasketToZone(zone) {
+    if (this.isPaused) return;
+    if (this.core.moveBasket(zone)) this.updateFreeBasketUI();
+  }
+
+  /**
+   * 바구니를 가로 위치로 이동 (연속 조작 모드의 키포인트 입력, 몸이 움직이는 방향이 바뀌면 자세 바꾼 횟수로 기록)
+   * @param {number} x - 가로 위치 (0~1)
+   */
+  moveBasketTo(x) {
+    if (this.isPaused) return;
+    if (this.core.isGameActive) {
+      this.analytics.recordBodyPosition(x);
+    }
+    if (this.core.moveBasketTo(x)) this.updateFreeBasketUI();
+  }
 
-      // 바구니 위치 UI 업데이트
+  /**
+   * 연속 조작 모드의 바구니 위치 갱신 (구역이 바뀌지 않아도 움직이므로 basketMove 이벤트와 별도로 이동할 때마다)
+   */
+  updateFreeBasketUI() {
+    if (this.core.controlMode === "continuous") {
       this.updateBasketUI();
     }
   }
@@ -530,132 +829,263 @@ class GameEngine {
    */
   updateUI() {
     // 점수 업데이트
-    const scoreEl = document.getElementById("score");
-    if (scoreEl) scoreEl.textContent = this.score;
+    const scoreEl = this.getElement("score");
+    if (scoreEl) scoreEl.textContent = this.core.score;
 
     // 레벨 업데이트
-    const levelEl = document.getElementById("level");
-    if (levelEl) levelEl.textContent = this.level;
+    const levelEl = this.getElement("level");
+    if (levelEl) levelEl.textContent = this.core.level;
 
     // 미스 횟수 업데이트
-    const missEl = document.getElementById("miss-count");
-    if (missEl) missEl.textContent = `${this.missCount} / ${this.maxMisses}`;
+    const missEl = this.getElement("missCount");
+    if (missEl) missEl.textContent = `${this.core.missCount} / ${this.core.maxMisses}`;
+
+    // 콤보 업데이트
+    this.updateComboUI();
 
     // 시간 업데이트
     this.updateTimeUI();
 
     // 바구니 위치 업데이트
     this.updateBasketUI();
+
+    // 아이템 효과 업데이트
+    this.updateEffectsUI();
   }
 
   /**
-   * 시간 UI 업데이트
+   * 콤보 수, 배율 배지, 최고 콤보 업데이트 (배율이 1이면 배지 숨김, 배율이 오르면 배지 애니메이션)
    */
-  updateTimeUI() {
-    const timeEl = document.getElementById("time-remaining");
-    if (timeEl) timeEl.textContent = this.levelTimeRemaining;
+  updateComboUI() {
+    const { combo, multiplier, bestCombo } = this.core.getComboState();
+
+    const comboEl = this.getElement("combo");
+    if (comboEl) comboEl.textContent = combo;
+
+    const bestComboEl = this.getElement("bestCombo");
+    if (bestComboEl) bestComboEl.textContent = bestCombo;
+
+    const badgeEl = this.getElement("comboMultiplier");
+    if (badgeEl) {
+      badgeEl.textContent = `x${multiplier}`;
+      badgeEl.hidden = multiplier <= 1;
+      if (multiplier > this.comboMultiplier) {
+        badgeEl.classList.remove("bump");
+        void badgeEl.offsetWidth;
+        badgeEl.classList.add("bump");
+      }
+    }
+    this.comboMultiplier = multiplier;
   }
 
   /**
-   * 바구니 UI 업데이트
+   * 아이템 효과 UI 업데이트 (남은 시간은 초 단위로 올림 표시, 바뀔 때만 다시 그림)
    */
-  updateBasketUI() {
-    // 모든 바구니에서 active 클래스 제거
-    document.querySelectorAll(".basket").forEach(basket => {
-      basket.classList.remove("active");
+  updateEffectsUI() {
+    const effectsEl = this.getElement("effects");
+    if (!effectsEl) return;
+
+    const { effects, shieldCount } = this.core.getEffectState();
+    const badges = Object.entries(effects).map(([name, remaining]) => {
+      const effect = ItemRegistry.EFFECTS[name] || { icon: "", name };
+      return `${effect.icon} ${effect.name} ${Math.ceil(remaining)}초`;
     });
-
-    // 현재 위치의 바구니에 active 클래스 추가
-    const currentBasket = document.querySelector(`.basket[data-zone="${this.basketPosition}"]`);
-    if (currentBasket) {
-      currentBasket.classList.add("active");
+    if (shieldCount > 0) {
+      badges.push(`🛡️ 실드 ×${shieldCount}`);
     }
+
+    const text = badges.join("|");
+    if (text === this.effectsText) return;
+    this.effectsText = text;
+
+    effectsEl.innerHTML = "";
+    badges.forEach(badge => {
+      const badgeEl = document.createElement("span");
+      badgeEl.className = "effect-badge";
+      badgeEl.textContent = badge;
+      effectsEl.appendChild(badgeEl);
+    });
   }
 
   /**
-   * 아이템 렌더링
+   * 이 게임의 구역으로 구역/바구니 DOM 다시 생성
    */
-  renderItems() {
-    const gameArea = document.getElementById("game-area");
+  renderZones() {
+    const continuous = this.core.controlMode === "continuous";
+    GameEngine.renderZoneLayout(this.core.zones, this.core.basketPosition, {
+      basketWidth: continuous ? this.core.basketWidth : null,
+      gameArea: this.getElement("gameArea")
+    });
+  }
+
+  /**
+   * 게임 화면에 구역과 바구니 DOM 생성 (게임 전에도 구역 개수를 미리 보여줄 때 사용)
+   * @param {Array<string>} zones - 구역 이름 (왼쪽부터)
+   * @param {string} activeZone - 바구니가 있는 구역
+   * @param {Object} options - { basketWidth, gameArea }
+   *   basketWidth: 값이 있으면 구역 바구니 대신 자유롭게 움직이는 바구니 하나 (연속 조작 모드)
+   *   gameArea: 그릴 게임 화면 요소 (기본 #game-area)
+   */
+  static renderZoneLayout(zones, activeZone = null, options = {}) {
+    const { basketWidth = null, gameArea = document.getElementById("game-area") } = options;
     if (!gameArea) return;
 
-    // 현재 렌더링된 아이템들의 ID 추적
-    const existingItemDOMs = new Map();
-    gameArea.querySelectorAll(".item").forEach(el => {
-      const itemId = el.getAttribute("data-item-id");
-      if (itemId) {
-        existingItemDOMs.set(itemId, el);
+    // 이전 구역/바구니/아이템 제거
+    gameArea.querySelectorAll(".zone, .baskets, .item").forEach(el => el.remove());
+    gameArea.setAttribute("data-zone-count", zones.length);
+
+    const basketsEl = document.createElement("div");
+    basketsEl.className = "baskets";
+
+    zones.forEach(zone => {
+      const zoneEl = document.createElement("div");
+      zoneEl.className = "zone";
+      zoneEl.setAttribute("data-zone", zone);
+
+      const labelEl = document.createElement("span");
+      labelEl.className = "zone-label";
+      labelEl.textContent = zone;
+      zoneEl.appendChild(labelEl);
+      gameArea.appendChild(zoneEl);
+
+      if (basketWidth === null) {
+        const basketEl = document.createElement("div");
+        basketEl.className = zone === activeZone ? "basket active" : "basket";
+        basketEl.setAttribute("data-zone", zone);
+        basketEl.textContent = "🧺";
+        basketsEl.appendChild(basketEl);
       }
     });
 
-    // 현재 아이템 목록의 ID 추적
-    const currentItemIds = new Set(this.items.map(item => item.id));
+    // 연속 조작 모드: 받는 범위(바구니 너비)를 표시하는 바구니 하나
+    if (basketWidth !== null) {
+      const basketEl = document.createElement("div");
+      basketEl.className = "basket free active";
+      basketEl.style.width = `${basketWidth * 100}%`;
+      basketEl.textContent = "🧺";
+      basketsEl.appendChild(basketEl);
+    }
+
+    gameArea.appendChild(basketsEl);
+  }
+
+  /**
+   * 시간 UI 업데이트 (전체 제한 시간이 있는 모드는 전체 남은 시간)
+   */
+  updateTimeUI() {
+    const timeEl = this.getElement("timeRemaining");
+    if (timeEl) timeEl.textContent = this.core.getTimeRemaining();
+  }
+
+  /**
+   * 연습 모드의 목표 구역 강조 및 안내 (zone이 null이면 강조 해제)
+   */
+  showTargetZone(zone) {
+    const gameArea = this.getElement("gameArea");
+    if (gameArea) {
+      gameArea.querySelectorAll(".zone").forEach(zoneEl => {
+        zoneEl.classList.toggle("target", zoneEl.getAttribute("data-zone") === zone);
+      });
+    }
+    if (zone) {
+      this.showFeedback(`🎯 ${zone}(으)로 이동!`, zone, "target");
+    }
+  }
+
+  /**
+   * 바구니 UI 업데이트
+   */
+  updateBasketUI() {
+    const gameArea = this.getElement("gameArea");
+    if (!gameArea) return;
 
-    // caught 상태가 아닌 기존 DOM 삭제
-    existingItemDOMs.forEach((el, itemId) => {
-      if (!currentItemIds.has(itemId)) {
-        el.remove();
+    // 연속 조작 모드: 바구니 하나를 가로 위치로 이동
+    if (this.core.controlMode === "continuous") {
+      const freeBasket = gameArea.querySelector(".basket.free");
+      if (freeBasket) {
+        freeBasket.style.left = `${(this.core.basketX - this.core.basketWidth / 2) * 100}%`;
       }
+      return;
+    }
+
+    // 모든 바구니에서 active 클래스 제거
+    gameArea.querySelectorAll(".basket").forEach(basket => {
+      basket.classList.remove("active");
     });
 
-    // 아이템 렌더링
-    this.items.forEach(item => {
-      const itemId = item.id;
-      let itemEl = existingItemDOMs.get(itemId);
-
-      // 새로운 아이템이거나 아직 DOM에 없으면 생성
-      if (!itemEl) {
-        itemEl = document.createElement("div");
-        itemEl.className = `item item-${item.type}`;
-        itemEl.textContent = item.icon;
-        itemEl.setAttribute("data-zone", item.zone);
-        itemEl.setAttribute("data-item-id", itemId);
-        gameArea.appendChild(itemEl);
-      }
+    // 현재 위치의 바구니에 active 클래스 추가
+    const currentBasket = gameArea.querySelector(`.basket[data-zone="${this.core.basketPosition}"]`);
+    if (currentBasket) {
+      currentBasket.classList.add("active");
+    }
+  }
 
-      // 위치 업데이트 (caught 여부와 관계없이)
-      itemEl.style.top = `${item.currentTop}%`;
-
-      // caught 상태 확인
-      if (item.caught) {
-        // caught 상태: caught 클래스 추가하여 애니메이션 시작
-        if (!itemEl.classList.contains("caught")) {
-          itemEl.classList.add("caught");
-        }
-      } else {
-        // caught 상태 아님: 애니메이션 비활성화
-        itemEl.style.animation = "none";
+  /**
+   * 아이템 위치 렌더링 (화면에 있는 아이템 DOM만 갱신, DOM 검색 없음)
+   * @param {number} alpha - 다음 step까지 진행한 비율 (떨어지는 아이템을 그만큼 더 내려 그림)
+   */
+  renderItems(alpha = 0) {
+    const moving = alpha > 0 && this.core.stateMachine.isRunning && !this.core.isLevelUpPause;
+    const fallScale = this.core.getFallSpeedScale();
+
+    this.itemViews.forEach(({ item, el }) => {
+      let top = item.currentTop;
+      if (moving && !item.caught) {
+        top += 140 / item.dropTime * fallScale * this.stepTime * alpha;
       }
+      el.style.top = `${top}%`;
     });
   }
 
   /**
-   * 타이머 정리
+   * 새 아이템 DOM 만들기 (풀에 남는 요소가 있으면 다시 사용)
+   * @param {Object} item - 코어 아이템
    */
-  clearTimers() {
-    if (this.levelTimer) {
-      clearInterval(this.levelTimer);
-      this.levelTimer = null;
-    }
+  addItemView(item) {
+    const gameArea = this.getElement("gameArea");
+    if (!gameArea) return;
 
-    if (this.itemSpawnTimer) {
-      clearInterval(this.itemSpawnTimer);
-      this.itemSpawnTimer = null;
+    const el = this.itemPool.pop() || document.createElement("div");
+    el.className = `item item-${item.type}`;
+    el.textContent = item.icon;
+    el.setAttribute("data-zone", item.zone);
+    el.setAttribute("data-item-id", item.id);
+    el.style.left = `${item.x * 100}%`;
+    el.style.top = `${item.currentTop}%`;
+    // 낙하 위치는 renderItems가 정하므로 CSS 애니메이션은 끔 (받으면 caught 클래스의 애니메이션이 우선)
+    el.style.animation = "none";
+    el.style.display = "";
+
+    // 구역을 다시 그리면서 게임 화면에서 빠진 요소일 수 있음
+    if (el.parentNode !== gameArea) {
+      gameArea.appendChild(el);
     }
+    this.itemViews.set(item.id, { item, el });
+  }
 
-    if (this.itemUpdateTimer) {
-      clearInterval(this.itemUpdateTimer);
-      this.itemUpdateTimer = null;
-    }
+  /**
+   * 아이템 DOM 숨기고 풀로 돌려놓기
+   * @param {Object} item - 코어 아이템
+   */
+  releaseItemView(item) {
+    const view = this.itemViews.get(item.id);
+    if (!view) return;
 
-    if (this.levelUpCountdownTimer) {
-      clearInterval(this.levelUpCountdownTimer);
-      this.levelUpCountdownTimer = null;
-    }
+    view.el.style.display = "none";
+    this.itemPool.push(view.el);
+    this.itemViews.delete(item.id);
+  }
+
+  /**
+   * 화면의 아이템 DOM을 모두 풀로 돌려놓기 (코어는 start에서 이벤트 없이 아이템을 비우므로 직접 호출)
+   */
+  clearItemViews() {
+    this.itemViews.forEach(({ item }) => this.releaseItemView(item));
   }
 
   /**
    * 콜백 등록
+   * 점수 변경 콜백은 (score, { combo, multiplier, bestCombo })를 받음
    */
   setScoreChangeCallback(callback) {
     this.onScoreChange = callback;
@@ -678,19 +1108,51 @@ class GameEngine {
   }
 
   /**
-   * 현재 게임 상태 반환
+   * @param {Function} callback - (isPaused, reason) => void (재개는 카운트다운이 끝났을 때 호출)
+   */
+  setPauseChangeCallback(callback) {
+    this.onPauseChange = callback;
+  }
+
+  /**
+   * 현재 게임 상태 반환 (코어 상태 + 게임 통계)
    */
   getGameState() {
-    return {
-      isActive: this.isGameActive,
-      score: this.score,
-      level: this.level,
-      missCount: this.missCount,
-      basketPosition: this.basketPosition,
-      itemCount: this.items.length
-    };
+    return { ...this.core.getState(), stats: this.getStats() };
   }
 }
 
+/**
+ * 기본 화면 요소 id (index.html)
+ */
+GameEngine.DEFAULT_ELEMENT_IDS = {
+  gameArea: "game-area",
+  score: "score",
+  level: "level",
+  missCount: "miss-count",
+  combo: "combo",
+  comboMultiplier: "combo-multiplier",
+  bestCombo: "best-combo",
+  timeRemaining: "time-remaining",
+  effects: "effects",
+  feedback: "feedback",
+  levelUpOverlay: "levelup-overlay",
+  gameOverOverlay: "gameover-overlay",
+  pauseOverlay: "pause-overlay"
+};
+
+/**
+ * 일시정지 사유 → 오버레이에 표시할 안내
+ */
+GameEngine.PAUSE_REASONS = {
+  button: "▶ 계속을 누르면 이어서 합니다",
+  hidden: "다른 화면으로 이동해서 멈췄어요. ▶ 계속을 누르면 이어서 합니다",
+  absent: "화면에서 사람이 보이지 않아요. 다시 카메라 앞에 서면 이어서 합니다"
+};
+GameEngine.RESUME_COUNTDOWN = 3; // 재개 전 카운트다운 (초)
+GameEngine.STEP_TIME = 1 / 60; // 코어 진행 step (초)
+GameEngine.MAX_FRAME_TIME = 0.25; // 한 프레임에 진행할 최대 경과 시간 (초)
+GameEngine.HISTOGRAM_HEIGHT = 80; // 반응 시간 히스토그램의 가장 높은 막대 (px)
+
 // 전역으로 내보내기
 window.GameEngine = GameEngine;
@@ -0,0 +1,195 @@
+/**
+ * gameMode.js
+ * 게임 모드: 레벨 팩(난이도) 위에서 끝나는 조건과 점수 규칙을 바꿈
+ *
+ * 모드 정의 항목:
+ * - name / label / description: 모드 이름 (GameMode.BUILT_IN의 키) / 화면 이름 / 설명
+ * - timeLimit: 전체 제한 시간 (초, 지나면 게임 끝, null이면 없음)
+ * - rounds: 떨어뜨릴 아이템 수 (다 처리하면 게임 끝, null이면 없음)
+ * - levelUpPause: 단계 시간이 끝나면 레벨업 카운트다운으로 멈추는지 (false면 멈추지 않고 바로 다음 단계)
+ * - rampDifficulty: 단계 안에서도 다음 단계 난이도(낙하 시간)로 조금씩 빨라지는지
+ * - missGameOver: 미스가 단계의 missAllowance에 닿으면 게임 오버인지
+ * - bombPenalty: 폭탄을 받았을 때 감점 (null이면 게임 오버)
+ * - excludeItems: 나오지 않는 아이템 종류
+ * - targetZones: 연습용 목표 구역 (아이템을 한 번에 하나씩, 매번 새 목표 구역에만 떨어뜨림)
+ *
+ * GameCore가 options.mode로 받아 사용 (DOM 없음, 브라우저(window)와 Node(require) 양쪽에서 실행 가능)
+ */
+
+class GameMode {
+  /**
+   * @param {Object} definition - 모드 정의
+   */
+  constructor(definition) {
+    GameMode.validate(definition);
+
+    this.name = definition.name;
+    this.label = definition.label;
+    this.description = definition.description || "";
+    this.timeLimit = definition.timeLimit || null;
+    this.rounds = definition.rounds || null;
+    this.levelUpPause = definition.levelUpPause !== false;
+    this.rampDifficulty = !!definition.rampDifficulty;
+    this.missGameOver = definition.missGameOver !== false;
+    this.bombPenalty = definition.bombPenalty !== undefined ? definition.bombPenalty : null;
+    this.excludeItems = definition.excludeItems || [];
+    this.targetZones = !!definition.targetZones;
+  }
+
+  /**
+   * 기본 모드 생성
+   * @param {string} name - GameMode.BUILT_IN의 키 (기본 "classic")
+   */
+  static create(name = "classic") {
+    const definition = GameMode.BUILT_IN[name];
+    if (!definition) {
+      throw new Error(`알 수 없는 게임 모드입니다: ${name}`);
+    }
+    return new GameMode({ name, ...definition });
+  }
+
+  /**
+   * 모드 정의 검사 (잘못되면 Error)
+   */
+  static validate(definition) {
+    if (!definition || typeof definition !== "object") {
+      throw new Error("게임 모드 형식이 올바르지 않습니다.");
+    }
+    if (typeof definition.name !== "string" || definition.name === "") {
+      throw new Error("게임 모드에 name(이름)이 필요합니다.");
+    }
+    ["timeLimit", "rounds"].forEach(field => {
+      const value = definition[field];
+      if (value !== undefined && value !== null && !(typeof value === "number" && value > 0)) {
+        throw new Error(`${definition.name} 모드의 ${field}는 0보다 큰 숫자여야 합니다.`);
+      }
+    });
+    if (definition.excludeItems !== undefined && !Array.isArray(definition.excludeItems)) {
+      throw new Error(`${definition.name} 모드의 excludeItems는 배열이어야 합니다.`);
+    }
+  }
+
+  /**
+   * 이 모드에서 나오는 아이템인지
+   * @param {string} type - 아이템 종류
+   */
+  allowsItem(type) {
+    return !this.excludeItems.includes(type);
+  }
+
+  /**
+   * 게임 방법에 보여 줄 규칙 (폭탄, 미스, 끝나는 조건)
+   * @param {number} missAllowance - 1단계의 게임 오버 미스 횟수 (레벨 팩)
+   * @returns {Array<string>} 규칙 한 줄씩
+   */
+  describeRules(missAllowance) {
+    const bombGameOver = this.allowsItem("bomb") && this.bombPenalty === null;
+    const rules = [];
+
+    if (!this.allowsItem("bomb")) {
+      rules.push("💣 폭탄 없음");
+    } else {
+      rules.push(bombGameOver ? "💣 폭탄 = 게임오버" : `💣 폭탄 = -${this.bombPenalty}점`);
+    }
+    rules.push(this.missGameOver ? `미스 ${missAllowance}회 = 게임오버` : "미스해도 게임오버 없음");
+
+    if (this.timeLimit) rules.push(`⏱️ ${this.timeLimit}초가 지나면 끝`);
+    if (this.rounds) rules.push(`🎯 과일 ${this.rounds}개를 마치면 끝`);
+    if (!this.timeLimit && !this.rounds && !this.missGameOver && !bombGameOver) {
+      rules.push("⏹ Stop을 눌러 끝냄");
+    }
+    return rules;
+  }
+
+  /**
+   * 끝나는 조건 검사 (step마다)
+   * @param {GameCore} game - 게임
+   * @returns {string|null} 끝났으면 사유, 아니면 null
+   */
+  checkEnd(game) {
+    if (this.timeLimit && game.time >= this.timeLimit - GameMode.TIME_EPSILON) {
+      return `⏱️ ${this.timeLimit}초가 끝났습니다!`;
+    }
+    if (this.rounds && game.spawnedCount >= this.rounds && game.items.length === 0) {
+      return `🎯 연습 ${this.rounds}개를 마쳤습니다!`;
+    }
+    return null;
+  }
+
+  /**
+   * 남은 전체 시간 (초 단위 올림, 제한 시간이 없으면 null)
+   */
+  getTimeRemaining(game) {
+    if (!this.timeLimit) return null;
+    return Math.max(0, Math.ceil(this.timeLimit - game.time - GameMode.TIME_EPSILON));
+  }
+
+  /**
+   * 폭탄을 받았을 때 (실드로 막지 못한 경우)
+   */
+  onBomb(game, item) {
+    if (this.bombPenalty === null) {
+      game.gameOver("폭탄을 받았습니다!");
+    } else {
+      game.addScore(-this.bombPenalty, item);
+    }
+  }
+
+  /**
+   * 미스가 단계의 허용 횟수에 닿았을 때
+   */
+  onMissLimit(game) {
+    if (this.missGameOver) {
+      game.gameOver(`과일을 ${game.maxMisses}번 놓쳤습니다!`);
+    }
+  }
+}
+
+GameMode.TIME_EPSILON = 1e-6; // step 누적 오차 (1/60초를 3600번 더해도 60이 안 될 수 있음)
+
+/**
+ * 기본 모드 (표시 순서)
+ */
+GameMode.BUILT_IN = {
+  classic: {
+    label: "클래식",
+    description: "단계를 버티며 점수 쌓기 (미스 허용 횟수를 넘기거나 폭탄을 받으면 끝)"
+  },
+  timeAttack: {
+    label: "타임 어택",
+    description: "60초 동안 최대한 많은 점수 (게임 오버 없음, 폭탄은 -300점)",
+    timeLimit: 60,
+    levelUpPause: false,
+    missGameOver: false,
+    bombPenalty: 300
+  },
+  endless: {
+    label: "무한",
+    description: "레벨업 휴식 없이 계속 빨라짐 (미스 허용 횟수를 넘기거나 폭탄을 받으면 끝)",
+    levelUpPause: false,
+    rampDifficulty: true
+  },
+  zen: {
+    label: "젠",
+    description: "폭탄도 게임 오버도 없는 몸풀기 (Stop으로 끝냄)",
+    missGameOver: false,
+    excludeItems: ["bomb"]
+  },
+  practice: {
+    label: "연습",
+    description: "안내하는 구역으로 움직여 과일 받기 20번 (폭탄/썩은 과일 없음, 게임 오버 없음)",
+    rounds: 20,
+    levelUpPause: false,
+    missGameOver: false,
+    excludeItems: ["bomb", "rotten"],
+    targetZones: true
+  }
+};
+
+// 전역으로 내보내기 (브라우저) + CommonJS 내보내기 (Node 헤드리스 실행)
+if (typeof window !== "undefined") {
+  window.GameMode = GameMode;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GameMode;
+}
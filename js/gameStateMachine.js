@@ -0,0 +1,98 @@
+/**
+ * gameStateMachine.js
+ * 게임 진행 단계(상태)와 허용되는 전환
+ *
+ * idle → countdown → playing → levelEnding → levelUp → playing → ... → gameOver
+ * - countdown: 시작 전 카운트다운(idle/gameOver에서 들어감 → 끝나면 playing) 또는
+ *   일시정지를 풀기 전 재개 카운트다운(→ 끝나면 멈추기 전 상태), 둘 다 resumeState로 돌아감
+ * - levelEnding: 단계 시간이 끝나고 화면의 아이템이 모두 처리되기를 기다리는 중
+ * - levelUp: 레벨업 카운트다운 중
+ * - paused: 일시정지 (playing / levelEnding / levelUp / countdown에서 들어감,
+ *   시작 카운트다운 중에 멈추면 재개 카운트다운 뒤 playing)
+ * - gameOver: 게임 오버 또는 Stop으로 끝남 (다시 start하면 countdown)
+ *
+ * 허용되지 않은 전환은 Error를 던짐 → 끝난 게임에 늦게 도착한 콜백이 상태를 바꾸지 못함
+ * 브라우저(window)와 Node(require) 양쪽에서 실행 가능
+ */
+
+class GameStateMachine {
+  constructor() {
+    this.state = "idle";
+    this.resumeState = null; // 카운트다운이 끝나면 돌아갈 상태 (시작이면 playing, 재개면 일시정지 전 상태)
+    this.onChange = null; // 상태 변경 콜백 ({ from, to }) => void
+  }
+
+  /**
+   * 상태 전환 가능 여부
+   * @param {string} to - GameStateMachine.STATES 중 하나
+   */
+  can(to) {
+    return GameStateMachine.TRANSITIONS[this.state].includes(to);
+  }
+
+  /**
+   * 상태 전환 (허용되지 않으면 Error)
+   * @param {string} to - GameStateMachine.STATES 중 하나
+   */
+  transition(to) {
+    if (!this.can(to)) {
+      throw new Error(`게임 상태를 ${this.state}에서 ${to}(으)로 바꿀 수 없습니다.`);
+    }
+
+    const from = this.state;
+    if (to === "paused" && from !== "countdown") {
+      this.resumeState = from;
+    } else if (to === "countdown" && (from === "idle" || from === "gameOver")) {
+      this.resumeState = "playing";
+    } else if (to !== "paused" && to !== "countdown") {
+      this.resumeState = null;
+    }
+    this.state = to;
+
+    if (this.onChange) this.onChange({ from, to });
+  }
+
+  /**
+   * 현재 상태가 states 중 하나인지
+   */
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  /**
+   * 게임이 진행 중인지 (일시정지 포함, 시작 전/끝난 뒤는 false)
+   */
+  get isActive() {
+    return !this.is("idle", "gameOver");
+  }
+
+  /**
+   * 시간이 흐르는 상태인지 (GameCore.step이 진행되는 상태)
+   */
+  get isRunning() {
+    return this.is("playing", "levelEnding", "levelUp");
+  }
+}
+
+GameStateMachine.STATES = ["idle", "countdown", "playing", "levelEnding", "levelUp", "paused", "gameOver"];
+
+/**
+ * 상태별로 갈 수 있는 상태
+ */
+GameStateMachine.TRANSITIONS = {
+  idle: ["countdown"],
+  countdown: ["playing", "levelEnding", "levelUp", "paused", "gameOver"],
+  playing: ["levelEnding", "paused", "gameOver"],
+  levelEnding: ["levelUp", "paused", "gameOver"],
+  levelUp: ["playing", "paused", "gameOver"],
+  paused: ["countdown", "gameOver"],
+  gameOver: ["countdown"]
+};
+
+// 전역으로 내보내기 (브라우저) + CommonJS 내보내기 (Node 헤드리스 실행)
+if (typeof window !== "undefined") {
+  window.GameStateMachine = GameStateMachine;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GameStateMachine;
+}
@@ -0,0 +1,117 @@
+/**
+ * inferenceScheduler.js
+ * 포즈 추론 빈도 조절 (잰 추론 시간에 맞춰 초당 추론 횟수 선택)
+ *
+ * 추론 한 번에 걸린 시간(지연)을 지수 이동 평균으로 재고,
+ * 추론이 간격의 maxBusy(기본 60%)를 넘지 않는 가장 높은 목표 FPS를 rates에서 고름
+ * → 느린 노트북에서는 추론을 덜 자주 해서 화면 그리기와 게임 입력이 밀리지 않음
+ * 목표 FPS가 자주 흔들리지 않도록 sampleWindow번 잰 뒤에만 바꿈
+ */
+
+class InferenceScheduler {
+  /**
+   * @param {Object} options - 옵션 { rates, maxBusy, sampleWindow }
+   *   rates: 고를 수 있는 목표 FPS (높은 것부터, 처음에는 가장 높은 FPS)
+   */
+  constructor(options = {}) {
+    const {
+      rates = InferenceScheduler.RATES,
+      maxBusy = InferenceScheduler.MAX_BUSY,
+      sampleWindow = InferenceScheduler.SAMPLE_WINDOW
+    } = options;
+
+    this.rates = rates.slice().sort((a, b) => b - a);
+    this.maxBusy = maxBusy;
+    this.sampleWindow = sampleWindow;
+
+    this.fps = this.rates[0]; // 지금 목표 FPS
+    this.latency = null; // 추론 지연 평균 (ms, 아직 재지 않았으면 null)
+    this.samples = 0; // 마지막으로 목표를 고른 뒤 잰 횟수
+    this.startedAt = null; // 마지막 추론을 시작한 시각 (ms)
+    this.onRateChange = null; // (fps, latency) => void
+  }
+
+  /**
+   * 추론 간격 (ms)
+   */
+  get interval() {
+    return 1000 / this.fps;
+  }
+
+  /**
+   * 지금 추론을 시작할 차례인지 (화면 갱신 간격이 조금 어긋나도 한 프레임 늦어지지 않도록 여유를 둠)
+   * @param {number} now - 현재 시각 (ms)
+   */
+  isDue(now) {
+    return this.startedAt === null || now - this.startedAt >= this.interval - InferenceScheduler.TOLERANCE;
+  }
+
+  /**
+   * 추론 시작 기록
+   * @param {number} now - 현재 시각 (ms)
+   */
+  begin(now) {
+    this.startedAt = now;
+  }
+
+  /**
+   * 추론 끝 기록 (지연을 재고 sampleWindow번마다 목표 FPS를 다시 고름)
+   * @param {number} now - 현재 시각 (ms)
+   * @returns {number|null} 이번 추론 지연 (ms, 시작 기록이 없으면 null)
+   */
+  end(now) {
+    if (this.startedAt === null) return null;
+
+    const latency = now - this.startedAt;
+    this.latency = this.latency === null
+      ? latency
+      : this.latency + (latency - this.latency) * InferenceScheduler.SMOOTHING;
+
+    this.samples++;
+    if (this.samples >= this.sampleWindow) {
+      this.samples = 0;
+      this.chooseRate();
+    }
+    return latency;
+  }
+
+  /**
+   * 지연 평균으로 목표 FPS 고르기 (바뀌면 onRateChange 호출)
+   */
+  chooseRate() {
+    const fps = this.rates.find(rate => this.latency <= 1000 / rate * this.maxBusy) || this.rates[this.rates.length - 1];
+    if (fps === this.fps) return;
+
+    this.fps = fps;
+    if (this.onRateChange) this.onRateChange(fps, this.latency);
+  }
+
+  /**
+   * 다시 잼 (모델을 바꾸거나 추론 방식이 바뀌었을 때, 목표 FPS는 가장 높은 것부터)
+   */
+  reset() {
+    this.latency = null;
+    this.samples = 0;
+    this.startedAt = null;
+    if (this.fps !== this.rates[0]) {
+      this.fps = this.rates[0];
+      if (this.onRateChange) this.onRateChange(this.fps, null);
+    }
+  }
+
+  /**
+   * 지금 상태 { fps, latency }
+   */
+  getState() {
+    return { fps: this.fps, latency: this.latency };
+  }
+}
+
+InferenceScheduler.RATES = [30, 20, 15, 10, 5]; // 고를 수 있는 목표 FPS
+InferenceScheduler.MAX_BUSY = 0.6; // 추론이 차지해도 되는 간격 비율
+InferenceScheduler.SAMPLE_WINDOW = 10; // 목표 FPS를 다시 고르기 전에 잴 횟수
+InferenceScheduler.SMOOTHING = 0.2; // 지연 평균에 새 값을 반영하는 비율
+InferenceScheduler.TOLERANCE = 4; // 추론 간격 여유 (ms)
+
+// 전역으로 내보내기
+window.InferenceScheduler = InferenceScheduler;
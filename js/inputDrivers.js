@@ -0,0 +1,115 @@
+/**
+ * inputDrivers.js
+ * 포즈 대신 바구니를 움직이는 입력 드라이버 (키보드 / 마우스 / 터치)
+ *
+ * 모든 드라이버는 같은 형태를 가짐
+ * - start(router): 이벤트 리스너 등록, 구역이 정해지면 router.requestZone(zone, source) 호출
+ * - stop(): 이벤트 리스너 해제
+ */
+
+/**
+ * 키보드 입력
+ * - ←/→ (또는 A/D): 한 구역씩 이동
+ * - 숫자 1~9: 해당 번호의 구역으로 바로 이동
+ */
+class KeyboardInputDriver {
+  constructor() {
+    this.router = null;
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  start(router) {
+    this.router = router;
+    window.addEventListener("keydown", this.handleKeyDown);
+  }
+
+  stop() {
+    window.removeEventListener("keydown", this.handleKeyDown);
+    this.router = null;
+  }
+
+  handleKeyDown(event) {
+    // 입력창에 타이핑 중일 때는 무시
+    const tagName = event.target && event.target.tagName;
+    if (tagName === "INPUT" || tagName === "SELECT" || tagName === "TEXTAREA") return;
+
+    const zones = this.router.getZones();
+    const currentIndex = zones.indexOf(this.router.getCurrentZone());
+    let targetIndex = -1;
+
+    if (event.key === "ArrowLeft" || event.key === "a" || event.key === "A") {
+      targetIndex = Math.max(currentIndex - 1, 0);
+    } else if (event.key === "ArrowRight" || event.key === "d" || event.key === "D") {
+      targetIndex = Math.min(currentIndex + 1, zones.length - 1);
+    } else if (/^[1-9]$/.test(event.key)) {
+      targetIndex = Number(event.key) - 1;
+    }
+
+    if (targetIndex < 0 || targetIndex >= zones.length) return;
+
+    event.preventDefault();
+    this.router.requestZone(zones[targetIndex], "keyboard");
+  }
+}
+
+/**
+ * 마우스 / 터치 입력
+ * - 마우스: 게임 화면 위의 가로 위치를 따라 구역 이동
+ * - 터치/클릭: 누른 구역으로 이동
+ */
+class PointerInputDriver {
+  /**
+   * @param {Object} options - 옵션 { element, followMouse }
+   */
+  constructor(options = {}) {
+    this.element = options.element || document.getElementById("game-area");
+    this.followMouse = options.followMouse !== false;
+    this.router = null;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+  }
+
+  start(router) {
+    if (!this.element) return;
+
+    this.router = router;
+    this.element.addEventListener("pointerdown", this.handlePointerDown);
+    this.element.addEventListener("pointermove", this.handlePointerMove);
+  }
+
+  stop() {
+    if (this.element) {
+      this.element.removeEventListener("pointerdown", this.handlePointerDown);
+      this.element.removeEventListener("pointermove", this.handlePointerMove);
+    }
+    this.router = null;
+  }
+
+  handlePointerDown(event) {
+    this.requestZoneAt(event.clientX, event.pointerType === "mouse" ? "mouse" : "touch");
+  }
+
+  handlePointerMove(event) {
+    // 터치는 누를 때만, 마우스는 움직임을 따라감
+    if (!this.followMouse || event.pointerType !== "mouse") return;
+    this.requestZoneAt(event.clientX, "mouse");
+  }
+
+  /**
+   * 화면 x 좌표 → 구역
+   */
+  requestZoneAt(clientX, source) {
+    const zones = this.router.getZones();
+    const rect = this.element.getBoundingClientRect();
+    if (rect.width <= 0 || zones.length === 0) return;
+
+    const ratio = (clientX - rect.left) / rect.width;
+    const index = Math.min(Math.max(Math.floor(ratio * zones.length), 0), zones.length - 1);
+    this.router.requestZone(zones[index], source);
+  }
+}
+
+// 전역으로 내보내기
+window.KeyboardInputDriver = KeyboardInputDriver;
+window.PointerInputDriver = PointerInputDriver;
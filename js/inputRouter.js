@@ -0,0 +1,81 @@
+/**
+ * inputRouter.js
+ * 여러 입력 드라이버(키보드, 마우스, 터치 등)를 한 곳으로 모아 바구니 이동으로 전달
+ *
+ * 포즈 인식과 함께 쓰거나(디버깅/접근성), 웹캠이 없을 때 대신 사용
+ */
+
+class InputRouter {
+  constructor() {
+    this.drivers = new Map(); // 이름 → 실행 중인 드라이버
+    this.onZone = null; // 구역 요청 콜백
+    this.zoneProvider = () => [];
+    this.currentZoneProvider = () => null;
+  }
+
+  /**
+   * 구역 목록 / 현재 바구니 구역을 알려주는 함수 등록
+   * @param {Function} getZones - () => string[]
+   * @param {Function} getCurrentZone - () => string
+   */
+  setZoneProvider(getZones, getCurrentZone) {
+    this.zoneProvider = getZones;
+    this.currentZoneProvider = getCurrentZone;
+  }
+
+  /**
+   * 구역 요청 콜백 등록
+   * @param {Function} callback - (zone, source) => void
+   */
+  setZoneCallback(callback) {
+    this.onZone = callback;
+  }
+
+  getZones() {
+    return this.zoneProvider();
+  }
+
+  getCurrentZone() {
+    return this.currentZoneProvider();
+  }
+
+  /**
+   * 드라이버 켜기
+   * @param {string} name - 드라이버 이름 ("keyboard", "pointer" 등)
+   * @param {Object} driver - start(router)/stop()을 가진 드라이버
+   */
+  enable(name, driver) {
+    this.disable(name);
+    driver.start(this);
+    this.drivers.set(name, driver);
+  }
+
+  /**
+   * 드라이버 끄기
+   */
+  disable(name) {
+    const driver = this.drivers.get(name);
+    if (driver) {
+      driver.stop();
+      this.drivers.delete(name);
+    }
+  }
+
+  isEnabled(name) {
+    return this.drivers.has(name);
+  }
+
+  /**
+   * 드라이버가 구역 이동을 요청할 때 호출
+   * @param {string} zone - 이동할 구역
+   * @param {string} source - 입력 출처 ("keyboard", "mouse", "touch")
+   */
+  requestZone(zone, source) {
+    if (this.onZone) {
+      this.onZone(zone, source);
+    }
+  }
+}
+
+// 전역으로 내보내기
+window.InputRouter = InputRouter;
@@ -0,0 +1,208 @@
+/**
+ * itemRegistry.js
+ * 아이템 종류 등록소
+ *
+ * 아이템 종류마다 아이콘, 출현 가중치, 점수와 함께
+ * 받았을 때(onCatch) / 놓쳤을 때(onMiss) 실행할 동작(hook)을 정의
+ *
+ * hook은 (game, item) => void 형태이며 game은 GameCore
+ * - game.addScore(points, item): 점수 추가 (효과 배율 적용)
+ * - game.missItem(): 미스 1회 추가
+ * - game.removeMiss(): 미스 1회 제거
+ * - game.addEffect(name, seconds): 시간제 효과 시작 ("doubleScore", "slowMotion")
+ * - game.addShield() / game.consumeShield(): 실드 추가 / 사용
+ * - game.showFeedback(message, zone, type): 피드백 메시지
+ * - game.hitBomb(item): 폭탄을 받음 (게임 모드에 따라 게임 오버 또는 감점)
+ * - game.gameOver(reason): 게임 오버
+ */
+
+class ItemRegistry {
+  constructor() {
+    this.definitions = new Map();
+  }
+
+  /**
+   * 기본 아이템이 등록된 등록소 생성
+   */
+  static createDefault() {
+    const registry = new ItemRegistry();
+    ItemRegistry.BUILT_IN_ITEMS.forEach(definition => registry.register(definition));
+    return registry;
+  }
+
+  /**
+   * 아이템 종류 등록
+   * @param {Object} definition - { type, name, icon, points, weight, isBomb, isFruit, onCatch, onMiss }
+   */
+  register(definition) {
+    const { type, icon, points, weight } = definition;
+
+    if (typeof type !== "string" || type === "") {
+      throw new Error("아이템 종류(type)는 비어 있지 않은 문자열이어야 합니다.");
+    }
+    if (typeof icon !== "string" || icon === "") {
+      throw new Error(`"${type}" 아이템에 icon이 필요합니다.`);
+    }
+    if (typeof points !== "number") {
+      throw new Error(`"${type}" 아이템의 points는 숫자여야 합니다.`);
+    }
+    if (typeof weight !== "number" || weight < 0) {
+      throw new Error(`"${type}" 아이템의 weight는 0 이상의 숫자여야 합니다.`);
+    }
+    ["onCatch", "onMiss"].forEach(hook => {
+      if (definition[hook] !== undefined && typeof definition[hook] !== "function") {
+        throw new Error(`"${type}" 아이템의 ${hook}은(는) 함수여야 합니다.`);
+      }
+    });
+
+    this.definitions.set(type, {
+      name: type,
+      isBomb: false,
+      isFruit: false,
+      ...definition
+    });
+  }
+
+  /**
+   * 아이템 종류 정의 반환
+   */
+  get(type) {
+    return this.definitions.get(type);
+  }
+
+  has(type) {
+    return this.definitions.has(type);
+  }
+
+  /**
+   * 등록된 모든 아이템 정의
+   */
+  list() {
+    return Array.from(this.definitions.values());
+  }
+
+  /**
+   * 등록된 아이템 종류 이름 목록
+   */
+  getTypeNames() {
+    return Array.from(this.definitions.keys());
+  }
+
+  /**
+   * 등록소에 선언된 기본 출현 가중치 (레벨 팩에 itemWeights가 없을 때 사용)
+   */
+  getDefaultWeights() {
+    const weights = {};
+    this.definitions.forEach((definition, type) => {
+      weights[type] = definition.weight;
+    });
+    return weights;
+  }
+}
+
+/**
+ * 과일을 받으면 점수, 놓치면 미스
+ */
+function catchFruit(game, item) {
+  game.addScore(item.points, item);
+}
+
+function missFruit(game) {
+  game.missItem();
+}
+
+/**
+ * 기본 아이템
+ * weight는 레벨 팩에 itemWeights가 없을 때의 출현 가중치
+ */
+ItemRegistry.BUILT_IN_ITEMS = [
+  {
+    type: "bomb",
+    name: "폭탄",
+    icon: "💣",
+    points: 0,
+    weight: 3,
+    isBomb: true,
+    onCatch(game, item) {
+      if (game.consumeShield()) {
+        game.showFeedback("🛡️ 실드가 폭탄을 막았습니다!", null, "success");
+      } else {
+        game.hitBomb(item);
+      }
+    }
+  },
+  { type: "apple", name: "사과", icon: "🍎", points: 100, weight: 4, isFruit: true, onCatch: catchFruit, onMiss: missFruit },
+  { type: "pear", name: "배", icon: "🍐", points: 150, weight: 4, isFruit: true, onCatch: catchFruit, onMiss: missFruit },
+  { type: "orange", name: "오렌지", icon: "🍊", points: 200, weight: 4, isFruit: true, onCatch: catchFruit, onMiss: missFruit },
+  {
+    type: "golden",
+    name: "황금 과일",
+    icon: "🌟",
+    points: 300,
+    weight: 0.4,
+    isFruit: true,
+    onCatch(game, item) {
+      game.addScore(item.points, item);
+      game.addEffect("doubleScore", 5);
+    }
+  },
+  {
+    type: "heart",
+    name: "하트",
+    icon: "❤️",
+    points: 0,
+    weight: 0.3,
+    onCatch(game, item) {
+      if (game.removeMiss()) {
+        game.showFeedback("❤️ 미스 1회 회복!", item.zone, "success");
+      }
+    }
+  },
+  {
+    type: "clock",
+    name: "슬로우 시계",
+    icon: "⏰",
+    points: 0,
+    weight: 0.3,
+    onCatch(game) {
+      game.addEffect("slowMotion", 5);
+    }
+  },
+  {
+    type: "shield",
+    name: "실드",
+    icon: "🛡️",
+    points: 0,
+    weight: 0.3,
+    onCatch(game, item) {
+      game.addShield();
+      game.showFeedback("🛡️ 실드 획득!", item.zone, "success");
+    }
+  },
+  {
+    type: "rotten",
+    name: "썩은 과일",
+    icon: "🦠",
+    points: -100,
+    weight: 1,
+    onCatch(game, item) {
+      game.addScore(item.points, item);
+    }
+  }
+];
+
+/**
+ * 시간제 효과 (GameCore.addEffect)
+ */
+ItemRegistry.EFFECTS = {
+  doubleScore: { icon: "✖️2", name: "점수 2배" },
+  slowMotion: { icon: "🐢", name: "슬로우 모션" }
+};
+
+// 전역으로 내보내기 (브라우저) + CommonJS 내보내기 (Node 헤드리스 실행)
+if (typeof window !== "undefined") {
+  window.ItemRegistry = ItemRegistry;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ItemRegistry;
+}
@@ -0,0 +1,159 @@
+/**
+ * keypointTracker.js
+ * PoseNet 키포인트(코 또는 양 어깨 가운데)의 가로 위치 → 연속 바구니 위치(0~1)
+ *
+ * 학습된 분류 모델 없이 몸의 위치만으로 바구니를 움직이는 "연속 조작" 모드에서 사용
+ * - 캘리브레이션: 플레이어가 왼쪽 끝/오른쪽 끝에 서 있을 때의 위치를 측정해
+ *   그 사이를 0~1로 늘려 씀 (캘리브레이션 전에는 화면 전체 너비 기준)
+ * - 지수 이동 평균(EMA)으로 흔들림을 줄임
+ *
+ * 웹캠을 좌우 반전(flip)해서 쓰므로 플레이어가 왼쪽으로 가면 x도 작아짐
+ */
+
+class KeypointTracker {
+  /**
+   * @param {Object} options - 옵션
+   *   source: "nose" | "shoulders" (기준 키포인트, 기본 "shoulders")
+   *   frameWidth: 키포인트 좌표의 가로 크기 (웹캠 크기, 기본 200)
+   *   minConfidence: 이보다 신뢰도가 낮은 키포인트는 무시 (기본 0.5)
+   *   smoothing: EMA 계수 0~1 (클수록 새 값을 많이 반영, 기본 0.5)
+   *   calibration: { left, right } 측정한 왼쪽/오른쪽 끝 (0~1, 없으면 0과 1)
+   */
+  constructor(options = {}) {
+    this.source = options.source || "shoulders";
+    this.frameWidth = options.frameWidth || 200;
+    this.minConfidence = options.minConfidence !== undefined ? options.minConfidence : 0.5;
+    this.smoothing = options.smoothing !== undefined ? options.smoothing : 0.5;
+    this.calibration = options.calibration || null;
+
+    // 현재 (평활화된) 위치
+    this.position = null;
+
+    // 캘리브레이션 진행 상태
+    this.calibratingSide = null; // "left" | "right" | null
+    this.calibrationSamples = [];
+    this.pendingCalibration = null; // 측정했지만 아직 적용하지 않은 { left, right }
+  }
+
+  /**
+   * 키포인트에서 기준점의 가로 위치 (0~1, 보정 전)
+   * @param {Array} keypoints - PoseNet 키포인트 배열
+   * @returns {number|null} 신뢰도가 낮으면 null
+   */
+  getRawX(keypoints) {
+    const find = part => keypoints.find(k => k.part === part && k.score >= this.minConfidence);
+
+    let x = null;
+    if (this.source === "nose") {
+      const nose = find("nose");
+      if (nose) x = nose.position.x;
+    } else {
+      const left = find("leftShoulder");
+      const right = find("rightShoulder");
+      if (left && right) x = (left.position.x + right.position.x) / 2;
+    }
+
+    return x === null ? null : x / this.frameWidth;
+  }
+
+  /**
+   * 새 포즈로 위치 갱신
+   * @param {Array} keypoints - PoseNet 키포인트 배열
+   * @returns {number|null} 바구니 위치 (0~1), 키포인트를 못 찾았으면 null
+   */
+  update(keypoints) {
+    const rawX = this.getRawX(keypoints || []);
+    if (rawX === null) return null;
+
+    if (this.calibratingSide) {
+      this.calibrationSamples.push(rawX);
+    }
+
+    const target = this.normalize(rawX);
+    this.position = this.position === null
+      ? target
+      : this.position + (target - this.position) * this.smoothing;
+    return this.position;
+  }
+
+  /**
+   * 보정 전 위치 → 캘리브레이션 범위 기준 0~1
+   */
+  normalize(rawX) {
+    const { left, right } = this.calibration || { left: 0, right: 1 };
+    const ratio = (rawX - left) / (right - left);
+    return Math.min(Math.max(ratio, 0), 1);
+  }
+
+  /**
+   * 한쪽 끝 측정 시작 (측정 중에 들어온 위치를 모음)
+   * @param {string} side - "left" | "right"
+   */
+  startCalibration(side) {
+    this.calibratingSide = side;
+    this.calibrationSamples = [];
+  }
+
+  /**
+   * 한쪽 끝 측정 종료 (모은 위치의 평균을 그 끝으로 사용)
+   * @returns {number} 측정한 위치 (0~1)
+   */
+  finishCalibration() {
+    const side = this.calibratingSide;
+    const samples = this.calibrationSamples;
+    this.calibratingSide = null;
+    this.calibrationSamples = [];
+
+    if (!side || samples.length === 0) {
+      throw new Error("키포인트가 보이지 않아 위치를 측정하지 못했습니다. 카메라에 상체가 보이게 서 주세요.");
+    }
+
+    const average = samples.reduce((sum, x) => sum + x, 0) / samples.length;
+    this.pendingCalibration = { ...this.pendingCalibration, [side]: average };
+    return average;
+  }
+
+  /**
+   * 양쪽 끝 측정 결과 적용
+   * @returns {Object} { left, right }
+   */
+  applyCalibration() {
+    const measured = this.pendingCalibration || {};
+    this.pendingCalibration = null;
+
+    if (measured.left === undefined || measured.right === undefined) {
+      throw new Error("왼쪽 끝과 오른쪽 끝을 모두 측정해야 합니다.");
+    }
+    if (measured.right - measured.left < KeypointTracker.MIN_CALIBRATION_RANGE) {
+      throw new Error("왼쪽 끝과 오른쪽 끝의 거리가 너무 짧습니다. 더 크게 움직여 주세요.");
+    }
+
+    this.calibration = { left: measured.left, right: measured.right };
+    this.position = null;
+    return this.calibration;
+  }
+
+  /**
+   * 캘리브레이션 초기화 (화면 전체 너비 기준으로)
+   */
+  resetCalibration() {
+    this.calibration = null;
+    this.pendingCalibration = null;
+    this.position = null;
+  }
+
+  /**
+   * 평활화 상태 초기화 (새 게임 시작 시)
+   */
+  reset() {
+    this.position = null;
+  }
+}
+
+/**
+ * 왼쪽 끝과 오른쪽 끝 사이 최소 거리 (화면 너비 비율)
+ */
+KeypointTracker.MIN_CALIBRATION_RANGE = 0.15;
+
+// 전역으로 내보내기
+window.KeypointTracker = KeypointTracker;
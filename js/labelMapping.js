@@ -0,0 +1,185 @@
+/**
+ * labelMapping.js
+ * 모델 라벨(metadata.json의 labels) → 게임 동작 매핑
+ *
+ * 라벨마다 다음 중 하나를 연결
+ * - 구역: { zone: "LEFT" } → 바구니를 해당 구역으로 이동
+ * - 동작: { action: "moveLeft" } → 한 칸 이동 등 (LabelMapping.ACTIONS 참고)
+ * 연결되지 않은 라벨은 "매핑 안 됨"으로 보고됨 (조용히 무시하지 않음)
+ *
+ * JSON 형식 (my_model/label-map.json 또는 내보낸 파일):
+ * { "labels": { "왼쪽": { "zone": "LEFT" }, "위": { "action": "moveLeft" } } }
+ */
+
+class LabelMapping {
+  /**
+   * @param {Object} bindings - 라벨 → { zone } | { action }
+   */
+  constructor(bindings = {}) {
+    this.bindings = {};
+    Object.entries(bindings).forEach(([label, target]) => this.bind(label, target));
+  }
+
+  /**
+   * 모델 라벨 이름으로 기본 매핑 추측
+   * @param {Array<string>} labels - 모델 라벨 목록
+   * @param {Array<string>} zones - 사용 가능한 구역
+   */
+  static createDefault(labels, zones = ["LEFT", "CENTER", "RIGHT"]) {
+    const mapping = new LabelMapping();
+
+    labels.forEach(label => {
+      const key = label.trim().toLowerCase();
+      const zone = Object.keys(LabelMapping.ZONE_ALIASES).find(z =>
+        zones.includes(z) && LabelMapping.ZONE_ALIASES[z].includes(key)
+      );
+      if (zone) {
+        mapping.bind(label, { zone });
+      }
+    });
+
+    return mapping;
+  }
+
+  /**
+   * JSON 데이터에서 매핑 생성
+   * @param {Object} json - { labels: { ... } }
+   * @param {Array<string>} zones - 사용 가능한 구역 (검사용)
+   */
+  static fromJSON(json, zones) {
+    LabelMapping.validate(json, zones);
+    return new LabelMapping(json.labels);
+  }
+
+  /**
+   * JSON 데이터 형식 검사 (잘못되면 Error)
+   */
+  static validate(json, zones = null) {
+    if (!json || typeof json !== "object" || !json.labels || typeof json.labels !== "object") {
+      throw new Error("라벨 매핑 형식이 올바르지 않습니다. { \"labels\": { ... } } 형태여야 합니다.");
+    }
+
+    Object.entries(json.labels).forEach(([label, target]) => {
+      if (!target || typeof target !== "object") {
+        throw new Error(`"${label}" 라벨의 매핑 값이 올바르지 않습니다.`);
+      }
+      if (target.zone !== undefined) {
+        if (zones && !zones.includes(target.zone)) {
+          throw new Error(`"${label}" 라벨의 구역 "${target.zone}"이(가) 없습니다.`);
+        }
+      } else if (target.action !== undefined) {
+        if (!LabelMapping.ACTIONS[target.action]) {
+          throw new Error(`"${label}" 라벨의 동작 "${target.action}"을(를) 알 수 없습니다.`);
+        }
+      } else {
+        throw new Error(`"${label}" 라벨에 zone 또는 action이 필요합니다.`);
+      }
+    });
+  }
+
+  /**
+   * 라벨 연결
+   * @param {string} label - 모델 라벨
+   * @param {Object} target - { zone } | { action }
+   */
+  bind(label, target) {
+    if (target.zone !== undefined) {
+      this.bindings[label] = { zone: target.zone };
+    } else if (target.action !== undefined) {
+      this.bindings[label] = { action: target.action };
+    }
+  }
+
+  /**
+   * 라벨 연결 해제
+   */
+  unbind(label) {
+    delete this.bindings[label];
+  }
+
+  /**
+   * 라벨이 가리키는 대상 반환
+   * @returns {Object|null} { zone } | { action } | null (매핑 안 됨)
+   */
+  resolve(label) {
+    return this.bindings[label] || null;
+  }
+
+  /**
+   * 모델 라벨 중 매핑되지 않은 라벨
+   */
+  getUnmappedLabels(labels) {
+    return labels.filter(label => !this.bindings[label]);
+  }
+
+  /**
+   * 매핑에는 있지만 모델에 없는 라벨
+   */
+  getUnknownLabels(labels) {
+    return Object.keys(this.bindings).filter(label => !labels.includes(label));
+  }
+
+  /**
+   * 현재 게임에 없는 구역을 가리키는 라벨 (구역 개수를 바꾼 경우)
+   * @param {Array<string>} zones - 현재 구역
+   */
+  getLabelsWithMissingZones(zones) {
+    return Object.keys(this.bindings).filter(label => {
+      const { zone } = this.bindings[label];
+      return zone !== undefined && !zones.includes(zone);
+    });
+  }
+
+  /**
+   * 모델 라벨로 바구니를 보낼 수 있는 구역 (왼쪽/오른쪽 이동 동작이 모두 있으면 모든 구역)
+   * @param {Array<string>} labels - 모델 라벨 목록
+   * @param {Array<string>} zones - 현재 구역
+   */
+  getReachableZones(labels, zones) {
+    const targets = labels.map(label => this.resolve(label)).filter(target => target);
+    const actions = targets.map(target => target.action);
+    if (actions.includes("moveLeft") && actions.includes("moveRight")) {
+      return zones.slice();
+    }
+    return zones.filter(zone => targets.some(target => target.zone === zone));
+  }
+
+  /**
+   * 특정 구역을 가리키는 라벨 목록
+   */
+  getLabelsForZone(zone) {
+    return Object.keys(this.bindings).filter(label => this.bindings[label].zone === zone);
+  }
+
+  /**
+   * JSON 데이터로 변환
+   */
+  toJSON() {
+    return { labels: { ...this.bindings } };
+  }
+}
+
+/**
+ * 구역 대신 연결할 수 있는 동작
+ */
+LabelMapping.ACTIONS = {
+  ignore: "무시 (아무 동작 안 함)",
+  moveLeft: "한 칸 왼쪽으로",
+  moveRight: "한 칸 오른쪽으로"
+};
+
+/**
+ * 기본 매핑 추측에 사용하는 라벨 이름 (소문자)
+ */
+LabelMapping.ZONE_ALIASES = {
+  FAR_LEFT: ["맨 왼쪽", "맨왼쪽", "far left", "far_left"],
+  LEFT: ["왼쪽", "좌", "left"],
+  CENTER_LEFT: ["가운데 왼쪽", "center left", "center_left"],
+  CENTER: ["정면", "가운데", "중앙", "center", "middle", "front"],
+  CENTER_RIGHT: ["가운데 오른쪽", "center right", "center_right"],
+  RIGHT: ["오른쪽", "우", "right"],
+  FAR_RIGHT: ["맨 오른쪽", "맨오른쪽", "far right", "far_right"]
+};
+
+// 전역으로 내보내기
+window.LabelMapping = LabelMapping;
@@ -0,0 +1,126 @@
+/**
+ * labelMappingEditor.js
+ * 페이지 안에서 라벨 매핑을 편집하는 표 UI
+ *
+ * 모델 라벨마다 선택 상자를 그리고, 바꾸면 LabelMapping에 바로 반영
+ */
+
+class LabelMappingEditor {
+  /**
+   * @param {HTMLElement} container - 표를 그릴 요소
+   */
+  constructor(container) {
+    this.container = container;
+    this.onChange = null; // 매핑 변경 콜백 (mapping) => void
+  }
+
+  /**
+   * 편집 표 그리기
+   * @param {Array<string>} labels - 모델 라벨 목록
+   * @param {LabelMapping} mapping - 편집할 매핑
+   * @param {Array<string>} zones - 사용 가능한 구역
+   */
+  render(labels, mapping, zones) {
+    if (!this.container) return;
+
+    this.container.innerHTML = "";
+
+    if (labels.length === 0) {
+      this.container.textContent = "불러온 모델이 없습니다.";
+      return;
+    }
+
+    const table = document.createElement("table");
+    table.className = "mapping-table";
+
+    labels.forEach(label => {
+      const row = document.createElement("tr");
+
+      const labelCell = document.createElement("td");
+      labelCell.textContent = label;
+
+      const targetCell = document.createElement("td");
+      const select = this.createTargetSelect(mapping.resolve(label), zones);
+      select.addEventListener("change", () => {
+        const target = LabelMappingEditor.parseOptionValue(select.value);
+        if (target) {
+          mapping.bind(label, target);
+        } else {
+          mapping.unbind(label);
+        }
+        row.classList.toggle("unmapped", !target);
+
+        if (this.onChange) {
+          this.onChange(mapping);
+        }
+      });
+
+      row.classList.toggle("unmapped", !mapping.resolve(label));
+      targetCell.appendChild(select);
+      row.appendChild(labelCell);
+      row.appendChild(targetCell);
+      table.appendChild(row);
+    });
+
+    this.container.appendChild(table);
+  }
+
+  /**
+   * 대상 선택 상자 생성 (사용 안 함 / 구역 / 동작)
+   */
+  createTargetSelect(current, zones) {
+    const select = document.createElement("select");
+
+    const addOption = (parent, value, text) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      parent.appendChild(option);
+    };
+
+    addOption(select, "", "— 매핑 안 함 —");
+
+    const zoneGroup = document.createElement("optgroup");
+    zoneGroup.label = "구역으로 이동";
+    zones.forEach(zone => addOption(zoneGroup, `zone:${zone}`, zone));
+    select.appendChild(zoneGroup);
+
+    const actionGroup = document.createElement("optgroup");
+    actionGroup.label = "동작";
+    Object.entries(LabelMapping.ACTIONS).forEach(([action, text]) => {
+      addOption(actionGroup, `action:${action}`, text);
+    });
+    select.appendChild(actionGroup);
+
+    select.value = LabelMappingEditor.toOptionValue(current);
+    return select;
+  }
+
+  /**
+   * 매핑 대상 → 선택 상자 값
+   */
+  static toOptionValue(target) {
+    if (!target) return "";
+    return target.zone !== undefined ? `zone:${target.zone}` : `action:${target.action}`;
+  }
+
+  /**
+   * 선택 상자 값 → 매핑 대상
+   */
+  static parseOptionValue(value) {
+    if (!value) return null;
+
+    const [kind, name] = value.split(":");
+    return kind === "zone" ? { zone: name } : { action: name };
+  }
+
+  /**
+   * 매핑 변경 콜백 등록
+   */
+  setChangeCallback(callback) {
+    this.onChange = callback;
+  }
+}
+
+// 전역으로 내보내기
+window.LabelMappingEditor = LabelMappingEditor;
@@ -0,0 +1,337 @@
+/**
+ * leaderboard.js
+ * 게임 결과를 브라우저(localStorage)에 저장하는 순위표
+ *
+ * 결과 항목:
+ * { id, player, date, score, level, levelPack, zoneCount, controlMode, modelName, gameMode, difficultyLog }
+ * - date: ISO 8601 문자열 (저장 시각)
+ * - levelPack / zoneCount / controlMode / gameMode: 같은 "모드"끼리 비교하기 위한 게임 설정
+ *   (gameMode는 GameMode.BUILT_IN의 키, 없으면 클래식)
+ * - modelName: metadata.json의 modelName
+ * - difficultyLog: 자동 난이도 조절 기록 (AdaptiveDifficulty.formatLog 텍스트, 조절을 끈 게임은 null)
+ *   → 선생님이 학생마다 난이도가 어떻게 바뀌었는지 확인, 자동 난이도 게임은 따로 비교
+ *
+ * 다른 컴퓨터로 옮길 수 있도록 JSON/CSV로 내보내고 불러옴 (같은 id는 한 번만 추가)
+ */
+
+class Leaderboard {
+  /**
+   * @param {Storage} storage - 저장소 (기본 localStorage)
+   * @param {string} storageKey - 저장 키
+   */
+  constructor(storage = localStorage, storageKey = Leaderboard.STORAGE_KEY) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.entries = this.load();
+  }
+
+  /**
+   * 저장된 결과 불러오기 (잘못된 항목은 건너뜀)
+   */
+  load() {
+    try {
+      const saved = this.storage.getItem(this.storageKey);
+      if (!saved) return [];
+
+      return JSON.parse(saved).entries.filter(entry => {
+        try {
+          Leaderboard.validateEntry(entry);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      });
+    } catch (error) {
+      console.warn("저장된 순위표를 읽지 못했습니다:", error);
+      return [];
+    }
+  }
+
+  save() {
+    this.storage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+  }
+
+  /**
+   * 게임 결과 추가
+   * @param {Object} result - { player, score, level, levelPack, zoneCount, controlMode, modelName, gameMode, difficultyLog }
+   * @returns {Object} 저장된 항목 (id, date 포함)
+   */
+  addResult(result) {
+    const entry = {
+      id: Leaderboard.createId(),
+      date: new Date().toISOString(),
+      modelName: null,
+      difficultyLog: null,
+      ...result
+    };
+    Leaderboard.validateEntry(entry);
+
+    this.entries.push(entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * 상위 N개 결과 (점수 → 레벨 → 먼저 세운 기록 순)
+   * @param {Object} options - { limit, mode, day }
+   *   mode: Leaderboard.getMode() 값 (없으면 모든 모드)
+   *   day: "YYYY-MM-DD" (없으면 전체 기간)
+   */
+  getTop(options = {}) {
+    const { limit = 10, mode = null, day = null } = options;
+
+    return this.filter({ mode, day })
+      .sort((a, b) => b.score - a.score || b.level - a.level || a.date.localeCompare(b.date))
+      .slice(0, limit);
+  }
+
+  /**
+   * 결과의 순위 (같은 모드, 전체 기간 기준, 1부터)
+   * @param {Object} entry - addResult()로 저장한 항목
+   */
+  getRank(entry) {
+    const ranked = this.getTop({ limit: Infinity, mode: Leaderboard.getMode(entry) });
+    return ranked.findIndex(item => item.id === entry.id) + 1;
+  }
+
+  /**
+   * 모드/날짜로 거르기
+   */
+  filter({ mode = null, day = null } = {}) {
+    return this.entries.filter(entry =>
+      (!mode || Leaderboard.getMode(entry) === mode) &&
+      (!day || Leaderboard.getDay(entry) === day)
+    );
+  }
+
+  /**
+   * 결과가 있는 모드 목록
+   */
+  getModes() {
+    return [...new Set(this.entries.map(entry => Leaderboard.getMode(entry)))].sort();
+  }
+
+  /**
+   * 결과가 있는 날짜 목록 (최근 날짜부터)
+   */
+  getDays() {
+    return [...new Set(this.entries.map(entry => Leaderboard.getDay(entry)))].sort().reverse();
+  }
+
+  /**
+   * 플레이어 목록 (이름, 최고 점수, 게임 수)
+   * @returns {Array<Object>} [{ name, bestScore, games }] 최고 점수 순
+   */
+  getPlayers() {
+    const players = {};
+    this.entries.forEach(entry => {
+      const player = players[entry.player] || { name: entry.player, bestScore: 0, games: 0 };
+      player.bestScore = Math.max(player.bestScore, entry.score);
+      player.games++;
+      players[entry.player] = player;
+    });
+    return Object.values(players).sort((a, b) => b.bestScore - a.bestScore);
+  }
+
+  /**
+   * 다른 순위표의 결과 합치기 (이미 있는 id는 건너뜀)
+   * @param {Array<Object>} entries - 불러온 결과
+   * @returns {number} 새로 추가한 결과 수
+   */
+  merge(entries) {
+    entries.forEach(entry => Leaderboard.validateEntry(entry));
+
+    const ids = new Set(this.entries.map(entry => entry.id));
+    const added = entries.filter(entry => !ids.has(entry.id));
+    this.entries.push(...added);
+    this.save();
+    return added.length;
+  }
+
+  /**
+   * 모든 결과 삭제
+   */
+  clear() {
+    this.entries = [];
+    this.save();
+  }
+
+  /**
+   * JSON 데이터로 변환
+   */
+  toJSON() {
+    return { version: 1, entries: this.entries.slice() };
+  }
+
+  /**
+   * CSV로 변환 (첫 줄은 Leaderboard.CSV_COLUMNS)
+   */
+  toCSV() {
+    const rows = this.entries.map(entry =>
+      Leaderboard.CSV_COLUMNS.map(column => Leaderboard.escapeCSV(entry[column])).join(",")
+    );
+    return [Leaderboard.CSV_COLUMNS.join(","), ...rows].join("\n");
+  }
+
+  /**
+   * 내보낸 파일 내용 → 결과 목록
+   * @param {string} text - JSON 또는 CSV 파일 내용
+   * @returns {Array<Object>} 결과 목록
+   */
+  static parse(text) {
+    const trimmed = text.replace(/^\uFEFF/, "").trim();
+
+    if (trimmed.startsWith("{")) {
+      const json = JSON.parse(trimmed);
+      if (!Array.isArray(json.entries)) {
+        throw new Error("순위표 JSON에 entries(결과 목록)가 없습니다.");
+      }
+      return json.entries;
+    }
+
+    return Leaderboard.parseCSV(trimmed);
+  }
+
+  /**
+   * CSV → 결과 목록 (첫 줄의 열 이름 기준, 숫자 열은 숫자로)
+   */
+  static parseCSV(text) {
+    const rows = Leaderboard.splitCSV(text);
+    if (rows.length === 0) return [];
+
+    const header = rows[0];
+    const missing = ["player", "date", "score", "level"].filter(column => !header.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`순위표 CSV에 ${missing.join(", ")} 열이 없습니다.`);
+    }
+
+    return rows.slice(1)
+      .filter(row => row.some(value => value !== ""))
+      .map(row => {
+        const entry = {};
+        header.forEach((column, i) => {
+          const value = row[i] !== undefined ? row[i] : "";
+          if (Leaderboard.NUMBER_COLUMNS.includes(column)) {
+            entry[column] = value === "" ? null : Number(value);
+          } else {
+            entry[column] = value === "" ? null : value;
+          }
+        });
+        // id가 없는 CSV(직접 만든 파일)는 내용으로 id 생성
+        if (!entry.id) {
+          entry.id = `${entry.date}-${entry.player}-${entry.score}`;
+        }
+        return entry;
+      });
+  }
+
+  /**
+   * CSV 텍스트 → 행 배열 (큰따옴표로 감싼 값 안의 쉼표/줄바꿈 지원)
+   */
+  static splitCSV(text) {
+    const rows = [];
+    let row = [];
+    let value = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === "\"" && text[i + 1] === "\"") {
+          value += "\"";
+          i++;
+        } else if (char === "\"") {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === "\"") {
+        quoted = true;
+      } else if (char === ",") {
+        row.push(value);
+        value = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = "";
+      } else {
+        value += char;
+      }
+    }
+    row.push(value);
+    rows.push(row);
+
+    return rows;
+  }
+
+  static escapeCSV(value) {
+    if (value === null || value === undefined) return "";
+
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+  }
+
+  /**
+   * 결과 항목 검사 (잘못되면 Error)
+   */
+  static validateEntry(entry) {
+    if (!entry || typeof entry !== "object") {
+      throw new Error("순위표 결과 형식이 올바르지 않습니다.");
+    }
+    if (typeof entry.id !== "string" || entry.id === "") {
+      throw new Error("순위표 결과에 id가 필요합니다.");
+    }
+    if (typeof entry.player !== "string" || entry.player.trim() === "") {
+      throw new Error("순위표 결과에 플레이어 이름이 필요합니다.");
+    }
+    if (typeof entry.date !== "string" || isNaN(Date.parse(entry.date))) {
+      throw new Error(`"${entry.player}"의 결과 날짜가 올바르지 않습니다.`);
+    }
+    ["score", "level"].forEach(field => {
+      if (typeof entry[field] !== "number" || !Number.isFinite(entry[field])) {
+        throw new Error(`"${entry.player}"의 결과에 ${field} 숫자가 필요합니다.`);
+      }
+    });
+  }
+
+  /**
+   * 같은 설정끼리 비교하기 위한 모드 이름 (예: "기본 · 3구역 · 포즈", 클래식이 아니면 "타임 어택 · 기본 · 3구역 · 포즈",
+   * 자동 난이도 조절을 켠 게임은 "기본 · 3구역 · 포즈 · 자동 난이도")
+   */
+  static getMode(entry) {
+    const control = entry.controlMode === "continuous" ? "몸 위치" : "포즈";
+    let mode = `${entry.levelPack || "기본"} · ${entry.zoneCount || 3}구역 · ${control}`;
+    if (entry.difficultyLog) {
+      mode += " · 자동 난이도";
+    }
+    if (!entry.gameMode || entry.gameMode === "classic") return mode;
+
+    const definition = GameMode.BUILT_IN[entry.gameMode];
+    return `${definition ? definition.label : entry.gameMode} · ${mode}`;
+  }
+
+  /**
+   * 결과 날짜 (이 컴퓨터 시간대 기준 "YYYY-MM-DD")
+   */
+  static getDay(entry) {
+    const date = new Date(entry.date);
+    const pad = number => String(number).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  static createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+}
+
+Leaderboard.STORAGE_KEY = "catchzone.leaderboard";
+Leaderboard.CSV_COLUMNS = [
+  "id", "player", "date", "score", "level", "levelPack", "zoneCount", "controlMode", "modelName", "gameMode", "difficultyLog"
+];
+Leaderboard.NUMBER_COLUMNS = ["score", "level", "zoneCount"];
+
+// 전역으로 내보내기
+window.Leaderboard = Leaderboard;
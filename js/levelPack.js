@@ -0,0 +1,184 @@
+/**
+ * levelPack.js
+ * 단계별 난이도를 JSON "레벨 팩"으로 정의하고 검사
+ *
+ * 레벨 팩 형식:
+ * {
+ *   "name": "기본",
+ *   "defaults": { ...모든 단계에 공통으로 적용할 설정 },
+ *   "levels": [ { ...1단계 설정 }, { ...2단계 설정 }, ... ]
+ * }
+ *
+ * 단계 설정 항목:
+ * - duration: 단계 시간 (초)
+ * - dropTime: 아이템 낙하 시간 (초, 작을수록 빠름)
+ * - spawnInterval: { min, max } 아이템 생성 간격 (낙하 시간에 대한 배율)
+ * - itemWeights: { 아이템 종류: 가중치 } 아이템 출현 비율
+ *   (생략하면 아이템 등록소(ItemRegistry)에 선언된 weight 사용)
+ * - missAllowance: 게임 오버가 되는 미스 횟수
+ * - zones: 아이템이 떨어지는 구역 목록 (생략하면 게임의 모든 구역)
+ *
+ * 마지막 단계 이후에는 마지막 단계 설정이 계속 적용됨
+ */
+
+class LevelPack {
+  /**
+   * @param {Object} json - 레벨 팩 데이터
+   * @param {Object} context - 검사 기준 { itemTypes, zones }
+   */
+  constructor(json, context = {}) {
+    LevelPack.validate(json, context);
+
+    this.name = json.name;
+    this.description = json.description || "";
+    this.source = json;
+
+    // defaults와 각 단계 설정을 합쳐 둠
+    this.levels = json.levels.map(level => ({ ...json.defaults, ...level }));
+  }
+
+  /**
+   * 기본 레벨 팩 생성
+   */
+  static createDefault(context = {}) {
+    return new LevelPack(LevelPack.DEFAULT, context);
+  }
+
+  /**
+   * 레벨 팩 데이터 검사 (잘못되면 Error)
+   * @param {Object} json - 레벨 팩 데이터
+   * @param {Object} context - 검사 기준 { itemTypes: string[], zones: string[] }
+   */
+  static validate(json, context = {}) {
+    const { itemTypes = null, zones = null } = context;
+
+    if (!json || typeof json !== "object") {
+      throw new Error("레벨 팩 형식이 올바르지 않습니다.");
+    }
+    if (typeof json.name !== "string" || json.name.trim() === "") {
+      throw new Error("레벨 팩에 name(이름)이 필요합니다.");
+    }
+    if (!Array.isArray(json.levels) || json.levels.length === 0) {
+      throw new Error("레벨 팩에 levels(단계 목록)가 하나 이상 필요합니다.");
+    }
+    if (json.defaults !== undefined && (typeof json.defaults !== "object" || json.defaults === null)) {
+      throw new Error("레벨 팩의 defaults는 객체여야 합니다.");
+    }
+
+    json.levels.forEach((level, index) => {
+      const path = `levels[${index}]`;
+      const merged = { ...json.defaults, ...level };
+
+      LevelPack.REQUIRED_FIELDS.forEach(field => {
+        if (merged[field] === undefined) {
+          throw new Error(`${path}에 ${field} 설정이 없습니다. (defaults 또는 단계에 지정)`);
+        }
+      });
+
+      if (!LevelPack.isPositiveNumber(merged.duration)) {
+        throw new Error(`${path}.duration은 0보다 큰 숫자여야 합니다.`);
+      }
+      if (!LevelPack.isPositiveNumber(merged.dropTime)) {
+        throw new Error(`${path}.dropTime은 0보다 큰 숫자여야 합니다.`);
+      }
+
+      const { spawnInterval } = merged;
+      if (!spawnInterval || !LevelPack.isPositiveNumber(spawnInterval.min) ||
+          !LevelPack.isPositiveNumber(spawnInterval.max) || spawnInterval.min > spawnInterval.max) {
+        throw new Error(`${path}.spawnInterval은 0 < min <= max 인 { min, max }여야 합니다.`);
+      }
+
+      const weights = merged.itemWeights;
+      if (weights !== undefined) {
+        if (!weights || typeof weights !== "object") {
+          throw new Error(`${path}.itemWeights는 { 아이템 종류: 가중치 } 객체여야 합니다.`);
+        }
+        let totalWeight = 0;
+        Object.entries(weights).forEach(([type, weight]) => {
+          if (itemTypes && !itemTypes.includes(type)) {
+            throw new Error(`${path}.itemWeights의 "${type}"은(는) 없는 아이템 종류입니다.`);
+          }
+          if (typeof weight !== "number" || weight < 0) {
+            throw new Error(`${path}.itemWeights.${type}은(는) 0 이상의 숫자여야 합니다.`);
+          }
+          totalWeight += weight;
+        });
+        if (totalWeight <= 0) {
+          throw new Error(`${path}.itemWeights의 가중치 합이 0보다 커야 합니다.`);
+        }
+      }
+
+      if (!Number.isInteger(merged.missAllowance) || merged.missAllowance < 1) {
+        throw new Error(`${path}.missAllowance는 1 이상의 정수여야 합니다.`);
+      }
+
+      if (merged.zones !== undefined) {
+        if (!Array.isArray(merged.zones) || merged.zones.length === 0) {
+          throw new Error(`${path}.zones는 구역 이름 배열이어야 합니다.`);
+        }
+        merged.zones.forEach(zone => {
+          if (zones && !zones.includes(zone)) {
+            throw new Error(`${path}.zones의 "${zone}"은(는) 없는 구역입니다.`);
+          }
+        });
+      }
+    });
+  }
+
+  static isPositiveNumber(value) {
+    return typeof value === "number" && value > 0;
+  }
+
+  /**
+   * 단계 설정 반환 (1부터 시작, 마지막 단계 이후는 마지막 단계 설정)
+   * @param {number} level - 단계 번호
+   */
+  getLevel(level) {
+    const index = Math.min(Math.max(level, 1), this.levels.length) - 1;
+    return this.levels[index];
+  }
+
+  /**
+   * 원본 JSON 데이터 반환 (기록/내보내기용)
+   */
+  toJSON() {
+    return this.source;
+  }
+}
+
+LevelPack.REQUIRED_FIELDS = ["duration", "dropTime", "spawnInterval", "missAllowance"];
+
+/**
+ * 기본 레벨 팩 (levels/default.json과 같은 내용)
+ * 20초 단계, 낙하 2.0초에서 단계마다 0.2초 감소(최소 0.6초),
+ * 생성 간격은 낙하 시간의 60~80%, 폭탄 20%, 미스 2회
+ */
+LevelPack.DEFAULT = {
+  name: "기본",
+  description: "단계마다 0.2초씩 빨라지는 기본 난이도",
+  defaults: {
+    duration: 20,
+    dropTime: 2.0,
+    spawnInterval: { min: 0.6, max: 0.8 },
+    itemWeights: { bomb: 3, apple: 4, pear: 4, orange: 4 },
+    missAllowance: 2
+  },
+  levels: [
+    { dropTime: 2.0 },
+    { dropTime: 1.8 },
+    { dropTime: 1.6 },
+    { dropTime: 1.4 },
+    { dropTime: 1.2 },
+    { dropTime: 1.0 },
+    { dropTime: 0.8 },
+    { dropTime: 0.6 }
+  ]
+};
+
+// 전역으로 내보내기 (브라우저) + CommonJS 내보내기 (Node 헤드리스 실행)
+if (typeof window !== "undefined") {
+  window.LevelPack = LevelPack;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LevelPack;
+}
@@ -3,6 +3,21 @@
  * Catch Zone 게임의 진입점
  *
  * PoseEngine, GameEngine, Stabilizer를 조합하여 애플리케이션 구동
+ * InputRouter로 키보드/마우스/터치 입력도 바구니 이동에 연결
+ * LabelMapping으로 모델 라벨을 구역/동작에 연결 (JSON 파일 또는 화면에서 편집)
+ * LevelPack으로 난이도 선택 (levels/*.json 또는 직접 불러온 파일), GameMode로 게임 모드 선택
+ * AdaptiveDifficulty로 1인 게임의 난이도를 플레이어 실력에 맞춰 자동 조절 (조절 기록은 순위표에 저장)
+ * 구역 개수(2~6) 선택에 맞게 게임 화면의 구역/바구니 생성
+ * 조작 방식: 포즈 분류(구역 단위) 또는 KeypointTracker로 몸 위치를 따라가는 연속 조작
+ * CalibrationWizard로 게임 시작 전 플레이어별 포즈 보정 (Stabilizer 설정 추천/적용)
+ * SessionRecorder/SessionReplayer로 게임 기록 저장 및 다시보기
+ * Leaderboard로 플레이어 이름별 게임 결과를 브라우저에 저장하고 순위표 표시
+ * ModelLoader/ModelCache로 다른 모델을 파일이나 URL에서 불러와 바꾸고, 최근 모델은 IndexedDB에 보관
+ * VersusMatch로 웹캠 화면 왼쪽/오른쪽의 두 플레이어가 각자의 게임 화면에서 대전 (2인 대전)
+ * 서비스 워커(sw.js)를 등록해 한 번 접속한 뒤에는 인터넷 없이도 실행
+ * 일시정지: 버튼, 다른 탭으로 이동, 화면에서 사람이 1초 넘게 안 보일 때 (재개는 3-2-1 카운트다운 후)
+ * 게임 오버 화면에서 GameAnalytics 움직임 기록(반응 시간, 자세 바꾼 횟수, 구역별 머문 시간/받기 비율)을 CSV로 내보내기
+ * SoundEngine으로 게임 이벤트 효과음과 레벨에 따라 빨라지는 배경 음악 (볼륨/음소거는 브라우저에 저장)
  */
 
 // 전역 변수
@@ -10,69 +25,1635 @@ let poseEngine;
 let gameEngine;
 let stabilizer;
 let ctx;
+let recorder = new SessionRecorder();
+let replayer = null;
+let inputRouter = new InputRouter();
+let labelMapping = null;
+let mappingEditor = null;
+let warnedLabels = new Set(); // 이번 게임에서 이미 경고한 매핑 안 된 라벨
+
+// 구역 개수 (2~6, 구역 이름은 GameCore.ZONE_LAYOUTS)
+let zoneCount = 3;
+
+// 조작 방식 ("zones": 포즈 분류 | "continuous": 키포인트 위치)과 키포인트 위치 추적
+let controlMode = "zones";
+let keypointTracker = null;
+const KEYPOINT_CALIBRATION_STORAGE_KEY = "catchzone.keypointCalibration";
+const CALIBRATION_PREPARE_SECONDS = 2; // 끝으로 이동할 시간
+const CALIBRATION_MEASURE_SECONDS = 2; // 위치를 모으는 시간
+
+// 포즈 보정 (플레이어별 Stabilizer 설정)
+let calibrationWizard = null;
+let poseCalibratedThisSession = false; // 이번 접속에서 보정을 마쳤거나 건너뛰었는지
+const STABILIZER_SETTINGS_STORAGE_KEY = "catchzone.stabilizerSettings";
+const CALIBRATION_OPTIONS_STORAGE_KEY = "catchzone.calibrationOptions";
+const DEFAULT_STABILIZER_SETTINGS = { threshold: 0.7, smoothingFrames: 3 };
+
+// 순위표와 플레이어 이름
+let leaderboard = new Leaderboard();
+let playerName = "";
+const PLAYER_NAME_STORAGE_KEY = "catchzone.playerName";
+const LEADERBOARD_SIZE = 10;
+
+// 2인 대전 (웹캠 화면 왼쪽 = 1P, 오른쪽 = 2P)
+let playerCount = 1;
+let player2Name = "";
+let versusMatch = null;
+const PLAYER2_NAME_STORAGE_KEY = "catchzone.player2Name";
+
+// 모델 선택 (파일/URL로 불러온 모델은 IndexedDB에 보관)
+let modelCache = new ModelCache();
+const DEFAULT_MODEL_URL = "./my_model/";
+const MODEL_ID_STORAGE_KEY = "catchzone.modelId";
+
+// 효과음/배경 음악 (2인 대전에서는 플레이어 쪽 스피커로)
+let soundEngine = new SoundEngine();
+const SOUND_VERSUS_PAN = 0.6;
+
+// 모델 진단 패널 (열려 있는 동안만 PoseEngine/Stabilizer 디버그 훅 연결)
+let diagnosticsPanel = null;
+
+// 게임 모드 (GameMode.BUILT_IN의 키)
+let gameMode = "classic";
+
+// 자동 난이도 조절 (1인 게임만, 2인 대전은 두 플레이어가 같은 아이템을 받도록 끔)
+let adaptiveDifficulty = false;
+
+// 레벨 팩 (null이면 GameCore의 기본 레벨 팩)
+let levelPack = null;
+const LEVEL_PACK_URLS = {
+  easy: "./levels/easy.json",
+  hard: "./levels/hard.json",
+  special: "./levels/special.json"
+};
+
+// 라벨 매핑 저장 위치
+const LABEL_MAPPING_STORAGE_KEY = "catchzone.labelMapping";
+const LABEL_MAPPING_URL = "./my_model/label-map.json";
+
+// 키포인트 표시 최소 신뢰도
+const MIN_PART_CONFIDENCE = 0.5;
+
+/**
+ * 웹캠 초기화 (페이지 로드 시 자동 실행)
+ */
+async function initWebcam() {
+  // 오프라인 실행 준비 (앱 파일과 모델 저장)
+  registerServiceWorker();
+
+  // 키보드/마우스/터치 입력 연결
+  setupInputRouter();
+
+  // 다른 탭으로 이동하면 자동 일시정지
+  setupAutoPause();
+
+  // 구역 개수에 맞게 게임 화면 구성
+  renderZoneLayout();
+
+  // 플레이어 이름과 순위표 (웹캠이 없어도 사용)
+  setupLeaderboard();
+
+  // 저장된 볼륨/음소거 표시
+  setupSoundSettings();
+
+  try {
+    // 1. PoseEngine 초기화 (마지막으로 고른 모델이 보관되어 있으면 그 모델)
+    poseEngine = new PoseEngine(DEFAULT_MODEL_URL);
+    const savedModel = await loadSavedModel();
+    try {
+      await poseEngine.init({ size: 200, flip: true, model: savedModel });
+    } catch (error) {
+      if (!savedModel || error.name === "WebcamError") throw error;
+
+      console.warn("보관된 모델을 불러오지 못해 기본 모델을 사용합니다:", error);
+      localStorage.removeItem(MODEL_ID_STORAGE_KEY);
+      await poseEngine.init({ size: 200, flip: true });
+    }
+
+    // 연속 조작 모드용 키포인트 위치 추적 (저장된 캘리브레이션 사용)
+    keypointTracker = new KeypointTracker({
+      frameWidth: 200,
+      calibration: loadKeypointCalibration()
+    });
+    updateCalibrationStatus();
+
+    // 2. 라벨 매핑 불러오기 (metadata.json의 labels 기준)
+    labelMapping = await loadLabelMapping(poseEngine.getLabels());
+    setupMappingEditor();
+
+    // 3. Stabilizer 초기화 (포즈 보정으로 저장한 설정이 있으면 사용)
+    stabilizer = createStabilizer(loadStabilizerSettings());
+    setupCalibrationWizard();
+
+    // 4. 캔버스 설정
+    setupCanvas();
+
+    // 5. PoseEngine 콜백 설정
+    poseEngine.setPredictionCallback(handlePrediction);
+    poseEngine.setPlayersPredictionCallback(handlePlayersPrediction);
+    poseEngine.setPresenceCallback(handlePresenceChange);
+    poseEngine.setDrawCallback(drawPose);
+
+    // 6. PoseEngine 시작 (웹캠만 켜기, 게임은 아직)
+    poseEngine.start();
+
+    // 7. 모델 선택 화면
+    setupModelPicker();
+    setupDiagnosticsPanel();
+
+    console.log("웹캠 초기화 완료");
+  } catch (error) {
+    console.error("웹캠 초기화 중 오류 발생:", error);
+
+    // 웹캠을 쓸 수 없으면 키보드/마우스/터치로 플레이
+    if (error.name === "WebcamError") {
+      enableFallbackInput();
+      return;
+    }
+
+    alert("웹캠 초기화에 실패했습니다. 콘솔을 확인하세요.");
+  }
+}
+
+/**
+ * 서비스 워커 등록 (https 또는 localhost에서만 동작, 실패해도 게임은 그대로)
+ */
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+
+  navigator.serviceWorker.register("./sw.js").catch(error => {
+    console.warn("서비스 워커를 등록하지 못했습니다 (오프라인 실행 불가):", error);
+  });
+}
+
+/**
+ * 입력 라우터 설정 (드라이버 입력 → 바구니 이동)
+ */
+function setupInputRouter() {
+  inputRouter.setZoneProvider(
+    () => getZones(),
+    () => (gameEngine ? gameEngine.basketPosition : null)
+  );
+
+  inputRouter.setZoneCallback((zone, source) => {
+    if (replayer) return;
+    if (gameEngine && gameEngine.isGameActive && !gameEngine.isPaused) {
+      recorder.recordInput(zone, source);
+      gameEngine.moveBasketToZone(zone);
+    }
+  });
+}
+
+/**
+ * 웹캠 대신 키보드/마우스/터치 입력으로 전환
+ */
+function enableFallbackInput() {
+  inputRouter.enable("keyboard", new KeyboardInputDriver());
+  inputRouter.enable("pointer", new PointerInputDriver());
+
+  const keyboardToggle = document.getElementById("keyboard-toggle");
+  if (keyboardToggle) {
+    keyboardToggle.checked = true;
+    keyboardToggle.disabled = true;
+  }
+
+  updateInputModeUI("키보드 · 마우스 · 터치");
+  showNotification("웹캠을 사용할 수 없어 키보드/마우스/터치로 플레이합니다", "warning");
+}
+
+/**
+ * 포즈 입력과 함께 키보드 입력 사용 여부 (체크박스)
+ * @param {boolean} enabled - 사용 여부
+ */
+function setKeyboardInput(enabled) {
+  if (enabled) {
+    inputRouter.enable("keyboard", new KeyboardInputDriver());
+  } else {
+    inputRouter.disable("keyboard");
+  }
+  updatePoseInputModeUI();
+}
+
+/**
+ * 웹캠 사용 중의 입력 방식 표시 (조작 방식 + 키보드 사용 여부)
+ */
+function updatePoseInputModeUI() {
+  const poseInput = controlMode === "continuous" ? "몸 위치" : "포즈";
+  updateInputModeUI(inputRouter.isEnabled("keyboard") ? `${poseInput} + 키보드` : poseInput);
+}
+
+/**
+ * 현재 입력 방식 표시
+ */
+function updateInputModeUI(text) {
+  const inputModeEl = document.getElementById("input-mode");
+  if (inputModeEl) inputModeEl.textContent = text;
+}
+
+/**
+ * 라벨 매핑 불러오기
+ * 우선순위: 화면에서 저장한 매핑 → my_model/label-map.json → 라벨 이름으로 추측한 기본값
+ * @param {Array<string>} labels - 모델 라벨 목록
+ * @returns {Promise<LabelMapping>}
+ */
+async function loadLabelMapping(labels) {
+  const zones = getZones();
+
+  try {
+    const saved = localStorage.getItem(LABEL_MAPPING_STORAGE_KEY);
+    if (saved) {
+      return LabelMapping.fromJSON(JSON.parse(saved), zones);
+    }
+  } catch (error) {
+    console.warn("저장된 라벨 매핑을 불러오지 못했습니다:", error);
+  }
+
+  try {
+    const response = await fetch(LABEL_MAPPING_URL);
+    if (response.ok) {
+      return LabelMapping.fromJSON(await response.json(), zones);
+    }
+  } catch (error) {
+    console.warn("label-map.json을 불러오지 못했습니다:", error);
+  }
+
+  return LabelMapping.createDefault(labels, zones);
+}
+
+/**
+ * 라벨 매핑 편집기 설정
+ */
+function setupMappingEditor() {
+  mappingEditor = new LabelMappingEditor(document.getElementById("mapping-editor-body"));
+  mappingEditor.setChangeCallback(() => {
+    saveLabelMapping();
+    updateMappingStatus();
+  });
+  renderLabelMapping();
+}
+
+/**
+ * 라벨 매핑 편집기, 경고, 게임 방법 다시 그리기
+ */
+function renderLabelMapping() {
+  if (!labelMapping) return;
+
+  if (mappingEditor) {
+    mappingEditor.render(poseEngine.getLabels(), labelMapping, getZones());
+  }
+  updateMappingStatus();
+}
+
+/**
+ * 라벨 매핑을 브라우저에 저장
+ */
+function saveLabelMapping() {
+  localStorage.setItem(LABEL_MAPPING_STORAGE_KEY, JSON.stringify(labelMapping.toJSON()));
+}
+
+/**
+ * 매핑 경고와 게임 방법(포즈 안내) 업데이트
+ */
+function updateMappingStatus() {
+  const labels = poseEngine.getLabels();
+  const unmapped = labelMapping.getUnmappedLabels(labels);
+  const unknown = labelMapping.getUnknownLabels(labels);
+  const missingZone = labelMapping.getLabelsWithMissingZones(getZones());
+
+  // 경고 표시
+  const warningEl = document.getElementById("mapping-warning");
+  if (warningEl) {
+    const messages = [];
+    if (unmapped.length > 0) {
+      messages.push(`⚠️ 매핑되지 않은 라벨: ${unmapped.join(", ")} (게임에서 무시됩니다)`);
+    }
+    if (unknown.length > 0) {
+      messages.push(`⚠️ 모델에 없는 라벨: ${unknown.join(", ")}`);
+    }
+    if (missingZone.length > 0) {
+      messages.push(`⚠️ 지금 구역 개수에 없는 구역으로 매핑된 라벨: ${missingZone.join(", ")} (라벨 매핑 설정에서 다시 지정하세요)`);
+    }
+    warningEl.textContent = messages.join("\n");
+    warningEl.style.display = messages.length > 0 ? "block" : "none";
+  }
+
+  // 게임 방법의 포즈 안내
+  const guideEl = document.getElementById("pose-guide");
+  if (guideEl) {
+    guideEl.innerHTML = "";
+    labels.forEach(label => {
+      const target = labelMapping.resolve(label);
+      if (!target) return;
+
+      const li = document.createElement("li");
+      const strong = document.createElement("strong");
+      strong.textContent = label;
+      li.appendChild(strong);
+      li.appendChild(document.createTextNode(
+        target.zone !== undefined ? ` → ${target.zone}` : ` → ${LabelMapping.ACTIONS[target.action]}`
+      ));
+      guideEl.appendChild(li);
+    });
+  }
+}
+
+/**
+ * 매핑 안 된 라벨 경고 (게임마다 라벨당 한 번)
+ * @param {string} label - 모델 라벨
+ */
+function warnUnmappedLabel(label) {
+  if (warnedLabels.has(label)) return;
+
+  warnedLabels.add(label);
+  showNotification(`"${label}" 포즈는 매핑되지 않아 무시됩니다`, "warning");
+}
+
+/**
+ * 라벨 매핑을 기본값으로 되돌리기
+ */
+function resetLabelMapping() {
+  if (!poseEngine) return;
+
+  localStorage.removeItem(LABEL_MAPPING_STORAGE_KEY);
+  labelMapping.bindings = LabelMapping.createDefault(poseEngine.getLabels(), getZones()).bindings;
+  renderLabelMapping();
+}
+
+/**
+ * 라벨 매핑을 JSON 파일로 내보내기
+ */
+function exportLabelMapping() {
+  if (!labelMapping) return;
+
+  const blob = new Blob([JSON.stringify(labelMapping.toJSON(), null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "label-map.json";
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * 라벨 매핑 JSON 파일 불러오기 (파일 선택 시)
+ * @param {Event} event - file input change 이벤트
+ */
+async function importLabelMapping(event) {
+  const file = event.target.files[0];
+  event.target.value = "";
+  if (!file || !labelMapping) return;
+
+  try {
+    const imported = LabelMapping.fromJSON(JSON.parse(await file.text()), getZones());
+    labelMapping.bindings = imported.bindings;
+    saveLabelMapping();
+    renderLabelMapping();
+  } catch (error) {
+    console.error("라벨 매핑 불러오기 중 오류 발생:", error);
+    alert(`라벨 매핑 파일을 불러오지 못했습니다.\n${error.message}`);
+  }
+}
+
+/**
+ * 마지막으로 고른 모델을 IndexedDB에서 가져오기 (없거나 읽지 못하면 null → 기본 모델)
+ */
+async function loadSavedModel() {
+  const id = localStorage.getItem(MODEL_ID_STORAGE_KEY);
+  if (!id) return null;
+
+  try {
+    return await modelCache.get(id);
+  } catch (error) {
+    console.warn("보관된 모델을 읽지 못했습니다:", error);
+    return null;
+  }
+}
+
+/**
+ * 모델 선택 화면 설정 (파일 끌어다 놓기, 보관된 모델 목록)
+ */
+function setupModelPicker() {
+  const dropEl = document.getElementById("model-drop");
+  dropEl.addEventListener("dragover", event => {
+    event.preventDefault();
+    dropEl.classList.add("dragover");
+  });
+  dropEl.addEventListener("dragleave", () => dropEl.classList.remove("dragover"));
+  dropEl.addEventListener("drop", event => {
+    event.preventDefault();
+    dropEl.classList.remove("dragover");
+    loadModelFiles(event.dataTransfer.files);
+  });
+
+  document.getElementById("model-picker").hidden = false;
+  updateModelStatus();
+  renderModelCache();
+}
+
+/**
+ * 모델 진단 패널 설정 (열면 진단 값을 처음부터 모으고, 닫으면 디버그 훅 해제)
+ */
+function setupDiagnosticsPanel() {
+  const details = document.getElementById("diagnostics");
+  diagnosticsPanel = new DiagnosticsPanel(document.getElementById("diagnostics-body"), {
+    minPartConfidence: MIN_PART_CONFIDENCE
+  });
+
+  details.addEventListener("toggle", () => {
+    if (details.open) {
+      diagnosticsPanel.reset();
+    } else {
+      diagnosticsPanel.cancelRender();
+    }
+    updateDiagnosticsHooks();
+  });
+  details.hidden = false;
+}
+
+/**
+ * 진단 패널이 열려 있으면 PoseEngine/Stabilizer 디버그 훅 연결, 닫혀 있으면 해제
+ * (Stabilizer를 새로 만들면 다시 호출)
+ */
+function updateDiagnosticsHooks() {
+  const open = !!diagnosticsPanel && document.getElementById("diagnostics").open;
+
+  if (poseEngine) {
+    poseEngine.setDebugCallback(open ? info => diagnosticsPanel.handleInference(info) : null);
+  }
+  if (stabilizer) {
+    stabilizer.setDebugCallback(open ? info => diagnosticsPanel.handleStabilization(info) : null);
+  }
+}
+
+/**
+ * 진단 패널의 클래스 바뀜 집계 초기화
+ */
+function resetDiagnosticsFlips() {
+  if (diagnosticsPanel) diagnosticsPanel.resetFlips();
+}
+
+/**
+ * 파일에서 모델 불러오기 (끌어다 놓기 또는 파일 선택)
+ * @param {FileList} files - model.json, weights.bin, metadata.json
+ */
+async function loadModelFiles(files) {
+  try {
+    await switchModel(await ModelLoader.fromFiles(files));
+  } catch (error) {
+    console.error("모델 파일 읽기 중 오류 발생:", error);
+    alert(`모델 파일을 읽지 못했습니다.\n${error.message}`);
+  }
+}
+
+/**
+ * 파일 선택으로 모델 불러오기
+ * @param {Event} event - file input change 이벤트
+ */
+function importModelFiles(event) {
+  const files = event.target.files;
+  if (files.length > 0) {
+    loadModelFiles(Array.from(files));
+  }
+  event.target.value = "";
+}
+
+/**
+ * URL에서 모델 불러오기 (URL 입력란)
+ */
+async function loadModelFromURL() {
+  const url = document.getElementById("model-url").value;
+
+  setModelPickerBusy(true, "모델 내려받는 중...");
+  let model;
+  try {
+    model = await ModelLoader.fromURL(url);
+  } catch (error) {
+    console.error("모델 내려받기 중 오류 발생:", error);
+    alert(`모델을 내려받지 못했습니다.\n${error.message}`);
+    return;
+  } finally {
+    setModelPickerBusy(false);
+  }
+
+  await switchModel(model);
+}
+
+/**
+ * 보관된 모델 사용 (보관된 모델 선택 상자의 "사용" 버튼, 빈 값이면 기본 모델)
+ */
+async function useCachedModel() {
+  const id = document.getElementById("model-cache").value;
+  if (!id) {
+    await switchModel(null);
+    return;
+  }
+
+  try {
+    const model = await modelCache.get(id);
+    if (!model) throw new Error("보관된 모델이 없습니다.");
+    await switchModel(model);
+  } catch (error) {
+    console.error("보관된 모델 읽기 중 오류 발생:", error);
+    alert(`보관된 모델을 읽지 못했습니다.\n${error.message}`);
+  }
+}
+
+/**
+ * 보관된 모델 삭제 (지금 쓰는 모델은 삭제해도 계속 사용)
+ */
+async function deleteCachedModel() {
+  const id = document.getElementById("model-cache").value;
+  if (!id) return;
+
+  try {
+    await modelCache.remove(id);
+    if (localStorage.getItem(MODEL_ID_STORAGE_KEY) === id) {
+      localStorage.removeItem(MODEL_ID_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error("보관된 모델 삭제 중 오류 발생:", error);
+  }
+  renderModelCache();
+}
+
+/**
+ * 모델 바꾸기 (페이지를 다시 열지 않음)
+ * 새 모델의 라벨을 지금 라벨 매핑과 비교해, 바구니를 두 구역 이상 움직일 수 없으면 확인 후 바꿈
+ * @param {Object|null} model - ModelLoader의 모델 파일 (null이면 기본 모델)
+ * @returns {Promise<boolean>} 바꿨는지
+ */
+async function switchModel(model) {
+  if (!poseEngine || !poseEngine.webcam) {
+    showNotification("웹캠이 없어 모델을 바꿀 수 없습니다", "warning");
+    return false;
+  }
+  if ((gameEngine && gameEngine.isGameActive) || (versusMatch && versusMatch.isActive) ||
+    replayer || (calibrationWizard && calibrationWizard.isActive)) {
+    showNotification("게임, 리플레이, 포즈 보정 중에는 모델을 바꿀 수 없습니다", "warning");
+    return false;
+  }
+
+  // 파일/URL 모델은 불러오기 전에 라벨 검사 (기본 모델은 원래 쓰던 모델)
+  if (model) {
+    const mapping = getModelLabelMapping(model.labels);
+    const reachable = mapping.getReachableZones(model.labels, getZones());
+    if (reachable.length < 2 && !confirm(
+      `"${model.name}" 모델의 라벨(${model.labels.join(", ")})은 지금 라벨 매핑으로 ` +
+      `바구니를 ${reachable.length}개 구역에만 보낼 수 있습니다.\n` +
+      "그래도 바꿀까요? (바꾼 뒤 라벨 매핑 설정에서 지정할 수 있습니다)"
+    )) {
+      return false;
+    }
+  }
+
+  setModelPickerBusy(true, "모델 불러오는 중...");
+  try {
+    await poseEngine.loadModel(model || DEFAULT_MODEL_URL);
+  } catch (error) {
+    console.error("모델 불러오기 중 오류 발생:", error);
+    alert(`모델을 불러오지 못했습니다.\n${error.message}`);
+    return false;
+  } finally {
+    setModelPickerBusy(false);
+  }
+
+  // 새 라벨에 맞게 라벨 매핑, Stabilizer, 포즈 보정, 모델 진단 초기화
+  labelMapping.bindings = getModelLabelMapping(poseEngine.getLabels()).bindings;
+  saveLabelMapping();
+  renderLabelMapping();
+  stabilizer.reset();
+  poseCalibratedThisSession = false;
+  if (diagnosticsPanel) diagnosticsPanel.reset();
+
+  if (model) {
+    localStorage.setItem(MODEL_ID_STORAGE_KEY, model.id);
+    try {
+      await modelCache.save(model);
+    } catch (error) {
+      console.warn("모델을 보관하지 못했습니다:", error);
+    }
+  } else {
+    localStorage.removeItem(MODEL_ID_STORAGE_KEY);
+  }
+
+  updateModelStatus();
+  renderModelCache();
+  showNotification(`"${model ? model.name : "기본 모델"}"(으)로 바꿨습니다`, "level-up");
+  return true;
+}
+
+/**
+ * 새 모델 라벨에 쓸 라벨 매핑
+ * 지금 매핑이 새 라벨을 하나라도 알면 그대로, 모르면 라벨 이름으로 추측한 기본값
+ * @param {Array<string>} labels - 새 모델 라벨
+ */
+function getModelLabelMapping(labels) {
+  if (labelMapping && labels.some(label => labelMapping.resolve(label))) {
+    return labelMapping;
+  }
+  return LabelMapping.createDefault(labels, getZones());
+}
+
+/**
+ * 모델 선택 화면의 버튼을 잠그고 상태 표시 (불러오는 동안)
+ * @param {boolean} busy - 불러오는 중인지
+ * @param {string} message - 상태 메시지
+ */
+function setModelPickerBusy(busy, message = "") {
+  document.querySelectorAll("#model-picker button, #model-picker input, #model-picker select").forEach(el => {
+    el.disabled = busy;
+  });
+  if (busy) {
+    document.getElementById("model-status").textContent = message;
+  } else {
+    updateModelStatus();
+  }
+}
+
+/**
+ * 지금 모델 이름과 라벨 표시
+ */
+function updateModelStatus() {
+  const statusEl = document.getElementById("model-status");
+  if (!statusEl || !poseEngine) return;
+
+  const name = poseEngine.modelId ? poseEngine.getModelName() || "내 모델" : "기본 모델";
+  statusEl.textContent = `지금 모델: ${name} (라벨: ${poseEngine.getLabels().join(", ")})`;
+}
+
+/**
+ * 보관된 모델 선택 상자 다시 그리기
+ */
+async function renderModelCache() {
+  const select = document.getElementById("model-cache");
+
+  let models = [];
+  try {
+    models = await modelCache.list();
+  } catch (error) {
+    console.warn("보관된 모델 목록을 읽지 못했습니다:", error);
+  }
+
+  select.innerHTML = "";
+  [{ id: "", name: "기본 모델 (my_model)", labels: null }, ...models].forEach(model => {
+    const option = document.createElement("option");
+    option.value = model.id;
+    option.textContent = model.labels ? `${model.name} · 라벨 ${model.labels.length}개` : model.name;
+    select.appendChild(option);
+  });
+  select.value = poseEngine && poseEngine.modelId ? poseEngine.modelId : "";
+}
+
+/**
+ * 게임 모드 변경 (모드 선택 상자)
+ * @param {string} value - GameMode.BUILT_IN의 키
+ */
+function setGameMode(value) {
+  gameMode = GameMode.BUILT_IN[value] ? value : "classic";
+  document.getElementById("game-mode").value = gameMode;
+  document.getElementById("game-mode-info").textContent = GameMode.BUILT_IN[gameMode].description;
+  updateModeRules();
+}
+
+/**
+ * 게임 방법의 모드 규칙 (선택한 모드와 레벨 팩 1단계의 미스 허용 횟수)
+ */
+function updateModeRules() {
+  const rulesEl = document.getElementById("mode-rules");
+  if (!rulesEl) return;
+
+  const pack = levelPack || LevelPack.DEFAULT;
+  const { missAllowance } = { ...pack.defaults, ...pack.levels[0] };
+
+  rulesEl.innerHTML = "";
+  GameMode.create(gameMode).describeRules(missAllowance).forEach(rule => {
+    const li = document.createElement("li");
+    li.textContent = rule;
+    rulesEl.appendChild(li);
+  });
+}
+
+/**
+ * 자동 난이도 조절 켜기/끄기 (체크 상자)
+ * @param {boolean} enabled - 켤지 여부
+ */
+function setAdaptiveDifficulty(enabled) {
+  adaptiveDifficulty = enabled;
+  document.getElementById("adaptive-difficulty").checked = enabled;
+}
+
+/**
+ * 레벨 팩 선택 (난이도 선택 상자)
+ * @param {string} value - "default" | "easy" | "hard" | "special" | "custom"
+ */
+async function selectLevelPack(value) {
+  try {
+    if (value === "default") {
+      levelPack = null;
+    } else if (LEVEL_PACK_URLS[value]) {
+      const response = await fetch(LEVEL_PACK_URLS[value]);
+      const json = await response.json();
+      LevelPack.validate(json, getLevelPackContext());
+      levelPack = json;
+    }
+    // "custom"은 importLevelPack에서 이미 설정됨
+    updateLevelPackInfo();
+  } catch (error) {
+    console.error("레벨 팩 불러오기 중 오류 발생:", error);
+    alert(`레벨 팩을 불러오지 못했습니다.\n${error.message}`);
+    document.getElementById("level-pack-select").value = "default";
+    levelPack = null;
+    updateLevelPackInfo();
+  }
+}
+
+/**
+ * 레벨 팩 JSON 파일 불러오기 (파일 선택 시)
+ * @param {Event} event - file input change 이벤트
+ */
+async function importLevelPack(event) {
+  const file = event.target.files[0];
+  event.target.value = "";
+  if (!file) return;
+
+  try {
+    const json = JSON.parse(await file.text());
+    LevelPack.validate(json, getLevelPackContext());
+    levelPack = json;
+
+    const select = document.getElementById("level-pack-select");
+    const customOption = select.querySelector('option[value="custom"]');
+    customOption.textContent = `파일: ${json.name}`;
+    customOption.hidden = false;
+    select.value = "custom";
+    updateLevelPackInfo();
+  } catch (error) {
+    console.error("레벨 팩 불러오기 중 오류 발생:", error);
+    alert(`레벨 팩 파일이 올바르지 않습니다.\n${error.message}`);
+  }
+}
+
+/**
+ * 레벨 팩 검사 기준 (기본 아이템 등록소의 아이템 종류, 기본 구역)
+ */
+function getLevelPackContext() {
+  return {
+    itemTypes: ItemRegistry.createDefault().getTypeNames(),
+    zones: getZones()
+  };
+}
+
+/**
+ * 구역 개수 변경 (구역 선택 상자)
+ * @param {string} value - "2" ~ "6"
+ */
+function setZoneCount(value) {
+  zoneCount = Number(value);
+  renderZoneLayout();
+  renderLabelMapping();
+
+  // 선택한 레벨 팩이 새 구역 개수에 없는 구역을 쓰면 기본 레벨 팩으로
+  if (levelPack) {
+    try {
+      LevelPack.validate(levelPack, getLevelPackContext());
+    } catch (error) {
+      showNotification(`선택한 레벨 팩은 구역 ${zoneCount}개에서 쓸 수 없어 기본 난이도로 바꿨습니다`, "warning");
+      document.getElementById("level-pack-select").value = "default";
+      levelPack = null;
+      updateLevelPackInfo();
+    }
+  }
+}
+
+/**
+ * 게임 중에는 구역 개수와 조작 방식을 바꾸지 못하게 함
+ * @param {boolean} locked - 잠금 여부
+ */
+function setGameOptionsLocked(locked) {
+  ["game-mode", "adaptive-difficulty", "zone-count", "control-mode", "calibrateBtn", "player-count"].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.disabled = locked;
+  });
+
+  // 포즈 보정과 안정화 방식은 웹캠(분류 모델)이 있을 때만 (포즈 보정은 1인일 때만)
+  document.getElementById("poseCalibrateBtn").disabled = locked || !calibrationWizard || playerCount > 1;
+  document.getElementById("stabilizer-strategy").disabled = locked || !stabilizer;
+}
+
+/**
+ * 조작 방식 변경 (조작 선택 상자)
+ * @param {string} value - "zones" | "continuous"
+ */
+function setControlMode(value) {
+  if (value === "continuous" && !keypointTracker) {
+    showNotification("웹캠이 없어 몸 위치 조작을 사용할 수 없습니다", "warning");
+    document.getElementById("control-mode").value = "zones";
+    return;
+  }
+  if (value === "continuous" && playerCount > 1) {
+    showNotification("2인 대전은 포즈 분류 조작에서만 할 수 있습니다", "warning");
+    document.getElementById("control-mode").value = "zones";
+    return;
+  }
+
+  controlMode = value;
+  const continuous = controlMode === "continuous";
+
+  // 연속 조작은 키포인트만 쓰므로 분류 모델 예측을 생략
+  if (poseEngine) {
+    poseEngine.setClassificationEnabled(!continuous);
+  }
+  if (stabilizer) {
+    stabilizer.reset();
+  }
+
+  document.getElementById("keypoint-options").hidden = !continuous;
+  updatePoseInputModeUI();
+}
+
+/**
+ * 플레이어 수 변경 (플레이어 선택 상자)
+ * 2인 대전은 웹캠 화면을 두 배로 넓혀 왼쪽/오른쪽 절반을 각 플레이어로 인식
+ * @param {string} value - "1" | "2"
+ */
+async function setPlayerCount(value) {
+  const select = document.getElementById("player-count");
+  const count = Number(value);
+
+  if (count > 1 && !(poseEngine && poseEngine.webcam)) {
+    showNotification("웹캠이 없어 2인 대전을 할 수 없습니다", "warning");
+    select.value = "1";
+    return;
+  }
+  if (count > 1 && controlMode !== "zones") {
+    showNotification("2인 대전은 포즈 분류 조작에서만 할 수 있습니다", "warning");
+    select.value = "1";
+    return;
+  }
+
+  select.disabled = true;
+  try {
+    await poseEngine.setPlayerCount(count);
+    playerCount = count;
+  } catch (error) {
+    console.error("웹캠 다시 켜기 중 오류 발생:", error);
+    showNotification("웹캠을 다시 켜지 못했습니다", "warning");
+    select.value = String(playerCount);
+  }
+  select.disabled = false;
+
+  setupCanvas();
+  updatePlayerCountUI();
+}
+
+/**
+ * 플레이어 수에 맞게 게임 화면 전환 (1인: #game-area, 2인: #versus-area)
+ */
+function updatePlayerCountUI() {
+  const versus = playerCount > 1;
+
+  document.getElementById("player2-label").hidden = !versus;
+  document.getElementById("versus-note").hidden = !versus;
+  document.getElementById("game-area").style.display = versus ? "none" : "";
+  document.getElementById("max-prediction").style.display = versus ? "none" : "";
+
+  const versusArea = document.getElementById("versus-area");
+  versusArea.style.display = versus ? "flex" : "none";
+  if (versus) {
+    VersusMatch.renderPlayfields(versusArea, getPlayerNames());
+  }
+  renderZoneLayout();
+  setGameOptionsLocked(false);
+}
+
+/**
+ * 2인 대전 플레이어 이름 (이름이 없으면 1P/2P)
+ */
+function getPlayerNames() {
+  return [playerName || "1P", player2Name || "2P"];
+}
+
+/**
+ * 연속 조작의 기준 키포인트 변경
+ * @param {string} value - "shoulders" | "nose"
+ */
+function setKeypointSource(value) {
+  if (!keypointTracker) return;
+
+  keypointTracker.source = value;
+  keypointTracker.reset();
+}
+
+/**
+ * 저장된 키포인트 캘리브레이션 불러오기
+ * @returns {Object|null} { left, right }
+ */
+function loadKeypointCalibration() {
+  try {
+    const saved = localStorage.getItem(KEYPOINT_CALIBRATION_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.warn("저장된 캘리브레이션을 읽지 못했습니다:", error);
+    return null;
+  }
+}
+
+/**
+ * 좌우 끝 측정 (캘리브레이션 버튼 클릭 시)
+ * 왼쪽 끝 → 오른쪽 끝 순서로, 이동할 시간을 준 뒤 위치를 모아 평균을 사용
+ */
+async function calibrateKeypoints() {
+  if (!keypointTracker || (gameEngine && gameEngine.isGameActive)) return;
+
+  const button = document.getElementById("calibrateBtn");
+  button.disabled = true;
+
+  try {
+    await measureCalibrationSide("left", "왼쪽");
+    await measureCalibrationSide("right", "오른쪽");
+
+    const calibration = keypointTracker.applyCalibration();
+    localStorage.setItem(KEYPOINT_CALIBRATION_STORAGE_KEY, JSON.stringify(calibration));
+    showNotification("좌우 끝 측정을 마쳤습니다", "level-up");
+  } catch (error) {
+    console.error("캘리브레이션 중 오류 발생:", error);
+    alert(`좌우 끝을 측정하지 못했습니다.\n${error.message}`);
+  } finally {
+    button.disabled = false;
+    updateCalibrationStatus();
+  }
+}
+
+/**
+ * 한쪽 끝 측정 (안내 → 이동 대기 → 위치 수집)
+ * @param {string} side - "left" | "right"
+ * @param {string} sideName - 안내에 표시할 이름
+ */
+async function measureCalibrationSide(side, sideName) {
+  const statusEl = document.getElementById("calibration-status");
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  for (let remaining = CALIBRATION_PREPARE_SECONDS; remaining > 0; remaining--) {
+    statusEl.textContent = `${sideName} 끝으로 이동하세요... ${remaining}`;
+    await wait(1000);
+  }
+
+  statusEl.textContent = `${sideName} 끝 측정 중... 움직이지 마세요`;
+  keypointTracker.startCalibration(side);
+  await wait(CALIBRATION_MEASURE_SECONDS * 1000);
+  keypointTracker.finishCalibration();
+}
+
+/**
+ * 캘리브레이션 상태 표시
+ */
+function updateCalibrationStatus() {
+  const statusEl = document.getElementById("calibration-status");
+  if (!statusEl || !keypointTracker) return;
+
+  const { calibration } = keypointTracker;
+  statusEl.textContent = calibration
+    ? `측정한 범위: ${Math.round(calibration.left * 100)}% ~ ${Math.round(calibration.right * 100)}%`
+    : "측정 전 (화면 전체 너비 사용)";
+}
+
+/**
+ * 포즈 보정 화면 설정 (저장된 보정 옵션 반영)
+ */
+function setupCalibrationWizard() {
+  calibrationWizard = new CalibrationWizard(document.getElementById("calibration-overlay"));
+  calibrationWizard.onApply = applyStabilizerSettings;
+
+  const options = loadCalibrationOptions();
+  calibrationWizard.autoApply = options.autoApply;
+  document.getElementById("calibrate-before-start").checked = options.beforeStart;
+  document.getElementById("calibration-auto-apply").checked = options.autoApply;
+  document.getElementById("poseCalibrateBtn").disabled = false;
+  document.getElementById("stabilizer-strategy").disabled = false;
+  updateStabilizerStatus();
+}
+
+/**
+ * Stabilizer 생성 (설정이 잘못되었으면 기본 설정)
+ * @param {Object} settings - PredictionStabilizer 옵션
+ */
+function createStabilizer(settings) {
+  try {
+    return new PredictionStabilizer(settings);
+  } catch (error) {
+    console.warn("Stabilizer 설정이 올바르지 않아 기본 설정을 사용합니다:", error);
+    return new PredictionStabilizer(DEFAULT_STABILIZER_SETTINGS);
+  }
+}
+
+/**
+ * 저장된 Stabilizer 설정 불러오기
+ * @returns {Object} PredictionStabilizer 옵션 { strategy, threshold, smoothingFrames, ... }
+ */
+function loadStabilizerSettings() {
+  try {
+    const saved = localStorage.getItem(STABILIZER_SETTINGS_STORAGE_KEY);
+    return saved ? { ...DEFAULT_STABILIZER_SETTINGS, ...JSON.parse(saved) } : { ...DEFAULT_STABILIZER_SETTINGS };
+  } catch (error) {
+    console.warn("저장된 Stabilizer 설정을 읽지 못했습니다:", error);
+    return { ...DEFAULT_STABILIZER_SETTINGS };
+  }
+}
+
+/**
+ * 포즈 보정 옵션 불러오기
+ * @returns {Object} { beforeStart, autoApply }
+ */
+function loadCalibrationOptions() {
+  const defaults = { beforeStart: true, autoApply: false };
+  try {
+    const saved = localStorage.getItem(CALIBRATION_OPTIONS_STORAGE_KEY);
+    return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+  } catch (error) {
+    console.warn("저장된 보정 옵션을 읽지 못했습니다:", error);
+    return defaults;
+  }
+}
+
+/**
+ * 포즈 보정 옵션 변경 (체크박스)
+ */
+function saveCalibrationOptions() {
+  const options = {
+    beforeStart: document.getElementById("calibrate-before-start").checked,
+    autoApply: document.getElementById("calibration-auto-apply").checked
+  };
+  if (calibrationWizard) {
+    calibrationWizard.autoApply = options.autoApply;
+  }
+  localStorage.setItem(CALIBRATION_OPTIONS_STORAGE_KEY, JSON.stringify(options));
+}
+
+/**
+ * 포즈 보정으로 추천된 Stabilizer 설정 적용 및 저장
+ * @param {Object} settings - { threshold, smoothingFrames }
+ */
+function applyStabilizerSettings(settings) {
+  // 생성자로 다시 만들어 설정 확인(exitThreshold ≤ enterThreshold)을 거치고 방식별 설정은 유지
+  // (createStabilizer와 달리 잘못된 설정이면 기본 설정 대신 지금 설정을 그대로 둠)
+  let next;
+  try {
+    next = new PredictionStabilizer({ ...stabilizer.getSettings(), ...settings });
+  } catch (error) {
+    showNotification(`포즈 보정 설정을 적용하지 못했습니다: ${error.message}`, "warning");
+    return;
+  }
+
+  stabilizer = next;
+  updateDiagnosticsHooks();
+  saveStabilizerSettings();
+  showNotification("포즈 보정 설정을 적용했습니다", "level-up");
+}
+
+/**
+ * 안정화 방식 변경 (안정화 선택 상자, 임계값 등 나머지 설정은 유지)
+ * @param {string} value - PredictionStabilizer.STRATEGIES 중 하나
+ */
+function setStabilizerStrategy(value) {
+  if (!stabilizer) return;
+
+  stabilizer = createStabilizer({ ...stabilizer.getSettings(), strategy: value });
+  updateDiagnosticsHooks();
+  saveStabilizerSettings();
+}
+
+/**
+ * 현재 Stabilizer 설정을 브라우저에 저장
+ */
+function saveStabilizerSettings() {
+  localStorage.setItem(STABILIZER_SETTINGS_STORAGE_KEY, JSON.stringify(stabilizer.getSettings()));
+  updateStabilizerStatus();
+}
+
+/**
+ * Stabilizer 설정을 기본값으로 되돌리기
+ */
+function resetStabilizerSettings() {
+  if (!stabilizer) return;
+
+  localStorage.removeItem(STABILIZER_SETTINGS_STORAGE_KEY);
+  stabilizer = createStabilizer(DEFAULT_STABILIZER_SETTINGS);
+  updateDiagnosticsHooks();
+  updateStabilizerStatus();
+}
+
+/**
+ * 현재 Stabilizer 설정 표시
+ */
+function updateStabilizerStatus() {
+  const statusEl = document.getElementById("stabilizer-status");
+  if (!statusEl || !stabilizer) return;
+
+  document.getElementById("stabilizer-strategy").value = stabilizer.strategy;
+  statusEl.textContent = `임계값 ${stabilizer.threshold.toFixed(2)}, 평활화 ${stabilizer.smoothingFrames}프레임`;
+}
+
+/**
+ * 보정할 포즈 라벨 (구역/이동에 매핑된 라벨, 두 개 미만이면 모든 라벨)
+ */
+function getCalibrationLabels() {
+  const labels = poseEngine.getLabels();
+  const mapped = labels.filter(label => {
+    const target = labelMapping ? labelMapping.resolve(label) : null;
+    return target && target.action !== "ignore";
+  });
+  return mapped.length >= 2 ? mapped : labels;
+}
+
+/**
+ * 포즈 보정 열기 (보정 버튼 또는 게임 시작 전)
+ * @param {boolean} startAfter - 보정을 마치면 게임 시작
+ */
+function openPoseCalibration(startAfter = false) {
+  if (!calibrationWizard || calibrationWizard.isActive) return;
+  if (gameEngine && gameEngine.isGameActive) return;
+
+  if (controlMode !== "zones") {
+    showNotification("포즈 보정은 포즈 분류 조작에서만 사용할 수 있습니다", "warning");
+    return;
+  }
+
+  calibrationWizard.onClose = () => {
+    poseCalibratedThisSession = true;
+    stabilizer.reset();
+    if (startAfter) {
+      startGame();
+    }
+  };
+  calibrationWizard.open(getCalibrationLabels(), {
+    threshold: stabilizer.threshold,
+    smoothingFrames: stabilizer.smoothingFrames
+  });
+}
+
+/**
+ * 게임 시작 전에 포즈 보정을 해야 하는지 (접속 후 처음 한 번)
+ */
+function shouldCalibrateBeforeStart() {
+  return Boolean(calibrationWizard) &&
+    controlMode === "zones" &&
+    !poseCalibratedThisSession &&
+    document.getElementById("calibrate-before-start").checked;
+}
+
+/**
+ * 현재 구역으로 게임 화면의 구역/바구니와 키보드 안내 다시 그리기
+ */
+function renderZoneLayout() {
+  const zones = getZones();
+  GameEngine.renderZoneLayout(zones, GameCore.getStartZone(zones));
+
+  // 2인 대전 화면도 같은 구역으로
+  document.querySelectorAll("#versus-area .game-area").forEach(gameArea => {
+    GameEngine.renderZoneLayout(zones, GameCore.getStartZone(zones), { gameArea });
+  });
+
+  const digitsEl = document.getElementById("keyboard-digits");
+  if (digitsEl) digitsEl.textContent = `1~${zones.length}`;
+}
+
+/**
+ * 선택한 레벨 팩 설명 표시
+ */
+function updateLevelPackInfo() {
+  const infoEl = document.getElementById("level-pack-info");
+  if (!infoEl) return;
+
+  const pack = levelPack || LevelPack.DEFAULT;
+  infoEl.textContent = pack.description || "";
+  updateModeRules();
+}
+
+/**
+ * 현재 구역 목록
+ */
+function getZones() {
+  return replayer ? replayer.gameEngine.core.zones : GameCore.createZones(zoneCount);
+}
+
+/**
+ * 포즈 캔버스 설정 (웹캠 없이 리플레이할 때도 사용)
+ */
+function setupCanvas() {
+  const canvas = document.getElementById("canvas");
+  canvas.width = 200 * playerCount;
+  canvas.height = 200;
+  ctx = canvas.getContext("2d");
+}
+
+/**
+ * 게임 시작 (Start 버튼 클릭 시)
+ */
+function startGame() {
+  const startBtn = document.getElementById("startBtn");
+  const stopBtn = document.getElementById("stopBtn");
+
+  // 브라우저는 클릭 같은 사용자 조작 안에서만 소리를 켤 수 있음
+  soundEngine.unlock();
+
+  // 순위표에 남길 이름이 있어야 시작
+  if (!playerName) {
+    showNotification("이름(닉네임)을 입력하세요", "warning");
+    document.getElementById("player-name").focus();
+    return;
+  }
+
+  if (playerCount > 1) {
+    startVersusMatch();
+    return;
+  }
+
+  // 처음 시작할 때는 포즈 보정부터 (보정을 닫으면 다시 startGame 호출)
+  if (shouldCalibrateBeforeStart()) {
+    openPoseCalibration(true);
+    return;
+  }
+
+  startBtn.disabled = true;
+
+  try {
+    // 이전 게임(또는 리플레이) 정리: 남은 타이머와 아이템 DOM 제거
+    if (gameEngine) {
+      gameEngine.destroy();
+    }
+
+    // GameEngine 초기화
+    gameEngine = new GameEngine({
+      zoneCount,
+      controlMode,
+      labelMapping,
+      levelPack,
+      mode: gameMode,
+      adaptive: adaptiveDifficulty
+    });
+    setGameOptionsLocked(true);
+    warnedLabels = new Set();
+
+    // GameEngine 콜백 설정
+    setupGameCallbacks();
+    attachSound([gameEngine]);
+
+    // 기록 시작 (리플레이에서 같은 결과가 나오도록 Stabilizer도 초기화)
+    if (stabilizer) {
+      stabilizer.reset();
+    }
+    if (keypointTracker) {
+      keypointTracker.reset();
+    }
+    recorder.start(gameEngine, {
+      stabilizer: stabilizer ? stabilizer.getSettings() : null,
+      labelMapping: gameEngine.labelMapping.toJSON()
+    });
+
+    // 게임 시작 (사람이 안 보이면 바로 일시정지, 카메라 앞에 서면 시작)
+    gameEngine.start();
+    pauseIfAbsent();
+
+    stopBtn.disabled = false;
+    updatePauseButton();
+  } catch (error) {
+    console.error("게임 시작 중 오류 발생:", error);
+    alert("게임 시작에 실패했습니다. 콘솔을 확인하세요.");
+    startBtn.disabled = false;
+    setGameOptionsLocked(false);
+  }
+}
+
+/**
+ * 2인 대전 시작 (두 플레이어 모두 이름이 있어야 시작)
+ */
+function startVersusMatch() {
+  const startBtn = document.getElementById("startBtn");
+  const stopBtn = document.getElementById("stopBtn");
+
+  if (!player2Name) {
+    showNotification("2P 이름(닉네임)을 입력하세요", "warning");
+    document.getElementById("player2-name").focus();
+    return;
+  }
+
+  startBtn.disabled = true;
+
+  try {
+    if (versusMatch) {
+      versusMatch.destroy();
+    }
+
+    const names = getPlayerNames();
+    VersusMatch.renderPlayfields(document.getElementById("versus-area"), names);
+
+    // 두 플레이어 모두 지금 Stabilizer 설정으로 따로 안정화
+    versusMatch = new VersusMatch({
+      names,
+      zoneCount,
+      levelPack,
+      mode: gameMode,
+      labelMapping,
+      stabilizerSettings: stabilizer.getSettings()
+    });
+    versusMatch.onFinish = handleVersusFinish;
+    versusMatch.onPauseChange = updatePauseButton;
+    attachSound(versusMatch.players.map(player => player.engine));
+    setGameOptionsLocked(true);
+
+    document.getElementById("versus-rank").textContent = "";
+    versusMatch.start();
+    pauseIfAbsent();
+
+    stopBtn.disabled = false;
+    updatePauseButton();
+  } catch (error) {
+    console.error("대전 시작 중 오류 발생:", error);
+    alert("대전 시작에 실패했습니다. 콘솔을 확인하세요.");
+    versusMatch = null;
+    startBtn.disabled = false;
+    setGameOptionsLocked(false);
+  }
+}
+
+/**
+ * 2인 대전 종료 콜백 (두 게임이 모두 끝났을 때, 결과 화면은 versusMatch가 표시)
+ * @param {Array<Object>} results - [{ name, state }]
+ */
+function handleVersusFinish(results) {
+  // 두 플레이어 결과를 순위표에 저장
+  const entries = results.map(({ name, state }) => saveGameResult(state, name));
+  const ranks = entries
+    .map((entry, index) => entry ? `${index + 1}P ${leaderboard.getRank(entry)}위` : null)
+    .filter(rank => rank);
+  const rankEl = document.getElementById("versus-rank");
+  if (rankEl && ranks.length > 0) {
+    const mode = Leaderboard.getMode(entries.find(entry => entry));
+    rankEl.textContent = `🏆 ${mode} 순위: ${ranks.join(" · ")}`;
+  }
+
+  document.getElementById("startBtn").disabled = false;
+  document.getElementById("stopBtn").disabled = true;
+  updatePauseButton();
+  setGameOptionsLocked(false);
+}
 
 /**
- * 웹캠 초기화 (페이지 로드 시 자동 실행)
+ * 플레이어 이름과 순위표 설정 (저장된 이름 불러오기)
  */
-async function initWebcam() {
+function setupLeaderboard() {
+  playerName = localStorage.getItem(PLAYER_NAME_STORAGE_KEY) || "";
+  player2Name = localStorage.getItem(PLAYER2_NAME_STORAGE_KEY) || "";
+  document.getElementById("player-name").value = playerName;
+  document.getElementById("player2-name").value = player2Name;
+  renderLeaderboard();
+}
+
+/**
+ * 게임 → 효과음/배경 음악 연결 (이전 게임 연결은 해제)
+ * @param {Array<GameEngine>} engines - 연결할 게임 (2인 대전이면 왼쪽부터)
+ */
+function attachSound(engines) {
+  soundEngine.detachAll();
+  engines.forEach((engine, index) => {
+    const pan = engines.length > 1 ? (index === 0 ? -SOUND_VERSUS_PAN : SOUND_VERSUS_PAN) : 0;
+    soundEngine.attach(engine, { pan });
+  });
+}
+
+/**
+ * 저장된 소리 설정을 볼륨 슬라이더/음소거 체크박스에 표시
+ */
+function setupSoundSettings() {
+  const settings = soundEngine.getSettings();
+  SoundEngine.CHANNELS.forEach(channel => {
+    document.getElementById(`sound-${channel}`).value = Math.round(settings[channel] * 100);
+  });
+  document.getElementById("sound-muted").checked = settings.muted;
+}
+
+/**
+ * 볼륨 변경 (볼륨 슬라이더)
+ * @param {string} channel - "master" | "music" | "sfx"
+ * @param {string} value - 0~100
+ */
+function setSoundVolume(channel, value) {
+  soundEngine.setVolume(channel, Number(value) / 100);
+}
+
+/**
+ * 음소거 변경 (음소거 체크박스)
+ */
+function setSoundMuted(muted) {
+  soundEngine.setMuted(muted);
+}
+
+/**
+ * 플레이어 이름 변경 (이름 입력란)
+ * @param {string} value - 이름 또는 닉네임
+ */
+function setPlayerName(value) {
+  playerName = value.trim();
+  localStorage.setItem(PLAYER_NAME_STORAGE_KEY, playerName);
+}
+
+/**
+ * 2P 이름 변경 (2인 대전의 2P 이름 입력란)
+ * @param {string} value - 이름 또는 닉네임
+ */
+function setPlayer2Name(value) {
+  player2Name = value.trim();
+  localStorage.setItem(PLAYER2_NAME_STORAGE_KEY, player2Name);
+}
+
+/**
+ * 게임 결과를 순위표에 저장
+ * @param {Object} state - gameEngine.getGameState() 결과
+ * @param {string} name - 플레이어 이름 (기본 1P 이름)
+ * @returns {Object|null} 저장한 항목 (저장하지 않았으면 null)
+ */
+function saveGameResult(state, name = playerName) {
+  // 시작하자마자 중지한 게임은 저장하지 않음
+  if (!state.endReason && state.score === 0) return null;
+
   try {
-    // 1. PoseEngine 초기화
-    poseEngine = new PoseEngine("./my_model/");
-    const { maxPredictions, webcam } = await poseEngine.init({
-      size: 200,
-      flip: true
+    const entry = leaderboard.addResult({
+      player: name,
+      score: state.score,
+      level: state.level,
+      levelPack: state.levelPack,
+      zoneCount,
+      controlMode: state.controlMode,
+      modelName: poseEngine ? poseEngine.getModelName() : null,
+      gameMode: state.mode,
+      difficultyLog: state.adaptive ? AdaptiveDifficulty.formatLog(state.adaptive.log) : null
     });
+    renderLeaderboard(entry.id);
+    return entry;
+  } catch (error) {
+    console.error("순위표 저장 중 오류 발생:", error);
+    return null;
+  }
+}
 
-    // 2. Stabilizer 초기화
-    stabilizer = new PredictionStabilizer({
-      threshold: 0.7,
-      smoothingFrames: 3
-    });
+/**
+ * 1인 게임 결과 저장 후 게임 오버 화면(또는 알림)에 순위 표시
+ * @param {Object} state - gameEngine.getGameState() 결과
+ */
+function saveSingleGameResult(state) {
+  const entry = saveGameResult(state);
+  if (!entry) return;
 
-    // 3. 캔버스 설정
-    const canvas = document.getElementById("canvas");
-    canvas.width = 200;
-    canvas.height = 200;
-    ctx = canvas.getContext("2d");
+  const rank = leaderboard.getRank(entry);
+  const rankEl = document.getElementById("gameover-rank");
+  if (rankEl) rankEl.textContent = `🏆 ${Leaderboard.getMode(entry)} 순위 ${rank}위`;
+  if (!state.endReason) {
+    showNotification(`순위표에 저장했습니다 (${rank}위)`, "level-up");
+  }
+}
 
-    // 4. PoseEngine 콜백 설정
-    poseEngine.setPredictionCallback(handlePrediction);
-    poseEngine.setDrawCallback(drawPose);
+/**
+ * 순위표, 모드/날짜 선택 상자, 플레이어 이름 목록 다시 그리기
+ * @param {string} highlightId - 강조할 결과 id (방금 저장한 결과)
+ */
+function renderLeaderboard(highlightId = null) {
+  const modeSelect = document.getElementById("leaderboard-mode");
+  const daySelect = document.getElementById("leaderboard-day");
+  fillSelectOptions(modeSelect, "모든 모드", leaderboard.getModes());
+  fillSelectOptions(daySelect, "전체 기간", leaderboard.getDays());
 
-    // 5. PoseEngine 시작 (웹캠만 켜기, 게임은 아직)
-    poseEngine.start();
+  const top = leaderboard.getTop({
+    limit: LEADERBOARD_SIZE,
+    mode: modeSelect.value || null,
+    day: daySelect.value || null
+  });
 
-    console.log("웹캠 초기화 완료");
-  } catch (error) {
-    console.error("웹캠 초기화 중 오류 발생:", error);
-    alert("웹캠 초기화에 실패했습니다. 콘솔을 확인하세요.");
+  const body = document.getElementById("leaderboard-body");
+  body.innerHTML = "";
+  if (top.length === 0) {
+    const row = document.createElement("tr");
+    const cell = document.createElement("td");
+    cell.colSpan = 5;
+    cell.textContent = "아직 기록이 없습니다";
+    row.appendChild(cell);
+    body.appendChild(row);
   }
+  top.forEach((entry, index) => {
+    const row = document.createElement("tr");
+    if (entry.id === highlightId) row.className = "highlight";
+    if (entry.difficultyLog) row.title = `난이도 조절: ${entry.difficultyLog}`;
+    [
+      index + 1,
+      entry.player,
+      entry.score,
+      entry.level,
+      `${Leaderboard.getMode(entry)} · ${Leaderboard.getDay(entry)}`
+    ].forEach(value => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+
+  // 이름 입력란의 자동 완성 (이전 플레이어)
+  const playerList = document.getElementById("player-names");
+  playerList.innerHTML = "";
+  leaderboard.getPlayers().forEach(player => {
+    const option = document.createElement("option");
+    option.value = player.name;
+    option.label = `최고 ${player.bestScore}점 · ${player.games}게임`;
+    playerList.appendChild(option);
+  });
 }
 
 /**
- * 게임 시작 (Start 버튼 클릭 시)
+ * 선택 상자 옵션 채우기 (첫 옵션은 "전체", 선택한 값은 유지)
  */
-function startGame() {
-  const startBtn = document.getElementById("startBtn");
-  const stopBtn = document.getElementById("stopBtn");
+function fillSelectOptions(select, allText, values) {
+  const selected = select.value;
+  select.innerHTML = "";
+  [["", allText], ...values.map(value => [value, value])].forEach(([value, text]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  });
+  select.value = values.includes(selected) ? selected : "";
+}
 
-  startBtn.disabled = true;
+/**
+ * 순위표 내보내기
+ * @param {string} format - "json" | "csv"
+ */
+function exportLeaderboard(format) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  // CSV는 엑셀에서 한글이 깨지지 않도록 BOM 추가
+  const blob = format === "csv"
+    ? new Blob(["\uFEFF" + leaderboard.toCSV()], { type: "text/csv" })
+    : new Blob([JSON.stringify(leaderboard.toJSON(), null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `catchzone-leaderboard-${stamp}.${format}`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * 순위표 파일 불러오기 (JSON/CSV, 지금 순위표에 합침)
+ * @param {Event} event - file input change 이벤트
+ */
+async function importLeaderboard(event) {
+  const file = event.target.files[0];
+  event.target.value = "";
+  if (!file) return;
 
   try {
-    // GameEngine 초기화
-    gameEngine = new GameEngine();
+    const added = leaderboard.merge(Leaderboard.parse(await file.text()));
+    renderLeaderboard();
+    showNotification(`순위표에 결과 ${added}개를 추가했습니다`, "level-up");
+  } catch (error) {
+    console.error("순위표 불러오기 중 오류 발생:", error);
+    alert(`순위표 파일을 불러오지 못했습니다.\n${error.message}`);
+  }
+}
 
-    // GameEngine 콜백 설정
-    setupGameCallbacks();
+/**
+ * 순위표 비우기
+ */
+function clearLeaderboard() {
+  if (!confirm("순위표의 모든 결과를 삭제할까요? (먼저 내보내기로 백업하세요)")) return;
 
-    // 게임 시작
-    gameEngine.start();
+  leaderboard.clear();
+  renderLeaderboard();
+}
 
-    stopBtn.disabled = false;
-  } catch (error) {
-    console.error("게임 시작 중 오류 발생:", error);
-    alert("게임 시작에 실패했습니다. 콘솔을 확인하세요.");
-    startBtn.disabled = false;
+/**
+ * 게임 오버 화면의 "다시 하기" (리플레이였으면 리플레이를 끝내고 새 게임)
+ */
+function retryGame() {
+  if (gameEngine) {
+    gameEngine.hideGameOverOverlay();
+  }
+  if (versusMatch) {
+    versusMatch.hideResult();
+  }
+  if (replayer) {
+    stopReplay();
+  }
+  startGame();
+}
+
+/**
+ * 게임 오버 화면의 "처음으로" (대기 상태로)
+ */
+function closeGameOver() {
+  if (gameEngine) {
+    gameEngine.hideGameOverOverlay();
+  }
+  if (versusMatch) {
+    versusMatch.hideResult();
   }
 }
 
@@ -94,6 +1675,9 @@ function stop() {
   if (gameEngine && gameEngine.isGameActive) {
     gameEngine.stop();
   }
+  if (versusMatch) {
+    versusMatch.stop();
+  }
 
   // Stabilizer 리셋
   if (stabilizer) {
@@ -102,6 +1686,123 @@ function stop() {
 
   startBtn.disabled = false;
   stopBtn.disabled = true;
+  updatePauseButton();
+  setGameOptionsLocked(false);
+}
+
+/**
+ * 지금 진행 중인 게임 (1인 GameEngine 또는 2인 VersusMatch, 없거나 리플레이 중이면 null)
+ */
+function getActiveGame() {
+  if (versusMatch && versusMatch.isActive) return versusMatch;
+  if (gameEngine && gameEngine.isGameActive && !replayer) return gameEngine;
+  return null;
+}
+
+/**
+ * 일시정지 버튼 (일시정지 중이면 계속, 재개 카운트다운 중이면 무시)
+ */
+function togglePause() {
+  const game = getActiveGame();
+  if (!game) return;
+
+  if (!game.isPaused) {
+    game.pause("button");
+  } else if (!game.isResuming) {
+    // 사람이 안 보이면 바로 재개하지 않고 카메라 앞에 서면 재개
+    if (isEveryonePresent()) {
+      game.resume();
+    } else {
+      game.pause("absent");
+      showNotification("카메라 앞에 서면 이어서 합니다", "warning");
+    }
+  }
+  updatePauseButton();
+}
+
+/**
+ * 진행 중인 게임 일시정지
+ * @param {string} reason - GameEngine.PAUSE_REASONS의 키
+ */
+function pauseGame(reason) {
+  const game = getActiveGame();
+  if (game && game.pause(reason)) {
+    updatePauseButton();
+  }
+}
+
+/**
+ * 다른 탭/창으로 이동하면 자동 일시정지 (돌아오면 버튼으로 재개)
+ */
+function setupAutoPause() {
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) {
+      pauseGame("hidden");
+    }
+  });
+}
+
+/**
+ * 자리 비움 콜백: 플레이어가 1초 넘게 안 보이면 일시정지, 모두 돌아오면 카운트다운 후 재개
+ * @param {boolean} present - 화면에 있는지
+ * @param {number} index - 플레이어 순서 (웹캠 화면 왼쪽부터)
+ */
+function handlePresenceChange(present, index) {
+  const game = getActiveGame();
+  if (!game || !isPresenceRequired(index)) return;
+
+  if (!present) {
+    pauseGame("absent");
+  } else if (game.isPaused && !game.isResuming && game.pauseReason === "absent" && isEveryonePresent()) {
+    game.resume();
+    updatePauseButton();
+  }
+}
+
+/**
+ * 게임 시작 직후 사람이 안 보이면 일시정지 (자리 비움 콜백은 상태가 바뀔 때만 오므로)
+ */
+function pauseIfAbsent() {
+  if (!isEveryonePresent()) {
+    pauseGame("absent");
+  }
+}
+
+/**
+ * 자리 비움을 확인해야 하는 플레이어인지 (웹캠 사용 중, 아직 게임 중인 플레이어)
+ */
+function isPresenceRequired(index) {
+  if (!poseEngine || !poseEngine.isRunning) return false;
+
+  if (versusMatch && versusMatch.isActive) {
+    const player = versusMatch.players[index];
+    return !!player && player.engine.isGameActive;
+  }
+  return index === 0;
+}
+
+/**
+ * 확인해야 하는 플레이어가 모두 화면에 있는지
+ */
+function isEveryonePresent() {
+  if (!poseEngine) return true;
+
+  for (let i = 0; i < poseEngine.playerCount; i++) {
+    if (isPresenceRequired(i) && !poseEngine.isPresent(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * 일시정지 버튼 상태 (게임 중에만 사용, 일시정지 중이면 "계속")
+ */
+function updatePauseButton() {
+  const pauseBtn = document.getElementById("pauseBtn");
+  if (!pauseBtn) return;
+
+  const game = getActiveGame();
+  pauseBtn.disabled = !game;
+  pauseBtn.textContent = game && game.isPaused ? "▶ 계속" : "⏸ 일시정지";
 }
 
 /**
@@ -128,15 +1829,29 @@ function setupGameCallbacks() {
     // 레벨업 오버레이가 표시되므로 추가 알림 불필요
   });
 
-  // 게임 종료 콜백
-  gameEngine.setGameEndCallback((finalScore, finalLevel) => {
+  // 게임 종료 콜백 (게임 오버 화면은 gameEngine이 표시)
+  gameEngine.setGameEndCallback((finalScore, finalLevel, summary) => {
+    // 순위표에 결과 저장 (리플레이는 저장하지 않음)
+    const rankEl = document.getElementById("gameover-rank");
+    if (rankEl) rankEl.textContent = "";
+    if (!replayer) saveSingleGameResult(summary);
+
     // 버튼 상태 업데이트: Start 활성화, Stop 비활성화
     const startBtn = document.getElementById("startBtn");
     const stopBtn = document.getElementById("stopBtn");
     if (startBtn) startBtn.disabled = false;
     if (stopBtn) stopBtn.disabled = true;
+    updatePauseButton();
+    if (!replayer) setGameOptionsLocked(false);
+
+    // 기록 저장 버튼 활성화
+    const exportBtn = document.getElementById("exportRecordingBtn");
+    if (exportBtn) exportBtn.disabled = !recorder.hasRecording();
   });
 
+  // 일시정지 콜백 (재개 카운트다운이 끝나면 버튼을 다시 "일시정지"로)
+  gameEngine.setPauseChangeCallback(() => updatePauseButton());
+
   // 바구니 이동 콜백
   gameEngine.setBasketMoveCallback((position) => {
     // 바구니 이동은 gameEngine에서 UI 업데이트 처리
@@ -147,10 +1862,34 @@ function setupGameCallbacks() {
  * 예측 결과 처리 콜백
  * @param {Array} predictions - TM 모델의 예측 결과
  * @param {Object} pose - PoseNet 포즈 데이터
+ * @param {number} timestamp - 예측한 웹캠 프레임의 시각 (ms)
  */
-function handlePrediction(predictions, pose) {
-  // 1. Stabilizer로 예측 안정화
-  const stabilized = stabilizer.stabilize(predictions);
+function handlePrediction(predictions, pose, timestamp) {
+  // 리플레이 중에는 웹캠 입력을 게임에 전달하지 않음
+  if (replayer) return;
+
+  // 포즈 보정 중에는 안정화 전의 원래 확률을 보정 화면에 전달
+  if (calibrationWizard && calibrationWizard.isActive) {
+    calibrationWizard.addSample(predictions);
+    return;
+  }
+
+  // 일시정지/카운트다운 중에는 예측을 안정화/기록하지 않음 (리플레이와 같은 결과 유지)
+  if (gameEngine && gameEngine.isPaused) {
+    const maxPredictionDiv = document.getElementById("max-prediction");
+    if (maxPredictionDiv) maxPredictionDiv.innerHTML = gameEngine.pauseTitle;
+    return;
+  }
+
+  // 연속 조작 모드는 분류 결과 대신 키포인트 위치 사용
+  if (controlMode === "continuous") {
+    handleKeypointPosition(predictions, pose, timestamp);
+    return;
+  }
+
+  // 1. Stabilizer로 예측 안정화 (추론이 끝난 시각이 아니라 프레임 시각 기준)
+  const stabilized = stabilizer.stabilize(predictions, timestamp);
+  recorder.recordPrediction(predictions, stabilized, pose, timestamp);
 
   // 2. 최고 확률 예측 표시
   const maxPredictionDiv = document.getElementById("max-prediction");
@@ -160,27 +1899,277 @@ function handlePrediction(predictions, pose) {
 
   // 3. GameEngine에 포즈 전달 (게임 모드일 경우)
   if (gameEngine && gameEngine.isGameActive && stabilized.className) {
-    gameEngine.moveBasket(stabilized.className);
+    recorder.recordMove(stabilized.className);
+    const target = gameEngine.moveBasket(stabilized.className);
+    if (!target) {
+      warnUnmappedLabel(stabilized.className);
+    }
+  }
+}
+
+/**
+ * 플레이어별 예측 결과 처리 콜백 (2인 대전)
+ * @param {Array<Object>} results - [{ prediction, pose }] 왼쪽 플레이어부터
+ * @param {number} timestamp - 예측한 웹캠 프레임의 시각 (ms)
+ */
+function handlePlayersPrediction(results, timestamp) {
+  if (versusMatch && versusMatch.isActive) {
+    versusMatch.handlePredictions(results, timestamp);
+    return;
   }
+
+  // 대전 전/후에는 플레이어별 최고 확률 포즈만 표시
+  results.forEach((result, index) => {
+    const predictionEl = document.getElementById(`${VersusMatch.getPrefix(index)}prediction`);
+    if (predictionEl) {
+      const top = PredictionStabilizer.toFrame(result.prediction);
+      predictionEl.textContent = result.pose ? top.className || "감지 중..." : "몸이 보이지 않아요";
+    }
+  });
 }
 
 /**
- * 포즈 그리기 콜백
+ * 연속 조작 모드: 키포인트 위치로 바구니 이동
+ * @param {Array} predictions - 예측 결과 (분류를 생략하므로 보통 빈 배열)
  * @param {Object} pose - PoseNet 포즈 데이터
+ * @param {number} timestamp - 예측한 웹캠 프레임의 시각 (ms)
+ */
+function handleKeypointPosition(predictions, pose, timestamp) {
+  const x = keypointTracker.update(pose ? pose.keypoints : []);
+  recorder.recordPrediction(predictions, { className: null, probability: 0 }, pose, timestamp);
+
+  const maxPredictionDiv = document.getElementById("max-prediction");
+  if (maxPredictionDiv) {
+    maxPredictionDiv.innerHTML = x === null ? "몸이 보이지 않아요" : `위치 ${Math.round(x * 100)}%`;
+  }
+
+  if (gameEngine && gameEngine.isGameActive && x !== null) {
+    recorder.recordPosition(x, "keypoint");
+    gameEngine.moveBasketTo(x);
+  }
+}
+
+/**
+ * 포즈 그리기 콜백 (매 프레임 웹캠 화면 위에 마지막으로 추정한 포즈를 그림)
+ * @param {Object|null} pose - PoseNet 포즈 데이터 (없으면 웹캠 화면만)
+ * @param {Array<Object>} otherPoses - 나머지 플레이어 포즈 (2인 대전)
  */
-function drawPose(pose) {
+function drawPose(pose, otherPoses = []) {
+  // 리플레이 중에는 기록된 포즈를 그림
+  if (replayer) return;
+
   if (poseEngine.webcam && poseEngine.webcam.canvas) {
     ctx.drawImage(poseEngine.webcam.canvas, 0, 0);
 
     // 키포인트와 스켈레톤 그리기
-    if (pose) {
-      const minPartConfidence = 0.5;
-      tmPose.drawKeypoints(pose.keypoints, minPartConfidence, ctx);
-      tmPose.drawSkeleton(pose.keypoints, minPartConfidence, ctx);
+    [pose, ...otherPoses].forEach(item => {
+      if (item) drawSkeleton(item.keypoints);
+    });
+
+    // 2인 대전: 플레이어 경계선
+    if (playerCount > 1) {
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.8)";
+      ctx.setLineDash([6, 6]);
+      for (let i = 1; i < playerCount; i++) {
+        ctx.beginPath();
+        ctx.moveTo(ctx.canvas.width * i / playerCount, 0);
+        ctx.lineTo(ctx.canvas.width * i / playerCount, ctx.canvas.height);
+        ctx.stroke();
+      }
+      ctx.setLineDash([]);
     }
   }
 }
 
+/**
+ * 키포인트와 스켈레톤 그리기
+ * @param {Array} keypoints - PoseNet 키포인트 배열
+ */
+function drawSkeleton(keypoints) {
+  tmPose.drawKeypoints(keypoints, MIN_PART_CONFIDENCE, ctx);
+  tmPose.drawSkeleton(keypoints, MIN_PART_CONFIDENCE, ctx);
+}
+
+/**
+ * 마지막 게임 기록을 JSON 파일로 저장
+ */
+function exportRecording() {
+  recorder.download();
+}
+
+/**
+ * 마지막 게임(또는 리플레이)의 움직임 기록을 CSV 파일로 저장 (아이템 이벤트마다 한 줄)
+ * @param {boolean} versus - 대전 결과 화면에서 눌렀는지 (두 플레이어 기록을 한 파일에, 첫 열은 플레이어 이름)
+ */
+function exportAnalytics(versus = false) {
+  if (!(versus ? versusMatch : gameEngine)) return;
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  const name = (versus ? "versus" : playerName || "player").replace(/[\\/:*?"<>|\s]+/g, "_");
+  const csv = versus
+    ? GameAnalytics.toPlayersCSV(versusMatch.players.map(player => ({ name: player.name, analytics: player.engine.analytics })))
+    : gameEngine.analytics.toCSV();
+  // 엑셀에서 한글이 깨지지 않도록 BOM 추가
+  const blob = new Blob(["\uFEFF" + csv], { type: "text/csv" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `catchzone-analytics-${name}-${stamp}.csv`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * 리플레이 파일 불러오기 (파일 선택 시)
+ * @param {Event} event - file input change 이벤트
+ */
+async function loadReplayFile(event) {
+  const file = event.target.files[0];
+  event.target.value = "";
+  if (!file) return;
+
+  if (playerCount > 1) {
+    showNotification("리플레이는 1인 모드에서만 볼 수 있습니다", "warning");
+    return;
+  }
+
+  try {
+    const json = await file.text();
+    startReplay(SessionReplayer.fromJSON(json));
+  } catch (error) {
+    console.error("리플레이 불러오기 중 오류 발생:", error);
+    alert(`리플레이 파일을 불러오지 못했습니다.\n${error.message}`);
+  }
+}
+
+/**
+ * 리플레이 시작
+ * @param {SessionReplayer} newReplayer - 재생할 리플레이어
+ */
+function startReplay(newReplayer) {
+  // 진행 중인 게임과 리플레이 정리
+  if (gameEngine) {
+    gameEngine.destroy();
+  }
+  if (replayer) {
+    stopReplay();
+  }
+  if (!ctx) {
+    setupCanvas();
+  }
+
+  replayer = newReplayer;
+  replayer.onFrame = drawReplayFrame;
+  replayer.onFinish = updateReplayControls;
+
+  // 리플레이 게임의 점수/레벨도 같은 UI에 표시 (소리는 내지 않음)
+  gameEngine = replayer.gameEngine;
+  setupGameCallbacks();
+  soundEngine.detachAll();
+
+  document.getElementById("startBtn").disabled = true;
+  document.getElementById("stopBtn").disabled = true;
+  document.getElementById("replay-controls").style.display = "flex";
+  setGameOptionsLocked(true);
+
+  replayer.start();
+  replayer.play();
+  updateReplayControls();
+}
+
+/**
+ * 리플레이 종료
+ */
+function stopReplay() {
+  if (!replayer) return;
+
+  replayer.stop();
+  replayer = null;
+
+  document.getElementById("startBtn").disabled = false;
+  document.getElementById("stopBtn").disabled = true;
+  document.getElementById("replay-controls").style.display = "none";
+
+  // 리플레이의 구역 개수에서 선택한 구역 개수로 되돌림
+  setGameOptionsLocked(false);
+  renderZoneLayout();
+}
+
+/**
+ * 리플레이 재생/일시정지 전환
+ */
+function toggleReplayPlayback() {
+  if (!replayer) return;
+
+  if (replayer.isPlaying) {
+    replayer.pause();
+  } else {
+    replayer.play();
+  }
+  updateReplayControls();
+}
+
+/**
+ * 리플레이 한 프레임 진행 (일시정지 상태에서)
+ */
+function stepReplayFrame() {
+  if (!replayer) return;
+
+  replayer.pause();
+  replayer.stepFrame();
+  updateReplayControls();
+}
+
+/**
+ * 리플레이 재생 속도 변경
+ * @param {string} value - 배속
+ */
+function setReplaySpeed(value) {
+  if (replayer) {
+    replayer.setSpeed(Number(value));
+  }
+}
+
+/**
+ * 리플레이 프레임 그리기 콜백
+ * @param {Object} frame - 기록된 예측 프레임
+ * @param {Object} stabilized - 다시 안정화한 결과
+ */
+function drawReplayFrame(frame, stabilized) {
+  ctx.fillStyle = "#222";
+  ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+
+  if (frame.pose) {
+    drawSkeleton(frame.pose.keypoints);
+  }
+
+  const maxPredictionDiv = document.getElementById("max-prediction");
+  if (maxPredictionDiv) {
+    maxPredictionDiv.innerHTML = stabilized.className || "감지 중...";
+  }
+
+  updateReplayControls();
+}
+
+/**
+ * 리플레이 컨트롤 UI 업데이트
+ */
+function updateReplayControls() {
+  if (!replayer) return;
+
+  const playBtn = document.getElementById("replayPlayBtn");
+  if (playBtn) {
+    playBtn.textContent = replayer.isPlaying ? "⏸" : "▶";
+    playBtn.disabled = replayer.isFinished;
+  }
+
+  const progressEl = document.getElementById("replay-progress");
+  if (progressEl) {
+    const { frame, totalFrames } = replayer.getProgress();
+    progressEl.textContent = replayer.isFinished ? "재생 완료" : `${frame} / ${totalFrames}`;
+  }
+}
+
 /**
  * 알림 표시
  */
@@ -0,0 +1,107 @@
+/**
+ * modelCache.js
+ * 최근에 불러온 모델을 IndexedDB에 보관 (인터넷 없이도 다시 사용)
+ *
+ * ModelLoader의 모델 파일 객체에 savedAt(저장 시각)을 더해 저장하고,
+ * 최근 ModelCache.MAX_MODELS개만 남김
+ */
+
+class ModelCache {
+  /**
+   * @param {string} dbName - IndexedDB 이름
+   * @param {number} maxModels - 보관할 모델 수
+   */
+  constructor(dbName = ModelCache.DB_NAME, maxModels = ModelCache.MAX_MODELS) {
+    this.dbName = dbName;
+    this.maxModels = maxModels;
+    this.db = null;
+  }
+
+  /**
+   * 데이터베이스 열기 (처음 한 번)
+   */
+  async open() {
+    if (this.db) return this.db;
+
+    if (typeof indexedDB === "undefined") {
+      throw new Error("이 브라우저는 IndexedDB를 지원하지 않아 모델을 보관할 수 없습니다.");
+    }
+
+    const request = indexedDB.open(this.dbName, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(ModelCache.STORE_NAME, { keyPath: "id" });
+    };
+    this.db = await ModelCache.promisify(request);
+    return this.db;
+  }
+
+  /**
+   * 모델 저장 (같은 id면 덮어쓰고 최근으로), 오래된 모델 정리
+   * @param {Object} model - ModelLoader의 모델 파일
+   */
+  async save(model) {
+    const store = await this.getStore("readwrite");
+    await ModelCache.promisify(store.put({ ...model, savedAt: Date.now() }));
+    await this.prune();
+  }
+
+  /**
+   * 저장된 모델 목록 (최근에 쓴 모델부터)
+   */
+  async list() {
+    const store = await this.getStore("readonly");
+    const models = await ModelCache.promisify(store.getAll());
+    return models.sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * 모델 가져오기 (없으면 null)
+   * @param {string} id - 모델 id
+   */
+  async get(id) {
+    const store = await this.getStore("readonly");
+    const model = await ModelCache.promisify(store.get(id));
+    return model || null;
+  }
+
+  /**
+   * 모델 삭제
+   * @param {string} id - 모델 id
+   */
+  async remove(id) {
+    const store = await this.getStore("readwrite");
+    await ModelCache.promisify(store.delete(id));
+  }
+
+  /**
+   * 최근 maxModels개만 남기고 삭제
+   */
+  async prune() {
+    const models = await this.list();
+    for (const model of models.slice(this.maxModels)) {
+      await this.remove(model.id);
+    }
+  }
+
+  async getStore(mode) {
+    const db = await this.open();
+    return db.transaction(ModelCache.STORE_NAME, mode).objectStore(ModelCache.STORE_NAME);
+  }
+
+  /**
+   * IndexedDB 요청 → Promise
+   */
+  static promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+ModelCache.DB_NAME = "catchzone-models";
+ModelCache.STORE_NAME = "models";
+ModelCache.MAX_MODELS = 5;
+
+// 전역으로 내보내기
+window.ModelCache = ModelCache;
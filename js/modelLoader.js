@@ -0,0 +1,222 @@
+/**
+ * modelLoader.js
+ * 실행 중에 Teachable Machine 포즈 모델 읽기 (사용자 파일 또는 URL)
+ *
+ * 모델 파일 객체:
+ * { id, name, source, labels, modelJSON, weights, metadata }
+ * - source: "files" (사용자 파일) 또는 모델 폴더 URL
+ * - modelJSON / metadata: model.json / metadata.json 내용 (문자열)
+ * - weights: 가중치 (ArrayBuffer, 가중치 파일이 여러 개면 하나로 합침)
+ *
+ * PoseEngine.loadModel()에 그대로 넘기고, ModelCache(IndexedDB)에도 그대로 저장
+ */
+
+class ModelLoader {
+  /**
+   * 사용자가 고른(끌어다 놓은) 파일에서 모델 읽기
+   * @param {FileList|Array<File>} fileList - model.json, weights.bin, metadata.json
+   * @returns {Promise<Object>} 모델 파일
+   */
+  static async fromFiles(fileList) {
+    const files = Array.from(fileList);
+    const weightFiles = files.filter(file => file.name.toLowerCase().endsWith(".bin"));
+
+    // 내려받을 때 이름이 바뀔 수 있으므로 (예: "model (1).json") JSON 내용으로 구분
+    let modelJSON = null;
+    let metadata = null;
+    for (const file of files.filter(item => item.name.toLowerCase().endsWith(".json"))) {
+      const text = await file.text();
+      const json = ModelLoader.parseJSON(text, file.name);
+      if (json.modelTopology) {
+        modelJSON = text;
+      } else if (Array.isArray(json.labels)) {
+        metadata = text;
+      }
+    }
+
+    if (!modelJSON) {
+      throw new Error("model.json 파일이 필요합니다.");
+    }
+    if (!metadata) {
+      throw new Error("metadata.json 파일이 필요합니다.");
+    }
+    if (weightFiles.length === 0) {
+      throw new Error("weights.bin 파일이 필요합니다.");
+    }
+
+    // 가중치 파일은 model.json의 weightsManifest 순서로 (파일이 하나면 이름과 관계없이 사용)
+    const paths = ModelLoader.getWeightPaths(JSON.parse(modelJSON));
+    const ordered = paths.length === 1 && weightFiles.length === 1
+      ? weightFiles
+      : paths.map(path => {
+        const fileName = path.split("/").pop();
+        const file = weightFiles.find(item => item.name === fileName);
+        if (!file) {
+          throw new Error(`가중치 파일 ${fileName}이(가) 필요합니다.`);
+        }
+        return file;
+      });
+    const buffers = await Promise.all(ordered.map(file => file.arrayBuffer()));
+
+    return ModelLoader.create({ source: "files", modelJSON, buffers, metadata });
+  }
+
+  /**
+   * URL에서 모델 읽기 (Teachable Machine 공유 링크 또는 모델 폴더 주소)
+   * @param {string} url - 예: https://teachablemachine.withgoogle.com/models/XXXX/
+   * @returns {Promise<Object>} 모델 파일
+   */
+  static async fromURL(url) {
+    const base = ModelLoader.normalizeURL(url);
+
+    const modelJSON = await ModelLoader.fetchText(new URL("model.json", base).href);
+    const metadata = await ModelLoader.fetchText(new URL("metadata.json", base).href);
+    ModelLoader.parseJSON(modelJSON, "model.json");
+    ModelLoader.parseJSON(metadata, "metadata.json");
+
+    const paths = ModelLoader.getWeightPaths(JSON.parse(modelJSON));
+    const buffers = await Promise.all(paths.map(path => ModelLoader.fetchBuffer(new URL(path, base).href)));
+
+    return ModelLoader.create({ source: base, modelJSON, buffers, metadata });
+  }
+
+  /**
+   * 읽은 내용 → 모델 파일 (가중치를 하나로 합치고 검사)
+   * @param {Object} parts - { source, modelJSON, buffers, metadata }
+   */
+  static create({ source, modelJSON, buffers, metadata }) {
+    const model = JSON.parse(modelJSON);
+    const meta = JSON.parse(metadata);
+    ModelLoader.validate(model, meta);
+
+    // 가중치 파일이 여러 개면 weights.bin 하나로 합침 (tmPose.loadFromFiles는 가중치 파일 하나만 받음)
+    const weights = ModelLoader.concatBuffers(buffers);
+    model.weightsManifest = [{
+      paths: ["weights.bin"],
+      weights: model.weightsManifest.reduce((all, group) => all.concat(group.weights), [])
+    }];
+
+    const name = meta.modelName || (source === "files" ? "내 모델" : source);
+    const version = meta.timeStamp || weights.byteLength;
+
+    return {
+      id: source === "files" ? `files:${name}:${version}` : source,
+      name,
+      source,
+      labels: meta.labels.slice(),
+      modelJSON: JSON.stringify(model),
+      weights,
+      metadata
+    };
+  }
+
+  /**
+   * model.json / metadata.json 형식 검사 (잘못되면 Error)
+   */
+  static validate(model, metadata) {
+    if (!model.modelTopology || !Array.isArray(model.weightsManifest)) {
+      throw new Error("model.json에 modelTopology와 weightsManifest가 필요합니다. Teachable Machine에서 내보낸 포즈 모델인지 확인하세요.");
+    }
+    if (!Array.isArray(metadata.labels) || metadata.labels.some(label => typeof label !== "string")) {
+      throw new Error("metadata.json에 labels(라벨 목록)가 필요합니다.");
+    }
+    if (metadata.labels.length < 2) {
+      throw new Error("게임에 쓰려면 모델 라벨이 2개 이상 필요합니다.");
+    }
+  }
+
+  /**
+   * PoseEngine에 넘길 File 목록 (tmPose.loadFromFiles 인자 순서)
+   * @param {Object} modelFiles - 모델 파일
+   * @returns {Array<File>} [model.json, weights.bin, metadata.json]
+   */
+  static toFiles(modelFiles) {
+    return [
+      new File([modelFiles.modelJSON], "model.json", { type: "application/json" }),
+      new File([modelFiles.weights], "weights.bin", { type: "application/octet-stream" }),
+      new File([modelFiles.metadata], "metadata.json", { type: "application/json" })
+    ];
+  }
+
+  /**
+   * 모델 폴더 URL로 정리 (model.json/metadata.json 주소를 넣어도 폴더로, 끝은 "/")
+   */
+  static normalizeURL(url) {
+    const trimmed = String(url || "").trim();
+    if (!trimmed) {
+      throw new Error("모델 URL을 입력하세요.");
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(trimmed, window.location.href);
+    } catch (error) {
+      throw new Error(`올바른 URL이 아닙니다: ${trimmed}`);
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      throw new Error("모델 URL은 http:// 또는 https://로 시작해야 합니다.");
+    }
+
+    parsed.search = "";
+    parsed.hash = "";
+    parsed.pathname = parsed.pathname.replace(/(model|metadata)\.json$/, "");
+    if (!parsed.pathname.endsWith("/")) {
+      parsed.pathname += "/";
+    }
+    return parsed.href;
+  }
+
+  /**
+   * model.json의 가중치 파일 경로 (weightsManifest 순서)
+   */
+  static getWeightPaths(model) {
+    return (model.weightsManifest || []).reduce((paths, group) => paths.concat(group.paths || []), []);
+  }
+
+  static concatBuffers(buffers) {
+    if (buffers.length === 1) return buffers[0];
+
+    const total = buffers.reduce((sum, buffer) => sum + buffer.byteLength, 0);
+    const merged = new Uint8Array(total);
+    let offset = 0;
+    buffers.forEach(buffer => {
+      merged.set(new Uint8Array(buffer), offset);
+      offset += buffer.byteLength;
+    });
+    return merged.buffer;
+  }
+
+  static parseJSON(text, fileName) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${fileName}이(가) 올바른 JSON 파일이 아닙니다.`);
+    }
+  }
+
+  static async fetchText(url) {
+    const response = await ModelLoader.fetch(url);
+    return response.text();
+  }
+
+  static async fetchBuffer(url) {
+    const response = await ModelLoader.fetch(url);
+    return response.arrayBuffer();
+  }
+
+  static async fetch(url) {
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new Error(`${url}에 연결하지 못했습니다. 주소와 인터넷 연결을 확인하세요.`);
+    }
+    if (!response.ok) {
+      throw new Error(`${url}을(를) 불러오지 못했습니다 (HTTP ${response.status}).`);
+    }
+    return response;
+  }
+}
+
+// 전역으로 내보내기
+window.ModelLoader = ModelLoader;
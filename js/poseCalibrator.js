@@ -0,0 +1,202 @@
+/**
+ * poseCalibrator.js
+ * 플레이어가 각 포즈를 잠시 유지하는 동안 모은 예측 확률을 분석
+ *
+ * - 포즈별 평균 확률표 (어떤 포즈를 했을 때 각 클래스가 몇 %로 나왔는지)
+ * - 포즈별 인식률 (최고 확률 클래스가 그 포즈인 프레임 비율)과 헷갈리는 포즈
+ * - PredictionStabilizer의 threshold / smoothingFrames 추천값
+ */
+
+class PoseCalibrator {
+  /**
+   * @param {Array<string>} labels - 측정할 포즈 라벨
+   */
+  constructor(labels) {
+    this.labels = labels.slice();
+    this.samples = {}; // 라벨 → 프레임별 { 클래스: 확률 }
+    this.labels.forEach(label => {
+      this.samples[label] = [];
+    });
+    this.currentLabel = null;
+  }
+
+  /**
+   * 포즈 측정 시작
+   * @param {string} label - 플레이어가 유지할 포즈
+   */
+  startLabel(label) {
+    this.currentLabel = label;
+    this.samples[label] = [];
+  }
+
+  /**
+   * 측정 중인 포즈에 예측 결과 추가
+   * @param {Array} predictions - TM 모델의 예측 결과 [{ className, probability }]
+   */
+  addSample(predictions) {
+    if (!this.currentLabel) return;
+
+    const frame = {};
+    predictions.forEach(p => {
+      frame[p.className] = p.probability;
+    });
+    this.samples[this.currentLabel].push(frame);
+  }
+
+  /**
+   * 포즈 측정 종료
+   * @returns {number} 모은 프레임 수
+   */
+  finishLabel() {
+    const count = this.currentLabel ? this.samples[this.currentLabel].length : 0;
+    this.currentLabel = null;
+    return count;
+  }
+
+  /**
+   * 포즈별 분석 결과
+   * @returns {Array<Object>} [{ label, frameCount, meanProbabilities, hitRate, ownProbabilities, confusedWith, confusionRate }]
+   */
+  analyze() {
+    return this.labels.map(label => {
+      const frames = this.samples[label];
+      const classNames = frames.length > 0 ? Object.keys(frames[0]) : this.labels;
+
+      // 클래스별 평균 확률
+      const meanProbabilities = {};
+      classNames.forEach(className => {
+        const total = frames.reduce((sum, frame) => sum + (frame[className] || 0), 0);
+        meanProbabilities[className] = frames.length > 0 ? total / frames.length : 0;
+      });
+
+      // 프레임별 최고 확률 클래스 집계
+      const topCounts = {};
+      frames.forEach(frame => {
+        const top = PoseCalibrator.getTopClass(frame);
+        topCounts[top] = (topCounts[top] || 0) + 1;
+      });
+
+      // 가장 자주 잘못 인식된 클래스
+      let confusedWith = null;
+      let confusedCount = 0;
+      Object.entries(topCounts).forEach(([className, count]) => {
+        if (className !== label && count > confusedCount) {
+          confusedWith = className;
+          confusedCount = count;
+        }
+      });
+
+      return {
+        label,
+        frameCount: frames.length,
+        meanProbabilities,
+        hitRate: frames.length > 0 ? (topCounts[label] || 0) / frames.length : 0,
+        // 제대로 인식된 프레임의 자기 확률 (threshold 추천용)
+        ownProbabilities: frames
+          .filter(frame => PoseCalibrator.getTopClass(frame) === label)
+          .map(frame => frame[label]),
+        confusedWith,
+        confusionRate: frames.length > 0 ? confusedCount / frames.length : 0
+      };
+    });
+  }
+
+  /**
+   * 서로 헷갈리는 포즈 목록
+   * @param {number} minRate - 이 비율 이상 다른 포즈로 인식되면 헷갈린다고 봄 (기본 0.2)
+   * @returns {Array<Object>} [{ label, confusedWith, rate }]
+   */
+  getConfusions(minRate = PoseCalibrator.CONFUSION_RATE) {
+    return this.analyze()
+      .filter(result => result.confusedWith && result.confusionRate >= minRate)
+      .map(result => ({ label: result.label, confusedWith: result.confusedWith, rate: result.confusionRate }));
+  }
+
+  /**
+   * PredictionStabilizer 설정 추천
+   * - threshold: 제대로 인식된 프레임의 90%가 넘는 확률 (0.5~0.95, 0.05 단위)
+   * - smoothingFrames: 가장 인식이 나쁜 포즈 기준으로, 최빈값이 틀릴 확률이 5% 이하가 되는 최소 프레임 수 (1~10)
+   * @returns {Object} { threshold, smoothingFrames, errorRate }
+   */
+  suggestSettings() {
+    const results = this.analyze().filter(result => result.frameCount > 0);
+    if (results.length === 0) {
+      throw new Error("측정된 포즈가 없습니다.");
+    }
+
+    // threshold: 포즈별 자기 확률의 하위 10% 중 가장 낮은 값
+    const lowPercentiles = results.map(result => PoseCalibrator.percentile(result.ownProbabilities, 0.1));
+    const rawThreshold = Math.min(...lowPercentiles);
+    const threshold = Math.min(Math.max(Math.floor(rawThreshold * 20) / 20, 0.5), 0.95);
+
+    // smoothingFrames: 한 프레임이 틀릴 확률(가장 나쁜 포즈)로 계산
+    const errorRate = Math.max(...results.map(result => 1 - result.hitRate));
+    let smoothingFrames = PoseCalibrator.MAX_SMOOTHING_FRAMES;
+    for (let frames = 1; frames <= PoseCalibrator.MAX_SMOOTHING_FRAMES; frames++) {
+      if (PoseCalibrator.majorityErrorProbability(frames, errorRate) <= 0.05) {
+        smoothingFrames = frames;
+        break;
+      }
+    }
+
+    return { threshold, smoothingFrames, errorRate };
+  }
+
+  /**
+   * 확률이 가장 높은 클래스
+   */
+  static getTopClass(frame) {
+    let topClass = null;
+    let topProbability = -1;
+    Object.entries(frame).forEach(([className, probability]) => {
+      if (probability > topProbability) {
+        topClass = className;
+        topProbability = probability;
+      }
+    });
+    return topClass;
+  }
+
+  /**
+   * 백분위수 (값이 없으면 0)
+   * @param {Array<number>} values - 값 목록
+   * @param {number} ratio - 0~1
+   */
+  static percentile(values, ratio) {
+    if (values.length === 0) return 0;
+
+    const sorted = values.slice().sort((a, b) => a - b);
+    const index = Math.min(Math.floor(ratio * sorted.length), sorted.length - 1);
+    return sorted[index];
+  }
+
+  /**
+   * 프레임 frames개 중 절반 이상이 틀릴 확률 (이항분포)
+   * → 최빈값 평활화가 틀린 포즈를 고를 확률의 근사값
+   * @param {number} frames - 평활화 프레임 수
+   * @param {number} errorRate - 한 프레임이 틀릴 확률
+   */
+  static majorityErrorProbability(frames, errorRate) {
+    const needed = Math.ceil(frames / 2);
+    let probability = 0;
+    for (let k = needed; k <= frames; k++) {
+      probability += PoseCalibrator.binomial(frames, k) *
+        Math.pow(errorRate, k) * Math.pow(1 - errorRate, frames - k);
+    }
+    return probability;
+  }
+
+  static binomial(n, k) {
+    let result = 1;
+    for (let i = 1; i <= k; i++) {
+      result = result * (n - k + i) / i;
+    }
+    return result;
+  }
+}
+
+PoseCalibrator.CONFUSION_RATE = 0.2;
+PoseCalibrator.MAX_SMOOTHING_FRAMES = 10;
+
+// 전역으로 내보내기
+window.PoseCalibrator = PoseCalibrator;
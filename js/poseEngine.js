@@ -3,6 +3,23 @@
  * 웹캠 + TM 포즈 모델 로딩 및 예측(label) 생성 담당
  *
  * Teachable Machine 포즈 모델을 로드하고 웹캠에서 실시간 포즈 인식을 수행
+ * 모델은 폴더 URL(기본 ./my_model/) 또는 ModelLoader로 읽은 모델 파일에서 불러오고,
+ * loadModel()로 페이지를 다시 열지 않고 바꿀 수 있음
+ *
+ * 2인 대전: TM 포즈 모델은 한 화면에서 한 사람만 추정하므로,
+ * 웹캠 화면을 가로로 넓히고 왼쪽/오른쪽 절반을 각 플레이어 화면으로 잘라 따로 추정/분류
+ * (자르는 위치가 고정이라 가운데 선을 넘어 기운 플레이어는 놓침 → 화면에서 자기 절반에 서도록 안내)
+ *
+ * 자리 비움 감지: 플레이어별로 믿을 만한 포즈(점수 minPoseScore 이상)가
+ * presenceTimeout 동안 없으면 onPresenceChange(false, 플레이어 순서), 다시 보이면 onPresenceChange(true, ...)
+ *
+ * 추론 위치: Web Worker + OffscreenCanvas + createImageBitmap을 쓸 수 있으면 워커(poseWorker.js)에서 추론하고,
+ * 없거나 워커에서 모델을 쓸 수 없으면 메인 스레드에서 추론
+ * 루프: 매 프레임 웹캠 화면을 갱신해 그리고, InferenceScheduler가 정한 빈도로 그때의 프레임을 추론
+ * (추론을 기다리지 않으므로 느린 컴퓨터에서도 화면과 게임 입력이 멈추지 않음)
+ * 예측 결과는 추론이 끝나면 그 프레임의 시각(timestamp)과 함께 전달
+ *
+ * 디버그 훅: setDebugCallback으로 콜백을 등록하면 추론마다 결과와 지연, 추론 상태를 전달 (진단 패널)
  */
 
 class PoseEngine {
@@ -11,105 +28,513 @@ class PoseEngine {
     this.model = null;
     this.webcam = null;
     this.maxPredictions = 0;
+    this.labels = []; // 모델 라벨 (metadata.json의 labels)
+    this.metadata = null;
+    this.modelId = null; // 지금 모델의 id (ModelLoader 모델 파일의 id, 폴더 URL 모델이면 null)
     this.isRunning = false;
     this.animationId = null;
+    this.loopId = 0; // 멈췄다가 다시 시작할 때 이전 루프가 이어지지 않도록 하는 번호
+    this.currentFrame = null; // 진행 중인 예측 (모델을 바꾸기 전에 끝나기를 기다림)
+    this.modelSource = null; // 지금 모델을 불러온 source (워커를 못 쓰게 되면 메인 스레드에서 다시 불러옴)
+    this.lastPoses = []; // 마지막으로 추정한 플레이어별 포즈 (매 프레임 그리기에 사용)
     this.onPrediction = null; // 예측 결과 콜백
     this.onDraw = null; // 그리기 콜백
+    this.onPlayersPrediction = null; // 플레이어별 예측 결과 콜백 (2인 이상)
+    this.classify = true; // false면 PoseNet 키포인트만 추정 (분류 모델 예측 생략)
+
+    // 추론 위치 (워커를 쓸 수 있으면 워커) 와 추론 빈도
+    this.useWorker = PoseEngine.isWorkerSupported();
+    this.worker = null;
+    this.workerRequests = new Map(); // 요청 id → { resolve, reject }
+    this.nextRequestId = 1;
+    this.inferenceScheduler = new InferenceScheduler();
+    this.inferenceScheduler.onRateChange = (fps, latency) => {
+      if (this.onInferenceRateChange) this.onInferenceRateChange(fps, latency);
+    };
+    this.onInferenceRateChange = null; // (fps, latency) => void
+    this.onDebug = null; // 디버그 콜백 ({ timestamp, latency, averageLatency, results, mode, fps }) => void
+
+    // 자리 비움 감지
+    this.minPoseScore = PoseEngine.MIN_POSE_SCORE;
+    this.presenceTimeout = PoseEngine.PRESENCE_TIMEOUT;
+    this.presence = []; // 플레이어별 { present, lastSeenAt }
+    this.onPresenceChange = null; // (present, playerIndex) => void
+
+    this.size = 200; // 한 플레이어 화면 크기 (정사각형)
+    this.flip = true;
+    this.playerCount = 1; // 웹캠 화면을 가로로 나눌 플레이어 수
+    this.playerCanvas = null; // 플레이어 한 명 부분을 잘라 그리는 캔버스
   }
 
   /**
    * 모델과 웹캠 초기화
-   * @param {Object} options - 옵션 { size, flip }
+   * @param {Object} options - 옵션 { size, flip, model }
+   *   model: ModelLoader의 모델 파일 (없으면 modelURL 폴더의 모델)
    */
   async init(options = {}) {
-    const { size = 200, flip = true } = options;
-
-    // 모델 로드
-    const modelURL = this.modelURL + "model.json";
-    const metadataURL = this.modelURL + "metadata.json";
+    const { size = 200, flip = true, model = null } = options;
+    this.size = size;
+    this.flip = flip;
 
     // Teachable Machine 포즈 모델 로드
-    this.model = await tmPose.load(modelURL, metadataURL);
-    this.maxPredictions = this.model.getTotalClasses();
+    await this.loadModel(model || this.modelURL);
 
     // 웹캠 설정
-    this.webcam = new tmPose.Webcam(size, size, flip);
-    await this.webcam.setup();
-    await this.webcam.play();
+    await this.setupWebcam(size * this.playerCount, size);
 
     return {
       maxPredictions: this.maxPredictions,
+      labels: this.labels,
       webcam: this.webcam
     };
   }
 
+  /**
+   * 모델 불러오기 (예측 루프가 실행 중이면 진행 중인 예측이 끝난 뒤 바꾸고 다시 시작)
+   * @param {string|Object} source - 모델 폴더 URL (예: "./my_model/") 또는 ModelLoader의 모델 파일
+   * @returns {Object} { maxPredictions, labels }
+   */
+  async loadModel(source) {
+    let loaded;
+    if (this.useWorker) {
+      try {
+        loaded = await this.loadWorkerModel(source);
+      } catch (error) {
+        // 메인 스레드에서는 불러와지면 워커에서 추론할 수 없는 환경이므로 메인 스레드로 바꿈
+        // (메인 스레드에서도 실패하면 모델 문제이므로 그 오류를 던짐)
+        loaded = await this.loadMainThreadModel(source);
+        this.disableWorker(error);
+      }
+    } else {
+      loaded = await this.loadMainThreadModel(source);
+    }
+
+    const wasRunning = this.isRunning;
+    this.stopLoop();
+    if (this.currentFrame) {
+      await this.currentFrame.catch(() => {});
+    }
+
+    const previous = this.model;
+    this.model = loaded.model; // 워커에서 추론하면 null (모델은 워커에 있음)
+    this.modelSource = source;
+    this.modelId = typeof source === "string" ? null : source.id;
+    this.maxPredictions = loaded.maxPredictions;
+    this.labels = loaded.labels;
+    this.metadata = loaded.metadata;
+    this.inferenceScheduler.reset();
+
+    // 이전 모델의 텐서 메모리 해제
+    if (previous) {
+      previous.dispose();
+    }
+
+    if (wasRunning) {
+      this.start();
+    }
+    return { maxPredictions: this.maxPredictions, labels: this.labels };
+  }
+
+  /**
+   * 메인 스레드에서 모델 불러오기
+   * @returns {Object} { model, maxPredictions, labels, metadata }
+   */
+  async loadMainThreadModel(source) {
+    const model = typeof source === "string"
+      ? await tmPose.load(source + "model.json", source + "metadata.json")
+      : await tmPose.loadFromFiles(...ModelLoader.toFiles(source));
+
+    return {
+      model,
+      maxPredictions: model.getTotalClasses(),
+      labels: model.getClassLabels(),
+      metadata: model.getMetadata()
+    };
+  }
+
+  /**
+   * 워커에서 모델 불러오기 (워커가 없으면 만듦, 워커의 이전 모델은 워커가 해제)
+   * @returns {Object} { model: null, maxPredictions, labels, metadata }
+   */
+  async loadWorkerModel(source) {
+    // 워커는 자기 위치(js/) 기준으로 주소를 해석하므로 페이지 기준 절대 주소로 넘김
+    const workerSource = typeof source === "string"
+      ? new URL(source, window.location.href).href
+      : ModelLoader.toFiles(source);
+
+    const result = await this.requestWorker({ type: "load", source: workerSource });
+    return { model: null, ...result };
+  }
+
+  /**
+   * 워커에 요청을 보내고 응답 기다리기
+   * @param {Object} message - poseWorker.js의 메시지 (id 제외)
+   * @param {Array} transfer - 옮길 객체 (ImageBitmap 등)
+   */
+  requestWorker(message, transfer = []) {
+    if (!this.worker) {
+      this.worker = new Worker(PoseEngine.WORKER_URL);
+      this.worker.onmessage = event => {
+        const { id, result, error } = event.data;
+        const request = this.workerRequests.get(id);
+        if (!request) return;
+
+        this.workerRequests.delete(id);
+        if (error) {
+          request.reject(new Error(error));
+        } else {
+          request.resolve(result);
+        }
+      };
+      // 스크립트를 불러오지 못하는 등 워커 자체의 오류 → 기다리는 요청을 모두 실패로
+      this.worker.onerror = event => {
+        const error = new Error(event.message || "포즈 추론 워커를 실행하지 못했습니다.");
+        this.workerRequests.forEach(request => request.reject(error));
+        this.workerRequests.clear();
+      };
+    }
+
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.workerRequests.set(id, { resolve, reject });
+      this.worker.postMessage({ ...message, id }, transfer);
+    });
+  }
+
+  /**
+   * 워커를 끄고 이후에는 메인 스레드에서 추론
+   * @param {Error} reason - 워커를 쓸 수 없는 이유 (콘솔에 표시)
+   */
+  disableWorker(reason) {
+    console.warn("워커에서 포즈를 추론할 수 없어 메인 스레드에서 추론합니다:", reason);
+
+    this.useWorker = false;
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.workerRequests.forEach(request => request.reject(reason));
+    this.workerRequests.clear();
+    this.inferenceScheduler.reset();
+  }
+
+  /**
+   * 웹캠 생성 및 재생 (권한 거부, 장치 없음 등은 WebcamError로 구분해서 던짐)
+   * @param {number} width - 웹캠 화면 너비
+   * @param {number} height - 웹캠 화면 높이
+   */
+  async setupWebcam(width, height) {
+    this.webcam = new tmPose.Webcam(width, height, this.flip);
+    try {
+      await this.webcam.setup();
+    } catch (error) {
+      this.webcam = null;
+      const webcamError = new Error("웹캠을 사용할 수 없습니다.");
+      webcamError.name = "WebcamError";
+      webcamError.cause = error;
+      throw webcamError;
+    }
+    await this.webcam.play();
+  }
+
+  /**
+   * 플레이어 수 변경 (웹캠 화면을 플레이어 수만큼 가로로 넓혀 다시 켬)
+   * @param {number} count - 1 또는 2
+   * @returns {Object} 새 웹캠 (tmPose.Webcam)
+   */
+  async setPlayerCount(count) {
+    if (count === this.playerCount) return this.webcam;
+
+    const wasRunning = this.isRunning;
+    this.stop();
+
+    this.playerCount = count;
+    this.presence = [];
+    await this.setupWebcam(this.size * count, this.size);
+
+    if (wasRunning) {
+      this.start();
+    }
+    return this.webcam;
+  }
+
   /**
    * 예측 루프 시작
    */
   start() {
     this.isRunning = true;
-    this.loop();
+    this.presence = []; // 다시 시작하면 presenceTimeout 뒤부터 자리 비움으로 판단
+    this.lastPoses = [];
+    this.loop(++this.loopId);
   }
 
   /**
-   * 예측 루프 중지
+   * 예측 루프 중지 (웹캠도 끔)
    */
   stop() {
+    this.stopLoop();
+
+    if (this.webcam) {
+      this.webcam.stop();
+    }
+  }
+
+  /**
+   * 예측 루프만 중지 (웹캠은 그대로)
+   */
+  stopLoop() {
     this.isRunning = false;
+    this.loopId++;
     if (this.animationId) {
       window.cancelAnimationFrame(this.animationId);
       this.animationId = null;
     }
+  }
 
-    if (this.webcam) {
-      this.webcam.stop();
+  /**
+   * 메인 루프 (매 프레임 웹캠 화면 갱신과 그리기, 추론은 차례가 되었고 진행 중인 추론이 없을 때만 시작)
+   * @param {number} loopId - start()에서 받은 번호 (멈춘 뒤의 이전 루프는 이어지지 않음)
+   */
+  loop(loopId) {
+    if (!this.isRunning || loopId !== this.loopId) return;
+
+    const now = performance.now();
+    this.webcam.update(); // 웹캠 프레임 업데이트
+
+    if (!this.currentFrame && this.inferenceScheduler.isDue(now)) {
+      this.currentFrame = this.predict(loopId, now);
     }
+    this.draw();
+
+    this.animationId = window.requestAnimationFrame(() => this.loop(loopId));
   }
 
   /**
-   * 메인 루프
+   * 지금 웹캠 프레임으로 포즈 예측 후 결과 전달
+   * (예측하는 동안 루프가 멈췄거나 모델이 바뀌었으면 결과는 버림)
+   * @param {number} loopId - 예측을 시작한 루프 번호
+   * @param {number} timestamp - 프레임 시각 (ms)
+   * @returns {Array<Object>|null} [{ prediction, pose }] 플레이어 순서 (실패하면 null)
    */
-  async loop() {
-    if (!this.isRunning) return;
+  async predict(loopId, timestamp) {
+    this.inferenceScheduler.begin(timestamp);
+    try {
+      const results = this.worker ? await this.estimateInWorker() : await this.estimateOnMainThread();
+      const latency = this.inferenceScheduler.end(performance.now());
 
-    this.webcam.update(); // 웹캠 프레임 업데이트
-    await this.predict();
-    this.animationId = window.requestAnimationFrame(() => this.loop());
+      if (loopId === this.loopId) {
+        this.deliver(results, timestamp);
+        if (this.onDebug) {
+          const { mode, fps, latency: averageLatency } = this.getInferenceState();
+          this.onDebug({ timestamp, latency, averageLatency, results, mode, fps });
+        }
+      }
+      return results;
+    } catch (error) {
+      if (this.worker) {
+        // 워커에서 추론하지 못하면 메인 스레드에서 모델을 다시 불러와 이어서 추론
+        // (불러오는 동안 loadModel이 다른 모델로 바꿨으면 불러온 모델은 해제)
+        this.disableWorker(error);
+        const source = this.modelSource;
+        try {
+          const loaded = await this.loadMainThreadModel(source);
+          if (this.modelSource === source && !this.model) {
+            this.model = loaded.model;
+          } else {
+            loaded.model.dispose();
+          }
+        } catch (loadError) {
+          console.error("메인 스레드에서 모델을 불러오지 못했습니다:", loadError);
+        }
+      } else {
+        console.error("포즈 예측 중 오류 발생:", error);
+      }
+      return null;
+    } finally {
+      this.currentFrame = null;
+    }
   }
 
   /**
-   * 포즈 예측 수행
+   * 메인 스레드에서 포즈 추정/분류 (웹캠 화면의 i번째 부분 = i번째 플레이어, 미러링 화면 기준 왼쪽이 1P)
+   * @returns {Array<Object>} [{ prediction, pose }] 플레이어 순서
    */
-  async predict() {
-    // Step 1: PoseNet을 통해 포즈 추정
-    const { pose, posenetOutput } = await this.model.estimatePose(this.webcam.canvas);
+  async estimateOnMainThread() {
+    if (this.playerCount === 1) {
+      // PoseNet으로 포즈 추정 후 Teachable Machine 분류 모델로 예측 (연속 조작 모드에서는 생략)
+      const { pose, posenetOutput } = await this.model.estimatePose(this.webcam.canvas);
+      const prediction = this.classify ? await this.model.predict(posenetOutput) : [];
+      return [{ prediction, pose }];
+    }
+
+    const size = this.size;
+    if (!this.playerCanvas) {
+      this.playerCanvas = document.createElement("canvas");
+      this.playerCanvas.width = size;
+      this.playerCanvas.height = size;
+    }
+    const playerCtx = this.playerCanvas.getContext("2d");
 
-    // Step 2: Teachable Machine 분류 모델로 예측
-    const prediction = await this.model.predict(posenetOutput);
+    const results = [];
+    for (let i = 0; i < this.playerCount; i++) {
+      playerCtx.drawImage(this.webcam.canvas, i * size, 0, size, size, 0, 0, size, size);
 
-    // 콜백 호출
-    if (this.onPrediction) {
-      this.onPrediction(prediction, pose);
+      const { pose, posenetOutput } = await this.model.estimatePose(this.playerCanvas);
+      const prediction = this.classify ? await this.model.predict(posenetOutput) : [];
+      results.push({ prediction, pose: pose ? PoseEngine.offsetPose(pose, i * size) : null });
     }
+    return results;
+  }
+
+  /**
+   * 워커에서 포즈 추정/분류 (웹캠 프레임을 ImageBitmap으로 복사해 넘김)
+   * @returns {Array<Object>} [{ prediction, pose }] 플레이어 순서
+   */
+  async estimateInWorker() {
+    const frame = await createImageBitmap(this.webcam.canvas);
+    const results = await this.requestWorker({
+      type: "predict",
+      frame,
+      playerCount: this.playerCount,
+      size: this.size,
+      classify: this.classify
+    }, [frame]);
 
-    if (this.onDraw && pose) {
-      this.onDraw(pose);
+    if (this.playerCount === 1) return results;
+    return results.map((result, i) => ({
+      prediction: result.prediction,
+      pose: result.pose ? PoseEngine.offsetPose(result.pose, i * this.size) : null
+    }));
+  }
+
+  /**
+   * 예측 결과 전달 (포즈 키포인트는 웹캠 화면 전체 좌표)
+   * 1명이면 onPrediction(prediction, pose, timestamp), 2명 이상이면 onPlayersPrediction(results, timestamp)
+   * @param {Array<Object>} results - [{ prediction, pose }] 플레이어 순서
+   * @param {number} timestamp - 예측한 프레임의 시각 (ms)
+   */
+  deliver(results, timestamp) {
+    this.lastPoses = results.map(result => result.pose);
+    this.updatePresence(this.lastPoses, timestamp);
+
+    if (this.playerCount > 1) {
+      if (this.onPlayersPrediction) this.onPlayersPrediction(results, timestamp);
+    } else if (this.onPrediction) {
+      this.onPrediction(results[0].prediction, results[0].pose, timestamp);
     }
+  }
+
+  /**
+   * 지금 웹캠 화면과 마지막으로 추정한 포즈 그리기 (포즈가 하나도 없으면 웹캠 화면만)
+   */
+  draw() {
+    if (!this.onDraw) return;
 
-    return { prediction, pose };
+    const poses = this.lastPoses.filter(pose => pose);
+    this.onDraw(poses[0] || null, poses.slice(1));
+  }
+
+  /**
+   * 플레이어별 자리 비움 상태 갱신 (바뀌었을 때만 onPresenceChange 호출)
+   * @param {Array<Object>} poses - 플레이어별 포즈 (없으면 null)
+   * @param {number} now - 현재 시각 (ms)
+   */
+  updatePresence(poses, now = performance.now()) {
+    poses.forEach((pose, index) => {
+      if (!this.presence[index]) {
+        this.presence[index] = { present: true, lastSeenAt: now };
+      }
+      const state = this.presence[index];
+
+      const seen = !!pose && pose.score >= this.minPoseScore;
+      if (seen) {
+        state.lastSeenAt = now;
+      }
+
+      const present = seen || now - state.lastSeenAt < this.presenceTimeout;
+      if (present !== state.present) {
+        state.present = present;
+        if (this.onPresenceChange) this.onPresenceChange(present, index);
+      }
+    });
+  }
+
+  /**
+   * 플레이어가 화면에 있는지 (아직 판단 전이면 true)
+   * @param {number} index - 플레이어 순서 (기본 0)
+   */
+  isPresent(index = 0) {
+    const state = this.presence[index];
+    return !state || state.present;
+  }
+
+  /**
+   * 분류 모델 예측 사용 여부 (연속 조작 모드는 키포인트만 사용)
+   * @param {boolean} enabled - 사용 여부
+   */
+  setClassificationEnabled(enabled) {
+    this.classify = enabled;
   }
 
   /**
    * 예측 결과 콜백 등록
-   * @param {Function} callback - (prediction, pose) => void
+   * @param {Function} callback - (prediction, pose, timestamp) => void (timestamp: 예측한 프레임의 시각, ms)
    */
   setPredictionCallback(callback) {
     this.onPrediction = callback;
   }
 
   /**
-   * 그리기 콜백 등록
-   * @param {Function} callback - (pose) => void
+   * 플레이어별 예측 결과 콜백 등록 (플레이어 수가 2 이상일 때 setPredictionCallback 대신 호출)
+   * @param {Function} callback - (results: [{ prediction, pose }], timestamp) => void
+   */
+  setPlayersPredictionCallback(callback) {
+    this.onPlayersPrediction = callback;
+  }
+
+  /**
+   * 자리 비움 콜백 등록
+   * @param {Function} callback - (present, playerIndex) => void
+   */
+  setPresenceCallback(callback) {
+    this.onPresenceChange = callback;
+  }
+
+  /**
+   * 추론 빈도 변경 콜백 등록
+   * @param {Function} callback - (fps, latency) => void (latency: 추론 지연 평균 ms, 다시 재기 시작하면 null)
+   */
+  setInferenceRateCallback(callback) {
+    this.onInferenceRateChange = callback;
+  }
+
+  /**
+   * 디버그 콜백 등록 (null이면 해제)
+   * @param {Function} callback - ({ timestamp, latency, averageLatency, results, mode, fps }) => void
+   *   latency / averageLatency: 이번 추론 지연과 지연 평균 (ms), results: [{ prediction, pose }] 플레이어 순서,
+   *   mode / fps: 추론 방식과 목표 추론 FPS (getInferenceState)
+   */
+  setDebugCallback(callback) {
+    this.onDebug = callback;
+  }
+
+  /**
+   * 추론 상태 { mode: "worker" | "main", fps: 목표 추론 FPS, latency: 추론 지연 평균(ms) }
+   */
+  getInferenceState() {
+    return { mode: this.useWorker ? "worker" : "main", ...this.inferenceScheduler.getState() };
+  }
+
+  /**
+   * 지금 목표 추론 FPS
+   */
+  get inferenceFps() {
+    return this.inferenceScheduler.fps;
+  }
+
+  /**
+   * 그리기 콜백 등록 (매 프레임 호출, 마지막으로 추정한 포즈와 함께)
+   * @param {Function} callback - (pose, otherPoses) => void (pose: 없으면 null, otherPoses: 2인 이상일 때 나머지 플레이어 포즈)
    */
   setDrawCallback(callback) {
     this.onDraw = callback;
@@ -121,7 +546,49 @@ class PoseEngine {
   getMaxPredictions() {
     return this.maxPredictions;
   }
+
+  /**
+   * 모델의 라벨 목록 반환
+   */
+  getLabels() {
+    return this.labels;
+  }
+
+  /**
+   * 모델 이름 반환 (metadata.json의 modelName, 없으면 null)
+   */
+  getModelName() {
+    return this.metadata && this.metadata.modelName ? this.metadata.modelName : null;
+  }
+
+  /**
+   * 워커에서 추론할 수 있는 브라우저인지 (Web Worker, OffscreenCanvas, createImageBitmap)
+   */
+  static isWorkerSupported() {
+    return typeof Worker !== "undefined" &&
+      typeof OffscreenCanvas !== "undefined" &&
+      typeof createImageBitmap !== "undefined";
+  }
+
+  /**
+   * 포즈 키포인트를 가로로 이동한 복사본
+   * @param {Object} pose - PoseNet 포즈 데이터
+   * @param {number} offsetX - 더할 x 좌표
+   */
+  static offsetPose(pose, offsetX) {
+    return {
+      ...pose,
+      keypoints: pose.keypoints.map(keypoint => ({
+        ...keypoint,
+        position: { x: keypoint.position.x + offsetX, y: keypoint.position.y }
+      }))
+    };
+  }
 }
 
+PoseEngine.MIN_POSE_SCORE = 0.3; // 이보다 낮은 포즈 점수는 "사람 없음"으로 봄
+PoseEngine.PRESENCE_TIMEOUT = 1000; // 이 시간(ms) 동안 사람이 없으면 자리 비움
+PoseEngine.WORKER_URL = "./js/poseWorker.js"; // 포즈 추론 워커 (페이지 기준 주소)
+
 // 전역으로 내보내기
 window.PoseEngine = PoseEngine;
@@ -0,0 +1,82 @@
+/**
+ * poseWorker.js
+ * Web Worker에서 포즈 추정/분류 실행 (PoseEngine이 만들어 사용 → 추론하는 동안에도 메인 스레드는 화면과 입력 처리)
+ *
+ * 메시지 (메인 → 워커), 워커는 받은 순서대로 하나씩 처리
+ * - { id, type: "load", source }: 모델 불러오기
+ *   source: 모델 폴더 URL(절대 주소) 또는 tmPose.loadFromFiles 인자 [model.json, weights.bin, metadata.json]
+ * - { id, type: "predict", frame, playerCount, size, classify }: 웹캠 프레임(ImageBitmap) 하나 추정
+ *   프레임을 가로로 playerCount개로 나눠 플레이어마다 추정 (포즈 좌표는 자기 부분 기준, 나누는 위치는 고정)
+ *
+ * 응답 (워커 → 메인): { id, result } 또는 { id, error }
+ * - load: { maxPredictions, labels, metadata }
+ * - predict: [{ prediction, pose }] 플레이어 순서
+ */
+
+importScripts(
+  "../vendor/tfjs-1.3.1/tf.min.js",
+  "../vendor/teachablemachine-pose-0.8.6/teachablemachine-pose.min.js"
+);
+
+let model = null;
+let playerCanvas = null; // 플레이어 한 명 부분을 잘라 그리는 캔버스
+let queue = Promise.resolve();
+
+self.onmessage = event => {
+  const message = event.data;
+  queue = queue.then(async () => {
+    try {
+      const result = message.type === "load" ? await load(message.source) : await predict(message);
+      self.postMessage({ id: message.id, result });
+    } catch (error) {
+      self.postMessage({ id: message.id, error: error.message || String(error) });
+    }
+  });
+};
+
+/**
+ * 모델 불러오기 (불러온 뒤 이전 모델 메모리 해제)
+ */
+async function load(source) {
+  const next = typeof source === "string"
+    ? await tmPose.load(source + "model.json", source + "metadata.json")
+    : await tmPose.loadFromFiles(...source);
+
+  if (model) {
+    model.dispose();
+  }
+  model = next;
+
+  return {
+    maxPredictions: model.getTotalClasses(),
+    labels: model.getClassLabels(),
+    metadata: model.getMetadata()
+  };
+}
+
+/**
+ * 프레임 하나 추정 (다 쓴 프레임은 닫음)
+ */
+async function predict({ frame, playerCount, size, classify }) {
+  try {
+    if (!model) {
+      throw new Error("모델을 불러오기 전에는 예측할 수 없습니다.");
+    }
+    if (!playerCanvas || playerCanvas.width !== size) {
+      playerCanvas = new OffscreenCanvas(size, size);
+    }
+    const playerCtx = playerCanvas.getContext("2d");
+
+    const results = [];
+    for (let i = 0; i < playerCount; i++) {
+      playerCtx.drawImage(frame, i * size, 0, size, size, 0, 0, size, size);
+
+      const { pose, posenetOutput } = await model.estimatePose(playerCtx.getImageData(0, 0, size, size));
+      const prediction = classify ? await model.predict(posenetOutput) : [];
+      results.push({ prediction, pose: pose || null });
+    }
+    return results;
+  } finally {
+    frame.close();
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * scheduler.js
+ * setTimeout/setInterval/requestAnimationFrame을 모아서 관리하는 타이머 모음
+ *
+ * GameEngine이 하나씩 가지고 게임 진행 프레임, 재개 카운트다운, 피드백/애니메이션 정리 타이머를 모두 여기서 만듦
+ * → 게임이 끝나거나 버려질 때 clearAll() 한 번으로 남은 타이머를 모두 취소
+ *   (끝난 게임의 콜백이 새 게임 화면을 건드리지 않도록)
+ */
+
+class Scheduler {
+  constructor() {
+    // id → { type: "timeout" | "interval" | "frame", handle: 브라우저 타이머 id }
+    // (setTimeout과 requestAnimationFrame의 id는 서로 겹칠 수 있으므로 Scheduler가 따로 번호를 붙임)
+    this.timers = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * 타이머 등록 → Scheduler id
+   */
+  add(type, handle) {
+    const id = this.nextId++;
+    this.timers.set(id, { type, handle });
+    return id;
+  }
+
+  /**
+   * 한 번 실행 (실행되면 목록에서 빠짐)
+   * @param {Function} callback - 실행할 함수
+   * @param {number} delay - 지연 시간 (ms)
+   * @returns {number} 타이머 id (clear에 사용)
+   */
+  setTimeout(callback, delay) {
+    const id = this.add("timeout", setTimeout(() => {
+      this.timers.delete(id);
+      callback();
+    }, delay));
+    return id;
+  }
+
+  /**
+   * 반복 실행
+   * @param {Function} callback - 실행할 함수
+   * @param {number} interval - 간격 (ms)
+   * @returns {number} 타이머 id (clear에 사용)
+   */
+  setInterval(callback, interval) {
+    return this.add("interval", setInterval(callback, interval));
+  }
+
+  /**
+   * 다음 화면 갱신 때 한 번 실행 (실행되면 목록에서 빠짐)
+   * @param {Function} callback - (timestamp) => void (timestamp: 프레임 시각, ms)
+   * @returns {number} 타이머 id (clear에 사용)
+   */
+  requestAnimationFrame(callback) {
+    const id = this.add("frame", requestAnimationFrame(timestamp => {
+      this.timers.delete(id);
+      callback(timestamp);
+    }));
+    return id;
+  }
+
+  /**
+   * 타이머 하나 취소 (이미 끝났거나 null이면 아무것도 하지 않음)
+   * @param {number|null} id - 타이머 id
+   */
+  clear(id) {
+    const timer = this.timers.get(id);
+    if (!timer) return;
+
+    if (timer.type === "interval") {
+      clearInterval(timer.handle);
+    } else if (timer.type === "frame") {
+      cancelAnimationFrame(timer.handle);
+    } else {
+      clearTimeout(timer.handle);
+    }
+    this.timers.delete(id);
+  }
+
+  /**
+   * 모든 타이머 취소
+   */
+  clearAll() {
+    Array.from(this.timers.keys()).forEach(id => this.clear(id));
+  }
+
+  /**
+   * 남아 있는 타이머 수
+   */
+  get size() {
+    return this.timers.size;
+  }
+}
+
+// 전역으로 내보내기
+window.Scheduler = Scheduler;
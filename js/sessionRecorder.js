@@ -0,0 +1,227 @@
+/**
+ * sessionRecorder.js
+ * 한 판의 게임을 기록해 JSON 파일로 내보냄
+ *
+ * - 포즈 예측 입력 (원본 예측, 안정화 결과, 키포인트, 타임스탬프)
+ * - moveBasket 호출과 키보드/마우스/터치 입력
+ * - 아이템 생성 / 획득 / 놓침 등 GameCore 이벤트
+ * - GameCore step마다의 dt → SessionReplayer가 같은 순서로 다시 진행
+ */
+
+class SessionRecorder {
+  constructor() {
+    this.recording = null;
+    this.core = null;
+    this.isRecording = false;
+    this.coreHandlers = {};
+    this.sequence = 0; // 프레임/입력 사이의 순서를 보존하기 위한 번호
+  }
+
+  /**
+   * 기록 시작
+   * @param {GameEngine} gameEngine - 기록할 게임 (start 전에 호출)
+   * @param {Object} meta - 추가 정보 { stabilizer, labelMapping }
+   */
+  start(gameEngine, meta = {}) {
+    this.stop();
+
+    this.core = gameEngine.core;
+    this.sequence = 0;
+    this.recording = {
+      version: 1,
+      createdAt: new Date().toISOString(),
+      seed: this.core.seed,
+      zoneCount: this.core.zones.length,
+      controlMode: this.core.controlMode,
+      levelPack: this.core.levelPack.toJSON(),
+      mode: this.core.mode.name,
+      adaptive: this.core.adaptive ? this.core.adaptive.getOptions() : null,
+      stabilizer: meta.stabilizer || null,
+      labelMapping: meta.labelMapping || null,
+      steps: [], // step마다의 dt (초)
+      frames: [], // 포즈 예측 입력
+      moves: [], // moveBasket 호출
+      inputs: [], // 키보드/마우스/터치 입력
+      events: [] // 게임 이벤트
+    };
+
+    // GameCore 이벤트 구독
+    this.coreHandlers = {
+      step: ({ dt }) => this.recording.steps.push(dt),
+      itemSpawn: ({ item }) => this.recordEvent("spawn", {
+        id: item.id,
+        type: item.type,
+        zone: item.zone
+      }),
+      itemCatch: ({ item }) => this.recordEvent("catch", {
+        id: item.id,
+        type: item.type,
+        zone: item.zone
+      }),
+      itemMiss: ({ item }) => this.recordEvent("miss", {
+        id: item.id,
+        type: item.type,
+        zone: item.zone,
+        basketPosition: this.core.basketPosition
+      }),
+      basketMove: ({ zone }) => this.recordEvent("basketMove", { zone }),
+      levelChange: ({ level }) => this.recordEvent("levelChange", { level }),
+      gameOver: ({ reason }) => this.recordEvent("gameOver", { reason }),
+      gameEnd: ({ score, level }) => {
+        this.recordEvent("gameEnd", { score, level });
+        this.stop();
+      }
+    };
+
+    Object.entries(this.coreHandlers).forEach(([event, handler]) => {
+      this.core.on(event, handler);
+    });
+
+    this.isRecording = true;
+  }
+
+  /**
+   * 기록 중지 (기록 내용은 유지)
+   */
+  stop() {
+    if (this.core) {
+      Object.entries(this.coreHandlers).forEach(([event, handler]) => {
+        this.core.off(event, handler);
+      });
+    }
+
+    this.coreHandlers = {};
+    this.core = null;
+    this.isRecording = false;
+  }
+
+  /**
+   * 현재 step 번호 (다음에 실행될 step)
+   */
+  getTick() {
+    return this.core ? this.core.stepCount : 0;
+  }
+
+  /**
+   * 포즈 예측 입력 기록
+   * @param {Array} predictions - TM 모델의 원본 예측 결과
+   * @param {Object} stabilized - Stabilizer 결과 { className, probability }
+   * @param {Object} pose - PoseNet 포즈 데이터
+   * @param {number} timestamp - Stabilizer에 전달한 예측 시각 (기본 현재 시각)
+   */
+  recordPrediction(predictions, stabilized, pose, timestamp = performance.now()) {
+    if (!this.isRecording) return;
+
+    this.recording.frames.push({
+      seq: this.sequence++,
+      tick: this.getTick(),
+      timestamp,
+      predictions: predictions.map(p => ({ className: p.className, probability: p.probability })),
+      stabilized: { className: stabilized.className, probability: stabilized.probability },
+      pose: pose ? {
+        score: pose.score,
+        keypoints: pose.keypoints.map(k => ({
+          part: k.part,
+          score: k.score,
+          position: { x: k.position.x, y: k.position.y }
+        }))
+      } : null
+    });
+  }
+
+  /**
+   * moveBasket 호출 기록
+   * @param {string} pose - 전달한 포즈 라벨
+   */
+  recordMove(pose) {
+    if (!this.isRecording) return;
+
+    this.recording.moves.push({
+      tick: this.getTick(),
+      timestamp: performance.now(),
+      pose
+    });
+  }
+
+  /**
+   * 포즈 외 입력(키보드/마우스/터치) 기록
+   * @param {string} zone - 요청한 구역
+   * @param {string} source - 입력 출처
+   */
+  recordInput(zone, source) {
+    if (!this.isRecording) return;
+
+    this.recording.inputs.push({
+      seq: this.sequence++,
+      tick: this.getTick(),
+      timestamp: performance.now(),
+      zone,
+      source
+    });
+  }
+
+  /**
+   * 연속 조작 모드의 바구니 위치 입력 기록
+   * @param {number} x - 요청한 가로 위치 (0~1)
+   * @param {string} source - 입력 출처 ("keypoint")
+   */
+  recordPosition(x, source) {
+    if (!this.isRecording) return;
+
+    this.recording.inputs.push({
+      seq: this.sequence++,
+      tick: this.getTick(),
+      timestamp: performance.now(),
+      x,
+      source
+    });
+  }
+
+  /**
+   * 게임 이벤트 기록
+   */
+  recordEvent(type, data) {
+    this.recording.events.push({
+      tick: this.getTick(),
+      time: this.core.time,
+      type,
+      ...data
+    });
+  }
+
+  /**
+   * 내보낼 기록이 있는지 여부
+   */
+  hasRecording() {
+    return this.recording !== null && this.recording.steps.length > 0;
+  }
+
+  /**
+   * 기록 데이터 반환
+   */
+  getRecording() {
+    return this.recording;
+  }
+
+  /**
+   * 기록을 JSON 파일로 다운로드
+   */
+  download() {
+    if (!this.hasRecording()) return;
+
+    const json = JSON.stringify(this.recording);
+    const blob = new Blob([json], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const stamp = this.recording.createdAt.replace(/[:.]/g, "-");
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `catchzone-session-${stamp}.json`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+  }
+}
+
+// 전역으로 내보내기
+window.SessionRecorder = SessionRecorder;
@@ -0,0 +1,240 @@
+/**
+ * sessionReplayer.js
+ * SessionRecorder로 저장한 기록을 웹캠 없이 다시 재생
+ *
+ * 기록된 seed로 GameEngine을 만들고, 기록된 포즈 예측을
+ * 새 PredictionStabilizer에 다시 통과시켜 같은 순서로 바구니를 움직임
+ * (키보드/마우스/터치 입력과 연속 조작 모드의 키포인트 위치도 기록된 순서대로 다시 적용)
+ * → 원래 게임과 같은 아이템, 같은 결과가 재현됨
+ */
+
+class SessionReplayer {
+  /**
+   * @param {Object} recording - SessionRecorder.getRecording() 결과
+   */
+  constructor(recording) {
+    SessionReplayer.validate(recording);
+
+    this.recording = recording;
+    // strategy가 없는 이전 기록은 이전 버전의 최빈값 동작으로 재생
+    this.stabilizer = new PredictionStabilizer({ strategy: "legacyMajority", ...recording.stabilizer });
+    this.gameEngine = new GameEngine({
+      seed: recording.seed,
+      zoneCount: recording.zoneCount || 3, // zoneCount가 없는 이전 기록은 3개 구역
+      controlMode: recording.controlMode || "zones",
+      levelPack: recording.levelPack || null,
+      mode: recording.mode || "classic", // mode가 없는 이전 기록은 클래식
+      adaptive: recording.adaptive || null, // 자동 난이도 조절 옵션 (끈 게임과 이전 기록은 null)
+      labelMapping: recording.labelMapping ? new LabelMapping(recording.labelMapping.labels) : null
+    });
+
+    this.tick = 0; // 다음에 실행할 step 번호
+    this.frameIndex = 0; // 다음에 적용할 예측 프레임 번호
+    this.inputIndex = 0; // 다음에 적용할 입력 번호
+    this.inputs = recording.inputs || [];
+    this.speed = 1;
+    this.isPlaying = false;
+    this.isFinished = false;
+    this.animationId = null;
+    this.lastTimestamp = null;
+    this.pendingTime = 0;
+
+    this.onFrame = null; // 예측 프레임 콜백 (frame, stabilized) => void
+    this.onFinish = null; // 재생 종료 콜백
+  }
+
+  /**
+   * 기록 형식 검사
+   */
+  static validate(recording) {
+    if (!recording || typeof recording !== "object") {
+      throw new Error("기록 파일 형식이 올바르지 않습니다.");
+    }
+    if (!Array.isArray(recording.steps) || !Array.isArray(recording.frames)) {
+      throw new Error("기록 파일에 steps 또는 frames가 없습니다.");
+    }
+    if (typeof recording.seed !== "number") {
+      throw new Error("기록 파일에 seed가 없습니다.");
+    }
+  }
+
+  /**
+   * JSON 문자열에서 리플레이어 생성
+   */
+  static fromJSON(json) {
+    return new SessionReplayer(JSON.parse(json));
+  }
+
+  /**
+   * 재생 준비 (게임 시작, 아직 진행하지 않음)
+   */
+  start() {
+    this.stabilizer.reset();
+    this.gameEngine.start({ autoTick: false });
+  }
+
+  /**
+   * 재생
+   */
+  play() {
+    if (this.isFinished || this.isPlaying) return;
+
+    this.isPlaying = true;
+    this.lastTimestamp = null;
+    this.animationId = window.requestAnimationFrame((t) => this.loop(t));
+  }
+
+  /**
+   * 일시정지
+   */
+  pause() {
+    this.isPlaying = false;
+    if (this.animationId) {
+      window.cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+
+  /**
+   * 재생 종료 및 게임 정리
+   */
+  stop() {
+    this.pause();
+    this.gameEngine.stop();
+  }
+
+  /**
+   * 재생 속도 설정
+   * @param {number} speed - 1 = 실제 속도
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  /**
+   * 재생 루프: 실제 경과 시간만큼 기록된 step을 소비
+   */
+  loop(timestamp) {
+    if (!this.isPlaying) return;
+
+    if (this.lastTimestamp !== null) {
+      this.pendingTime += ((timestamp - this.lastTimestamp) / 1000) * this.speed;
+    }
+    this.lastTimestamp = timestamp;
+
+    while (!this.isFinished && this.tick < this.recording.steps.length &&
+           this.pendingTime >= this.recording.steps[this.tick]) {
+      this.pendingTime -= this.recording.steps[this.tick];
+      this.advanceStep();
+    }
+
+    if (this.isFinished) return;
+    this.animationId = window.requestAnimationFrame((t) => this.loop(t));
+  }
+
+  /**
+   * 다음 예측 프레임까지 진행 (한 프레임씩 보기)
+   */
+  stepFrame() {
+    if (this.isFinished) return;
+
+    const targetFrame = this.frameIndex + 1;
+    while (!this.isFinished && this.frameIndex < targetFrame) {
+      this.advanceStep();
+    }
+  }
+
+  /**
+   * step 하나 진행: 이 step 전에 들어온 예측을 적용한 뒤 게임 진행
+   */
+  advanceStep() {
+    const { frames, steps } = this.recording;
+    const inputs = this.inputs;
+
+    // 예측 프레임과 입력을 기록된 순서(seq)대로 적용
+    for (;;) {
+      const frame = frames[this.frameIndex];
+      const input = inputs[this.inputIndex];
+      const frameReady = frame && frame.tick <= this.tick;
+      const inputReady = input && input.tick <= this.tick;
+
+      if (frameReady && (!inputReady || frame.seq < input.seq)) {
+        this.applyFrame(frame);
+        this.frameIndex++;
+      } else if (inputReady) {
+        this.applyInput(input);
+        this.inputIndex++;
+      } else {
+        break;
+      }
+    }
+
+    if (this.tick >= steps.length || !this.gameEngine.isGameActive) {
+      this.finish();
+      return;
+    }
+
+    this.gameEngine.advance(steps[this.tick]);
+    this.tick++;
+  }
+
+  /**
+   * 기록된 예측 프레임을 Stabilizer와 GameEngine에 다시 적용
+   */
+  applyFrame(frame) {
+    const stabilized = this.stabilizer.stabilize(frame.predictions, frame.timestamp);
+
+    if (this.gameEngine.isGameActive && stabilized.className) {
+      this.gameEngine.moveBasket(stabilized.className);
+    }
+
+    if (this.onFrame) {
+      this.onFrame(frame, stabilized);
+    }
+  }
+
+  /**
+   * 기록된 키보드/마우스/터치 입력(구역)과 키포인트 입력(가로 위치)을 다시 적용
+   */
+  applyInput(input) {
+    if (!this.gameEngine.isGameActive) return;
+
+    if (input.x !== undefined) {
+      this.gameEngine.moveBasketTo(input.x);
+    } else {
+      this.gameEngine.moveBasketToZone(input.zone);
+    }
+  }
+
+  /**
+   * 재생 종료 처리
+   */
+  finish() {
+    this.isFinished = true;
+    this.pause();
+
+    // 중간에 Stop으로 끝난 기록이면 여기서 게임 종료
+    if (this.gameEngine.isGameActive) {
+      this.gameEngine.stop();
+    }
+
+    if (this.onFinish) {
+      this.onFinish();
+    }
+  }
+
+  /**
+   * 재생 진행 상황
+   */
+  getProgress() {
+    return {
+      tick: this.tick,
+      totalTicks: this.recording.steps.length,
+      frame: this.frameIndex,
+      totalFrames: this.recording.frames.length
+    };
+  }
+}
+
+// 전역으로 내보내기
+window.SessionReplayer = SessionReplayer;
@@ -0,0 +1,392 @@
+/**
+ * soundEngine.js
+ * Web Audio 효과음과 배경 음악 (소리 파일 없이 오실레이터로 합성)
+ *
+ * - GameEngine을 attach하면 코어 이벤트(받음, 미스, 경고, 레벨업, 게임 오버, 상태 변경)에 맞춰 소리를 냄
+ *   아이템은 종류마다 다른 효과음 (SoundEngine.ITEM_SOUNDS에 없는 종류는 EVENT_SOUNDS.catch)
+ * - 배경 음악: 게임이 진행되는 동안(일시정지/게임 오버 제외) 짧은 패턴을 반복, 레벨이 오를수록 빨라짐
+ * - 전체/음악/효과음 볼륨과 음소거는 브라우저(localStorage)에 저장
+ *
+ * 브라우저는 사용자 조작 없이 소리를 낼 수 없으므로 AudioContext는 unlock()(Start 버튼 등)에서 만듦
+ * 소리 정의: [{ wave, frequency, endFrequency, delay, duration, gain }] (시간은 초, 여러 음을 겹치거나 이어서 냄)
+ */
+
+class SoundEngine {
+  /**
+   * @param {Storage} storage - 설정 저장소 (기본 localStorage)
+   * @param {string} storageKey - 저장 키
+   */
+  constructor(storage = localStorage, storageKey = SoundEngine.STORAGE_KEY) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.settings = this.load();
+
+    // unlock()에서 만듦 (Web Audio를 지원하지 않으면 계속 null → 소리 없이 진행)
+    this.context = null;
+    this.masterGain = null;
+    this.musicGain = null;
+    this.sfxGain = null;
+
+    // 연결된 게임 (GameEngine → { core, pan, missCount, handlers })
+    this.attachments = new Map();
+
+    // 배경 음악 (Scheduler 간격마다 조금 앞의 음까지 미리 예약)
+    this.scheduler = new Scheduler();
+    this.musicTimer = null;
+    this.musicStep = 0;
+    this.nextNoteTime = 0;
+  }
+
+  /**
+   * 저장된 설정 불러오기 (없거나 잘못되었으면 기본값)
+   */
+  load() {
+    try {
+      const saved = this.storage.getItem(this.storageKey);
+      return saved ? SoundEngine.normalizeSettings(JSON.parse(saved)) : { ...SoundEngine.DEFAULT_SETTINGS };
+    } catch (error) {
+      console.warn("저장된 소리 설정을 읽지 못했습니다:", error);
+      return { ...SoundEngine.DEFAULT_SETTINGS };
+    }
+  }
+
+  save() {
+    this.storage.setItem(this.storageKey, JSON.stringify(this.settings));
+  }
+
+  /**
+   * 설정 복사본 { master, music, sfx, muted }
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * 볼륨 변경 및 저장
+   * @param {string} channel - "master" | "music" | "sfx"
+   * @param {number} value - 0~1
+   */
+  setVolume(channel, value) {
+    if (!SoundEngine.CHANNELS.includes(channel)) {
+      throw new Error(`알 수 없는 볼륨 채널입니다: ${channel}`);
+    }
+    this.settings[channel] = SoundEngine.clampVolume(value, this.settings[channel]);
+    this.applyVolumes();
+    this.save();
+  }
+
+  /**
+   * 음소거 변경 및 저장
+   */
+  setMuted(muted) {
+    this.settings.muted = !!muted;
+    this.applyVolumes();
+    this.save();
+  }
+
+  /**
+   * 오디오 준비 (사용자 조작 이벤트 안에서 호출, 이미 만들었으면 멈춘 상태만 다시 켬)
+   * @returns {boolean} 소리를 낼 수 있는지
+   */
+  unlock() {
+    if (!this.context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return false;
+
+      this.context = new AudioContextClass();
+      this.masterGain = this.context.createGain();
+      this.musicGain = this.context.createGain();
+      this.sfxGain = this.context.createGain();
+      this.musicGain.connect(this.masterGain);
+      this.sfxGain.connect(this.masterGain);
+      this.masterGain.connect(this.context.destination);
+      this.applyVolumes();
+    }
+    if (this.context.state === "suspended") {
+      this.context.resume().catch(error => console.warn("오디오를 켜지 못했습니다:", error));
+    }
+    return true;
+  }
+
+  /**
+   * 설정한 볼륨을 게인 노드에 반영 (딸깍 소리가 나지 않도록 짧게 이어서 바꿈)
+   */
+  applyVolumes() {
+    if (!this.context) return;
+
+    const now = this.context.currentTime;
+    const master = this.settings.muted ? 0 : this.settings.master;
+    this.masterGain.gain.setTargetAtTime(master, now, SoundEngine.VOLUME_SMOOTHING);
+    this.musicGain.gain.setTargetAtTime(this.settings.music, now, SoundEngine.VOLUME_SMOOTHING);
+    this.sfxGain.gain.setTargetAtTime(this.settings.sfx, now, SoundEngine.VOLUME_SMOOTHING);
+  }
+
+  /**
+   * 게임 연결 (코어 이벤트 → 효과음/배경 음악)
+   * @param {GameEngine} engine - 연결할 게임
+   * @param {Object} options - 옵션 { pan } (-1 왼쪽 ~ 1 오른쪽, 2인 대전에서 플레이어 쪽으로)
+   */
+  attach(engine, options = {}) {
+    if (this.attachments.has(engine)) return;
+
+    const core = engine.core;
+    const attachment = { core, pan: options.pan || 0, missCount: core.missCount, handlers: {} };
+    const play = name => this.play(SoundEngine.EVENT_SOUNDS[name], attachment.pan);
+
+    attachment.handlers = {
+      itemCatch: ({ item }) => {
+        this.play(SoundEngine.ITEM_SOUNDS[item.type] || SoundEngine.EVENT_SOUNDS.catch, attachment.pan);
+      },
+      missChange: ({ missCount }) => {
+        // 하트로 미스를 회복했거나 새 게임으로 0이 될 때는 소리 없음
+        if (missCount > attachment.missCount) play("miss");
+        attachment.missCount = missCount;
+      },
+      feedback: ({ type }) => {
+        if (type === "warning") play("warning");
+      },
+      levelUp: () => play("levelUp"),
+      // 레벨업 휴식이 없는 모드는 levelUp 없이 바로 levelChange
+      levelChange: () => {
+        if (!core.mode.levelUpPause) play("levelUp");
+      },
+      gameOver: () => play("gameOver"),
+      stateChange: () => this.updateMusic()
+    };
+    Object.entries(attachment.handlers).forEach(([event, handler]) => core.on(event, handler));
+
+    this.attachments.set(engine, attachment);
+    this.updateMusic();
+  }
+
+  /**
+   * 게임 연결 해제
+   */
+  detach(engine) {
+    const attachment = this.attachments.get(engine);
+    if (!attachment) return;
+
+    Object.entries(attachment.handlers).forEach(([event, handler]) => attachment.core.off(event, handler));
+    this.attachments.delete(engine);
+    this.updateMusic();
+  }
+
+  /**
+   * 모든 게임 연결 해제 (새 게임이나 리플레이를 시작하기 전에 호출)
+   */
+  detachAll() {
+    Array.from(this.attachments.keys()).forEach(engine => this.detach(engine));
+  }
+
+  /**
+   * 소리 하나 재생 (오디오를 준비하지 않았거나 멈춰 있으면 무시)
+   * @param {Array} tones - 소리 정의
+   * @param {number} pan - -1 왼쪽 ~ 1 오른쪽
+   */
+  play(tones, pan = 0) {
+    if (!this.isReady()) return;
+
+    let destination = this.sfxGain;
+    if (pan && this.context.createStereoPanner) {
+      destination = this.context.createStereoPanner();
+      destination.pan.value = pan;
+      destination.connect(this.sfxGain);
+    }
+
+    const startTime = this.context.currentTime;
+    tones.forEach(tone => this.playTone(tone, startTime + (tone.delay || 0), destination));
+  }
+
+  /**
+   * 음 하나 예약 (짧게 커졌다가 duration 동안 줄어드는 소리)
+   */
+  playTone(tone, time, destination) {
+    const { wave = "sine", frequency, endFrequency = null, duration, gain = 1 } = tone;
+    const oscillator = this.context.createOscillator();
+    const envelope = this.context.createGain();
+
+    oscillator.type = wave;
+    oscillator.frequency.setValueAtTime(frequency, time);
+    if (endFrequency) {
+      oscillator.frequency.exponentialRampToValueAtTime(endFrequency, time + duration);
+    }
+
+    envelope.gain.setValueAtTime(SoundEngine.SILENCE, time);
+    envelope.gain.linearRampToValueAtTime(gain, time + SoundEngine.ATTACK);
+    envelope.gain.exponentialRampToValueAtTime(SoundEngine.SILENCE, time + duration);
+
+    oscillator.connect(envelope);
+    envelope.connect(destination);
+    oscillator.start(time);
+    oscillator.stop(time + duration + SoundEngine.ATTACK);
+  }
+
+  isReady() {
+    return !!this.context && this.context.state === "running";
+  }
+
+  /**
+   * 연결된 게임 중 하나라도 진행 중이면 배경 음악 재생, 아니면 멈춤
+   */
+  updateMusic() {
+    const running = Array.from(this.attachments.values()).some(({ core }) => core.stateMachine.isRunning);
+    if (running) {
+      this.startMusic();
+    } else {
+      this.stopMusic();
+    }
+  }
+
+  startMusic() {
+    if (this.musicTimer !== null || !this.context) return;
+
+    this.musicStep = 0;
+    this.nextNoteTime = this.context.currentTime + SoundEngine.SCHEDULE_AHEAD;
+    this.musicTimer = this.scheduler.setInterval(() => this.scheduleMusic(), SoundEngine.MUSIC_INTERVAL);
+  }
+
+  stopMusic() {
+    this.scheduler.clear(this.musicTimer);
+    this.musicTimer = null;
+  }
+
+  /**
+   * 지금부터 SCHEDULE_AHEAD초 안에 낼 음을 예약 (음 길이는 예약할 때의 템포로 정함)
+   */
+  scheduleMusic() {
+    if (!this.isReady()) return;
+
+    // 탭이 멈췄다 돌아와 예약이 밀렸으면 지금부터 다시
+    const now = this.context.currentTime;
+    if (this.nextNoteTime < now) {
+      this.nextNoteTime = now;
+    }
+
+    while (this.nextNoteTime < now + SoundEngine.SCHEDULE_AHEAD) {
+      const stepDuration = 60 / this.getTempo() / 2; // 8분음표
+      const { bass, lead } = SoundEngine.MUSIC_PATTERN;
+      const index = this.musicStep % bass.length;
+
+      if (bass[index]) {
+        this.playTone({ wave: "triangle", frequency: bass[index], duration: stepDuration * 1.8, gain: 0.5 }, this.nextNoteTime, this.musicGain);
+      }
+      if (lead[index]) {
+        this.playTone({ wave: "square", frequency: lead[index], duration: stepDuration * 0.8, gain: 0.08 }, this.nextNoteTime, this.musicGain);
+      }
+
+      this.nextNoteTime += stepDuration;
+      this.musicStep++;
+    }
+  }
+
+  /**
+   * 배경 음악 템포 (BPM, 연결된 게임 중 가장 높은 레벨 기준)
+   */
+  getTempo() {
+    const level = Math.max(1, ...Array.from(this.attachments.values()).map(({ core }) => core.level));
+    const { base, perLevel, max } = SoundEngine.MUSIC_TEMPO;
+    return Math.min(max, base + (level - 1) * perLevel);
+  }
+
+  /**
+   * 저장된 설정 검사 (없거나 잘못된 값은 기본값)
+   */
+  static normalizeSettings(saved) {
+    const defaults = SoundEngine.DEFAULT_SETTINGS;
+    const settings = { muted: typeof saved.muted === "boolean" ? saved.muted : defaults.muted };
+    SoundEngine.CHANNELS.forEach(channel => {
+      settings[channel] = SoundEngine.clampVolume(saved[channel], defaults[channel]);
+    });
+    return settings;
+  }
+
+  /**
+   * 볼륨을 0~1로 제한 (숫자가 아니면 fallback)
+   */
+  static clampVolume(value, fallback) {
+    const volume = Number(value);
+    if (value === null || value === "" || !Number.isFinite(volume)) return fallback;
+    return Math.min(1, Math.max(0, volume));
+  }
+}
+
+SoundEngine.STORAGE_KEY = "catchzone.soundSettings";
+SoundEngine.CHANNELS = ["master", "music", "sfx"];
+SoundEngine.DEFAULT_SETTINGS = { master: 0.8, music: 0.5, sfx: 0.8, muted: false };
+
+SoundEngine.ATTACK = 0.01; // 음이 커지는 시간 (초)
+SoundEngine.SILENCE = 0.0001; // 지수 감쇠의 시작/끝 (0은 쓸 수 없음)
+SoundEngine.VOLUME_SMOOTHING = 0.02; // 볼륨 변경 시간 상수 (초)
+SoundEngine.MUSIC_INTERVAL = 25; // 배경 음악 예약 간격 (ms)
+SoundEngine.SCHEDULE_AHEAD = 0.1; // 미리 예약할 시간 (초)
+
+/**
+ * 배경 음악 템포 (BPM): 1레벨 base, 레벨마다 perLevel씩 빨라지고 max에서 멈춤
+ */
+SoundEngine.MUSIC_TEMPO = { base: 100, perLevel: 8, max: 180 };
+
+/**
+ * 배경 음악 패턴 (8분음표 8개 반복, Hz, null은 쉼표)
+ */
+SoundEngine.MUSIC_PATTERN = {
+  bass: [131, null, 131, null, 98, null, 110, null], // C3 C3 G2 A2
+  lead: [523, 659, 784, 659, 494, 587, 784, 587]
+};
+
+/**
+ * 아이템 종류별 받았을 때 효과음
+ */
+SoundEngine.ITEM_SOUNDS = {
+  apple: [{ wave: "sine", frequency: 660, endFrequency: 880, duration: 0.12, gain: 0.6 }],
+  pear: [{ wave: "sine", frequency: 740, endFrequency: 990, duration: 0.12, gain: 0.6 }],
+  orange: [{ wave: "sine", frequency: 880, endFrequency: 1175, duration: 0.12, gain: 0.6 }],
+  golden: [
+    { wave: "triangle", frequency: 784, duration: 0.1, gain: 0.5 },
+    { wave: "triangle", frequency: 988, delay: 0.06, duration: 0.1, gain: 0.5 },
+    { wave: "triangle", frequency: 1175, delay: 0.12, duration: 0.1, gain: 0.5 },
+    { wave: "triangle", frequency: 1568, delay: 0.18, duration: 0.25, gain: 0.5 }
+  ],
+  heart: [
+    { wave: "sine", frequency: 523, duration: 0.15, gain: 0.6 },
+    { wave: "sine", frequency: 784, delay: 0.1, duration: 0.25, gain: 0.6 }
+  ],
+  clock: [
+    { wave: "square", frequency: 1200, duration: 0.04, gain: 0.25 },
+    { wave: "square", frequency: 900, delay: 0.12, duration: 0.04, gain: 0.25 },
+    { wave: "sine", frequency: 600, endFrequency: 300, delay: 0.2, duration: 0.4, gain: 0.4 }
+  ],
+  shield: [{ wave: "triangle", frequency: 440, endFrequency: 880, duration: 0.3, gain: 0.6 }],
+  rotten: [{ wave: "sawtooth", frequency: 220, endFrequency: 110, duration: 0.25, gain: 0.3 }],
+  bomb: [
+    { wave: "sawtooth", frequency: 160, endFrequency: 40, duration: 0.6, gain: 0.6 },
+    { wave: "square", frequency: 90, endFrequency: 30, duration: 0.5, gain: 0.4 }
+  ]
+};
+
+/**
+ * 게임 이벤트 효과음 (catch는 ITEM_SOUNDS에 없는 아이템)
+ */
+SoundEngine.EVENT_SOUNDS = {
+  catch: [{ wave: "sine", frequency: 700, endFrequency: 900, duration: 0.1, gain: 0.6 }],
+  miss: [{ wave: "triangle", frequency: 330, endFrequency: 196, duration: 0.2, gain: 0.6 }],
+  warning: [
+    { wave: "square", frequency: 880, duration: 0.1, gain: 0.25 },
+    { wave: "square", frequency: 880, delay: 0.15, duration: 0.1, gain: 0.25 }
+  ],
+  levelUp: [
+    { wave: "triangle", frequency: 523, duration: 0.12, gain: 0.5 },
+    { wave: "triangle", frequency: 659, delay: 0.1, duration: 0.12, gain: 0.5 },
+    { wave: "triangle", frequency: 784, delay: 0.2, duration: 0.12, gain: 0.5 },
+    { wave: "triangle", frequency: 1047, delay: 0.3, duration: 0.35, gain: 0.5 }
+  ],
+  // 폭탄 효과음과 겹치지 않도록 조금 늦게 시작
+  gameOver: [
+    { wave: "triangle", frequency: 392, delay: 0.3, duration: 0.2, gain: 0.5 },
+    { wave: "triangle", frequency: 330, delay: 0.5, duration: 0.2, gain: 0.5 },
+    { wave: "triangle", frequency: 262, delay: 0.7, duration: 0.2, gain: 0.5 },
+    { wave: "triangle", frequency: 196, delay: 0.9, duration: 0.6, gain: 0.5 }
+  ]
+};
+
+// 전역으로 내보내기
+window.SoundEngine = SoundEngine;
@@ -3,69 +3,302 @@
  * 예측값을 안정화(히스테리시스/필터링)해 튀는 오류를 줄임
  *
  * 포즈 인식 결과가 순간적으로 튀는 것을 방지하기 위한 필터링 로직
+ * 생성자의 strategy 옵션으로 안정화 방식을 고름 (PredictionStabilizer.STRATEGIES 참고)
+ * - majority: 최근 N프레임 최고 확률 클래스의 최빈값 (이긴 클래스의 평균 확률로 임계값 확인)
+ * - weightedVote: 최근 N프레임에서 최고 확률 클래스에 그 확률만큼 투표
+ * - ema: 전체 확률 벡터의 지수 이동 평균
+ * - hysteresis: 들어갈 때(enterThreshold)와 나올 때(exitThreshold) 임계값을 따로 사용
+ * - dwell: 새 클래스가 dwellMs 밀리초 이상 유지되어야 바뀜
+ * - legacyMajority: 이전 버전 동작 (strategy가 없는 예전 기록을 재생할 때 사용)
+ *
+ * 디버그 훅: setDebugCallback으로 콜백을 등록하면 stabilize 할 때마다 원래 예측, 결과, 내부 상태를 전달 (진단 패널)
  */
 
 class PredictionStabilizer {
+  /**
+   * @param {Object} options - 옵션
+   *   strategy: 안정화 방식 (기본 "majority")
+   *   threshold: 최소 확률 임계값 (기본 0.7)
+   *   smoothingFrames: majority/weightedVote/legacyMajority가 보는 프레임 수 (기본 3)
+   *   emaAlpha: ema 계수 0~1 (클수록 새 값을 많이 반영, 기본 2 / (smoothingFrames + 1))
+   *   enterThreshold: hysteresis에서 새 클래스로 들어가는 확률 (기본 threshold)
+   *   exitThreshold: hysteresis에서 현재 클래스를 유지하는 최소 확률 (기본 threshold - 0.2)
+   *   dwellMs: dwell에서 새 클래스로 바뀌기 전에 유지되어야 하는 시간 (기본 200ms)
+   */
   constructor(options = {}) {
+    this.strategy = options.strategy || "majority";
+    if (!PredictionStabilizer.STRATEGIES.includes(this.strategy)) {
+      throw new Error(`알 수 없는 안정화 방식입니다: ${this.strategy}`);
+    }
+
     this.threshold = options.threshold || 0.7; // 최소 확률 임계값
     this.smoothingFrames = options.smoothingFrames || 3; // 평활화할 프레임 수
-    this.history = []; // 최근 예측 히스토리
+
+    // 지정하지 않으면 threshold / smoothingFrames에서 계산 (null)
+    this.emaAlpha = options.emaAlpha !== undefined ? options.emaAlpha : null;
+    this.enterThreshold = options.enterThreshold !== undefined ? options.enterThreshold : null;
+    this.exitThreshold = options.exitThreshold !== undefined ? options.exitThreshold : null;
+    this.dwellMs = options.dwellMs !== undefined ? options.dwellMs : 200;
+
+    if (this.getExitThreshold() > this.getEnterThreshold()) {
+      throw new Error("exitThreshold는 enterThreshold보다 클 수 없습니다.");
+    }
+
+    this.onDebug = null; // 디버그 콜백 ({ timestamp, frame, result, ...getDebugState() }) => void
+
+    this.reset();
   }
 
   /**
    * 예측 결과를 안정화
    * @param {Array} predictions - TM 모델의 예측 결과 배열
-   * @returns {Object} { className: string, probability: number }
+   * @param {number} timestamp - 예측 시각 (ms, dwell에서 사용, 기본 현재 시각)
+   * @returns {Object} { className: string, probability: number } (임계값 미달이면 className "")
+   */
+  stabilize(predictions, timestamp = PredictionStabilizer.now()) {
+    const frame = PredictionStabilizer.toFrame(predictions);
+    const result = this.stabilizeFrame(frame, timestamp);
+
+    if (this.onDebug) {
+      this.onDebug({ timestamp, frame, result, ...this.getDebugState() });
+    }
+    return result;
+  }
+
+  /**
+   * 안정화 방식별 처리
+   */
+  stabilizeFrame(frame, timestamp) {
+    switch (this.strategy) {
+      case "weightedVote":
+        return this.stabilizeWeightedVote(frame);
+      case "ema":
+        return this.stabilizeEma(frame);
+      case "hysteresis":
+        return this.stabilizeHysteresis(frame);
+      case "dwell":
+        return this.stabilizeDwell(frame, timestamp);
+      case "legacyMajority":
+        return this.stabilizeLegacyMajority(frame);
+      default:
+        return this.stabilizeMajority(frame);
+    }
+  }
+
+  /**
+   * 최빈값: 최근 N프레임 최고 확률 클래스 중 가장 많이 나온 클래스
+   * 이긴 클래스가 최고였던 프레임들의 평균 확률로 임계값 확인
    */
-  stabilize(predictions) {
-    // 최고 확률의 예측 찾기
-    let maxProb = 0;
-    let maxClass = "";
+  stabilizeMajority(frame) {
+    this.pushHistory(frame);
 
-    for (let i = 0; i < predictions.length; i++) {
-      if (predictions[i].probability > maxProb) {
-        maxProb = predictions[i].probability;
-        maxClass = predictions[i].className;
+    const votes = {};
+    this.history.forEach(item => {
+      votes[item.className] = (votes[item.className] || 0) + 1;
+    });
+    const winner = PredictionStabilizer.pickWinner(votes, frame.className);
+
+    return this.checkThreshold(winner, this.getMeanTopProbability(winner));
+  }
+
+  /**
+   * 신뢰도 가중 투표: 각 프레임이 최고 확률 클래스에 그 확률만큼 투표
+   */
+  stabilizeWeightedVote(frame) {
+    this.pushHistory(frame);
+
+    const votes = {};
+    this.history.forEach(item => {
+      votes[item.className] = (votes[item.className] || 0) + item.probability;
+    });
+    const winner = PredictionStabilizer.pickWinner(votes, frame.className);
+
+    return this.checkThreshold(winner, this.getMeanTopProbability(winner));
+  }
+
+  /**
+   * 지수 이동 평균: 클래스별 확률을 평활화한 뒤 가장 높은 클래스
+   */
+  stabilizeEma(frame) {
+    const alpha = this.getEmaAlpha();
+
+    if (!this.average) {
+      this.average = { ...frame.probabilities };
+    } else {
+      Object.entries(frame.probabilities).forEach(([className, probability]) => {
+        const previous = this.average[className] || 0;
+        this.average[className] = previous + (probability - previous) * alpha;
+      });
+    }
+
+    const top = PredictionStabilizer.getTop(this.average);
+    return this.checkThreshold(top.className, top.probability);
+  }
+
+  /**
+   * 히스테리시스: 현재 클래스는 exitThreshold 이상이면 유지,
+   * 새 클래스는 enterThreshold 이상이어야 들어감
+   */
+  stabilizeHysteresis(frame) {
+    if (this.current) {
+      const probability = frame.probabilities[this.current] || 0;
+      if (probability >= this.getExitThreshold()) {
+        return { className: this.current, probability };
       }
+      this.current = "";
     }
 
-    // 히스토리에 추가
-    this.history.push({ className: maxClass, probability: maxProb });
+    if (frame.className && frame.probability >= this.getEnterThreshold()) {
+      this.current = frame.className;
+      return { className: frame.className, probability: frame.probability };
+    }
 
-    // 히스토리 크기 제한
-    if (this.history.length > this.smoothingFrames) {
-      this.history.shift();
+    return { className: "", probability: frame.probability };
+  }
+
+  /**
+   * 최소 유지 시간: 새 결과(임계값 미달 "" 포함)가 dwellMs 이상 이어져야 바뀜
+   */
+  stabilizeDwell(frame, timestamp) {
+    const candidate = frame.probability >= this.threshold ? frame.className : "";
+
+    if (this.current === null) {
+      // 첫 프레임은 바로 반영
+      this.current = candidate;
+    } else if (candidate === this.current) {
+      this.candidate = null;
+    } else {
+      if (!this.candidate || this.candidate.className !== candidate) {
+        this.candidate = { className: candidate, since: timestamp };
+      }
+      if (timestamp - this.candidate.since >= this.dwellMs) {
+        this.current = candidate;
+        this.candidate = null;
+      }
     }
 
-    // 히스토리가 충분히 쌓이지 않았으면 현재 값 반환
+    return {
+      className: this.current,
+      probability: this.current ? frame.probabilities[this.current] || 0 : frame.probability
+    };
+  }
+
+  /**
+   * 이전 버전 동작: 최빈값을 고르지만 임계값은 현재 프레임의 최고 확률로 확인
+   * (히스토리가 N프레임이 되기 전에는 임계값 확인 없이 현재 최고 클래스)
+   */
+  stabilizeLegacyMajority(frame) {
+    this.pushHistory(frame);
+
     if (this.history.length < this.smoothingFrames) {
-      return { className: maxClass, probability: maxProb };
+      return { className: frame.className, probability: frame.probability };
     }
 
-    // 최빈값(가장 자주 나온 클래스) 계산
-    const classCounts = {};
+    const votes = {};
     this.history.forEach(item => {
-      classCounts[item.className] = (classCounts[item.className] || 0) + 1;
+      votes[item.className] = (votes[item.className] || 0) + 1;
     });
+    const winner = PredictionStabilizer.pickWinner(votes, frame.className);
 
-    let mostFrequentClass = maxClass;
-    let maxCount = 0;
+    if (frame.probability < this.threshold) {
+      return { className: "", probability: frame.probability };
+    }
+    return { className: winner, probability: frame.probability };
+  }
 
-    for (const [className, count] of Object.entries(classCounts)) {
-      if (count > maxCount) {
-        maxCount = count;
-        mostFrequentClass = className;
-      }
+  /**
+   * 히스토리에 추가 (최근 smoothingFrames개만 유지)
+   */
+  pushHistory(frame) {
+    this.history.push(frame);
+    while (this.history.length > this.smoothingFrames) {
+      this.history.shift();
     }
+  }
 
-    // 임계값 체크
-    if (maxProb < this.threshold) {
-      return { className: "", probability: maxProb };
+  /**
+   * 히스토리에서 className이 최고였던 프레임들의 평균 확률
+   */
+  getMeanTopProbability(className) {
+    const frames = this.history.filter(item => item.className === className);
+    if (frames.length === 0) return 0;
+    return frames.reduce((sum, item) => sum + item.probability, 0) / frames.length;
+  }
+
+  /**
+   * 임계값 미달이면 className ""
+   */
+  checkThreshold(className, probability) {
+    if (!className || probability < this.threshold) {
+      return { className: "", probability };
     }
+    return { className, probability };
+  }
+
+  getEmaAlpha() {
+    return this.emaAlpha !== null ? this.emaAlpha : 2 / (this.smoothingFrames + 1);
+  }
+
+  getEnterThreshold() {
+    return this.enterThreshold !== null ? this.enterThreshold : this.threshold;
+  }
+
+  getExitThreshold() {
+    return this.exitThreshold !== null ? this.exitThreshold : Math.max(this.threshold - 0.2, 0);
+  }
+
+  /**
+   * 내부 상태 (디버그용)
+   * - history: 지금 보고 있는 최근 프레임의 최고 확률 클래스 (majority, weightedVote, legacyMajority)
+   * - probabilities: 안정화에 쓰인 클래스별 확률 (ema는 평균, 히스토리를 쓰는 방식은 히스토리 평균, 나머지는 null)
+   * - current / candidate: 현재 결과와 바뀌기를 기다리는 결과 (hysteresis, dwell)
+   */
+  getDebugState() {
+    let probabilities = null;
+    if (this.average) {
+      probabilities = { ...this.average };
+    } else if (this.history.length > 0) {
+      probabilities = {};
+      this.history.forEach(item => {
+        Object.entries(item.probabilities).forEach(([className, probability]) => {
+          probabilities[className] = (probabilities[className] || 0) + probability / this.history.length;
+        });
+      });
+    }
+
+    return {
+      strategy: this.strategy,
+      threshold: this.threshold,
+      enterThreshold: this.getEnterThreshold(),
+      exitThreshold: this.getExitThreshold(),
+      smoothingFrames: this.smoothingFrames,
+      history: this.history.map(item => ({ className: item.className, probability: item.probability })),
+      probabilities,
+      current: this.current,
+      candidate: this.candidate ? { ...this.candidate } : null
+    };
+  }
+
+  /**
+   * 디버그 콜백 등록 (null이면 해제)
+   * @param {Function} callback - ({ timestamp, frame, result, ...getDebugState() }) => void
+   */
+  setDebugCallback(callback) {
+    this.onDebug = callback;
+  }
 
+  /**
+   * 현재 설정 (기록 파일에 저장해 리플레이에서 같은 Stabilizer를 만듦)
+   */
+  getSettings() {
     return {
-      className: mostFrequentClass,
-      probability: maxProb
+      strategy: this.strategy,
+      threshold: this.threshold,
+      smoothingFrames: this.smoothingFrames,
+      emaAlpha: this.emaAlpha,
+      enterThreshold: this.enterThreshold,
+      exitThreshold: this.exitThreshold,
+      dwellMs: this.dwellMs
     };
   }
 
@@ -73,9 +306,68 @@ class PredictionStabilizer {
    * 히스토리 초기화
    */
   reset() {
-    this.history = [];
+    this.history = []; // 최근 프레임 (majority, weightedVote, legacyMajority)
+    this.average = null; // 클래스별 평균 확률 (ema)
+    this.current = this.strategy === "dwell" ? null : ""; // 현재 결과 (hysteresis, dwell)
+    this.candidate = null; // 바뀌기를 기다리는 결과와 시작 시각 (dwell)
+  }
+
+  /**
+   * 예측 배열 → { probabilities, className, probability } (className/probability는 최고 확률)
+   */
+  static toFrame(predictions) {
+    const probabilities = {};
+    predictions.forEach(p => {
+      probabilities[p.className] = p.probability;
+    });
+    const top = PredictionStabilizer.getTop(probabilities);
+    return { probabilities, className: top.className, probability: top.probability };
+  }
+
+  /**
+   * 확률이 가장 높은 클래스 (없으면 className "")
+   */
+  static getTop(probabilities) {
+    let className = "";
+    let probability = 0;
+    Object.entries(probabilities).forEach(([name, value]) => {
+      if (value > probability) {
+        className = name;
+        probability = value;
+      }
+    });
+    return { className, probability };
+  }
+
+  /**
+   * 가장 많은 표를 받은 클래스 (동점이면 먼저 나온 클래스, 표가 없으면 fallback)
+   */
+  static pickWinner(votes, fallback) {
+    let winner = fallback;
+    let maxVotes = 0;
+    for (const [className, count] of Object.entries(votes)) {
+      if (count > maxVotes) {
+        maxVotes = count;
+        winner = className;
+      }
+    }
+    return winner;
+  }
+
+  static now() {
+    return typeof performance !== "undefined" ? performance.now() : Date.now();
   }
 }
 
-// ES6 모듈로 내보내기
-window.PredictionStabilizer = PredictionStabilizer;
+/**
+ * 사용할 수 있는 안정화 방식
+ */
+PredictionStabilizer.STRATEGIES = ["majority", "weightedVote", "ema", "hysteresis", "dwell", "legacyMajority"];
+
+// 전역으로 내보내기 (브라우저) + CommonJS 내보내기 (Node에서 합성 예측으로 확인)
+if (typeof window !== "undefined") {
+  window.PredictionStabilizer = PredictionStabilizer;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PredictionStabilizer;
+}
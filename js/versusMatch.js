@@ -0,0 +1,507 @@
+/**
+ * versusMatch.js
+ * 2인 대전: 웹캠 화면 왼쪽/오른쪽 절반의 두 플레이어가 각자의 게임 화면에서 동시에 플레이
+ *
+ * - 플레이어마다 GameEngine(같은 seed → 같은 아이템 순서)과 PredictionStabilizer를 따로 사용
+ * - PoseEngine의 플레이어별 예측 결과([{ prediction, pose }])를 각 플레이어 바구니로 전달
+ * - 두 게임이 모두 끝나면 결과 화면(#versus-overlay)에 승자와 두 플레이어 기록, 플레이어별 움직임 기록 차트 표시
+ * - 일시정지/재개는 아직 진행 중인 두 게임에 함께 적용 (같은 순간에 멈추고 같이 카운트다운)
+ */
+
+class VersusMatch {
+  /**
+   * @param {Object} options - 옵션 { names, seed, zoneCount, levelPack, mode, labelMapping, stabilizerSettings }
+   *   names: 플레이어 이름 (왼쪽부터, renderPlayfields로 만든 화면 순서)
+   *   stabilizerSettings: 플레이어별 Stabilizer 설정 (PredictionStabilizer 옵션)
+   */
+  constructor(options = {}) {
+    const { names, zoneCount = 3, levelPack = null, mode = "classic", labelMapping = null, stabilizerSettings = {} } = options;
+
+    // 두 게임이 같은 아이템 순서로 진행되도록 같은 seed 사용
+    this.seed = options.seed !== undefined ? options.seed >>> 0 : Date.now() >>> 0;
+
+    this.players = names.map((name, index) => {
+      const prefix = VersusMatch.getPrefix(index);
+      const engine = new GameEngine({
+        seed: this.seed,
+        zoneCount,
+        controlMode: "zones",
+        levelPack,
+        mode,
+        labelMapping,
+        elementIds: VersusMatch.getElementIds(prefix)
+      });
+      return {
+        name,
+        prefix,
+        engine,
+        stabilizer: new PredictionStabilizer(stabilizerSettings),
+        state: null // 게임이 끝나면 engine.getGameState()
+      };
+    });
+
+    this.isActive = false;
+    this.stopped = false; // Stop 버튼으로 끝냈는지 (결과 화면 표시 안 함)
+    this.onFinish = null; // 두 게임이 모두 끝났을 때 콜백 (results) => void
+    this.onPauseChange = null; // 일시정지/재개 콜백 (isPaused) => void
+
+    this.players.forEach(player => this.bindPlayerEvents(player));
+  }
+
+  /**
+   * 일시정지 중인지 (진행 중인 게임 중 하나라도 멈춰 있으면 true)
+   */
+  get isPaused() {
+    return this.players.some(player => player.engine.isPaused);
+  }
+
+  get isResuming() {
+    return this.players.some(player => player.engine.isResuming);
+  }
+
+  get pauseReason() {
+    const paused = this.players.find(player => player.engine.isPaused);
+    return paused ? paused.engine.pauseReason : null;
+  }
+
+  /**
+   * 플레이어 게임 → 점수판/결과 연결
+   */
+  bindPlayerEvents(player) {
+    const engine = player.engine;
+
+    engine.setScoreChangeCallback(score => {
+      const scoreEl = engine.getElement("score");
+      if (scoreEl) scoreEl.textContent = score;
+    });
+
+    engine.setMissChangeCallback(missCount => {
+      const missEl = engine.getElement("missCount");
+      if (missEl) missEl.textContent = `${missCount} / ${engine.maxMisses}`;
+    });
+
+    engine.setLevelChangeCallback(level => {
+      const levelEl = engine.getElement("level");
+      if (levelEl) levelEl.textContent = level;
+    });
+
+    engine.setPauseChangeCallback(() => {
+      if (this.onPauseChange) this.onPauseChange(this.isPaused);
+    });
+
+    engine.setGameEndCallback((score, level, state) => {
+      player.state = state;
+
+      const playerEl = document.getElementById(`${player.prefix}player`);
+      if (playerEl) playerEl.classList.add("finished");
+
+      if (this.players.every(item => item.state)) {
+        this.finish();
+      }
+    });
+  }
+
+  /**
+   * 대전 시작
+   */
+  start() {
+    this.isActive = true;
+    this.stopped = false;
+    this.hideResult();
+
+    this.players.forEach(player => {
+      player.state = null;
+      player.stabilizer.reset();
+
+      const playerEl = document.getElementById(`${player.prefix}player`);
+      if (playerEl) playerEl.classList.remove("finished");
+
+      player.engine.start();
+    });
+  }
+
+  /**
+   * 대전 중지 (Stop 버튼, 결과 화면 없이 끝냄)
+   */
+  stop() {
+    if (!this.isActive) return;
+
+    this.stopped = true;
+    this.players.forEach(player => player.engine.stop());
+  }
+
+  /**
+   * 일시정지 (아직 진행 중인 게임 모두)
+   * @param {string} reason - GameEngine.PAUSE_REASONS의 키
+   * @returns {boolean} 하나라도 일시정지했는지
+   */
+  pause(reason = "button") {
+    return this.players
+      .map(player => player.engine.pause(reason))
+      .some(paused => paused);
+  }
+
+  /**
+   * 재개 (카운트다운 후 함께 진행)
+   * @returns {boolean} 카운트다운을 시작했는지
+   */
+  resume() {
+    return this.players
+      .map(player => player.engine.resume())
+      .some(resumed => resumed);
+  }
+
+  /**
+   * 대전 정리 (새 대전을 만들기 전에 이전 대전에 호출, 결과 화면과 종료 콜백 없이 끝냄)
+   */
+  destroy() {
+    this.onFinish = null;
+    this.onPauseChange = null;
+    this.stopped = true;
+    this.isActive = false;
+    this.players.forEach(player => player.engine.destroy());
+  }
+
+  /**
+   * 두 게임이 모두 끝났을 때
+   */
+  finish() {
+    this.isActive = false;
+
+    if (!this.stopped) {
+      this.showResult();
+    }
+    if (this.onFinish) {
+      this.onFinish(this.getResults());
+    }
+  }
+
+  /**
+   * 플레이어별 예측 결과 처리 (PoseEngine의 플레이어별 예측 콜백)
+   * @param {Array<Object>} results - [{ prediction, pose }] 왼쪽 플레이어부터
+   * @param {number} timestamp - 예측한 웹캠 프레임의 시각 (ms)
+   */
+  handlePredictions(results, timestamp) {
+    results.forEach((result, index) => {
+      const player = this.players[index];
+      if (!player) return;
+
+      const predictionEl = document.getElementById(`${player.prefix}prediction`);
+
+      // 일시정지/카운트다운 중에는 예측을 안정화하지 않음
+      if (player.engine.isPaused) {
+        if (predictionEl) predictionEl.textContent = player.engine.pauseTitle;
+        return;
+      }
+
+      // 자기 절반에 사람이 없으면 (다른 플레이어가 넘어와도) 바구니를 움직이지 않음
+      // 절반을 고정해서 잘라 추정하므로 가운데 선을 넘어 기운 플레이어도 여기로 옴 → 자기 절반으로 안내
+      if (!result.pose || result.pose.score < VersusMatch.MIN_POSE_SCORE) {
+        if (predictionEl) predictionEl.textContent = `몸이 보이지 않아요 (화면 ${VersusMatch.SIDES[index]} 절반에 서 주세요)`;
+        return;
+      }
+
+      const stabilized = player.stabilizer.stabilize(result.prediction, timestamp);
+      if (predictionEl) predictionEl.textContent = stabilized.className || "감지 중...";
+
+      if (player.engine.isGameActive && stabilized.className) {
+        player.engine.moveBasket(stabilized.className);
+      }
+    });
+  }
+
+  /**
+   * 플레이어별 결과 (게임이 끝나지 않은 플레이어는 현재 상태)
+   * @returns {Array<Object>} [{ name, state }]
+   */
+  getResults() {
+    return this.players.map(player => ({
+      name: player.name,
+      state: player.state || player.engine.getGameState()
+    }));
+  }
+
+  /**
+   * 결과 화면 표시 (승자, 두 플레이어 기록 비교)
+   */
+  showResult() {
+    const overlay = document.getElementById("versus-overlay");
+    if (!overlay) return;
+
+    const results = this.getResults();
+    const winner = VersusMatch.getWinner(results);
+    document.getElementById("versus-winner").textContent =
+      winner === -1 ? "무승부!" : `🏆 ${results[winner].name} 승리!`;
+
+    const summaries = this.players.map(player => player.engine.analytics.getSummary());
+    const formatAccuracy = stats => stats.accuracy === null ? "-" : `${Math.round(stats.accuracy * 100)}%`;
+    const formatTime = seconds => `${Math.floor(seconds / 60)}분 ${Math.floor(seconds) % 60}초`;
+    const formatReaction = summary =>
+      summary.averageReactionTime === null ? "-" : `${summary.averageReactionTime.toFixed(2)}초`;
+    const rows = [
+      ["점수", state => `${state.score}점`],
+      ["레벨", state => state.level],
+      ["게임 오버", state => state.endReason || "-"],
+      ["받기 정확도", state => formatAccuracy(state.stats)],
+      ["최장 연속", state => `${state.stats.longestStreak}개`],
+      ["최고 콤보", state => `${state.bestCombo}콤보`],
+      ["버틴 시간", state => formatTime(state.stats.timeSurvived)],
+      ["평균 반응 시간", (state, summary) => formatReaction(summary)],
+      ["자세 바꾼 횟수", (state, summary) => `${summary.poseChanges}번`]
+    ];
+
+    const table = document.getElementById("versus-stats");
+    table.innerHTML = "";
+
+    const header = document.createElement("tr");
+    ["", ...results.map(result => result.name)].forEach((text, index) => {
+      const th = document.createElement("th");
+      th.textContent = text;
+      if (index - 1 === winner) th.className = "winner";
+      header.appendChild(th);
+    });
+    table.appendChild(header);
+
+    rows.forEach(([label, format]) => {
+      const row = document.createElement("tr");
+      const labelCell = document.createElement("th");
+      labelCell.textContent = label;
+      row.appendChild(labelCell);
+      results.forEach((result, index) => {
+        const cell = document.createElement("td");
+        cell.textContent = format(result.state, summaries[index]);
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+
+    this.renderAnalytics(summaries);
+    overlay.style.display = "flex";
+  }
+
+  /**
+   * 플레이어별 움직임 기록 차트 (구역 히트맵, 반응 시간 히스토그램)
+   * @param {Array<Object>} summaries - 플레이어별 GameAnalytics.getSummary()
+   */
+  renderAnalytics(summaries) {
+    const container = document.getElementById("versus-analytics");
+    if (!container) return;
+
+    container.innerHTML = "";
+    this.players.forEach((player, index) => {
+      const section = document.createElement("div");
+      section.className = "versus-analytics-player";
+
+      const title = document.createElement("h3");
+      title.textContent = `${index + 1}P ${player.name} · 구역별 머문 시간 · 받기 비율`;
+      const heatmap = document.createElement("div");
+      heatmap.className = "zone-heatmap";
+      const histogramTitle = document.createElement("h3");
+      histogramTitle.textContent = "반응 시간";
+      const histogram = document.createElement("div");
+      histogram.className = "reaction-histogram";
+
+      [title, heatmap, histogramTitle, histogram].forEach(el => section.appendChild(el));
+      container.appendChild(section);
+
+      GameEngine.renderZoneHeatmap(heatmap, summaries[index].zones);
+      GameEngine.renderReactionHistogram(histogram, summaries[index].histogram);
+    });
+  }
+
+  /**
+   * 결과 화면 숨기기
+   */
+  hideResult() {
+    const overlay = document.getElementById("versus-overlay");
+    if (overlay) {
+      overlay.style.display = "none";
+    }
+  }
+
+  /**
+   * 승자 (점수 → 레벨 → 버틴 시간 순으로 비교)
+   * @param {Array<Object>} results - getResults() 결과
+   * @returns {number} 승자 순서 (무승부면 -1)
+   */
+  static getWinner(results) {
+    const compare = (a, b) =>
+      a.score - b.score || a.level - b.level || a.stats.timeSurvived - b.stats.timeSurvived;
+
+    let winner = 0;
+    let tied = false;
+    for (let i = 1; i < results.length; i++) {
+      const diff = compare(results[i].state, results[winner].state);
+      if (diff > 0) {
+        winner = i;
+        tied = false;
+      } else if (diff === 0) {
+        tied = true;
+      }
+    }
+    return tied ? -1 : winner;
+  }
+
+  /**
+   * 플레이어 화면 요소 id 앞부분 ("p1-", "p2-")
+   */
+  static getPrefix(index) {
+    return `p${index + 1}-`;
+  }
+
+  /**
+   * 플레이어 GameEngine의 화면 요소 id (레벨업/게임 오버 오버레이는 쓰지 않음)
+   */
+  static getElementIds(prefix) {
+    return {
+      gameArea: `${prefix}game-area`,
+      score: `${prefix}score`,
+      level: `${prefix}level`,
+      missCount: `${prefix}miss-count`,
+      combo: `${prefix}combo`,
+      comboMultiplier: `${prefix}combo-multiplier`,
+      bestCombo: `${prefix}best-combo`,
+      timeRemaining: `${prefix}time-remaining`,
+      effects: `${prefix}effects`,
+      feedback: `${prefix}feedback`,
+      pauseOverlay: `${prefix}pause-overlay`,
+      levelUpOverlay: null,
+      gameOverOverlay: null
+    };
+  }
+
+  /**
+   * 점수판의 콤보 칸 (콤보 수, 배율 배지, 최고 콤보, 1인 화면의 콤보 칸과 같은 구조)
+   */
+  static createComboItem(prefix) {
+    const item = document.createElement("div");
+    item.className = "info-item combo-item";
+
+    const labelEl = document.createElement("span");
+    labelEl.className = "info-label";
+    labelEl.textContent = "콤보 ";
+    const bestEl = document.createElement("span");
+    bestEl.className = "combo-best";
+    bestEl.textContent = "최고 ";
+    const bestValueEl = document.createElement("span");
+    bestValueEl.id = `${prefix}best-combo`;
+    bestValueEl.textContent = "0";
+    bestEl.appendChild(bestValueEl);
+    labelEl.appendChild(bestEl);
+
+    const valueEl = document.createElement("span");
+    valueEl.className = "info-value";
+    const comboEl = document.createElement("span");
+    comboEl.id = `${prefix}combo`;
+    comboEl.textContent = "0";
+    const badgeEl = document.createElement("span");
+    badgeEl.className = "combo-multiplier";
+    badgeEl.id = `${prefix}combo-multiplier`;
+    badgeEl.hidden = true;
+    valueEl.appendChild(comboEl);
+    valueEl.appendChild(badgeEl);
+
+    item.appendChild(labelEl);
+    item.appendChild(valueEl);
+    return item;
+  }
+
+  /**
+   * 플레이어별 점수판과 게임 화면 DOM 생성
+   * @param {HTMLElement} container - 대전 화면 요소 (#versus-area)
+   * @param {Array<string>} names - 플레이어 이름 (왼쪽부터)
+   */
+  static renderPlayfields(container, names) {
+    container.innerHTML = "";
+
+    names.forEach((name, index) => {
+      const prefix = VersusMatch.getPrefix(index);
+
+      const playerEl = document.createElement("div");
+      playerEl.className = "versus-player";
+      playerEl.id = `${prefix}player`;
+
+      // 점수판
+      const board = document.createElement("div");
+      board.className = "versus-scoreboard";
+
+      const nameEl = document.createElement("div");
+      nameEl.className = "versus-name";
+      nameEl.textContent = `${index + 1}P ${name} (${VersusMatch.SIDES[index]})`;
+      board.appendChild(nameEl);
+
+      const info = document.createElement("div");
+      info.className = "game-info versus-info";
+      [
+        ["점수", "score", "0"],
+        ["레벨", "level", "1"],
+        ["시간", "time-remaining", "20"],
+        ["미스", "miss-count", "0 / 2"]
+      ].forEach(([label, id, value]) => {
+        const item = document.createElement("div");
+        item.className = "info-item";
+        const labelEl = document.createElement("span");
+        labelEl.className = "info-label";
+        labelEl.textContent = label;
+        const valueEl = document.createElement("span");
+        valueEl.className = "info-value";
+        valueEl.id = `${prefix}${id}`;
+        valueEl.textContent = value;
+        item.appendChild(labelEl);
+        item.appendChild(valueEl);
+        info.appendChild(item);
+      });
+      info.appendChild(VersusMatch.createComboItem(prefix));
+      board.appendChild(info);
+
+      const effectsEl = document.createElement("div");
+      effectsEl.className = "effects-bar";
+      effectsEl.id = `${prefix}effects`;
+      board.appendChild(effectsEl);
+      playerEl.appendChild(board);
+
+      // 게임 화면 (피드백과 현재 포즈 표시 포함)
+      const field = document.createElement("div");
+      field.className = "versus-field";
+
+      const gameArea = document.createElement("div");
+      gameArea.className = "game-area";
+      gameArea.id = `${prefix}game-area`;
+      field.appendChild(gameArea);
+
+      const feedbackEl = document.createElement("div");
+      feedbackEl.className = "feedback";
+      feedbackEl.id = `${prefix}feedback`;
+      feedbackEl.style.display = "none";
+      field.appendChild(feedbackEl);
+
+      const predictionEl = document.createElement("div");
+      predictionEl.className = "versus-prediction";
+      predictionEl.id = `${prefix}prediction`;
+      predictionEl.textContent = "대기 중...";
+      field.appendChild(predictionEl);
+
+      // 일시정지 오버레이 (GameEngine.showPauseOverlay가 내용 채움)
+      const pauseEl = document.createElement("div");
+      pauseEl.className = "pause-overlay";
+      pauseEl.id = `${prefix}pause-overlay`;
+      pauseEl.style.display = "none";
+      ["pause-title", "pause-reason", "pause-countdown"].forEach(className => {
+        const part = document.createElement("div");
+        part.className = className;
+        pauseEl.appendChild(part);
+      });
+      field.appendChild(pauseEl);
+
+      playerEl.appendChild(field);
+      container.appendChild(playerEl);
+    });
+  }
+}
+
+VersusMatch.PLAYER_COUNT = 2;
+VersusMatch.MIN_POSE_SCORE = 0.3; // 이보다 낮은 포즈 점수는 "사람 없음"으로 봄
+VersusMatch.SIDES = ["왼쪽", "오른쪽"]; // 플레이어가 서는 웹캠 화면 절반 (미러링 기준, 가운데 선으로 나눔)
+
+// 전역으로 내보내기
+window.VersusMatch = VersusMatch;
@@ -0,0 +1,156 @@
+/**
+ * sw.js
+ * 오프라인 실행을 위한 서비스 워커
+ *
+ * - 설치할 때 앱 화면(HTML/CSS/JS), 로컬 라이브러리(vendor/), 레벨 팩, 기본 모델을 미리 저장
+ * - 같은 출처 파일: 저장된 파일을 바로 쓰고 뒤에서 새 파일로 갱신 (다음 접속에 반영)
+ *   페이지(index.html)는 인터넷이 되면 새로 받고, 안 되면 저장된 페이지 사용
+ * - PoseNet 가중치(storage.googleapis.com/tfjs-models): 처음 받을 때 저장해 두고 이후에는 저장된 파일 사용
+ *
+ * 파일을 추가하거나 이름을 바꾸면 APP_SHELL에 반영하고 CACHE_VERSION을 올리세요.
+ */
+
+const CACHE_VERSION = "v8";
+const APP_CACHE = `catchzone-app-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `catchzone-runtime-${CACHE_VERSION}`;
+
+// 설치할 때 꼭 저장해야 하는 파일 (하나라도 없으면 설치 실패)
+const APP_SHELL = [
+  "./",
+  "./index.html",
+  "./manifest.webmanifest",
+  "./css/style.css",
+  "./icons/icon-192.png",
+  "./icons/icon-512.png",
+  "./vendor/tfjs-1.3.1/tf.min.js",
+  "./vendor/teachablemachine-pose-0.8.6/teachablemachine-pose.min.js",
+  "./js/stabilizer.js",
+  "./js/keypointTracker.js",
+  "./js/poseCalibrator.js",
+  "./js/calibrationWizard.js",
+  "./js/modelLoader.js",
+  "./js/modelCache.js",
+  "./js/inferenceScheduler.js",
+  "./js/poseEngine.js",
+  "./js/poseWorker.js",
+  "./js/diagnosticsPanel.js",
+  "./js/labelMapping.js",
+  "./js/labelMappingEditor.js",
+  "./js/levelPack.js",
+  "./js/itemRegistry.js",
+  "./js/gameMode.js",
+  "./js/adaptiveDifficulty.js",
+  "./js/gameStateMachine.js",
+  "./js/gameCore.js",
+  "./js/gameAnalytics.js",
+  "./js/scheduler.js",
+  "./js/gameEngine.js",
+  "./js/soundEngine.js",
+  "./js/sessionRecorder.js",
+  "./js/sessionReplayer.js",
+  "./js/leaderboard.js",
+  "./js/versusMatch.js",
+  "./js/inputDrivers.js",
+  "./js/inputRouter.js",
+  "./js/main.js",
+  "./levels/default.json",
+  "./levels/easy.json",
+  "./levels/hard.json",
+  "./levels/special.json"
+];
+
+// 있으면 저장하는 파일 (모델 파일은 사용자가 넣으므로 없을 수 있음)
+const OPTIONAL_FILES = [
+  "./my_model/model.json",
+  "./my_model/weights.bin",
+  "./my_model/metadata.json",
+  "./my_model/label-map.json"
+];
+
+// 처음 받을 때 저장해 두는 다른 출처 파일 (PoseNet 가중치는 내용이 바뀌지 않음)
+const RUNTIME_ORIGINS = ["https://storage.googleapis.com"];
+
+self.addEventListener("install", event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(APP_CACHE);
+    await cache.addAll(APP_SHELL);
+    await Promise.all(OPTIONAL_FILES.map(url =>
+      cache.add(url).catch(() => console.warn(`[sw] ${url}을(를) 저장하지 못했습니다 (없는 파일)`))
+    ));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil((async () => {
+    // 이전 버전 캐시 삭제
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith("catchzone-") && name !== APP_CACHE && name !== RUNTIME_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", event => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(request.mode === "navigate" ? networkFirst(request) : staleWhileRevalidate(request));
+  } else if (RUNTIME_ORIGINS.includes(url.origin)) {
+    event.respondWith(cacheFirst(request));
+  }
+  // 그 밖의 주소(모델 URL 등)는 서비스 워커를 거치지 않음
+});
+
+/**
+ * 인터넷이 되면 새로 받고, 안 되면 저장된 파일
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(APP_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await cache.match(request)) || (await cache.match("./index.html"));
+  }
+}
+
+/**
+ * 저장된 파일을 바로 쓰고, 뒤에서 새 파일로 갱신
+ */
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(APP_CACHE);
+  const cached = await cache.match(request);
+  const update = fetch(request)
+    .then(response => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) return cached;
+  return (await update) || new Response("", { status: 504, statusText: "Offline" });
+}
+
+/**
+ * 저장된 파일이 있으면 그대로, 없으면 받아서 저장
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
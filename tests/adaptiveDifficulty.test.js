@@ -0,0 +1,236 @@
+/**
+ * adaptiveDifficulty.test.js
+ * AdaptiveDifficulty 난이도 판단 테스트
+ *
+ * 실행: node --test tests/
+ * - 받기 비율 / 반응 시간 / 아슬아슬한 미스로 쉽게·어렵게, 난이도 범위(-1 ~ 1)와 배율, 조절 기록
+ * - 아슬아슬한 미스 (구역 2개, 6개)
+ *   - 연속 조작: 바구니와 과일 가장자리 사이가 구역 너비의 nearMissDistance 안
+ *   - 구역 모드: 놓친 뒤 nearMissTime초 안에 바구니가 그 구역에 도착 (구역이 2개여도 모든 미스가 되지 않음)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const AdaptiveDifficulty = require("../js/adaptiveDifficulty.js");
+const GameCore = require("../js/gameCore.js");
+
+/**
+ * 자동 난이도 조절을 쓰는 시작된 게임 (step하지 않으므로 시간은 game.time으로 직접 옮김)
+ */
+function createGame(options = {}, zoneCount = 3, controlMode = "zones") {
+  const adaptive = new AdaptiveDifficulty(options);
+  const game = new GameCore({ seed: 1, zoneCount, controlMode, adaptive });
+  game.start();
+  return { game, adaptive };
+}
+
+let nextId = 1;
+
+/**
+ * zone 구역에 지금 생긴 과일 (낙하 2초 → 바구니 높이까지 1.5초)
+ */
+function fruit(game, zone) {
+  return { id: nextId++, zone, x: game.getZoneCenter(zone), isFruit: true, spawnTime: game.time, dropTime: 2, processed: false };
+}
+
+/**
+ * 결과를 차례로 알리고 마지막 결과의 반환값 (난이도를 바꿨으면 조절 기록)
+ */
+function report(game, adaptive, results) {
+  let change = null;
+  results.forEach(caught => {
+    change = adaptive.onResult(game, fruit(game, game.zones[1]), caught);
+  });
+  return change;
+}
+
+/**
+ * 옆 구역에 생긴 과일 아래로 seconds초 뒤 바구니를 옮기고 받음 (반응 시간 기록)
+ */
+function catchAfter(game, adaptive, seconds) {
+  const [home, target] = game.zones;
+  game.moveBasket(home);
+  const item = fruit(game, target);
+  adaptive.onSpawn(game, item);
+  game.time += seconds;
+  game.moveBasket(target);
+  return adaptive.onResult(game, item, true);
+}
+
+test("받기 비율이 targetCatchRate.min 미만이면 쉽게 (조절 기록과 배율)", () => {
+  const { game, adaptive } = createGame();
+  game.time = 12.345;
+
+  assert.equal(report(game, adaptive, [true, false, true, false]), null);
+  const entry = report(game, adaptive, [false]);
+
+  assert.deepEqual(entry, {
+    time: 12.35,
+    level: 1,
+    direction: "easier",
+    reason: "받기 40%",
+    catchRate: 0.4,
+    reactionTime: null,
+    nearMisses: 0,
+    difficulty: -0.25,
+    dropTimeScale: 1.125,
+    spawnIntervalScale: 1.125,
+    bombWeightScale: 0.75
+  });
+  assert.deepEqual(adaptive.log, [entry]);
+  // 조절하면 지켜본 값을 비움
+  assert.equal(adaptive.getStats().catchRate, null);
+});
+
+test("받기 비율이 높고 반응이 빠르면 어렵게", () => {
+  const { game, adaptive } = createGame();
+
+  let entry = null;
+  for (let i = 0; i < 5; i++) entry = catchAfter(game, adaptive, 0.3);
+
+  assert.equal(entry.direction, "harder");
+  assert.equal(entry.reason, "받기 100% · 반응 0.3초");
+  assert.equal(entry.catchRate, 1);
+  assert.ok(Math.abs(entry.reactionTime - 0.3) < 1e-9);
+  assert.equal(entry.difficulty, 0.25);
+  assert.equal(adaptive.dropTimeScale, 1 - 0.3 * 0.25);
+  assert.equal(adaptive.bombWeightScale, 1.25);
+});
+
+test("받기 비율이 높아도 반응이 fastReaction보다 느리면 그대로", () => {
+  const { game, adaptive } = createGame();
+
+  // 1.2초 / 바구니 높이까지 1.5초 = 0.8 > 0.5
+  for (let i = 0; i < 5; i++) assert.equal(catchAfter(game, adaptive, 1.2), null);
+  assert.equal(adaptive.difficulty, 0);
+  assert.deepEqual(adaptive.log, []);
+  assert.ok(Math.abs(adaptive.getStats().reactionRatio - 0.8) < 1e-9);
+});
+
+test("받기 비율이 목표 범위 안이면 그대로", () => {
+  const { game, adaptive } = createGame();
+  assert.equal(report(game, adaptive, [true, true, true, true, false]), null);
+  assert.equal(adaptive.difficulty, 0);
+});
+
+test("난이도는 -1 ~ 1 안에서만 바뀌고 배율은 bounds 끝에서 멈춤", () => {
+  const { game, adaptive } = createGame({ step: 0.75 });
+  const hit = [true, true, true, true, true];
+  const miss = [false, false, false, false, false];
+
+  assert.equal(report(game, adaptive, hit).difficulty, 0.75);
+  assert.equal(report(game, adaptive, hit).difficulty, 1);
+  // 이미 가장 어려우면 바꾸지 않고 기록도 남기지 않음
+  assert.equal(report(game, adaptive, hit), null);
+  assert.deepEqual([adaptive.dropTimeScale, adaptive.spawnIntervalScale, adaptive.bombWeightScale], [0.7, 0.7, 2]);
+
+  report(game, adaptive, miss);
+  report(game, adaptive, miss);
+  assert.equal(report(game, adaptive, miss).difficulty, -1);
+  assert.equal(report(game, adaptive, miss), null);
+  assert.deepEqual([adaptive.dropTimeScale, adaptive.spawnIntervalScale, adaptive.bombWeightScale], [1.5, 1.5, 0]);
+
+  assert.deepEqual(adaptive.log.map(entry => entry.direction), ["harder", "harder", "easier", "easier", "easier"]);
+  assert.deepEqual(adaptive.log.map(entry => entry.difficulty), [0.75, 1, 0.25, -0.5, -1]);
+});
+
+test("새 게임을 시작하면 난이도와 조절 기록을 비움", () => {
+  const { game, adaptive } = createGame();
+  report(game, adaptive, [false, false, false, false, false]);
+  assert.equal(adaptive.log.length, 1);
+
+  game.stop();
+  game.start();
+  assert.equal(adaptive.difficulty, 0);
+  assert.deepEqual(adaptive.log, []);
+});
+
+[2, 6].forEach(zoneCount => {
+  test(`구역 모드, 구역 ${zoneCount}개: 놓친 뒤 nearMissTime초 안에 바구니가 그 구역에 오면 아슬아슬한 미스`, () => {
+    const { game, adaptive } = createGame({}, zoneCount);
+    const [home, target] = game.zones;
+    game.moveBasket(home);
+
+    // 한발 늦게 도착
+    adaptive.onResult(game, fruit(game, target), false);
+    assert.equal(adaptive.getStats().nearMisses, 0);
+    game.time += 0.3;
+    game.moveBasket(target);
+    assert.equal(adaptive.getStats().nearMisses, 1);
+
+    // nearMissTime이 지난 뒤 도착
+    game.moveBasket(home);
+    adaptive.onResult(game, fruit(game, target), false);
+    game.time += AdaptiveDifficulty.DEFAULTS.nearMissTime + 0.1;
+    game.moveBasket(target);
+    assert.equal(adaptive.getStats().nearMisses, 1);
+  });
+
+  test(`구역 모드, 구역 ${zoneCount}개: 바구니가 옆 구역에 있어도 오지 않았으면 아슬아슬한 미스가 아님`, () => {
+    const { game, adaptive } = createGame({}, zoneCount);
+    const [home, target] = game.zones;
+    game.moveBasket(home);
+
+    adaptive.onResult(game, fruit(game, target), false);
+    game.time += 1;
+    assert.equal(adaptive.getStats().nearMisses, 0);
+
+    // 다른 구역으로 움직여도 아님 (구역이 6개일 때)
+    if (zoneCount > 2) {
+      adaptive.onResult(game, fruit(game, target), false);
+      game.time += 0.2;
+      game.moveBasket(game.zones[2]);
+      assert.equal(adaptive.getStats().nearMisses, 0);
+    }
+  });
+
+  test(`연속 조작, 구역 ${zoneCount}개: 가장자리 사이가 구역 너비의 nearMissDistance 안이면 아슬아슬한 미스`, () => {
+    const { game } = createGame({}, zoneCount, "continuous");
+    game.moveBasketTo(0.25);
+    const limit = AdaptiveDifficulty.DEFAULTS.nearMissDistance / zoneCount;
+
+    // 바구니 오른쪽 가장자리에서 gap만큼 떨어진 과일 (과일 가장자리 기준)
+    const countsAsNearMiss = gap => {
+      const adaptive = new AdaptiveDifficulty();
+      const x = game.basketX + (game.basketWidth + game.itemWidth) / 2 + gap;
+      adaptive.onResult(game, { id: nextId++, zone: game.getZoneAt(x), x }, false);
+      return adaptive.getStats().nearMisses === 1;
+    };
+
+    assert.equal(countsAsNearMiss(0.01), true);
+    assert.equal(countsAsNearMiss(limit * 0.9), true);
+    assert.equal(countsAsNearMiss(limit * 1.1), false);
+    assert.equal(countsAsNearMiss(1 / zoneCount), false);
+  });
+});
+
+test("아슬아슬한 미스가 nearMissLimit 비율 이상이면 받기 비율이 목표 안이어도 쉽게", () => {
+  const { game, adaptive } = createGame();
+  const [home, target] = game.zones;
+
+  for (let i = 0; i < 2; i++) {
+    game.moveBasket(home);
+    adaptive.onResult(game, fruit(game, target), false);
+    game.time += 0.2;
+    game.moveBasket(target);
+  }
+  const entry = report(game, adaptive, [true, true, true]);
+
+  assert.equal(entry.direction, "easier");
+  assert.equal(entry.reason, "아슬아슬한 미스 2번");
+  assert.equal(entry.catchRate, 0.6);
+  assert.equal(entry.nearMisses, 2);
+});
+
+test("받은 과일은 가까워도 아슬아슬한 미스가 아님", () => {
+  const { game, adaptive } = createGame({}, 3, "continuous");
+  adaptive.onResult(game, { id: nextId++, zone: game.basketPosition, x: game.basketX }, true);
+  assert.equal(adaptive.getStats().nearMisses, 0);
+});
+
+test("nearMissDistance는 0 이상 1 이하, nearMissTime은 0 이상", () => {
+  assert.throws(() => new AdaptiveDifficulty({ nearMissDistance: -0.1 }), /nearMissDistance/);
+  assert.throws(() => new AdaptiveDifficulty({ nearMissDistance: 2 }), /nearMissDistance/);
+  assert.throws(() => new AdaptiveDifficulty({ nearMissTime: -1 }), /nearMissTime/);
+  assert.equal(new AdaptiveDifficulty({ nearMissDistance: 0 }).nearMissDistance, 0);
+});
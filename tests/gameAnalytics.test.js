@@ -0,0 +1,63 @@
+/**
+ * gameAnalytics.test.js
+ * GameAnalytics 연속 조작 자세 바꾼 횟수와 2인 대전 CSV 테스트
+ *
+ * 실행: node --test tests/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const GameAnalytics = require("../js/gameAnalytics.js");
+const GameCore = require("../js/gameCore.js");
+
+function createAnalytics(controlMode = "continuous") {
+  const core = new GameCore({ seed: 1, controlMode });
+  const analytics = new GameAnalytics(core);
+  core.start();
+  return { core, analytics };
+}
+
+test("연속 조작: 몸이 움직이는 방향이 바뀔 때마다 자세 바꾼 횟수 +1", () => {
+  const { analytics } = createAnalytics();
+
+  // 오른쪽으로 (처음 움직임) → 왼쪽으로 → 다시 오른쪽으로
+  [0.5, 0.55, 0.65, 0.8, 0.75, 0.5, 0.3, 0.45].forEach(x => analytics.recordBodyPosition(x));
+  assert.equal(analytics.getSummary().poseChanges, 3);
+});
+
+test("연속 조작: BODY_MOVE_DISTANCE보다 작은 흔들림은 세지 않음", () => {
+  const { analytics } = createAnalytics();
+  const wobble = GameAnalytics.BODY_MOVE_DISTANCE * 0.5;
+
+  [0.5, 0.5 + wobble, 0.5, 0.5 - wobble, 0.5].forEach(x => analytics.recordBodyPosition(x));
+  assert.equal(analytics.getSummary().poseChanges, 0);
+});
+
+test("새 게임을 시작하면 몸 위치 기록도 비움", () => {
+  const { core, analytics } = createAnalytics();
+  [0.2, 0.6].forEach(x => analytics.recordBodyPosition(x));
+  assert.equal(analytics.poseChanges, 1);
+
+  core.stop();
+  core.start();
+  analytics.recordBodyPosition(0.2);
+  assert.equal(analytics.poseChanges, 0);
+});
+
+test("toPlayersCSV: 첫 열에 플레이어 이름, 플레이어 순서대로", () => {
+  const players = ["민지", "Kim, Jun"].map(name => {
+    const { core, analytics } = createAnalytics("zones");
+    for (let i = 0; i < 120; i++) core.step(1 / 60);
+    return { name, analytics };
+  });
+
+  const lines = GameAnalytics.toPlayersCSV(players).split("\n");
+  assert.equal(lines[0], ["player", ...GameAnalytics.CSV_COLUMNS].join(","));
+
+  const rows = players.map(({ analytics }) => analytics.toCSVRows());
+  assert.ok(rows[0].length > 0);
+  assert.deepEqual(lines.slice(1), [
+    ...rows[0].map(row => `민지,${row}`),
+    ...rows[1].map(row => `"Kim, Jun",${row}`)
+  ]);
+});
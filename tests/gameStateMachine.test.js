@@ -0,0 +1,140 @@
+/**
+ * gameStateMachine.test.js
+ * GameStateMachine 전환 테스트 (+ GameCore.start의 시작 카운트다운)
+ *
+ * 실행: node --test tests/
+ * - TRANSITIONS에 있는 전환은 모두 되고, 없는 전환은 모두 Error
+ * - 일시정지 → 재개 카운트다운 → 멈추기 전 상태로 돌아감
+ * - 시작은 idle → countdown → playing
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const GameStateMachine = require("../js/gameStateMachine.js");
+const GameCore = require("../js/gameCore.js");
+
+// 상태마다 idle에서 그 상태까지 가는 허용된 전환 순서
+const PATHS = {
+  idle: [],
+  countdown: ["countdown"],
+  playing: ["countdown", "playing"],
+  levelEnding: ["countdown", "playing", "levelEnding"],
+  levelUp: ["countdown", "playing", "levelEnding", "levelUp"],
+  paused: ["countdown", "playing", "paused"],
+  gameOver: ["countdown", "playing", "gameOver"]
+};
+
+/**
+ * state 상태의 상태 머신
+ */
+function machineIn(state) {
+  const machine = new GameStateMachine();
+  PATHS[state].forEach(to => machine.transition(to));
+  assert.equal(machine.state, state);
+  return machine;
+}
+
+test("TRANSITIONS에 있는 전환은 모두 되고 onChange가 호출됨", () => {
+  GameStateMachine.STATES.forEach(from => {
+    GameStateMachine.TRANSITIONS[from].forEach(to => {
+      const machine = machineIn(from);
+      const changes = [];
+      machine.onChange = change => changes.push(change);
+
+      assert.equal(machine.can(to), true, `${from} → ${to}`);
+      machine.transition(to);
+      assert.equal(machine.state, to);
+      assert.deepEqual(changes, [{ from, to }]);
+    });
+  });
+});
+
+test("TRANSITIONS에 없는 전환은 모두 Error, 상태는 그대로", () => {
+  GameStateMachine.STATES.forEach(from => {
+    GameStateMachine.STATES
+      .filter(to => !GameStateMachine.TRANSITIONS[from].includes(to))
+      .forEach(to => {
+        const machine = machineIn(from);
+        machine.onChange = () => assert.fail(`${from} → ${to}에 onChange가 호출됨`);
+
+        assert.equal(machine.can(to), false, `${from} → ${to}`);
+        assert.throws(() => machine.transition(to), /게임 상태를/);
+        assert.equal(machine.state, from);
+      });
+  });
+});
+
+test("시작은 idle(또는 gameOver) → countdown → playing", () => {
+  ["idle", "gameOver"].forEach(from => {
+    const machine = machineIn(from);
+    assert.equal(machine.can("playing"), false);
+
+    machine.transition("countdown");
+    assert.equal(machine.resumeState, "playing");
+    machine.transition(machine.resumeState);
+    assert.equal(machine.state, "playing");
+  });
+});
+
+test("일시정지 → 재개 카운트다운 → 멈추기 전 상태로 돌아감", () => {
+  ["playing", "levelEnding", "levelUp"].forEach(state => {
+    const machine = machineIn(state);
+    machine.transition("paused");
+    assert.equal(machine.resumeState, state);
+
+    machine.transition("countdown");
+    assert.equal(machine.resumeState, state);
+    machine.transition(machine.resumeState);
+    assert.equal(machine.state, state);
+    assert.equal(machine.resumeState, null);
+  });
+});
+
+test("카운트다운 중에 다시 멈춰도 멈추기 전 상태를 잊지 않음", () => {
+  const machine = machineIn("levelUp");
+  machine.transition("paused");
+  machine.transition("countdown");
+  machine.transition("paused");
+  machine.transition("countdown");
+  machine.transition(machine.resumeState);
+  assert.equal(machine.state, "levelUp");
+
+  // 시작 카운트다운 중에 멈추면 재개 카운트다운 뒤 playing
+  const starting = machineIn("countdown");
+  starting.transition("paused");
+  starting.transition("countdown");
+  starting.transition(starting.resumeState);
+  assert.equal(starting.state, "playing");
+});
+
+test("isActive / isRunning", () => {
+  const active = GameStateMachine.STATES.filter(state => machineIn(state).isActive);
+  const running = GameStateMachine.STATES.filter(state => machineIn(state).isRunning);
+  assert.deepEqual(active, ["countdown", "playing", "levelEnding", "levelUp", "paused"]);
+  assert.deepEqual(running, ["playing", "levelEnding", "levelUp"]);
+});
+
+test("GameCore.start: 카운트다운을 거쳐 playing, countdown 옵션이면 resume까지 대기", () => {
+  const core = new GameCore({ seed: 1 });
+  const phases = [];
+  core.on("stateChange", ({ to }) => phases.push(to));
+
+  core.start();
+  assert.deepEqual(phases, ["countdown", "playing"]);
+  assert.throws(() => core.start(), /이미 진행 중인 게임/);
+
+  core.stop();
+  phases.length = 0;
+  core.start({ countdown: true });
+  assert.equal(core.phase, "countdown");
+  assert.equal(core.isPaused, true);
+
+  // 카운트다운 중에는 시간이 흐르지 않음
+  core.step(1);
+  assert.equal(core.time, 0);
+  assert.throws(() => core.start({ countdown: true }), /이미 진행 중인 게임/);
+
+  assert.equal(core.resume(), true);
+  assert.equal(core.phase, "playing");
+  assert.deepEqual(phases, ["countdown", "playing"]);
+});
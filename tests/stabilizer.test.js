@@ -0,0 +1,127 @@
+/**
+ * stabilizer.test.js
+ * PredictionStabilizer 안정화 방식별 합성 예측 테스트
+ *
+ * 실행: node --test tests/
+ * 방식마다 세 가지 예측 흐름의 결과 라벨 순서를 확인
+ * - 깜빡임: 잠깐 튀는 예측 (방식이 걸러 내야 하는 흐름)
+ * - 지속 변화: 왼쪽 → 오른쪽으로 계속 바뀜 (언제 따라가는지)
+ * - 낮은 신뢰도: 확률이 임계값에 못 미치는 예측
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const PredictionStabilizer = require("../js/stabilizer.js");
+
+const CLASSES = ["왼쪽", "정면", "오른쪽"];
+const FRAME_MS = 100; // 합성 예측 간격 (dwell의 타임스탬프)
+
+/**
+ * 예측 한 프레임: top 클래스가 probability, 나머지는 남은 확률을 나눠 가짐
+ * (second를 주면 second가 남은 확률을 모두 가짐)
+ */
+function predict(top, probability, second = null) {
+  return CLASSES.map(className => {
+    if (className === top) return { className, probability };
+    if (second) return { className, probability: className === second ? 1 - probability : 0 };
+    return { className, probability: (1 - probability) / (CLASSES.length - 1) };
+  });
+}
+
+/**
+ * 예측 흐름을 안정화한 결과 라벨 순서
+ */
+function run(options, frames) {
+  const stabilizer = new PredictionStabilizer(options);
+  return frames.map((predictions, index) => stabilizer.stabilize(predictions, index * FRAME_MS).className);
+}
+
+const repeat = (count, predictions) => Array.from({ length: count }, () => predictions);
+
+// 왼쪽이 이어지다 오른쪽이 한 프레임만 튐
+const FLICKER = [...repeat(3, predict("왼쪽", 0.9)), predict("오른쪽", 0.9), ...repeat(2, predict("왼쪽", 0.9))];
+
+// 왼쪽 3프레임 뒤 오른쪽이 계속됨
+const SUSTAINED = [...repeat(3, predict("왼쪽", 0.9)), ...repeat(4, predict("오른쪽", 0.9))];
+
+// 최고 확률이 임계값(0.7)에 못 미침
+const LOW_CONFIDENCE = repeat(4, predict("왼쪽", 0.5));
+
+test("majority: 한 프레임 튐은 최빈값에 묻힘", () => {
+  assert.deepEqual(run({ strategy: "majority" }, FLICKER), ["왼쪽", "왼쪽", "왼쪽", "왼쪽", "왼쪽", "왼쪽"]);
+});
+
+test("majority: 최근 3프레임 중 2프레임이 바뀌면 따라감", () => {
+  assert.deepEqual(run({ strategy: "majority" }, SUSTAINED), ["왼쪽", "왼쪽", "왼쪽", "왼쪽", "오른쪽", "오른쪽", "오른쪽"]);
+});
+
+test("majority: 임계값 미달이면 빈 라벨", () => {
+  assert.deepEqual(run({ strategy: "majority" }, LOW_CONFIDENCE), ["", "", "", ""]);
+});
+
+test("weightedVote: 한 프레임 튐은 확률 가중 투표에 묻힘", () => {
+  assert.deepEqual(run({ strategy: "weightedVote" }, FLICKER), ["왼쪽", "왼쪽", "왼쪽", "왼쪽", "왼쪽", "왼쪽"]);
+});
+
+test("weightedVote: 확신이 낮은 새 클래스는 표가 더 필요함", () => {
+  // 오른쪽 2프레임(0.75 + 0.75)이 왼쪽 1프레임(0.95)을 넘어야 바뀜
+  const frames = [...repeat(3, predict("왼쪽", 0.95)), ...repeat(4, predict("오른쪽", 0.75))];
+  assert.deepEqual(run({ strategy: "weightedVote" }, frames), ["왼쪽", "왼쪽", "왼쪽", "왼쪽", "오른쪽", "오른쪽", "오른쪽"]);
+  assert.deepEqual(run({ strategy: "weightedVote" }, SUSTAINED), ["왼쪽", "왼쪽", "왼쪽", "왼쪽", "오른쪽", "오른쪽", "오른쪽"]);
+});
+
+test("weightedVote: 임계값 미달이면 빈 라벨", () => {
+  assert.deepEqual(run({ strategy: "weightedVote" }, LOW_CONFIDENCE), ["", "", "", ""]);
+});
+
+test("ema: 한 프레임 튐은 평균이 잠깐 임계값 아래로 내려갈 뿐 다른 클래스로 바뀌지 않음", () => {
+  assert.deepEqual(run({ strategy: "ema" }, FLICKER), ["왼쪽", "왼쪽", "왼쪽", "", "", "왼쪽"]);
+});
+
+test("ema: 평균이 임계값을 넘으면 따라감", () => {
+  assert.deepEqual(run({ strategy: "ema" }, SUSTAINED), ["왼쪽", "왼쪽", "왼쪽", "", "", "오른쪽", "오른쪽"]);
+});
+
+test("ema: 임계값 미달이면 빈 라벨", () => {
+  assert.deepEqual(run({ strategy: "ema" }, LOW_CONFIDENCE), ["", "", "", ""]);
+});
+
+test("hysteresis: 확률이 흔들려도 exitThreshold 이상이면 유지", () => {
+  // 왼쪽이 0.9와 0.55 사이를 오감 (들어갈 때 0.7, 나올 때 0.5)
+  const frames = [
+    predict("왼쪽", 0.9), predict("왼쪽", 0.55, "오른쪽"), predict("왼쪽", 0.9),
+    predict("왼쪽", 0.55, "오른쪽"), predict("왼쪽", 0.6, "오른쪽")
+  ];
+  assert.deepEqual(run({ strategy: "hysteresis" }, frames), ["왼쪽", "왼쪽", "왼쪽", "왼쪽", "왼쪽"]);
+  // 같은 흐름을 임계값 하나로 자르면 깜빡임
+  assert.deepEqual(run({ strategy: "hysteresis", exitThreshold: 0.7 }, frames), ["왼쪽", "", "왼쪽", "", ""]);
+});
+
+test("hysteresis: 현재 클래스가 exitThreshold 아래로 내려가면 바로 새 클래스", () => {
+  assert.deepEqual(run({ strategy: "hysteresis" }, SUSTAINED), ["왼쪽", "왼쪽", "왼쪽", "오른쪽", "오른쪽", "오른쪽", "오른쪽"]);
+});
+
+test("hysteresis: enterThreshold 미달이면 들어가지 않음", () => {
+  assert.deepEqual(run({ strategy: "hysteresis" }, LOW_CONFIDENCE), ["", "", "", ""]);
+});
+
+test("dwell: dwellMs보다 짧은 튐은 무시", () => {
+  assert.deepEqual(run({ strategy: "dwell" }, FLICKER), ["왼쪽", "왼쪽", "왼쪽", "왼쪽", "왼쪽", "왼쪽"]);
+});
+
+test("dwell: 새 클래스가 dwellMs(200ms) 이어지면 바뀜", () => {
+  // 오른쪽은 300ms부터 → 500ms에 바뀜
+  assert.deepEqual(run({ strategy: "dwell" }, SUSTAINED), ["왼쪽", "왼쪽", "왼쪽", "왼쪽", "왼쪽", "오른쪽", "오른쪽"]);
+});
+
+test("dwell: 임계값 미달이면 빈 라벨, 신뢰도가 떨어져도 dwellMs 동안은 유지", () => {
+  assert.deepEqual(run({ strategy: "dwell" }, LOW_CONFIDENCE), ["", "", "", ""]);
+
+  const frames = [...repeat(2, predict("왼쪽", 0.9)), ...repeat(4, predict("왼쪽", 0.5))];
+  assert.deepEqual(run({ strategy: "dwell" }, frames), ["왼쪽", "왼쪽", "왼쪽", "왼쪽", "", ""]);
+});
+
+test("알 수 없는 방식과 exitThreshold > enterThreshold는 Error", () => {
+  assert.throws(() => new PredictionStabilizer({ strategy: "median" }), /알 수 없는 안정화 방식/);
+  assert.throws(() => new PredictionStabilizer({ strategy: "hysteresis", enterThreshold: 0.6, exitThreshold: 0.8 }));
+});
@@ -0,0 +1,77 @@
+/**
+ * simulate.js
+ * GameCore를 브라우저 없이 Node에서 실행하는 헤드리스 시뮬레이터
+ *
+ * 사용법:
+ *   node tools/simulate.js [seed] [bot] [levelPack] [zoneCount] [mode] [adaptive]
+ *   - seed: 난수 seed (기본 1)
+ *   - bot:  "follow"(폭탄/감점 아이템을 피해 가장 아래 과일을 따라감) | "idle"(시작 구역에 가만히 있음)
+ *   - levelPack: 레벨 팩 JSON 파일 경로 (기본: 기본 레벨 팩, "-"도 기본 레벨 팩)
+ *   - zoneCount: 구역 개수 2~6 (기본 3)
+ *   - mode: 게임 모드 (GameMode.BUILT_IN의 키, 기본 "classic", 끝나지 않는 모드는 maxSeconds에서 중지)
+ *   - adaptive: "adaptive"면 자동 난이도 조절을 켜고 조절 기록을 출력
+ *
+ * 같은 seed, 같은 bot, 같은 레벨 팩, 같은 구역 개수, 같은 모드, 같은 자동 난이도 설정이면 항상 같은 결과가 출력됨
+ */
+
+const path = require("path");
+const GameCore = require("../js/gameCore.js");
+
+const seed = Number(process.argv[2] || 1);
+const bot = process.argv[3] || "follow";
+const levelPack = process.argv[4] && process.argv[4] !== "-" ? require(path.resolve(process.argv[4])) : undefined;
+const zoneCount = Number(process.argv[5] || 3);
+const mode = process.argv[6] || "classic";
+const adaptive = process.argv[7] === "adaptive";
+const dt = 1 / 60;
+const maxSeconds = 600;
+
+const core = new GameCore({ seed, zoneCount, levelPack, mode, adaptive });
+const log = [];
+
+core.on("itemSpawn", ({ item }) => log.push(`${item.id}:${item.type}@${item.zone}`));
+core.on("levelChange", ({ level }) => console.log(`[${core.time.toFixed(2)}s] 레벨 ${level} 시작`));
+core.on("gameOver", ({ reason }) => console.log(`[${core.time.toFixed(2)}s] 게임 오버: ${reason}`));
+core.on("difficultyChange", change => console.log(`[${core.time.toFixed(2)}s] 난이도 ${change.difficulty}: ${change.reason}`));
+
+/**
+ * 가장 아래에 있는 (아직 처리되지 않은) 과일의 구역으로 이동
+ * 그 구역에 과일보다 먼저 도착할 폭탄(또는 감점 아이템)이 있으면 안전한 구역으로 피함
+ */
+function followBot() {
+  const pending = core.items.filter(item => !item.processed);
+  const fruits = pending.filter(item => item.isFruit);
+  const bombs = pending.filter(item => item.isBomb || item.points < 0);
+  if (fruits.length === 0) return;
+
+  const lowest = fruits.reduce((a, b) => (a.currentTop > b.currentTop ? a : b));
+  const blocked = zone => bombs.some(bomb => bomb.zone === zone && bomb.currentTop >= lowest.currentTop);
+
+  if (!blocked(lowest.zone)) {
+    core.moveBasket(lowest.zone);
+  } else if (blocked(core.basketPosition)) {
+    const safeZone = core.zones.find(zone => !blocked(zone));
+    if (safeZone) core.moveBasket(safeZone);
+  }
+}
+
+core.start();
+while (core.isGameActive && core.time < maxSeconds) {
+  if (bot === "follow") followBot();
+  core.step(dt);
+}
+core.stop();
+
+console.log(JSON.stringify({
+  seed,
+  bot,
+  zones: core.zones.length,
+  mode: core.mode.name,
+  score: core.score,
+  bestCombo: core.bestCombo,
+  level: core.level,
+  time: Number(core.time.toFixed(2)),
+  spawned: log.length,
+  firstItems: log.slice(0, 10),
+  ...(adaptive && { difficulty: core.adaptive.difficulty, adjustments: core.adaptive.log.length })
+}, null, 2));